@@ -0,0 +1,168 @@
+import { loadAffectSettings } from "./config.js";
+import {
+  applyExchangeToAffect,
+  decayAffectState,
+  describeMood,
+  formatAffectPrompt,
+  getDefaultAffectState,
+} from "./llm/affectModel.js";
+import { deleteAffectState, loadAffectState, saveAffectState } from "./storage/affectStore.js";
+import { logMessage } from "./utils/logger.js";
+
+// ふるまいとデバッグ表示を更新する間隔（秒）
+const REFRESH_INTERVAL = 1;
+// 気分と親しみの影響がない場合のふるまい（randomMenu / comeHereFrontAction の元の値）
+const BASE_WAVE_PROBABILITY = 0.5;
+const BASE_COME_HERE_FRONT_DISTANCE = 1.5;
+const BASE_RANDOM_WAIT_SECONDS = 6;
+// 落ち込んでいるときにうつむく最大の角度（度）
+const MAX_DOWNCAST_DEGREES = 20;
+
+/**
+ * 気分と親しみのコントローラー
+ * キャラクターごとの気分（感情価・覚醒度）とユーザーへの親しみを会話のたびに更新して保存し、
+ * システムプロンプトへの追記文と、アバターのふるまい（手を振る頻度・近づく距離・待機の間隔・うつむき）を返す。
+ * 気分は時間の経過で落ち着き、親しみは会話を重ねるほど変化する。
+ */
+export function createAffectController({
+  characterKey,
+  // デバッグ表示用: 現在の気分と親しみの表示先
+  readoutElement,
+}) {
+  const state = {
+    characterKey: characterKey, // 気分と親しみを保存するキャラクター（キャラクターの切り替えで変わる）
+    affect: loadAffectState(characterKey), // 保存されている状態（時間の経過は読み出すときに反映する）
+    behavior: null, // 現在のふるまい（毎フレーム参照されるため、一定間隔と状態の変化時にだけ計算する）
+    refreshTimer: 0,
+  };
+
+  /**
+   * 時間の経過を反映した、現在の気分と親しみを返す。
+   * 気分と親しみを使わない設定の場合は初期値（影響なし）を返す。
+   * @returns {{ valence: number, arousal: number, affinity: number, updatedAt: number }}
+   */
+  function getState() {
+    if (!loadAffectSettings().enabled) {
+      return getDefaultAffectState();
+    }
+    return decayAffectState(state.affect);
+  }
+
+  /**
+   * 気分と親しみに応じたアバターのふるまいを計算する。
+   * - waveProbability: ランダム行動で手を振る確率（親しいほど・機嫌がいいほど高い）
+   * - comeHereFrontDistance: 「こっちにくる(正面)」で止まるプレイヤーからの距離（m。親しいほど近い）
+   * - randomWaitSeconds: ランダム行動で次に移動するまでの待ち時間（秒。落ち込んでいるほど長く、興奮しているほど短い）
+   * - lookDownDegrees: うつむく角度（度。落ち着いて落ち込んでいるときだけ）
+   * @returns {{ waveProbability: number, comeHereFrontDistance: number, randomWaitSeconds: number, lookDownDegrees: number }}
+   */
+  function computeBehavior() {
+    const { valence, arousal, affinity } = getState();
+    const sadness = Math.max(0, -valence) * (1 - Math.max(0, arousal));
+    return {
+      waveProbability: Math.min(0.9, Math.max(0.1, BASE_WAVE_PROBABILITY + 0.35 * affinity + 0.1 * valence)),
+      comeHereFrontDistance: BASE_COME_HERE_FRONT_DISTANCE - 0.5 * affinity,
+      randomWaitSeconds: BASE_RANDOM_WAIT_SECONDS * (1 + 0.6 * Math.max(0, -valence)) * (1 - 0.3 * arousal),
+      lookDownDegrees: sadness > 0.2 ? (MAX_DOWNCAST_DEGREES * (sadness - 0.2)) / 0.8 : 0,
+    };
+  }
+
+  /**
+   * 気分と親しみを、システムプロンプトへの追記文にする。
+   * @returns {string} 追記文（気分と親しみを使わない設定の場合は空文字列）
+   */
+  function buildPrompt() {
+    return loadAffectSettings().enabled ? formatAffectPrompt(getState()) : "";
+  }
+
+  /**
+   * 1往復の会話を気分と親しみに反映して保存する。
+   * @param {{ characterKey: string, userMessage: string, emotions: string[] }} exchange
+   *   characterKey: 会話したキャラクター（応答中にキャラクターが切り替わった場合も、会話したキャラクターに反映する）、
+   *   emotions: AIの応答に付いていた感情タグ（感情名）
+   */
+  function recordExchange({ characterKey: exchangeCharacterKey, userMessage, emotions }) {
+    if (!loadAffectSettings().enabled) {
+      return;
+    }
+    const isCurrent = exchangeCharacterKey === state.characterKey;
+    const current = isCurrent ? state.affect : loadAffectState(exchangeCharacterKey);
+    const next = applyExchangeToAffect(current, { userMessage: userMessage, emotions: emotions });
+    saveAffectState(exchangeCharacterKey, next);
+    if (isCurrent) {
+      state.affect = next;
+      refresh();
+    }
+    logMessage("Verbose", "[AffectController] 気分と親しみを更新しました", {
+      characterKey: exchangeCharacterKey,
+      valence: Number(next.valence.toFixed(3)),
+      arousal: Number(next.arousal.toFixed(3)),
+      affinity: Number(next.affinity.toFixed(3)),
+    });
+  }
+
+  /**
+   * ふるまいを計算し直し、デバッグ表示に現在の気分と親しみを表示する。
+   */
+  function refresh() {
+    state.behavior = computeBehavior();
+    if (!readoutElement) {
+      return;
+    }
+    if (!loadAffectSettings().enabled) {
+      readoutElement.textContent = "オフ";
+      return;
+    }
+    const affect = getState();
+    const format = (value) => `${value >= 0 ? "+" : ""}${value.toFixed(2)}`;
+    readoutElement.textContent = `感情価 ${format(affect.valence)} / 覚醒度 ${format(affect.arousal)} / 親しみ ${format(affect.affinity)}（${describeMood(affect)}）`;
+  }
+
+  /**
+   * ふるまいとデバッグ表示を一定間隔で更新する（時間の経過で気分が落ち着くため。毎フレーム呼び出す）。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function update(delta) {
+    state.refreshTimer += delta;
+    if (state.refreshTimer >= REFRESH_INTERVAL) {
+      state.refreshTimer = 0;
+      refresh();
+    }
+  }
+
+  /**
+   * 現在のキャラクターの気分と親しみを初期値に戻す。
+   */
+  function reset() {
+    deleteAffectState(state.characterKey);
+    state.affect = loadAffectState(state.characterKey);
+    refresh();
+    logMessage("Info", "[AffectController] 気分と親しみを初期値に戻しました", { characterKey: state.characterKey });
+  }
+
+  /**
+   * 気分と親しみを使うキャラクターを切り替える。
+   * @param {string} nextCharacterKey - 切り替え先のキャラクターの識別キー
+   */
+  function switchCharacter(nextCharacterKey) {
+    state.characterKey = nextCharacterKey;
+    state.affect = loadAffectState(nextCharacterKey);
+    refresh();
+  }
+
+  refresh();
+
+  return {
+    getState,
+    /**
+     * 気分と親しみに応じたアバターのふるまいを返す（内容は computeBehavior を参照）。
+     */
+    getBehavior: () => state.behavior,
+    buildPrompt,
+    recordExchange,
+    update,
+    refresh,
+    reset,
+    switchCharacter,
+  };
+}
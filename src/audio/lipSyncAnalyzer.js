@@ -0,0 +1,210 @@
+import { logMessage } from "../utils/logger.js";
+
+// VRMの母音の口形状（viseme）
+export const VISEME_NAMES = ["aa", "ih", "ou", "ee", "oh"];
+
+// 日本語の母音のおおよそのフォルマント周波数（F1, F2）[Hz]
+const VOWEL_FORMANTS = {
+  aa: { f1: 800, f2: 1300 },
+  ih: { f1: 300, f2: 2300 },
+  ou: { f1: 350, f2: 1400 },
+  ee: { f1: 500, f2: 1900 },
+  oh: { f1: 500, f2: 900 },
+};
+// フォルマントを探す周波数帯 [Hz]
+const F1_RANGE = [200, 1000];
+const F2_RANGE = [800, 2800];
+// フォルマント距離から重みを計算するときの広がり（大きいほど複数の母音が混ざる）
+const FORMANT_SPREAD = 0.35;
+// この音量（正規化後）未満は無音として口を閉じる
+const SILENCE_THRESHOLD = 0.08;
+// 口の開閉の追従時間（秒）。開くときは速く、閉じるときは少しゆっくり
+const ATTACK_SECONDS = 0.04;
+const RELEASE_SECONDS = 0.09;
+// 音量の自動正規化に使うピーク値の減衰（1秒あたりの倍率）と下限
+const PEAK_DECAY_PER_SECOND = 0.5;
+const MIN_PEAK = 0.02;
+// スペクトルの平滑化幅 [Hz]（倍音の細かい山をならしてフォルマントの山を見つける）
+const SPECTRUM_SMOOTHING_HZ = 150;
+
+/**
+ * TTS音声をAnalyserNodeで解析し、VRMの5つの母音viseme（aa/ih/ou/ee/oh）の重みを求める。
+ * - 音量（RMS）で口の開き具合を決め、無音区間では口を閉じる
+ * - スペクトルから第1・第2フォルマントを推定し、最も近い母音に重みを配分する
+ * TtsAudioPlayer の PositionalAudio と、Audio要素（MediaSource再生のフォールバック）の両方を入力にできる。
+ */
+export class LipSyncAnalyzer {
+  /**
+   * @param {AudioContext} audioContext - 解析に使うAudioContext（再生に使うものと同じにする）
+   */
+  constructor(audioContext) {
+    if (!audioContext) {
+      throw new Error("LipSyncAnalyzer: audioContext is required");
+    }
+    this.context = audioContext;
+    this.analyser = audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0.5;
+    this.timeData = new Float32Array(this.analyser.fftSize);
+    this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+    this.smoothedSpectrum = new Float32Array(this.analyser.frequencyBinCount);
+
+    this.weights = Object.fromEntries(VISEME_NAMES.map((name) => [name, 0]));
+    this.peak = MIN_PEAK;
+    this.mediaElementSources = new WeakMap();
+    this.tapNode = null;
+  }
+
+  /**
+   * THREE.Audio / THREE.PositionalAudio の出力を解析対象にする。
+   * 空間音響（距離減衰）の影響を受けないよう、パンナーの手前にフィルターとして分岐ノードを挿入する。
+   * @param {THREE.Audio} audio - TtsAudioPlayer の audioSource
+   */
+  attachToAudio(audio) {
+    if (!audio?.setFilters) {
+      logMessage("Warn", "[LipSyncAnalyzer] attachToAudio: THREE.Audioではありません");
+      return;
+    }
+    this.tapNode = this.context.createGain();
+    this.tapNode.connect(this.analyser);
+    audio.setFilters([...audio.getFilters(), this.tapNode]);
+    logMessage("Info", "[LipSyncAnalyzer] TTS音源に解析ノードを接続しました");
+  }
+
+  /**
+   * Audio要素の再生音を解析対象にする（TTSプレーヤーを使わないフォールバック再生用）。
+   * MediaElementSource を作成すると出力がAudioContext経由になるため、スピーカーにも接続する。
+   * @param {HTMLMediaElement} audioElement - 再生するAudio要素
+   */
+  attachMediaElement(audioElement) {
+    if (!audioElement || this.mediaElementSources.has(audioElement)) {
+      return;
+    }
+    try {
+      const source = this.context.createMediaElementSource(audioElement);
+      source.connect(this.analyser);
+      source.connect(this.context.destination);
+      this.mediaElementSources.set(audioElement, source);
+    } catch (error) {
+      logMessage("Warn", "[LipSyncAnalyzer] Audio要素を解析対象にできませんでした", { error: error });
+    }
+  }
+
+  /**
+   * 現在の音量（RMS）を返す。
+   * @returns {number} RMS（0〜1）
+   */
+  measureRms() {
+    this.analyser.getFloatTimeDomainData(this.timeData);
+    let sum = 0;
+    for (let i = 0; i < this.timeData.length; i += 1) {
+      sum += this.timeData[i] * this.timeData[i];
+    }
+    return Math.sqrt(sum / this.timeData.length);
+  }
+
+  /**
+   * 平滑化したスペクトルの指定帯域で最も強い周波数を返す。
+   * @param {number} minHz - 帯域の下限
+   * @param {number} maxHz - 帯域の上限
+   * @param {number} binHz - 1ビンあたりの周波数
+   * @returns {number} ピーク周波数 [Hz]
+   */
+  findPeakFrequency(minHz, maxHz, binHz) {
+    const start = Math.max(1, Math.floor(minHz / binHz));
+    const end = Math.min(this.smoothedSpectrum.length - 1, Math.ceil(maxHz / binHz));
+    let peakIndex = start;
+    for (let i = start; i <= end; i += 1) {
+      if (this.smoothedSpectrum[i] > this.smoothedSpectrum[peakIndex]) {
+        peakIndex = i;
+      }
+    }
+    return peakIndex * binHz;
+  }
+
+  /**
+   * スペクトルからフォルマントを推定し、各母音の目標の重み（合計1）を返す。
+   * @returns {Record<string, number>} 母音ごとの重み
+   */
+  estimateVowelWeights() {
+    this.analyser.getFloatFrequencyData(this.frequencyData);
+    const binHz = this.context.sampleRate / this.analyser.fftSize;
+    const radius = Math.max(1, Math.round(SPECTRUM_SMOOTHING_HZ / binHz / 2));
+
+    // dB を線形値に変換して移動平均で平滑化する
+    const maxBin = Math.min(this.frequencyData.length, Math.ceil(F2_RANGE[1] / binHz) + radius + 1);
+    for (let i = 0; i < maxBin; i += 1) {
+      let sum = 0;
+      let count = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(maxBin - 1, i + radius); j += 1) {
+        sum += 10 ** (this.frequencyData[j] / 20);
+        count += 1;
+      }
+      this.smoothedSpectrum[i] = sum / count;
+    }
+
+    const f1 = this.findPeakFrequency(F1_RANGE[0], F1_RANGE[1], binHz);
+    // F2 は F1 より十分高い帯域から探す
+    const f2 = this.findPeakFrequency(Math.max(F2_RANGE[0], f1 + 300), F2_RANGE[1], binHz);
+
+    // 対数周波数上の距離で各母音との近さを求め、softmax 風に重みへ変換する
+    const scores = VISEME_NAMES.map((name) => {
+      const formant = VOWEL_FORMANTS[name];
+      const d1 = Math.log2(f1 / formant.f1);
+      const d2 = Math.log2(f2 / formant.f2);
+      return Math.exp(-(d1 * d1 + d2 * d2) / (FORMANT_SPREAD * FORMANT_SPREAD));
+    });
+    const total = scores.reduce((sum, score) => sum + score, 0) || 1;
+    return Object.fromEntries(VISEME_NAMES.map((name, index) => [name, scores[index] / total]));
+  }
+
+  /**
+   * 現在の音声から各visemeの重みを計算して返す（毎フレーム呼び出す）。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   * @returns {Record<string, number>} aa/ih/ou/ee/oh の重み（0〜1）
+   */
+  update(delta) {
+    const rms = this.measureRms();
+    // 声の大きさの違いを吸収するため、直近のピークで正規化する
+    this.peak = Math.max(MIN_PEAK, rms, this.peak * PEAK_DECAY_PER_SECOND ** delta);
+    const level = Math.min(1, rms / this.peak);
+
+    let targets;
+    if (level < SILENCE_THRESHOLD) {
+      targets = Object.fromEntries(VISEME_NAMES.map((name) => [name, 0]));
+    } else {
+      const vowelWeights = this.estimateVowelWeights();
+      // 開き具合は音量に比例させ、小さな声でも少しは口が開くようにする
+      const openness = 0.3 + 0.7 * level;
+      targets = Object.fromEntries(VISEME_NAMES.map((name) => [name, vowelWeights[name] * openness]));
+    }
+
+    VISEME_NAMES.forEach((name) => {
+      const current = this.weights[name];
+      const target = targets[name];
+      const timeConstant = target > current ? ATTACK_SECONDS : RELEASE_SECONDS;
+      const factor = 1 - Math.exp(-delta / timeConstant);
+      this.weights[name] = current + (target - current) * factor;
+    });
+    return this.weights;
+  }
+
+  /**
+   * 口の形状を閉じた状態に戻す。
+   */
+  reset() {
+    VISEME_NAMES.forEach((name) => {
+      this.weights[name] = 0;
+    });
+    this.peak = MIN_PEAK;
+  }
+
+  /**
+   * 解析ノードの接続を解除する。
+   */
+  dispose() {
+    this.tapNode?.disconnect();
+    this.analyser.disconnect();
+    this.tapNode = null;
+  }
+}
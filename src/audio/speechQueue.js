@@ -0,0 +1,157 @@
+import { logMessage } from "../utils/logger.js";
+
+// 再生中の文の次に何文まで先読みして音声合成しておくか
+const DEFAULT_PREFETCH_COUNT = 2;
+
+/**
+ * 文単位のTTSを順番に合成・再生するキュー。合成結果（音声データなど）の中身は扱わず、そのまま play へ渡す。
+ * 先頭の文を再生している間に後続の文の音声合成を先行して行い、文の間の無音を短くする。
+ * 文ごとに付加情報（感情など）を持たせることができ、再生時に play へ渡される。
+ * @param {{
+ *   synthesize: (text: string) => Promise<object|null>,
+ *   play: (text: string, audio: object|null, meta: object) => Promise<void>,
+ *   onPlaybackStart?: () => void,
+ *   onPlaybackEnd?: () => void,
+ *   onError?: (error: Error, text: string) => void,
+ *   prefetchCount?: number,
+ * }} options
+ */
+export function createSpeechQueue({
+  synthesize,
+  play,
+  onPlaybackStart,
+  onPlaybackEnd,
+  onError,
+  prefetchCount = DEFAULT_PREFETCH_COUNT,
+}) {
+  const state = {
+    items: [], // { text, meta, audioPromise } の配列（先頭が次に再生する文）
+    playing: false, // 再生ループ実行中フラグ
+    idleWaiters: [], // waitUntilIdle() の resolve 関数
+  };
+
+  /**
+   * エラーを通知する。コールバック未指定の場合はログのみ出力する。
+   * @param {Error} error - 発生したエラー
+   * @param {string} text - 対象の文
+   */
+  function reportError(error, text) {
+    logMessage("Error", "[SpeechQueue] 音声の合成または再生に失敗しました", { error: error, text: text });
+    onError?.(error, text);
+  }
+
+  /**
+   * キュー先頭から prefetchCount 件までの音声合成を開始する。
+   */
+  function prefetch() {
+    const limit = Math.min(state.items.length, prefetchCount + 1);
+    for (let i = 0; i < limit; i += 1) {
+      const item = state.items[i];
+      if (item.audioPromise) {
+        continue;
+      }
+      item.audioPromise = Promise.resolve()
+        .then(() => synthesize(item.text))
+        .then(
+          (audio) => ({ audio: audio ?? null, failed: false }),
+          (error) => {
+            reportError(error, item.text);
+            return { audio: null, failed: true };
+          }
+        );
+    }
+  }
+
+  /**
+   * キューが空になるのを待っている呼び出し元を解決する。
+   */
+  function notifyIdle() {
+    const waiters = state.idleWaiters;
+    state.idleWaiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+
+  /**
+   * キューの先頭から順に再生する。既に再生ループが動いている場合は何もしない。
+   */
+  async function pump() {
+    if (state.playing) {
+      return;
+    }
+    state.playing = true;
+    onPlaybackStart?.();
+    try {
+      while (state.items.length > 0) {
+        prefetch();
+        const item = state.items[0];
+        const result = await item.audioPromise;
+        // clear() で破棄された場合は再生しない
+        if (state.items[0] !== item) {
+          continue;
+        }
+        state.items.shift();
+        prefetch();
+        if (result.failed) {
+          continue;
+        }
+        try {
+          await play(item.text, result.audio, item.meta);
+        } catch (error) {
+          reportError(error, item.text);
+        }
+      }
+    } finally {
+      state.playing = false;
+      onPlaybackEnd?.();
+      notifyIdle();
+    }
+  }
+
+  /**
+   * 文をキューに追加する。再生中でなければ直ちに合成・再生を開始する。
+   * @param {string} text - 読み上げる文
+   * @param {object} [meta] - 再生時に play へ渡す付加情報（例: { emotion: "happy" }）
+   */
+  function enqueue(text, meta = {}) {
+    const trimmed = typeof text === "string" ? text.trim() : "";
+    if (!trimmed) {
+      return;
+    }
+    state.items.push({ text: trimmed, meta: meta, audioPromise: null });
+    prefetch();
+    pump();
+  }
+
+  /**
+   * 未再生の文をすべて破棄する（再生中の文の停止は呼び出し側で行う）。
+   */
+  function clear() {
+    state.items = [];
+    if (!state.playing) {
+      notifyIdle();
+    }
+  }
+
+  /**
+   * キューが空になり、再生が終わるまで待つ。
+   * @returns {Promise<void>}
+   */
+  function waitUntilIdle() {
+    if (!state.playing && state.items.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      state.idleWaiters.push(resolve);
+    });
+  }
+
+  return {
+    enqueue,
+    clear,
+    waitUntilIdle,
+    /**
+     * 再生中または再生待ちの文があるかどうかを返す。
+     */
+    isBusy: () => state.playing || state.items.length > 0,
+  };
+}
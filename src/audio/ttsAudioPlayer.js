@@ -1,5 +1,6 @@
 import * as THREE from "three";
 import { logMessage } from "../utils/logger.js";
+import { LipSyncAnalyzer } from "./lipSyncAnalyzer.js";
 
 /**
  * Text to Speech音声をWebXRの3D空間音響（PositionalAudio）として再生するプレーヤー。
@@ -35,6 +36,10 @@ export class TtsAudioPlayer {
     this.audioSource.setMaxDistance(10); // 10m離れると聞こえなくなる
     this.audioSource.setRolloffFactor(1.2); // やや急な減衰
 
+    // 再生中の音声から口の形（母音）を求める解析器（距離減衰の前の信号を解析する）
+    this.lipSyncAnalyzer = new LipSyncAnalyzer(this.audioListener.context);
+    this.lipSyncAnalyzer.attachToAudio(this.audioSource);
+
     // 音源を指定された対象にアタッチ（後から設定することも可能）
     if (this.audioTarget) {
       this.audioTarget.add(this.audioSource);
@@ -48,6 +53,7 @@ export class TtsAudioPlayer {
 
     this.activeSourceNode = null;
     this.currentPlayback = null;
+    this.playbackStartTime = null; // 再生開始時の AudioContext.currentTime
 
     this.onSessionStart = () => this.handleSessionStart();
     this.onSessionEnd = () => this.handleSessionEnd();
@@ -135,9 +141,11 @@ export class TtsAudioPlayer {
   /**
    * ArrayBufferのMP3データをデコードして再生する。再生が完了するまで解決しないPromiseを返す。
    * @param {ArrayBuffer} arrayBuffer - MP3バイナリデータ
+   * @param {{ onStart?: (audioBuffer: AudioBuffer) => void }} [options]
+   *   onStart: デコード後、再生を開始する直前に呼ばれる（音声の長さに合わせた口パクの準備などに使う）
    * @returns {Promise<void>}
    */
-  async playArrayBuffer(arrayBuffer) {
+  async playArrayBuffer(arrayBuffer, { onStart } = {}) {
     if (!arrayBuffer) {
       throw new Error("TtsAudioPlayer: audio data is empty");
     }
@@ -170,8 +178,10 @@ export class TtsAudioPlayer {
     return new Promise((resolve, reject) => {
       this.currentPlayback = { resolve, reject };
       try {
+        onStart?.(audioBuffer);
         logMessage("Info", "[TtsAudioPlayer] 再生開始");
         this.audioSource.play();
+        this.playbackStartTime = context.currentTime;
       } catch (error) {
         logMessage("Error", "[TtsAudioPlayer] 再生開始に失敗", { error: error });
         this.currentPlayback = null;
@@ -191,6 +201,7 @@ export class TtsAudioPlayer {
         logMessage("Info", "[TtsAudioPlayer] 再生完了");
         sourceNode.onended = null;
         this.activeSourceNode = null;
+        this.playbackStartTime = null;
         if (this.currentPlayback) {
           this.currentPlayback.resolve();
           this.currentPlayback = null;
@@ -199,6 +210,32 @@ export class TtsAudioPlayer {
     });
   }
 
+  /**
+   * 再生中の音声の再生位置（秒）を返す。スピーカーへの出力遅延を差し引いた、実際に聞こえている位置を返す。
+   * @returns {number|null} 再生位置（再生していない場合は null）
+   */
+  getPlaybackTime() {
+    const context = this.audioListener?.context;
+    if (this.playbackStartTime === null || !context) {
+      return null;
+    }
+    const outputLatency = context.outputLatency || context.baseLatency || 0;
+    return Math.max(0, context.currentTime - this.playbackStartTime - outputLatency);
+  }
+
+  /**
+   * 再生中の音声をどこまで再生したかを 0〜1 の割合で返す。
+   * @returns {number|null} 再生済みの割合（再生していない場合は null）
+   */
+  getPlaybackProgress() {
+    const time = this.getPlaybackTime();
+    const duration = this.audioSource?.buffer?.duration;
+    if (time === null || !duration) {
+      return null;
+    }
+    return Math.min(1, time / duration);
+  }
+
   /**
    * AudioContextを用いてArrayBufferからAudioBufferへデコードする。
    * @param {ArrayBuffer} arrayBuffer
@@ -245,6 +282,7 @@ export class TtsAudioPlayer {
       this.activeSourceNode.onended = null;
       this.activeSourceNode = null;
     }
+    this.playbackStartTime = null;
     if (this.currentPlayback) {
       this.currentPlayback.resolve();
       this.currentPlayback = null;
@@ -268,6 +306,8 @@ export class TtsAudioPlayer {
     if (this.audioListener?.parent) {
       this.audioListener.parent.remove(this.audioListener);
     }
+    this.lipSyncAnalyzer?.dispose();
+    this.lipSyncAnalyzer = null;
     this.audioSource?.disconnect?.();
     this.audioSource = null;
     this.audioListener = null;
@@ -0,0 +1,257 @@
+import { VISEME_NAMES } from "./lipSyncAnalyzer.js";
+
+// 母音（VOICEVOX の音素表記）と VRM の viseme の対応。N（ん）・cl（っ）・pau（無音）は口を閉じる
+const VOWEL_TO_VISEME = {
+  a: "aa",
+  i: "ih",
+  u: "ou",
+  e: "ee",
+  o: "oh",
+};
+// 各母音になるひらがな（カタカナはひらがなに変換してから引く）
+const KANA_BY_VOWEL = {
+  a: "あかがさざただなはばぱまやらわゎ",
+  i: "いきぎしじちぢにひびぴみりゐ",
+  u: "うくぐすずつづぬふぶぷむゆるゔ",
+  e: "えけげせぜてでねへべぺめれゑ",
+  o: "おこごそぞとどのほぼぽもよろを",
+};
+// 直前のかなと合わせて1モーラになる小書き文字（きゃ・ふぁ など）
+const SMALL_KANA_VOWELS = {
+  ぁ: "a",
+  ゃ: "a",
+  ゎ: "a",
+  ぃ: "i",
+  ぅ: "u",
+  ゅ: "u",
+  ぇ: "e",
+  ぉ: "o",
+  ょ: "o",
+};
+const KANA_TO_VOWEL = new Map(
+  Object.entries(KANA_BY_VOWEL).flatMap(([vowel, kana]) => [...kana].map((char) => [char, vowel]))
+);
+// 息継ぎとして扱う句読点・記号
+const PAUSE_CHARS = new Set([..."、。，．,.！？!?…‥・「」『』（）()　 \n"]);
+// 読み上げに影響しない記号（無視する）
+const IGNORED_CHARS = new Set([..."〜～♪☆★"]);
+// 句読点1つあたりの無音の長さ（モーラ数換算）
+const PAUSE_MORA_UNITS = 2;
+// 子音の間に口を閉じる子音（両唇音）
+const BILABIAL_CONSONANTS = new Set(["m", "b", "p", "py", "my", "by"]);
+// 子音の区間で次の母音の口形状をどの程度先取りするか
+const CONSONANT_WEIGHT = 0.4;
+// 無声化した母音（VOICEVOX で大文字表記）の口の開き
+const DEVOICED_WEIGHT = 0.3;
+// 隣の区間との口形状の切り替えにかける時間（秒）
+const TRANSITION_SECONDS = 0.06;
+// 読みの分からない漢字1文字あたりのモーラ数（音読みの多くは2モーラ）
+const KANJI_MORA_COUNT = 2;
+// 読みの分からない文字に順番に割り当てる母音（同じ口の形が続かないようにする）
+const ESTIMATED_VOWELS = ["a", "o", "i", "e", "u"];
+// 漢字（CJK統合漢字・拡張A・々）
+const KANJI_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff々]/;
+
+/**
+ * カタカナをひらがなに変換する。
+ * @param {string} char - 1文字
+ * @returns {string} ひらがな（カタカナ以外はそのまま）
+ */
+function toHiragana(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : char;
+}
+
+/**
+ * かなのテキスト（読み変換済み）をモーラの母音列に変換する。
+ * 漢字や英字など読みの分からない文字が含まれる場合は null を返す。
+ * @param {string} text - かな・句読点からなるテキスト
+ * @returns {Array<{ vowel: string }>|null} モーラごとの母音（a/i/u/e/o/N/cl/pau）
+ */
+export function textToMoras(text) {
+  const moras = [];
+  for (const rawChar of text ?? "") {
+    const char = toHiragana(rawChar);
+    const last = moras[moras.length - 1];
+    if (PAUSE_CHARS.has(char)) {
+      if (last?.vowel !== "pau") {
+        moras.push({ vowel: "pau" });
+      }
+    } else if (IGNORED_CHARS.has(char)) {
+      continue;
+    } else if (char === "ー") {
+      // 長音は直前の母音を伸ばす
+      if (last && VOWEL_TO_VISEME[last.vowel]) {
+        moras.push({ vowel: last.vowel });
+      }
+    } else if (char === "ん") {
+      moras.push({ vowel: "N" });
+    } else if (char === "っ") {
+      moras.push({ vowel: "cl" });
+    } else if (SMALL_KANA_VOWELS[char]) {
+      // 拗音は直前のモーラの母音を置き換える（単独の場合は1モーラとして扱う）
+      if (last && VOWEL_TO_VISEME[last.vowel]) {
+        last.vowel = SMALL_KANA_VOWELS[char];
+      } else {
+        moras.push({ vowel: SMALL_KANA_VOWELS[char] });
+      }
+    } else if (KANA_TO_VOWEL.has(char)) {
+      moras.push({ vowel: KANA_TO_VOWEL.get(char) });
+    } else {
+      return null;
+    }
+  }
+  // 先頭・末尾の無音は leadingSilence / trailingSilence で扱う
+  while (moras[0]?.vowel === "pau") {
+    moras.shift();
+  }
+  while (moras[moras.length - 1]?.vowel === "pau") {
+    moras.pop();
+  }
+  return moras.length > 0 ? moras : null;
+}
+
+/**
+ * 読みの分からない文字（漢字・英字など）を含むテキストも含めて、おおよそのモーラ列を作る。
+ * かなだけのテキストは textToMoras と同じ結果になり、それ以外の文字は文字数からモーラ数を見積もって
+ * 母音を順番に割り当てる。音声を使わずに口だけを動かす場合に使う。
+ * @param {string} text - テキスト
+ * @returns {Array<{ vowel: string }>|null} モーラごとの母音（読み上げる文字がない場合は null）
+ */
+export function estimateMoras(text) {
+  const kanaMoras = textToMoras(text);
+  if (kanaMoras) {
+    return kanaMoras;
+  }
+
+  const moras = [];
+  let estimatedCount = 0;
+  const pushEstimated = (count) => {
+    for (let i = 0; i < count; i += 1) {
+      moras.push({ vowel: ESTIMATED_VOWELS[estimatedCount % ESTIMATED_VOWELS.length] });
+      estimatedCount += 1;
+    }
+  };
+  for (const char of text ?? "") {
+    if (PAUSE_CHARS.has(char)) {
+      if (moras.length > 0 && moras[moras.length - 1].vowel !== "pau") {
+        moras.push({ vowel: "pau" });
+      }
+    } else if (IGNORED_CHARS.has(char) || SMALL_KANA_VOWELS[toHiragana(char)]) {
+      // 拗音の小書き文字は直前のモーラに含める
+      continue;
+    } else {
+      // かな1文字（ん・っ を含む）はそのまま、漢字・英字などは見積もる
+      const kana = textToMoras(char);
+      if (kana) {
+        moras.push(...kana);
+      } else {
+        pushEstimated(KANJI_PATTERN.test(char) ? KANJI_MORA_COUNT : 1);
+      }
+    }
+  }
+  while (moras[moras.length - 1]?.vowel === "pau") {
+    moras.pop();
+  }
+  return moras.length > 0 ? moras : null;
+}
+
+/**
+ * モーラの母音列を音声の長さに均等に割り当てて viseme トラックを作成する。
+ * タイミング情報がない場合に使う（句読点の無音は通常のモーラより長く取る）。
+ * @param {Array<{ vowel: string }>} moras - textToMoras の結果
+ * @param {{ duration: number, leadingSilence?: number, trailingSilence?: number }} options
+ *   duration: 音声全体の長さ（秒）
+ *   leadingSilence / trailingSilence: 音声の先頭・末尾に付いている無音の長さ（秒）
+ * @returns {{ duration: number, segments: Array<{ start: number, end: number, viseme: string|null, weight: number }> }}
+ */
+export function buildVisemeTrackFromMoras(moras, { duration, leadingSilence = 0, trailingSilence = 0 }) {
+  const units = moras.map((mora) => (mora.vowel === "pau" ? PAUSE_MORA_UNITS : 1));
+  const totalUnits = units.reduce((sum, unit) => sum + unit, 0);
+  const speechDuration = Math.max(0, duration - leadingSilence - trailingSilence);
+  const unitSeconds = totalUnits > 0 ? speechDuration / totalUnits : 0;
+
+  let time = leadingSilence;
+  const segments = moras.map((mora, index) => {
+    const start = time;
+    time += units[index] * unitSeconds;
+    const viseme = VOWEL_TO_VISEME[mora.vowel] ?? null;
+    return { start: start, end: time, viseme: viseme, weight: viseme ? 1 : 0 };
+  });
+  return { duration: duration, segments: segments };
+}
+
+/**
+ * VOICEVOX 互換エンジンの AudioQuery（モーラごとの子音・母音の長さ）から viseme トラックを作成する。
+ * @param {{
+ *   accent_phrases: Array<{
+ *     moras: Array<{ consonant?: string|null, consonant_length?: number|null, vowel: string, vowel_length: number }>,
+ *     pause_mora?: { vowel_length: number }|null,
+ *   }>,
+ *   speedScale?: number,
+ *   prePhonemeLength?: number,
+ *   postPhonemeLength?: number,
+ * }} audioQuery - AudioQuery
+ * @returns {{ duration: number, segments: Array<{ start: number, end: number, viseme: string|null, weight: number }> }}
+ */
+export function buildVisemeTrackFromAudioQuery(audioQuery) {
+  // speedScale は前後の無音を含むすべての音素の長さに掛かる
+  const speedScale = audioQuery.speedScale > 0 ? audioQuery.speedScale : 1;
+  const segments = [];
+  let time = (audioQuery.prePhonemeLength ?? 0) / speedScale;
+
+  const pushSegment = (length, viseme, weight) => {
+    const seconds = (length ?? 0) / speedScale;
+    if (seconds <= 0) {
+      return;
+    }
+    segments.push({ start: time, end: time + seconds, viseme: viseme, weight: viseme ? weight : 0 });
+    time += seconds;
+  };
+
+  (audioQuery.accent_phrases ?? []).forEach((phrase) => {
+    (phrase.moras ?? []).forEach((mora) => {
+      const vowel = mora.vowel ?? "";
+      const devoiced = vowel !== vowel.toLowerCase() && vowel !== "N";
+      const viseme = VOWEL_TO_VISEME[vowel.toLowerCase()] ?? null;
+      if (mora.consonant) {
+        const lipsClosed = BILABIAL_CONSONANTS.has(mora.consonant);
+        pushSegment(mora.consonant_length, lipsClosed ? null : viseme, CONSONANT_WEIGHT);
+      }
+      pushSegment(mora.vowel_length, viseme, devoiced ? DEVOICED_WEIGHT : 1);
+    });
+    if (phrase.pause_mora) {
+      pushSegment(phrase.pause_mora.vowel_length, null, 0);
+    }
+  });
+
+  time += (audioQuery.postPhonemeLength ?? 0) / speedScale;
+  return { duration: time, segments: segments };
+}
+
+/**
+ * viseme トラックの指定時刻の口形状を返す。
+ * 区間の切り替わりでは直前の区間の口形状からなめらかに移行する。
+ * @param {{ segments: Array<{ start: number, end: number, viseme: string|null, weight: number }> }} track
+ * @param {number} time - 音声の再生位置（秒）
+ * @returns {Record<string, number>} aa/ih/ou/ee/oh の重み（0〜1）
+ */
+export function sampleVisemeTrack(track, time) {
+  const weights = Object.fromEntries(VISEME_NAMES.map((name) => [name, 0]));
+  const segments = track?.segments ?? [];
+  const index = segments.findIndex((segment) => time >= segment.start && time < segment.end);
+  if (index < 0) {
+    return weights;
+  }
+
+  const current = segments[index];
+  const previous = segments[index - 1];
+  const blend = previous ? Math.min(1, (time - current.start) / TRANSITION_SECONDS) : 1;
+  if (current.viseme) {
+    weights[current.viseme] += current.weight * blend;
+  }
+  if (previous?.viseme && previous.end >= current.start) {
+    weights[previous.viseme] += previous.weight * (1 - blend);
+  }
+  return weights;
+}
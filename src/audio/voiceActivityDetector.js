@@ -0,0 +1,167 @@
+import { logMessage } from "../utils/logger.js";
+
+// 音量を調べる間隔（ミリ秒）。VRセッション中は window の requestAnimationFrame が止まるためタイマーで監視する
+const POLL_INTERVAL_MS = 30;
+// 1回の発話の最大長（ミリ秒）。雑音が続いても録音が終わらなくならないように区切る
+const MAX_UTTERANCE_MS = 20000;
+// 環境雑音の推定値を追従させる速さ（0〜1、大きいほど速く追従する）
+const NOISE_FLOOR_ADAPT_RATE = 0.05;
+// 発話とみなす音量を環境雑音の何倍以上にするか
+const NOISE_FLOOR_RATIO = 2.5;
+
+/**
+ * マイク入力の音量（RMS）から発話の開始と終了を検出する（VAD: Voice Activity Detection）。
+ * - 音量がしきい値を超えたら発話開始として onSpeechStart を呼ぶ
+ * - 無音が silenceMs 続いたら発話終了として onSpeechEnd を呼ぶ（minSpeechMs 未満の短い音は onSpeechCancel）
+ * - isPaused が true を返す間は検出しない（音声認識中など）
+ * しきい値は環境雑音に合わせて自動的に引き上げ、getThresholdScale の倍率も掛ける。
+ * @param {{
+ *   stream: MediaStream,
+ *   audioContext: AudioContext,
+ *   getSettings: () => { speechThreshold: number, silenceMs: number, minSpeechMs: number },
+ *   isPaused?: () => boolean,
+ *   getThresholdScale?: () => number,
+ *   onSpeechStart?: () => void,
+ *   onSpeechEnd?: (info: { durationMs: number }) => void,
+ *   onSpeechCancel?: () => void,
+ * }} options
+ *   getSettings: 検出設定を返す関数（設定画面の変更を監視中にも反映するため毎回呼び出す）
+ *   getThresholdScale: しきい値の倍率を返す関数（アバターの読み上げ中に、スピーカーの音を発話と誤検出しにくくするため）
+ */
+export function createVoiceActivityDetector({
+  stream,
+  audioContext,
+  getSettings,
+  isPaused = () => false,
+  getThresholdScale = () => 1,
+  onSpeechStart,
+  onSpeechEnd,
+  onSpeechCancel,
+}) {
+  const state = {
+    source: null,
+    analyser: null,
+    samples: null,
+    timerId: null,
+    speaking: false, // 発話中かどうか
+    speechStartedAt: 0,
+    lastVoiceAt: 0,
+    noiseFloor: 0,
+  };
+
+  /**
+   * マイク入力の現在の音量（RMS）を返す。
+   * @returns {number} RMS（0〜1）
+   */
+  function measureRms() {
+    state.analyser.getFloatTimeDomainData(state.samples);
+    let sum = 0;
+    for (let i = 0; i < state.samples.length; i += 1) {
+      sum += state.samples[i] * state.samples[i];
+    }
+    return Math.sqrt(sum / state.samples.length);
+  }
+
+  /**
+   * 発話中の状態を終了する。
+   * @param {boolean} completed - 発話として確定させるか（false の場合は取り消し）
+   */
+  function finishSpeech(completed) {
+    const durationMs = state.lastVoiceAt - state.speechStartedAt;
+    state.speaking = false;
+    if (completed) {
+      logMessage("Info", "[VAD] 発話終了", { durationMs: Math.round(durationMs) });
+      onSpeechEnd?.({ durationMs: durationMs });
+    } else {
+      logMessage("Verbose", "[VAD] 発話を取り消しました", { durationMs: Math.round(durationMs) });
+      onSpeechCancel?.();
+    }
+  }
+
+  /**
+   * 一定間隔で音量を調べて発話の開始・終了を判定する。
+   */
+  function poll() {
+    const now = performance.now();
+    const settings = getSettings();
+    const rms = measureRms();
+
+    if (isPaused()) {
+      // 音声認識中などは検出しない（発話中だった場合は取り消す）
+      if (state.speaking) {
+        finishSpeech(false);
+      }
+      return;
+    }
+
+    const threshold =
+      Math.max(settings.speechThreshold, state.noiseFloor * NOISE_FLOOR_RATIO) * Math.max(1, getThresholdScale());
+    const isVoice = rms >= threshold;
+    if (!state.speaking && !isVoice) {
+      state.noiseFloor += (rms - state.noiseFloor) * NOISE_FLOOR_ADAPT_RATE;
+    }
+
+    if (isVoice) {
+      state.lastVoiceAt = now;
+      if (!state.speaking) {
+        state.speaking = true;
+        state.speechStartedAt = now;
+        logMessage("Info", "[VAD] 発話開始", { rms: rms, threshold: threshold });
+        onSpeechStart?.();
+      }
+    }
+
+    if (!state.speaking) {
+      return;
+    }
+    if (now - state.speechStartedAt >= MAX_UTTERANCE_MS) {
+      state.lastVoiceAt = now;
+      finishSpeech(true);
+      return;
+    }
+    if (now - state.lastVoiceAt >= settings.silenceMs) {
+      finishSpeech(state.lastVoiceAt - state.speechStartedAt >= settings.minSpeechMs);
+    }
+  }
+
+  /**
+   * 発話検出を開始する。
+   */
+  function start() {
+    if (state.timerId !== null) {
+      return;
+    }
+    state.source = audioContext.createMediaStreamSource(stream);
+    state.analyser = audioContext.createAnalyser();
+    state.analyser.fftSize = 1024;
+    state.samples = new Float32Array(state.analyser.fftSize);
+    state.source.connect(state.analyser);
+    state.noiseFloor = 0;
+    state.timerId = setInterval(poll, POLL_INTERVAL_MS);
+    logMessage("Info", "[VAD] 発話検出を開始しました");
+  }
+
+  /**
+   * 発話検出を停止する。発話中だった場合は取り消す。
+   */
+  function stop() {
+    if (state.timerId === null) {
+      return;
+    }
+    clearInterval(state.timerId);
+    state.timerId = null;
+    if (state.speaking) {
+      finishSpeech(false);
+    }
+    state.source?.disconnect();
+    state.source = null;
+    state.analyser = null;
+    logMessage("Info", "[VAD] 発話検出を停止しました");
+  }
+
+  return {
+    start,
+    stop,
+    isSpeaking: () => state.speaking,
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * 音声サンプル（モノラル・-1〜1）を16bit PCMのWAVに変換する。
+ * ブラウザ内音声合成のワーカーと、無音の音声合成の両方で使う。
+ * @param {Float32Array[]} segments - 音声サンプル（複数の区間を順につなげる）
+ * @param {number} sampleRate - サンプリングレート
+ * @returns {ArrayBuffer} WAVデータ
+ */
+export function encodeWav(segments, sampleRate) {
+  const length = segments.reduce((sum, segment) => sum + segment.length, 0);
+  const buffer = new ArrayBuffer(44 + length * 2);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i += 1) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+  writeText(0, "RIFF");
+  view.setUint32(4, 36 + length * 2, true);
+  writeText(8, "WAVE");
+  writeText(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // モノラル
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeText(36, "data");
+  view.setUint32(40, length * 2, true);
+
+  let offset = 44;
+  segments.forEach((segment) => {
+    for (let i = 0; i < segment.length; i += 1) {
+      const sample = Math.max(-1, Math.min(1, segment[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  });
+  return buffer;
+}
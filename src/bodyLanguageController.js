@@ -0,0 +1,426 @@
+import * as THREE from "three";
+import { VRMHumanBoneName } from "https://cdn.jsdelivr.net/npm/@pixiv/three-vrm@2.1.3/+esm";
+import { getAnimationFileByLabel } from "./vrma/loader.js";
+import { logMessage } from "./utils/logger.js";
+
+// 身ぶりを付ける会話の段階（idle は身ぶりなし）
+const PHASES = ["listening", "thinking", "speaking"];
+// 段階が変わったとみなすまでに、同じ段階が続く必要がある時間（秒。文と文の間の一瞬の無音で身ぶりが途切れないようにする）
+const PHASE_HOLD_SECONDS = 0.25;
+// 身ぶりを出す・戻すのにかかる時間（秒）
+const PHASE_FADE_SECONDS = 0.4;
+// 重ねて再生するクリップのフェード時間（秒）
+const OVERLAY_FADE_SECONDS = 0.3;
+// 段階ごとに重ねて再生するクリップの manifest.json のラベル（manifest にない場合は手続き的な身ぶりだけにする）
+const PHASE_CLIP_LABELS = {
+  listening: "Nod", // うなずき（うなずくたびに再生）
+  thinking: "Think", // 考えるしぐさ（あごに手を当てるなど。段階の始めに再生して最後の姿勢を保つ）
+  speaking: "Talk gesture", // 話しながらの手振り（一定間隔で再生）
+};
+// クリップを重ねるボーン（上半身）
+const OVERLAY_BONES = [
+  VRMHumanBoneName.Spine,
+  VRMHumanBoneName.Chest,
+  VRMHumanBoneName.UpperChest,
+  VRMHumanBoneName.Neck,
+  VRMHumanBoneName.Head,
+  VRMHumanBoneName.LeftShoulder,
+  VRMHumanBoneName.LeftUpperArm,
+  VRMHumanBoneName.LeftLowerArm,
+  VRMHumanBoneName.LeftHand,
+  VRMHumanBoneName.RightShoulder,
+  VRMHumanBoneName.RightUpperArm,
+  VRMHumanBoneName.RightLowerArm,
+  VRMHumanBoneName.RightHand,
+];
+// 手続き的な身ぶりで動かすボーン
+const POSE_BONES = [
+  VRMHumanBoneName.Spine,
+  VRMHumanBoneName.Chest,
+  VRMHumanBoneName.Neck,
+  VRMHumanBoneName.Head,
+  VRMHumanBoneName.LeftUpperArm,
+  VRMHumanBoneName.LeftLowerArm,
+  VRMHumanBoneName.RightUpperArm,
+  VRMHumanBoneName.RightLowerArm,
+];
+// ユーザーの方へ頭を向ける最大の角度（ラジアン）
+const MAX_HEAD_TURN_RAD = THREE.MathUtils.degToRad(30);
+// 聞いている間のうなずきの間隔（秒）と、1回のうなずきの長さ（秒）・深さ（ラジアン）
+const NOD_INTERVAL_MIN = 2.5;
+const NOD_INTERVAL_MAX = 5;
+const NOD_DURATION = 0.6;
+const NOD_ANGLE_RAD = THREE.MathUtils.degToRad(8);
+// 話している間に手振りのクリップを再生する間隔（秒）
+const TALK_GESTURE_INTERVAL_MIN = 4;
+const TALK_GESTURE_INTERVAL_MAX = 8;
+// 考えている間に「んー」と口を結ぶ間隔（秒）・長さ（秒）・口の形（ou）の強さ
+const HUM_INTERVAL = 4;
+const HUM_DURATION = 1.2;
+const HUM_WEIGHT = 0.25;
+
+/**
+ * 範囲内のランダムな値を返す。
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomBetween(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * 会話中の身ぶりのコントローラー
+ * 会話の段階（聞いている・考えている・話している）に合わせて、再生中のクリップに身ぶりを重ねる。
+ * - 聞いている: ユーザーを見て、少し前かがみで首をかしげ、ときどきうなずく
+ * - 考えている: 斜め上を見上げ、ときどき「んー」と口を結ぶ
+ * - 話している: 頭と上半身を小さく揺らし、話に合わせて腕を動かす
+ * manifest.json に PHASE_CLIP_LABELS のクリップがある場合は、差分アニメーションとして重ねて再生する。
+ * 手続き的な身ぶりはフレームの最後にボーンへ加え、次のフレームの最初に取り除く（待機・歩きなどのクリップや首の制御を上書きしない）。
+ * 段階が変わると、身ぶり・重ねたクリップ・視線はフェードして元に戻る。
+ */
+export function createBodyLanguageController({
+  vrmManager,
+  lookAtPlayerMenu,
+  getAnimationClip,
+  vrmaBasePath,
+  // 会話の段階を返す関数 () => "listening" | "thinking" | "speaking" | "idle"
+  getConversationPhase,
+}) {
+  const state = {
+    vrm: null, // 身ぶりを付けているVRM（モデルの読み込み直しを検知する）
+    phase: "idle", // 身ぶりに反映している段階
+    candidatePhase: "idle", // 切り替わろうとしている段階
+    candidateElapsed: 0, // 切り替わろうとしている段階が続いている時間（秒）
+    phaseToken: 0, // 段階が変わるたびに増やす（読み込み中のクリップを、段階が変わった後に再生しないため）
+    elapsed: 0, // 揺れの計算に使う経過時間（秒）
+    weights: Object.fromEntries(PHASES.map((phase) => [phase, 0])), // 段階ごとの身ぶりの強さ（0〜1）
+    nodTimer: 0, // 次のうなずきまでの時間（秒）
+    nodElapsed: -1, // 手続き的なうなずきの経過時間（秒。うなずいていない場合は -1）
+    gestureTimer: 0, // 次の手振りのクリップまでの時間（秒）
+    humTimer: 0, // 「んー」の周期の経過時間（秒）
+    humLevel: 0, // 口の形（ou）に書き込んでいる値
+    overlayAction: null, // 重ねて再生中のクリップ
+    gazeSaved: null, // ユーザーを見る前の視線ターゲット（{ target }。ユーザーを見ていない場合は null）
+    clipFiles: new Map(), // ラベル → クリップのファイル名の Promise（manifest にない場合は null）
+    availableLabels: new Set(), // manifest にあることが分かったラベル
+    boneCache: new Map(),
+    appliedOffsets: new Map(), // このフレームに加えた回転（ボーン → クォータニオン）
+  };
+  const pose = Object.fromEntries(POSE_BONES.map((name) => [name, new THREE.Vector3()]));
+  const poseOffsets = Object.fromEntries(POSE_BONES.map((name) => [name, new THREE.Quaternion()]));
+  const offsetEuler = new THREE.Euler();
+  const inverseOffset = new THREE.Quaternion();
+
+  /**
+   * 身ぶりで動かすボーンを取得する（キャッシュ付き）。
+   * @param {VRMHumanBoneName} boneName - ボーン名
+   * @returns {THREE.Object3D|null} ボーンオブジェクト
+   */
+  function getBone(boneName) {
+    if (state.boneCache.has(boneName)) {
+      return state.boneCache.get(boneName);
+    }
+    const bone = state.vrm?.humanoid?.getNormalizedBoneNode(boneName) ?? null;
+    state.boneCache.set(boneName, bone);
+    return bone;
+  }
+
+  /**
+   * 段階に重ねるクリップを読み込む。manifest にない場合は null を返す。
+   * @param {string} phase - 会話の段階
+   * @returns {Promise<THREE.AnimationClip|null>}
+   */
+  async function loadPhaseClip(phase) {
+    const label = PHASE_CLIP_LABELS[phase];
+    if (!state.clipFiles.has(label)) {
+      const filePromise = getAnimationFileByLabel(label, vrmaBasePath)
+        .catch((error) => {
+          logMessage("Warn", "[BodyLanguage] manifest.json を読み込めませんでした", {
+            error: error?.message ?? String(error),
+          });
+          return null;
+        })
+        .then((file) => {
+          if (file) {
+            state.availableLabels.add(label);
+          } else {
+            logMessage("Verbose", "[BodyLanguage] manifest.json にクリップがないため、手続き的な身ぶりだけにします", {
+              label: label,
+            });
+          }
+          return file;
+        });
+      state.clipFiles.set(label, filePromise);
+    }
+    const file = await state.clipFiles.get(label);
+    if (!file) {
+      return null;
+    }
+    try {
+      return await getAnimationClip(file);
+    } catch (error) {
+      logMessage("Warn", "[BodyLanguage] 身ぶりのクリップを読み込めませんでした", {
+        file: file,
+        error: error?.message ?? String(error),
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 段階に重ねるクリップを再生する。読み込み中に段階が変わった場合は再生しない。
+   * @param {string} phase - 会話の段階
+   * @param {{ clampWhenFinished?: boolean }} [options] - clampWhenFinished: 終了後も最後の姿勢を保つか
+   */
+  async function playPhaseClip(phase, { clampWhenFinished = false } = {}) {
+    const token = state.phaseToken;
+    const clip = await loadPhaseClip(phase);
+    if (!clip || token !== state.phaseToken) {
+      return;
+    }
+    vrmManager.stopOverlayClip(state.overlayAction, OVERLAY_FADE_SECONDS);
+    state.overlayAction = vrmManager.playOverlayClip(clip, {
+      bones: OVERLAY_BONES,
+      fadeDuration: OVERLAY_FADE_SECONDS,
+      clampWhenFinished: clampWhenFinished,
+    });
+  }
+
+  /**
+   * 身ぶりに反映する段階を切り替える。前の段階で重ねていたクリップはフェードアウトする。
+   * @param {string} phase - 切り替え先の段階
+   */
+  function enterPhase(phase) {
+    logMessage("Verbose", "[BodyLanguage] 会話の段階が変わりました", { from: state.phase, to: phase });
+    state.phase = phase;
+    state.phaseToken += 1;
+    vrmManager.stopOverlayClip(state.overlayAction, OVERLAY_FADE_SECONDS);
+    state.overlayAction = null;
+    state.nodTimer = NOD_DURATION; // 聞き始めたらすぐに1回うなずく
+    state.gestureTimer = randomBetween(TALK_GESTURE_INTERVAL_MIN, TALK_GESTURE_INTERVAL_MAX) / 2;
+    state.humTimer = 0;
+    if (phase === "thinking") {
+      playPhaseClip(phase, { clampWhenFinished: true });
+    } else if (PHASES.includes(phase)) {
+      // うなずき・手振りのクリップは段階の途中で使うため、先に読み込んでおく
+      loadPhaseClip(phase);
+    }
+  }
+
+  /**
+   * 会話の段階を読み取り、一定時間続いた場合に切り替える。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function updatePhase(delta) {
+    const phase = getConversationPhase?.() ?? "idle";
+    if (phase === state.phase) {
+      state.candidatePhase = phase;
+      state.candidateElapsed = 0;
+      return;
+    }
+    if (phase !== state.candidatePhase) {
+      state.candidatePhase = phase;
+      state.candidateElapsed = 0;
+    }
+    state.candidateElapsed += delta;
+    if (state.candidateElapsed >= PHASE_HOLD_SECONDS) {
+      enterPhase(phase);
+    }
+  }
+
+  /**
+   * 聞いている間・話している間はユーザーを見る。それ以外の段階になったら元の視線に戻す。
+   */
+  function updateGaze() {
+    const lookAt = state.vrm?.lookAt;
+    if (!lookAt) {
+      return;
+    }
+    if (state.phase === "listening" || state.phase === "speaking") {
+      if (!state.gazeSaved) {
+        state.gazeSaved = { target: lookAt.target ?? null };
+      }
+      lookAtPlayerMenu?.gazeAtPlayer();
+      return;
+    }
+    if (state.gazeSaved) {
+      lookAt.target = state.gazeSaved.target;
+      state.gazeSaved = null;
+    }
+  }
+
+  /**
+   * 考えている間、ときどき「んー」と口を結ぶ。
+   * 話し始めたら口は口パクに任せる（口パクが毎フレーム口の形を書き込む）。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function updateHum(delta) {
+    const expressionManager = state.vrm?.expressionManager;
+    if (!expressionManager) {
+      return;
+    }
+    if (state.phase === "speaking" || vrmManager.lipSyncState.talking) {
+      state.humLevel = 0;
+      return;
+    }
+    state.humTimer = (state.humTimer + delta) % HUM_INTERVAL;
+    const humming = state.phase === "thinking" && state.humTimer < HUM_DURATION;
+    const level = humming ? HUM_WEIGHT * Math.sin((Math.PI * state.humTimer) / HUM_DURATION) * state.weights.thinking : 0;
+    if (level === 0 && state.humLevel === 0) {
+      return;
+    }
+    state.humLevel = level;
+    expressionManager.setValue("ou", level);
+  }
+
+  /**
+   * うなずき・手振りのタイミングを進める。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function updateGestureTimers(delta) {
+    if (state.nodElapsed >= 0) {
+      state.nodElapsed += delta;
+      if (state.nodElapsed >= NOD_DURATION) {
+        state.nodElapsed = -1;
+      }
+    }
+    if (state.phase === "listening") {
+      state.nodTimer -= delta;
+      if (state.nodTimer <= 0) {
+        state.nodTimer = randomBetween(NOD_INTERVAL_MIN, NOD_INTERVAL_MAX);
+        if (state.availableLabels.has(PHASE_CLIP_LABELS.listening)) {
+          playPhaseClip("listening");
+        } else {
+          state.nodElapsed = 0;
+        }
+      }
+    }
+    if (state.phase === "speaking" && state.availableLabels.has(PHASE_CLIP_LABELS.speaking)) {
+      state.gestureTimer -= delta;
+      if (state.gestureTimer <= 0) {
+        state.gestureTimer = randomBetween(TALK_GESTURE_INTERVAL_MIN, TALK_GESTURE_INTERVAL_MAX);
+        playPhaseClip("speaking");
+      }
+    }
+  }
+
+  /**
+   * 段階ごとの身ぶりの強さに合わせて、ボーンごとの回転（ラジアン、X: うつむく / Y: 左を向く / Z: 首をかしげる）を求める。
+   */
+  function computePose() {
+    POSE_BONES.forEach((name) => pose[name].set(0, 0, 0));
+    const t = state.elapsed;
+    const playerYaw = lookAtPlayerMenu?.getPlayerRelativeYaw() ?? 0;
+    const headTurn = THREE.MathUtils.clamp(playerYaw, -MAX_HEAD_TURN_RAD, MAX_HEAD_TURN_RAD);
+
+    const listening = state.weights.listening;
+    if (listening > 0) {
+      const nod = state.nodElapsed >= 0 ? NOD_ANGLE_RAD * Math.sin((Math.PI * state.nodElapsed) / NOD_DURATION) : 0;
+      pose[VRMHumanBoneName.Spine].x += 0.05 * listening;
+      pose[VRMHumanBoneName.Neck].x += 0.02 * listening;
+      pose[VRMHumanBoneName.Head].x += nod * listening;
+      pose[VRMHumanBoneName.Head].y += headTurn * 0.6 * listening;
+      pose[VRMHumanBoneName.Head].z += 0.07 * listening;
+    }
+
+    const thinking = state.weights.thinking;
+    if (thinking > 0) {
+      pose[VRMHumanBoneName.Spine].x -= 0.02 * thinking;
+      pose[VRMHumanBoneName.Neck].x -= 0.05 * thinking;
+      pose[VRMHumanBoneName.Head].x -= 0.2 * thinking;
+      pose[VRMHumanBoneName.Head].y += (0.2 + 0.03 * Math.sin(t * 0.8)) * thinking;
+      pose[VRMHumanBoneName.Head].z -= 0.06 * thinking;
+    }
+
+    const speaking = state.weights.speaking;
+    if (speaking > 0) {
+      // 腕は片方ずつ、話の区切りのように間をあけて動かす（T ポーズ基準の Y 回転で前に出る向きが左右で逆）
+      const leftBeat = Math.max(0, Math.sin(t * 1.7)) ** 2;
+      const rightBeat = Math.max(0, Math.sin(t * 1.3 + 2)) ** 2;
+      pose[VRMHumanBoneName.Chest].y += 0.04 * Math.sin(t * 0.9) * speaking;
+      pose[VRMHumanBoneName.Head].x += (0.035 * Math.sin(t * 2.3) + 0.015 * Math.sin(t * 5.1)) * speaking;
+      pose[VRMHumanBoneName.Head].y += (headTurn * 0.4 + 0.05 * Math.sin(t * 1.1)) * speaking;
+      pose[VRMHumanBoneName.Head].z += 0.03 * Math.sin(t * 0.7) * speaking;
+      pose[VRMHumanBoneName.LeftUpperArm].y -= 0.1 * leftBeat * speaking;
+      pose[VRMHumanBoneName.LeftLowerArm].y -= 0.25 * leftBeat * speaking;
+      pose[VRMHumanBoneName.RightUpperArm].y += 0.1 * rightBeat * speaking;
+      pose[VRMHumanBoneName.RightLowerArm].y += 0.25 * rightBeat * speaking;
+    }
+  }
+
+  /**
+   * 求めた回転をボーンに加え、VRMのボーンへ反映する。
+   */
+  function applyPose() {
+    computePose();
+    POSE_BONES.forEach((name) => {
+      const bone = getBone(name);
+      const rotation = pose[name];
+      if (!bone || rotation.lengthSq() === 0) {
+        return;
+      }
+      const offset = poseOffsets[name].setFromEuler(offsetEuler.set(rotation.x, rotation.y, rotation.z));
+      bone.quaternion.multiply(offset);
+      state.appliedOffsets.set(bone, offset);
+    });
+    if (state.appliedOffsets.size > 0) {
+      // vrm.update は身ぶりを加える前に実行済みのため、加えた回転を実際のボーンへ反映し直す
+      state.vrm.humanoid.update();
+    }
+  }
+
+  /**
+   * 前のフレームで加えた回転を取り除く。クリップの再生（vrmManager.update）より前に毎フレーム呼び出す。
+   */
+  function restorePose() {
+    if (state.vrm === vrmManager.getCurrentVrm()) {
+      state.appliedOffsets.forEach((offset, bone) => {
+        bone.quaternion.multiply(inverseOffset.copy(offset).invert());
+      });
+    }
+    state.appliedOffsets.clear();
+  }
+
+  /**
+   * 会話の段階を読み取り、身ぶりを更新してボーンに加える。
+   * 首を動かす制御など、ボーンを動かす他の処理の後に毎フレーム呼び出す。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function update(delta) {
+    const vrm = vrmManager.getCurrentVrm();
+    if (vrm !== state.vrm) {
+      // モデルを読み込み直した場合は、前のモデルの状態を引き継がない
+      state.vrm = vrm;
+      state.boneCache.clear();
+      state.overlayAction = null;
+      state.gazeSaved = null;
+      state.humLevel = 0;
+    }
+    if (!vrm?.humanoid) {
+      return;
+    }
+
+    updatePhase(delta);
+    state.elapsed += delta;
+    PHASES.forEach((phase) => {
+      const target = phase === state.phase ? 1 : 0;
+      const step = delta / PHASE_FADE_SECONDS;
+      const current = state.weights[phase];
+      state.weights[phase] = target > current ? Math.min(target, current + step) : Math.max(target, current - step);
+    });
+    updateGaze();
+    updateHum(delta);
+    updateGestureTimers(delta);
+    applyPose();
+  }
+
+  return {
+    update,
+    restorePose,
+    /**
+     * 身ぶりに反映している会話の段階を返す。
+     */
+    getPhase: () => state.phase,
+  };
+}
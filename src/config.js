@@ -59,10 +59,7 @@ export const VRMA_BASE_PATH = "./vrma";
 
 // デフォルト値
 const DEFAULT_AI_NAME = "リリー";
-const DEFAULT_OPENAI_TTS_MODEL = "tts-1";
-const DEFAULT_OPENAI_TTS_VOICE = "nova";
-const DEFAULT_OPENAI_TTS_SPEED = 1.0;
-const DEFAULT_AIVIS_TTS_MODEL_UUID = "a59cb814-0083-4369-8542-f51a29e72af7";
+const DEFAULT_TTS_PROVIDER = "auto"; // Aivis APIキーがあればAIVIS、なければOpenAI（src/tts/ttsProviders.js）
 const DEFAULT_AI_CHARACTER_SYSTEM_PROMPT = `以下のキャラクター設定に従って会話してください。
 
 ■ 基本情報
@@ -114,100 +111,651 @@ const DEFAULT_AI_CHARACTER_SYSTEM_PROMPT = `以下のキャラクター設定に
 ユーザー：これ、ちょっとズルしてもいいかな。キャラクター：ダメです。論外です。楽をした結果、後で面倒になる未来しか見えません。
 ユーザー：そんなに言わなくても。キャラクター：言わないとやるでしょう？私は悪いことを見過ごすほど甘くありませんので。正しい方法で進めます。異論は却下です。`;
 
+// キャラクタープロファイルの一覧と、選択中のプロファイルIDを保存するlocalStorageのキー
+const CHARACTER_PROFILES_STORAGE_KEY = "vrm_chat_character_profiles";
+const ACTIVE_CHARACTER_PROFILE_STORAGE_KEY = "vrm_chat_active_character_profile";
+const DEFAULT_IDLE_ACTION = "random"; // モデルの読み込み後・キャラクターの切り替え後に始める動作（ACTION_MENU_ITEMS のID）
+const DEFAULT_EXPRESSION_WEIGHT = 0.8; // 感情タグで切り替える表情の強さ（0〜1）
+// キャラクターから話しかけるきっかけの既定値（src/initiativeScheduler.js）
+const DEFAULT_INITIATIVE_SETTINGS = {
+  silenceSeconds: 180, // 会話がない状態がこの秒数続いたら雑談を始める（0 の場合は話しかけない）
+  vrGreeting: true, // VRに入ったときにあいさつする
+  approachReaction: true, // ユーザーが1m以内に近づいたときに反応する
+  returnGreeting: true, // 長く離れていたユーザーが戻ったときに時間に触れて話しかける
+  absenceMinutes: 60, // 離れていたとみなす時間（分）
+};
+
 /**
- * localStorageからキャラクター設定を読み込む。
- * 保存された値がない場合はデフォルト値を返す。
- * @returns {Object} キャラクター設定
+ * キャラクター設定のデフォルト値を取得する。
+ * - firstMessage: 新しい会話の最初にキャラクターが話すメッセージ（空の場合は話さない）
+ * - vrmUrl: キャラクターのVRMモデルのURL（空の場合は MODEL_URL）
+ * - idleAction: 待機中の動作（ACTION_MENU_ITEMS のID）
+ * - expressionWeight: 感情タグで切り替える表情の強さ（0〜1）
+ * - initiative: キャラクターから話しかけるきっかけの設定（normalizeInitiativeSettings を参照）
+ * @returns {{ aiName: string, systemPrompt: string, firstMessage: string, ttsProvider: string, ttsSettings: Object, vrmUrl: string, idleAction: string, expressionWeight: number, initiative: Object }} デフォルト設定
  */
-function loadCharacterSettings() {
+export function getDefaultCharacterSettings() {
   return {
-    aiName: localStorage.getItem("vrm_chat_ai_name") || DEFAULT_AI_NAME,
-    systemPrompt: localStorage.getItem("vrm_chat_ai_system_prompt") || DEFAULT_AI_CHARACTER_SYSTEM_PROMPT,
-    openaiTts: {
-      model: localStorage.getItem("vrm_chat_openai_tts_model") || DEFAULT_OPENAI_TTS_MODEL,
-      voice: localStorage.getItem("vrm_chat_openai_tts_voice") || DEFAULT_OPENAI_TTS_VOICE,
-      speed: parseFloat(localStorage.getItem("vrm_chat_openai_tts_speed")) || DEFAULT_OPENAI_TTS_SPEED,
-    },
-    aivisTts: {
-      model_uuid: localStorage.getItem("vrm_chat_aivis_tts_model_uuid") || DEFAULT_AIVIS_TTS_MODEL_UUID,
-    },
+    aiName: DEFAULT_AI_NAME,
+    systemPrompt: DEFAULT_AI_CHARACTER_SYSTEM_PROMPT,
+    firstMessage: "",
+    ttsProvider: DEFAULT_TTS_PROVIDER,
+    ttsSettings: {},
+    vrmUrl: "",
+    idleAction: DEFAULT_IDLE_ACTION,
+    expressionWeight: DEFAULT_EXPRESSION_WEIGHT,
+    initiative: { ...DEFAULT_INITIATIVE_SETTINGS },
   };
-} 
+}
 
 /**
- * キャラクター設定をlocalStorageに保存する。
- * @param {Object} settings - 保存する設定
+ * キャラクターから話しかけるきっかけの設定の欠けている項目・不正な値をデフォルト値で補う。
+ * - silenceSeconds: 会話がない状態が続いたら雑談を始めるまでの秒数（0 の場合は話しかけない）
+ * - vrGreeting / approachReaction / returnGreeting: VRに入ったとき・近づいたとき・戻ったときに話しかけるか
+ * - absenceMinutes: 戻ったときに話しかける、離れていた時間（分）
+ * @param {Object} [settings] - 保存されていた設定
+ * @returns {{ silenceSeconds: number, vrGreeting: boolean, approachReaction: boolean, returnGreeting: boolean, absenceMinutes: number }}
  */
-export function saveCharacterSettings(settings) {
-  localStorage.setItem("vrm_chat_ai_name", settings.aiName);
-  localStorage.setItem("vrm_chat_ai_system_prompt", settings.systemPrompt);
-  localStorage.setItem("vrm_chat_openai_tts_model", settings.openaiTts.model);
-  localStorage.setItem("vrm_chat_openai_tts_voice", settings.openaiTts.voice);
-  localStorage.setItem("vrm_chat_openai_tts_speed", settings.openaiTts.speed.toString());
-  localStorage.setItem("vrm_chat_aivis_tts_model_uuid", settings.aivisTts.model_uuid);
+export function normalizeInitiativeSettings(settings) {
+  const readNonNegative = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+  const readBoolean = (value, fallback) => (typeof value === "boolean" ? value : fallback);
+  return {
+    silenceSeconds: readNonNegative(settings?.silenceSeconds, DEFAULT_INITIATIVE_SETTINGS.silenceSeconds),
+    vrGreeting: readBoolean(settings?.vrGreeting, DEFAULT_INITIATIVE_SETTINGS.vrGreeting),
+    approachReaction: readBoolean(settings?.approachReaction, DEFAULT_INITIATIVE_SETTINGS.approachReaction),
+    returnGreeting: readBoolean(settings?.returnGreeting, DEFAULT_INITIATIVE_SETTINGS.returnGreeting),
+    absenceMinutes: readNonNegative(settings?.absenceMinutes, DEFAULT_INITIATIVE_SETTINGS.absenceMinutes),
+  };
 }
 
 /**
- * キャラクター設定のデフォルト値を取得する。
- * @returns {Object} デフォルト設定
+ * キャラクタープロファイルのIDを作成する。
+ * @returns {string} プロファイルID
  */
-export function getDefaultCharacterSettings() {
+function createCharacterProfileId() {
+  if (self.crypto?.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+  return `profile-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 保存されていたプロファイルの欠けている項目をデフォルト値で補う。
+ * @param {Object} profile - 保存されていたプロファイル
+ * @returns {Object} キャラクタープロファイル
+ */
+function normalizeCharacterProfile(profile) {
+  const defaults = getDefaultCharacterSettings();
+  const expressionWeight = Number(profile?.expressionWeight);
   return {
-    aiName: DEFAULT_AI_NAME,
-    systemPrompt: DEFAULT_AI_CHARACTER_SYSTEM_PROMPT,
-    openaiTts: {
-      model: DEFAULT_OPENAI_TTS_MODEL,
-      voice: DEFAULT_OPENAI_TTS_VOICE,
-      speed: DEFAULT_OPENAI_TTS_SPEED,
-    },
-    aivisTts: {
-      model_uuid: DEFAULT_AIVIS_TTS_MODEL_UUID,
-    },
+    id: typeof profile?.id === "string" && profile.id ? profile.id : createCharacterProfileId(),
+    aiName: profile?.aiName || defaults.aiName,
+    systemPrompt: profile?.systemPrompt || defaults.systemPrompt,
+    firstMessage: typeof profile?.firstMessage === "string" ? profile.firstMessage : defaults.firstMessage,
+    ttsProvider: profile?.ttsProvider || defaults.ttsProvider,
+    ttsSettings: profile?.ttsSettings && typeof profile.ttsSettings === "object" ? profile.ttsSettings : {},
+    vrmUrl: typeof profile?.vrmUrl === "string" ? profile.vrmUrl : defaults.vrmUrl,
+    idleAction: ACTION_MENU_ITEMS.some((item) => item.id === profile?.idleAction) ? profile.idleAction : defaults.idleAction,
+    expressionWeight: Number.isFinite(expressionWeight)
+      ? Math.min(1, Math.max(0, expressionWeight))
+      : defaults.expressionWeight,
+    initiative: normalizeInitiativeSettings(profile?.initiative),
   };
-} 
+}
+
+/**
+ * TTSプロバイダー固有の設定値を保存していたlocalStorageのキーを返す（プロファイル導入前の形式）。
+ * 例: openai の voice → vrm_chat_openai_tts_voice、voicevox の speedScale → vrm_chat_voicevox_tts_speed_scale
+ * @param {string} providerId - プロバイダーID
+ * @param {string} key - 設定項目のキー
+ * @returns {string} localStorageのキー
+ */
+function getTtsSettingStorageKey(providerId, key) {
+  return `vrm_chat_${providerId}_tts_${key.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`)}`;
+}
 
-// localStorageから設定を読み込む
-const characterSettings = loadCharacterSettings();
+/**
+ * プロファイル導入前のキャラクター設定（1人分）をプロファイルに変換する。
+ * 会話履歴はキャラクター名で保存していたため、IDにはキャラクター名を使い、保存済みの会話を引き継ぐ。
+ * @returns {Object} キャラクタープロファイル
+ */
+function migrateLegacyCharacterSettings() {
+  const aiName = localStorage.getItem("vrm_chat_ai_name") || DEFAULT_AI_NAME;
+  const ttsSettings = {};
+  for (let index = 0; index < localStorage.length; index += 1) {
+    const match = /^vrm_chat_([a-z0-9]+)_tts_([a-z0-9_]+)$/.exec(localStorage.key(index) ?? "");
+    if (match) {
+      const [storageKey, providerId, snakeKey] = match;
+      const key = snakeKey.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+      ttsSettings[providerId] = { ...ttsSettings[providerId], [key]: localStorage.getItem(storageKey) };
+    }
+  }
+  return normalizeCharacterProfile({
+    id: aiName,
+    aiName: aiName,
+    systemPrompt: localStorage.getItem("vrm_chat_ai_system_prompt"),
+    ttsProvider: localStorage.getItem("vrm_chat_tts_provider"),
+    ttsSettings: ttsSettings,
+  });
+}
 
 /**
- * AIキャラクターの名前
+ * localStorageからキャラクタープロファイルの一覧を読み込む。呼び出しのたびに最新値を返す。
+ * 1件もない場合は、以前のキャラクター設定（なければデフォルト値）から1件作成して保存する。
+ * @returns {Array<Object>} キャラクタープロファイルの一覧（保存順）
  */
-export const AI_NAME = characterSettings.aiName;
+export function loadCharacterProfiles() {
+  let profiles = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(CHARACTER_PROFILES_STORAGE_KEY) || "[]");
+    profiles = Array.isArray(parsed) ? parsed.map(normalizeCharacterProfile) : [];
+  } catch (error) {
+    logMessage("Warn", "[config] キャラクタープロファイルの読み込みに失敗しました", { error: error });
+  }
+  if (profiles.length === 0) {
+    profiles = [migrateLegacyCharacterSettings()];
+    localStorage.setItem(CHARACTER_PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  }
+  return profiles;
+}
 
 /**
- * OpenAI TTS設定
+ * 選択中のキャラクタープロファイルを取得する。呼び出しのたびに最新値を返す。
+ * @returns {Object} キャラクタープロファイル
  */
-export const OPENAI_TTS_CONFIG = {
-  model: characterSettings.openaiTts.model, // または "tts-1-hd" (高品質)
-  voice: characterSettings.openaiTts.voice, // 声の種類
-  speed: characterSettings.openaiTts.speed, // 再生速度（0.25 〜 4.0）
-};
+export function getActiveCharacterProfile() {
+  const profiles = loadCharacterProfiles();
+  const activeId = localStorage.getItem(ACTIVE_CHARACTER_PROFILE_STORAGE_KEY);
+  return profiles.find((profile) => profile.id === activeId) ?? profiles[0];
+}
 
 /**
- * AIVIS TTS設定
- * 詳細: https://api.aivis-project.com/v1/tts/synthesize
+ * 使用するキャラクタープロファイルを切り替える。
+ * @param {string} profileId - プロファイルID
+ * @returns {Object|null} 切り替えたプロファイル（見つからない場合は null）
  */
-export const AIVIS_TTS_CONFIG = {
-  model_uuid: characterSettings.aivisTts.model_uuid,
-  use_ssml: true,
-  use_volume_normalizer: true,
-  output_format: "mp3",
-  leading_silence_seconds: 0.0,
-  trailing_silence_seconds: 0.1,
-};
+export function setActiveCharacterProfile(profileId) {
+  const profile = loadCharacterProfiles().find((candidate) => candidate.id === profileId);
+  if (!profile) {
+    return null;
+  }
+  localStorage.setItem(ACTIVE_CHARACTER_PROFILE_STORAGE_KEY, profile.id);
+  return profile;
+}
+
+/**
+ * キャラクタープロファイルを保存する。id が既存のプロファイルと一致する場合は上書きし、それ以外は追加する。
+ * @param {Object} profile - 保存するプロファイル（新規作成の場合は id を省略する）
+ * @returns {Object} 保存したプロファイル
+ */
+export function saveCharacterProfile(profile) {
+  const saved = normalizeCharacterProfile(profile);
+  const profiles = loadCharacterProfiles();
+  const index = profiles.findIndex((candidate) => candidate.id === saved.id);
+  if (index >= 0) {
+    profiles[index] = saved;
+  } else {
+    profiles.push(saved);
+  }
+  localStorage.setItem(CHARACTER_PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  return saved;
+}
+
+/**
+ * キャラクタープロファイルを削除する。最後の1件は削除できない。
+ * 選択中のプロファイルを削除した場合は、一覧の先頭のプロファイルが選択中になる。
+ * @param {string} profileId - プロファイルID
+ * @returns {boolean} 削除した場合は true
+ */
+export function deleteCharacterProfile(profileId) {
+  const profiles = loadCharacterProfiles();
+  const remaining = profiles.filter((profile) => profile.id !== profileId);
+  if (remaining.length === profiles.length || remaining.length === 0) {
+    return false;
+  }
+  localStorage.setItem(CHARACTER_PROFILES_STORAGE_KEY, JSON.stringify(remaining));
+  return true;
+}
+
+/**
+ * キャラクタープロファイルからTTSプロバイダー固有の設定値を読み込む。未設定の項目は定義の既定値を使う。
+ * @param {string} providerId - プロバイダーID
+ * @param {Array<{ key: string, type: string, defaultValue: string|number }>} fields - プロバイダーの設定項目（src/tts/ttsProviders.js）
+ * @param {Object} [profile] - キャラクタープロファイル（省略時は選択中のプロファイル）
+ * @returns {Object} 設定項目のキーごとの値
+ */
+export function loadTtsProviderSettings(providerId, fields, profile = getActiveCharacterProfile()) {
+  const saved = profile?.ttsSettings?.[providerId] ?? {};
+  return Object.fromEntries(
+    fields.map((field) => {
+      const raw = saved[field.key];
+      if (field.type === "number") {
+        const value = Number.parseFloat(raw);
+        return [field.key, Number.isFinite(value) ? value : field.defaultValue];
+      }
+      return [field.key, raw || field.defaultValue];
+    })
+  );
+}
+
+// 会話モデル（LLM）設定のデフォルト値
+// baseUrl / model が空の場合はプロバイダーごとの既定値を使用する（src/llm/chatProviders.js）
+const DEFAULT_LLM_PROVIDER = "openai";
+const DEFAULT_LLM_TEMPERATURE = 0.8;
+const DEFAULT_LLM_MAX_TOKENS = 0; // 0 は上限を指定しない
+const DEFAULT_LLM_ENABLE_TOOLS = true; // 会話モデルからアクションを実行できるようにする（ツール呼び出し）
+const DEFAULT_LLM_ENABLE_EMOTION_TAGS = true; // 応答に感情タグを付けさせて表情を変える
+
+/**
+ * localStorageの数値を読み込む。未設定・不正値の場合はデフォルト値を返す。
+ * @param {string} key - localStorageのキー
+ * @param {number} fallback - デフォルト値
+ * @returns {number} 読み込んだ数値
+ */
+function readNumberSetting(key, fallback) {
+  const raw = localStorage.getItem(key);
+  if (raw === null || raw.trim() === "") {
+    return fallback;
+  }
+  const value = Number.parseFloat(raw);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * 会話モデル設定のデフォルト値を取得する。
+ * @returns {{ provider: string, baseUrl: string, model: string, temperature: number, maxTokens: number, enableTools: boolean, enableEmotionTags: boolean }}
+ */
+export function getDefaultLlmSettings() {
+  return {
+    provider: DEFAULT_LLM_PROVIDER,
+    baseUrl: "",
+    model: "",
+    temperature: DEFAULT_LLM_TEMPERATURE,
+    maxTokens: DEFAULT_LLM_MAX_TOKENS,
+    enableTools: DEFAULT_LLM_ENABLE_TOOLS,
+    enableEmotionTags: DEFAULT_LLM_ENABLE_EMOTION_TAGS,
+  };
+}
+
+/**
+ * localStorageから会話モデル設定を読み込む。
+ * キャラクター設定と異なりリロード不要で反映するため、呼び出しのたびに最新値を返す。
+ * @returns {{ provider: string, baseUrl: string, model: string, temperature: number, maxTokens: number, enableTools: boolean, enableEmotionTags: boolean }}
+ */
+export function loadLlmSettings() {
+  const enableTools = localStorage.getItem("vrm_chat_llm_enable_tools");
+  const enableEmotionTags = localStorage.getItem("vrm_chat_llm_enable_emotion_tags");
+  return {
+    provider: localStorage.getItem("vrm_chat_llm_provider") || DEFAULT_LLM_PROVIDER,
+    baseUrl: localStorage.getItem("vrm_chat_llm_base_url") || "",
+    model: localStorage.getItem("vrm_chat_llm_model") || "",
+    temperature: readNumberSetting("vrm_chat_llm_temperature", DEFAULT_LLM_TEMPERATURE),
+    maxTokens: Math.max(0, Math.floor(readNumberSetting("vrm_chat_llm_max_tokens", DEFAULT_LLM_MAX_TOKENS))),
+    enableTools: enableTools === null ? DEFAULT_LLM_ENABLE_TOOLS : enableTools === "true",
+    enableEmotionTags:
+      enableEmotionTags === null ? DEFAULT_LLM_ENABLE_EMOTION_TAGS : enableEmotionTags === "true",
+  };
+}
+
+/**
+ * 会話モデル設定をlocalStorageに保存する。
+ * @param {{ provider: string, baseUrl: string, model: string, temperature: number, maxTokens: number, enableTools: boolean, enableEmotionTags: boolean }} settings - 保存する設定
+ */
+export function saveLlmSettings(settings) {
+  localStorage.setItem("vrm_chat_llm_provider", settings.provider);
+  localStorage.setItem("vrm_chat_llm_base_url", settings.baseUrl);
+  localStorage.setItem("vrm_chat_llm_model", settings.model);
+  localStorage.setItem("vrm_chat_llm_temperature", settings.temperature.toString());
+  localStorage.setItem("vrm_chat_llm_max_tokens", settings.maxTokens.toString());
+  localStorage.setItem("vrm_chat_llm_enable_tools", settings.enableTools.toString());
+  localStorage.setItem("vrm_chat_llm_enable_emotion_tags", settings.enableEmotionTags.toString());
+}
+
+// 会話履歴（コンテキスト）管理のデフォルト値
+const DEFAULT_CONTEXT_KEEP_TURNS = 8; // 要約せずにそのまま送信する直近の往復数
+const DEFAULT_CONTEXT_MAX_TOKENS = 6000; // 送信するメッセージ全体の推定トークン数の上限
+const DEFAULT_CONTEXT_SUMMARIZE = true; // 古い会話を要約して残すか（false の場合は切り捨てる）
+
+/**
+ * 会話履歴管理設定のデフォルト値を取得する。
+ * @returns {{ keepTurns: number, maxContextTokens: number, summarize: boolean }}
+ */
+export function getDefaultContextSettings() {
+  return {
+    keepTurns: DEFAULT_CONTEXT_KEEP_TURNS,
+    maxContextTokens: DEFAULT_CONTEXT_MAX_TOKENS,
+    summarize: DEFAULT_CONTEXT_SUMMARIZE,
+  };
+}
+
+/**
+ * localStorageから会話履歴管理設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ keepTurns: number, maxContextTokens: number, summarize: boolean }}
+ */
+export function loadContextSettings() {
+  const summarize = localStorage.getItem("vrm_chat_context_summarize");
+  return {
+    keepTurns: Math.max(1, Math.floor(readNumberSetting("vrm_chat_context_keep_turns", DEFAULT_CONTEXT_KEEP_TURNS))),
+    maxContextTokens: Math.max(
+      0,
+      Math.floor(readNumberSetting("vrm_chat_context_max_tokens", DEFAULT_CONTEXT_MAX_TOKENS))
+    ),
+    summarize: summarize === null ? DEFAULT_CONTEXT_SUMMARIZE : summarize === "true",
+  };
+}
 
 /**
- * AIキャラクターのシステムプロンプト設定
+ * 会話履歴管理設定をlocalStorageに保存する。
+ * @param {{ keepTurns: number, maxContextTokens: number, summarize: boolean }} settings - 保存する設定
  */
-export const AI_CHARACTER_SYSTEM_PROMPT = characterSettings.systemPrompt; 
+export function saveContextSettings(settings) {
+  localStorage.setItem("vrm_chat_context_keep_turns", settings.keepTurns.toString());
+  localStorage.setItem("vrm_chat_context_max_tokens", settings.maxContextTokens.toString());
+  localStorage.setItem("vrm_chat_context_summarize", settings.summarize.toString());
+}
+
+// 長期記憶のデフォルト値
+const DEFAULT_MEMORY_ENABLED = true; // 会話からユーザーについての事実を抽出して覚えるか
+const DEFAULT_MEMORY_MAX_INJECTED = 8; // システムプロンプトに入れる、関連する記憶の最大件数
+
+/**
+ * 長期記憶設定のデフォルト値を取得する。
+ * @returns {{ enabled: boolean, maxInjected: number }}
+ */
+export function getDefaultMemorySettings() {
+  return {
+    enabled: DEFAULT_MEMORY_ENABLED,
+    maxInjected: DEFAULT_MEMORY_MAX_INJECTED,
+  };
+}
+
+/**
+ * localStorageから長期記憶設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ enabled: boolean, maxInjected: number }}
+ */
+export function loadMemorySettings() {
+  const enabled = localStorage.getItem("vrm_chat_memory_enabled");
+  return {
+    enabled: enabled === null ? DEFAULT_MEMORY_ENABLED : enabled === "true",
+    maxInjected: Math.max(0, Math.floor(readNumberSetting("vrm_chat_memory_max_injected", DEFAULT_MEMORY_MAX_INJECTED))),
+  };
+}
+
+/**
+ * 長期記憶設定をlocalStorageに保存する。
+ * @param {{ enabled: boolean, maxInjected: number }} settings - 保存する設定
+ */
+export function saveMemorySettings(settings) {
+  localStorage.setItem("vrm_chat_memory_enabled", settings.enabled.toString());
+  localStorage.setItem("vrm_chat_memory_max_injected", settings.maxInjected.toString());
+}
+
+// 資料（ナレッジベース）検索のデフォルト値
+const DEFAULT_KNOWLEDGE_ENABLED = true; // 登録した資料から発言に関係する部分を探して会話に使うか
+const DEFAULT_KNOWLEDGE_PROVIDER = "bm25"; // 検索の方法（埋め込みのプロバイダーID。"bm25" は埋め込みを使わない）
+const DEFAULT_KNOWLEDGE_TOP_K = 3; // システムプロンプトに入れる資料の断片の最大数
+
+/**
+ * 資料検索設定のデフォルト値を取得する。
+ * @returns {{ enabled: boolean, provider: string, baseUrl: string, model: string, topK: number }}
+ */
+export function getDefaultKnowledgeSettings() {
+  return {
+    enabled: DEFAULT_KNOWLEDGE_ENABLED,
+    provider: DEFAULT_KNOWLEDGE_PROVIDER,
+    baseUrl: "",
+    model: "",
+    topK: DEFAULT_KNOWLEDGE_TOP_K,
+  };
+}
+
+/**
+ * localStorageから資料検索設定を読み込む。呼び出しのたびに最新値を返す。
+ * - provider: 埋め込みのプロバイダーID（bm25 / openai / local）
+ * - baseUrl / model: 空の場合はプロバイダーの既定値を使う
+ * @returns {{ enabled: boolean, provider: string, baseUrl: string, model: string, topK: number }}
+ */
+export function loadKnowledgeSettings() {
+  const enabled = localStorage.getItem("vrm_chat_knowledge_enabled");
+  return {
+    enabled: enabled === null ? DEFAULT_KNOWLEDGE_ENABLED : enabled === "true",
+    provider: localStorage.getItem("vrm_chat_knowledge_provider") || DEFAULT_KNOWLEDGE_PROVIDER,
+    baseUrl: localStorage.getItem("vrm_chat_knowledge_base_url") || "",
+    model: localStorage.getItem("vrm_chat_knowledge_model") || "",
+    topK: Math.max(0, Math.floor(readNumberSetting("vrm_chat_knowledge_top_k", DEFAULT_KNOWLEDGE_TOP_K))),
+  };
+}
+
+/**
+ * 資料検索設定をlocalStorageに保存する。
+ * @param {{ enabled: boolean, provider: string, baseUrl: string, model: string, topK: number }} settings - 保存する設定
+ */
+export function saveKnowledgeSettings(settings) {
+  localStorage.setItem("vrm_chat_knowledge_enabled", settings.enabled.toString());
+  localStorage.setItem("vrm_chat_knowledge_provider", settings.provider);
+  localStorage.setItem("vrm_chat_knowledge_base_url", settings.baseUrl);
+  localStorage.setItem("vrm_chat_knowledge_model", settings.model);
+  localStorage.setItem("vrm_chat_knowledge_top_k", settings.topK.toString());
+}
+
+// システムプロンプトのデフォルト値
+const DEFAULT_PROMPT_SCENE_CONTEXT = true; // アバターと空間の今の状況をシステムプロンプトに追記するか
+
+/**
+ * システムプロンプト設定のデフォルト値を取得する。
+ * - userName: テンプレート変数 {{user_name}} の値（空の場合は「ユーザー」）
+ * - sceneContext: アバターの動作・ユーザーとの距離・VRかどうか・飛んでいるキューブの数を会話モデルに伝えるか
+ * @returns {{ userName: string, sceneContext: boolean }}
+ */
+export function getDefaultPromptSettings() {
+  return {
+    userName: "",
+    sceneContext: DEFAULT_PROMPT_SCENE_CONTEXT,
+  };
+}
+
+/**
+ * localStorageからシステムプロンプト設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ userName: string, sceneContext: boolean }}
+ */
+export function loadPromptSettings() {
+  const sceneContext = localStorage.getItem("vrm_chat_prompt_scene_context");
+  return {
+    userName: localStorage.getItem("vrm_chat_prompt_user_name") || "",
+    sceneContext: sceneContext === null ? DEFAULT_PROMPT_SCENE_CONTEXT : sceneContext === "true",
+  };
+}
+
+/**
+ * システムプロンプト設定をlocalStorageに保存する。
+ * @param {{ userName: string, sceneContext: boolean }} settings - 保存する設定
+ */
+export function savePromptSettings(settings) {
+  localStorage.setItem("vrm_chat_prompt_user_name", settings.userName);
+  localStorage.setItem("vrm_chat_prompt_scene_context", settings.sceneContext.toString());
+}
+
+// 気分と親しみのデフォルト値
+const DEFAULT_AFFECT_ENABLED = true; // 会話からキャラクターの気分とユーザーへの親しみを変化させ、応答とふるまいに反映するか
+
+/**
+ * 気分と親しみの設定のデフォルト値を取得する。
+ * @returns {{ enabled: boolean }}
+ */
+export function getDefaultAffectSettings() {
+  return {
+    enabled: DEFAULT_AFFECT_ENABLED,
+  };
+}
+
+/**
+ * localStorageから気分と親しみの設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ enabled: boolean }}
+ */
+export function loadAffectSettings() {
+  const enabled = localStorage.getItem("vrm_chat_affect_enabled");
+  return {
+    enabled: enabled === null ? DEFAULT_AFFECT_ENABLED : enabled === "true",
+  };
+}
+
+/**
+ * 気分と親しみの設定をlocalStorageに保存する。
+ * @param {{ enabled: boolean }} settings - 保存する設定
+ */
+export function saveAffectSettings(settings) {
+  localStorage.setItem("vrm_chat_affect_enabled", settings.enabled.toString());
+}
+
+// 画像入力のデフォルト値
+const DEFAULT_VISION_ATTACH_SCENE = false; // 発言のたびに、アバターの目から見た空間の画像を添付するか
+const DEFAULT_VISION_DETAIL = "low"; // 会話モデルに画像を読み取らせる細かさ（OpenAI互換の detail）
+
+// 画像を読み取らせる細かさの選択肢
+export const VISION_DETAIL_OPTIONS = ["low", "high", "auto"];
+
+/**
+ * 画像入力設定のデフォルト値を取得する。
+ * - attachSceneOnSend: 発言（音声入力を含む）のたびに、アバターの目から見た空間のスナップショットを自動で添付するか
+ * - detail: 画像を読み取らせる細かさ。low は1枚あたりのトークン数が少なく、high は小さな文字なども読み取れる
+ * @returns {{ attachSceneOnSend: boolean, detail: string }}
+ */
+export function getDefaultVisionSettings() {
+  return {
+    attachSceneOnSend: DEFAULT_VISION_ATTACH_SCENE,
+    detail: DEFAULT_VISION_DETAIL,
+  };
+}
+
+/**
+ * localStorageから画像入力設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ attachSceneOnSend: boolean, detail: string }}
+ */
+export function loadVisionSettings() {
+  const attachSceneOnSend = localStorage.getItem("vrm_chat_vision_attach_scene");
+  const detail = localStorage.getItem("vrm_chat_vision_detail");
+  return {
+    attachSceneOnSend: attachSceneOnSend === null ? DEFAULT_VISION_ATTACH_SCENE : attachSceneOnSend === "true",
+    detail: VISION_DETAIL_OPTIONS.includes(detail) ? detail : DEFAULT_VISION_DETAIL,
+  };
+}
+
+/**
+ * 画像入力設定をlocalStorageに保存する。
+ * @param {{ attachSceneOnSend: boolean, detail: string }} settings - 保存する設定
+ */
+export function saveVisionSettings(settings) {
+  localStorage.setItem("vrm_chat_vision_attach_scene", settings.attachSceneOnSend.toString());
+  localStorage.setItem("vrm_chat_vision_detail", settings.detail);
+}
+
+// ハンズフリー音声入力（発話検出）のデフォルト値
+const DEFAULT_VOICE_SPEECH_THRESHOLD = 0.02; // 発話とみなすマイク音量（RMS）のしきい値
+const DEFAULT_VOICE_SILENCE_MS = 800; // この時間だけ無音が続いたら発話の終わりとみなす
+const DEFAULT_VOICE_MIN_SPEECH_MS = 300; // これより短い音（咳・物音など）は発話として扱わない
+const DEFAULT_VOICE_BARGE_IN = true; // アバターの発話中でも聞き取り、話しかけたら発話を中断する
+
+/**
+ * ハンズフリー音声入力設定のデフォルト値を取得する。
+ * @returns {{ speechThreshold: number, silenceMs: number, minSpeechMs: number, bargeIn: boolean }}
+ */
+export function getDefaultVoiceInputSettings() {
+  return {
+    speechThreshold: DEFAULT_VOICE_SPEECH_THRESHOLD,
+    silenceMs: DEFAULT_VOICE_SILENCE_MS,
+    minSpeechMs: DEFAULT_VOICE_MIN_SPEECH_MS,
+    bargeIn: DEFAULT_VOICE_BARGE_IN,
+  };
+}
+
+/**
+ * localStorageからハンズフリー音声入力設定を読み込む。呼び出しのたびに最新値を返す。
+ * @returns {{ speechThreshold: number, silenceMs: number, minSpeechMs: number, bargeIn: boolean }}
+ */
+export function loadVoiceInputSettings() {
+  const bargeIn = localStorage.getItem("vrm_chat_voice_barge_in");
+  return {
+    speechThreshold: Math.min(
+      1,
+      Math.max(0.001, readNumberSetting("vrm_chat_voice_speech_threshold", DEFAULT_VOICE_SPEECH_THRESHOLD))
+    ),
+    silenceMs: Math.max(100, Math.floor(readNumberSetting("vrm_chat_voice_silence_ms", DEFAULT_VOICE_SILENCE_MS))),
+    minSpeechMs: Math.max(0, Math.floor(readNumberSetting("vrm_chat_voice_min_speech_ms", DEFAULT_VOICE_MIN_SPEECH_MS))),
+    bargeIn: bargeIn === null ? DEFAULT_VOICE_BARGE_IN : bargeIn === "true",
+  };
+}
+
+/**
+ * ハンズフリー音声入力設定をlocalStorageに保存する。
+ * @param {{ speechThreshold: number, silenceMs: number, minSpeechMs: number, bargeIn: boolean }} settings - 保存する設定
+ */
+export function saveVoiceInputSettings(settings) {
+  localStorage.setItem("vrm_chat_voice_speech_threshold", settings.speechThreshold.toString());
+  localStorage.setItem("vrm_chat_voice_silence_ms", settings.silenceMs.toString());
+  localStorage.setItem("vrm_chat_voice_min_speech_ms", settings.minSpeechMs.toString());
+  localStorage.setItem("vrm_chat_voice_barge_in", settings.bargeIn.toString());
+}
+
+// 音声認識（STT）設定のデフォルト値
+// baseUrl / model が空の場合はプロバイダーごとの既定値を使用する（src/stt/sttProviders.js）
+const DEFAULT_STT_PROVIDER = "openai";
+const DEFAULT_STT_LANGUAGE = "ja"; // 言語のヒント（空の場合は自動判定）
+
+/**
+ * 音声認識設定のデフォルト値を取得する。
+ * @returns {{ provider: string, baseUrl: string, model: string, language: string, prompt: string }}
+ */
+export function getDefaultSttSettings() {
+  return {
+    provider: DEFAULT_STT_PROVIDER,
+    baseUrl: "",
+    model: "",
+    language: DEFAULT_STT_LANGUAGE,
+    prompt: "",
+  };
+}
+
+/**
+ * localStorageから音声認識設定を読み込む。呼び出しのたびに最新値を返す。
+ * - language: 言語のヒント（ja / en など。Web Speech API では ja-JP のような形式も可）
+ * - prompt: 認識のヒントにする語句（固有名詞など。キャラクター名は送信時に自動で追加する）
+ * @returns {{ provider: string, baseUrl: string, model: string, language: string, prompt: string }}
+ */
+export function loadSttSettings() {
+  const language = localStorage.getItem("vrm_chat_stt_language");
+  return {
+    provider: localStorage.getItem("vrm_chat_stt_provider") || DEFAULT_STT_PROVIDER,
+    baseUrl: localStorage.getItem("vrm_chat_stt_base_url") || "",
+    model: localStorage.getItem("vrm_chat_stt_model") || "",
+    language: language === null ? DEFAULT_STT_LANGUAGE : language,
+    prompt: localStorage.getItem("vrm_chat_stt_prompt") || "",
+  };
+}
+
+/**
+ * 音声認識設定をlocalStorageに保存する。
+ * @param {{ provider: string, baseUrl: string, model: string, language: string, prompt: string }} settings - 保存する設定
+ */
+export function saveSttSettings(settings) {
+  localStorage.setItem("vrm_chat_stt_provider", settings.provider);
+  localStorage.setItem("vrm_chat_stt_base_url", settings.baseUrl);
+  localStorage.setItem("vrm_chat_stt_model", settings.model);
+  localStorage.setItem("vrm_chat_stt_language", settings.language);
+  localStorage.setItem("vrm_chat_stt_prompt", settings.prompt);
+}
+
 /**
  * アクションメニューの定義
  * 各アクションの表示設定と説明を管理する。
  * - id: アクションのID（actionMenu.jsのswitch文で使用）
  * - label: 表示名
- * - description: アクションの説明（将来的にAIが参照する可能性がある）
+ * - description: アクションの説明（会話モデルにツールの説明として渡す）
  * - web: Web上のメニューに表示するか
  * - vr: VR空間上のメニューに表示するか
+ * - parameters: 引数が必要なアクションのみ。会話モデルに渡すJSON Schema（src/llm/actionTools.js で検証する）
  */
 export const ACTION_MENU_ITEMS = [
   {
@@ -265,6 +813,18 @@ export const ACTION_MENU_ITEMS = [
     description: "指定された角度（-45度〜45度）で首を動かします。正の値で下を向き、負の値で上を向きます。角度の入力が必要です。",
     web: true,
     vr: false,
+    parameters: {
+      type: "object",
+      properties: {
+        angle: {
+          type: "number",
+          minimum: -45,
+          maximum: 45,
+          description: "首を動かす角度（度）。正の値で下を向き、負の値で上を向く。",
+        },
+      },
+      required: ["angle"],
+    },
   },
   {
     id: "blink",
@@ -0,0 +1,99 @@
+import { logMessage } from "./utils/logger.js";
+
+// 感情タグで切り替えるVRMのプリセット表情
+const EMOTION_EXPRESSIONS = ["happy", "angry", "sad", "surprised", "relaxed"];
+// 表情の強さ（1.0 だと口や目の形が強く出すぎるため少し抑える）
+const DEFAULT_EXPRESSION_WEIGHT = 0.8;
+// 0 → 1 に変化させるのにかかる時間（秒）
+const FADE_IN_SECONDS = 0.25;
+// 1 → 0 に戻すのにかかる時間（秒）
+const FADE_OUT_SECONDS = 0.5;
+
+/**
+ * 表情コントローラー
+ * AI応答の感情タグに合わせて、VRMのプリセット表情（happy/angry/sad/surprised/relaxed）を
+ * フェードイン・フェードアウトで切り替える。口パク（aa など）やまばたきとは別の表情として重ねる。
+ */
+export function createExpressionController({ vrmManager }) {
+  const state = {
+    weights: Object.fromEntries(EMOTION_EXPRESSIONS.map((name) => [name, 0])), // 現在の表情の値
+    targets: Object.fromEntries(EMOTION_EXPRESSIONS.map((name) => [name, 0])), // 目標の表情の値
+    currentEmotion: null, // 現在表示しようとしている感情（なしの場合は null）
+  };
+
+  /**
+   * 指定した感情の表情に切り替える。他の表情はフェードアウトする。
+   * neutral や未対応の感情の場合は表情を戻す。
+   * @param {string|null} emotion - 感情名
+   * @param {number} [weight] - 表情の強さ（0〜1）
+   */
+  function setExpression(emotion, weight = DEFAULT_EXPRESSION_WEIGHT) {
+    if (!EMOTION_EXPRESSIONS.includes(emotion)) {
+      clearExpression();
+      return;
+    }
+    EMOTION_EXPRESSIONS.forEach((name) => {
+      state.targets[name] = name === emotion ? weight : 0;
+    });
+    if (state.currentEmotion !== emotion) {
+      logMessage("Info", "[ExpressionController] 表情を切り替えます", { emotion: emotion });
+    }
+    state.currentEmotion = emotion;
+  }
+
+  /**
+   * すべての感情の表情をフェードアウトして元に戻す。
+   */
+  function clearExpression() {
+    EMOTION_EXPRESSIONS.forEach((name) => {
+      state.targets[name] = 0;
+    });
+    state.currentEmotion = null;
+  }
+
+  /**
+   * 表情の値を目標値に近づける（毎フレーム呼び出す）。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function update(delta) {
+    const expressionManager = vrmManager.getCurrentVrm()?.expressionManager;
+    if (!expressionManager) {
+      return;
+    }
+
+    EMOTION_EXPRESSIONS.forEach((name) => {
+      const current = state.weights[name];
+      const target = state.targets[name];
+      if (current === target) {
+        return;
+      }
+      const next =
+        target > current
+          ? Math.min(target, current + delta / FADE_IN_SECONDS)
+          : Math.max(target, current - delta / FADE_OUT_SECONDS);
+      state.weights[name] = next;
+      expressionManager.setValue(name, next);
+    });
+  }
+
+  /**
+   * 表情を即座に初期状態に戻す。VRMの読み込み時に呼び出す。
+   */
+  function reset() {
+    const expressionManager = vrmManager.getCurrentVrm()?.expressionManager;
+    EMOTION_EXPRESSIONS.forEach((name) => {
+      state.weights[name] = 0;
+      state.targets[name] = 0;
+      expressionManager?.setValue(name, 0);
+    });
+    state.currentEmotion = null;
+  }
+
+  return {
+    setExpression,
+    clearExpression,
+    update,
+    reset,
+    getCurrentEmotion: () => state.currentEmotion,
+  };
+}
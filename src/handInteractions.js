@@ -302,6 +302,14 @@ export class HandInteractionManager {
     return this.cubeSpawnEnabled;
   }
 
+  /**
+   * 射出されて空間に残っているキューブの数を返す。
+   * @returns {number}
+   */
+  getSpawnedCubeCount() {
+    return this.spawnedCubes.length;
+  }
+
   /**
    * コントローラーの targetRayMode に応じて目印となるビジュアルを差し込む。
    * @param {THREE.Object3D} controller
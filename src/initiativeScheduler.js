@@ -0,0 +1,243 @@
+import { getActiveCharacterProfile } from "./config.js";
+import { buildInitiativeInstruction, INITIATIVE_TRIGGERS } from "./llm/initiativePrompts.js";
+import { logMessage } from "./utils/logger.js";
+
+// きっかけを確認する間隔（秒）
+const CHECK_INTERVAL = 1;
+// キャラクターから話しかけたあと、次に話しかけるまでの最短の間隔（ミリ秒。きっかけの種類によらない）
+const MIN_SPEAK_INTERVAL_MS = 20 * 1000;
+// ユーザーが近づいたとみなす距離と、次に反応できるようになるまで離れる距離（m。境目で何度も反応しないよう差を付ける）
+const APPROACH_DISTANCE = 1.0;
+const APPROACH_REARM_DISTANCE = 1.3;
+// 近づいたことに反応したあと、次に反応するまでの間隔（ミリ秒）
+const APPROACH_COOLDOWN_MS = 2 * 60 * 1000;
+// 返事がないまま続けて雑談を始める回数の上限（ユーザーが発言するまで雑談を始めない）
+const MAX_UNANSWERED_COUNT = 2;
+// VRに入ってからあいさつするまでの待ち時間（ミリ秒。ヘッドセットをかぶり終えるのを待つ）
+const VR_GREETING_DELAY_MS = 2000;
+// 話しかけられる状態になるのを待つ時間（ミリ秒。過ぎたきっかけは話しかけずに捨てる）
+const PENDING_LIFETIME_MS = {
+  [INITIATIVE_TRIGGERS.vrGreeting]: 30 * 1000,
+  [INITIATIVE_TRIGGERS.approach]: 10 * 1000,
+  // ページを開いた直後はユーザー操作があるまで音声を再生できないため、長めに待つ
+  [INITIATIVE_TRIGGERS.returnGreeting]: 10 * 60 * 1000,
+};
+// 話しかけられる状態になったときに、どのきっかけを優先するか
+const PENDING_PRIORITY = [
+  INITIATIVE_TRIGGERS.vrGreeting,
+  INITIATIVE_TRIGGERS.returnGreeting,
+  INITIATIVE_TRIGGERS.approach,
+];
+// ユーザーが最後にアプリを見ていた時刻を保存するlocalStorageのキー（ページを閉じていた時間も離れていた時間に含める）
+const LAST_SEEN_STORAGE_KEY = "vrm_chat_initiative_last_seen_at";
+// 最後にアプリを見ていた時刻を保存する間隔（ミリ秒）
+const LAST_SEEN_SAVE_INTERVAL_MS = 30 * 1000;
+
+/**
+ * キャラクターから話しかけるきっかけのスケジューラー
+ * 会話がない状態が続いたとき・VRに入ったとき・ユーザーが近づいたとき・長く離れていたユーザーが戻ったときに、
+ * chatMenu.speakOnInitiative でキャラクターから話しかける。
+ * 録音中・応答中などは話しかけず、話しかけられる状態になるまで待つ。きっかけの有無と間隔はキャラクターごとに設定する。
+ */
+export function createInitiativeScheduler({
+  chatMenu,
+  // VRセッションの開始を検知するためのレンダラー
+  renderer,
+  // ユーザーとの水平距離（m）を返す関数（VRMの読み込み前などは null）
+  getPlayerDistance,
+}) {
+  const now = Date.now();
+  const state = {
+    checkTimer: 0,
+    isSpeaking: false, // 話しかけている最中（応答の受信から読み上げが終わるまで）
+    silenceStartedAt: now, // 会話がない状態が始まった時刻（ミリ秒）
+    wasSpeakable: false, // 前回の確認で話しかけられる状態だったか
+    lastSpokenAt: 0, // 最後に話しかけた時刻（ミリ秒）
+    lastApproachAt: 0, // 最後に近づいたことに反応した時刻（ミリ秒）
+    unansweredCount: 0, // 返事がないまま続けて雑談を始めた回数
+    approachArmed: false, // ユーザーが十分に離れていて、次に近づいたら反応できるか
+    pending: new Map(), // 話しかけられる状態になるのを待っているきっかけ（きっかけ → { queuedAt, notBefore, context }）
+    lastSeenSavedAt: 0,
+  };
+
+  /**
+   * きっかけを、話しかけられる状態になるまで待たせる。
+   * @param {string} trigger - INITIATIVE_TRIGGERS の値
+   * @param {{ delayMs?: number, context?: object }} [options]
+   *   delayMs: 話しかけるまでの最短の待ち時間、context: 指示文に使う情報（buildInitiativeInstruction を参照）
+   */
+  function queueTrigger(trigger, { delayMs = 0, context = {} } = {}) {
+    const queuedAt = Date.now();
+    state.pending.set(trigger, { queuedAt: queuedAt, notBefore: queuedAt + delayMs, context: context });
+    logMessage("Verbose", "[InitiativeScheduler] 話しかけるきっかけを検出しました", { trigger: trigger });
+  }
+
+  /**
+   * 最後にアプリを見ていた時刻を保存する。
+   * @param {number} time - 時刻（ミリ秒）
+   */
+  function saveLastSeen(time) {
+    state.lastSeenSavedAt = time;
+    localStorage.setItem(LAST_SEEN_STORAGE_KEY, String(time));
+  }
+
+  /**
+   * 最後にアプリを見ていた時刻から、長く離れていたかを確認する。離れていた場合は戻ったときのあいさつを待たせる。
+   */
+  function checkAbsence() {
+    const time = Date.now();
+    const lastSeenAt = Number(localStorage.getItem(LAST_SEEN_STORAGE_KEY));
+    saveLastSeen(time);
+    if (!Number.isFinite(lastSeenAt) || lastSeenAt <= 0) {
+      return;
+    }
+    const absenceMinutes = (time - lastSeenAt) / 60000;
+    const settings = getActiveCharacterProfile().initiative;
+    if (settings.returnGreeting && absenceMinutes >= settings.absenceMinutes) {
+      queueTrigger(INITIATIVE_TRIGGERS.returnGreeting, { context: { absenceMinutes: absenceMinutes } });
+    }
+  }
+
+  /**
+   * ユーザーが近づいたかを確認する。
+   * @param {{ approachReaction: boolean }} settings - キャラクターの設定
+   * @param {number} time - 現在時刻（ミリ秒）
+   */
+  function checkApproach(settings, time) {
+    const distance = getPlayerDistance?.();
+    if (!Number.isFinite(distance)) {
+      return;
+    }
+    if (distance >= APPROACH_REARM_DISTANCE) {
+      state.approachArmed = true;
+      return;
+    }
+    if (!state.approachArmed || distance >= APPROACH_DISTANCE) {
+      return;
+    }
+    state.approachArmed = false;
+    if (settings.approachReaction && time - state.lastApproachAt >= APPROACH_COOLDOWN_MS) {
+      queueTrigger(INITIATIVE_TRIGGERS.approach);
+    }
+  }
+
+  /**
+   * キャラクターから話しかける。
+   * @param {string} trigger - INITIATIVE_TRIGGERS の値
+   * @param {object} context - 指示文に使う情報
+   */
+  async function speak(trigger, context) {
+    state.isSpeaking = true;
+    state.lastSpokenAt = Date.now();
+    if (trigger === INITIATIVE_TRIGGERS.approach) {
+      state.lastApproachAt = state.lastSpokenAt;
+    }
+    logMessage("Info", "[InitiativeScheduler] キャラクターから話しかけます", {
+      trigger: trigger,
+      unansweredCount: state.unansweredCount,
+    });
+    try {
+      const spoken = await chatMenu.speakOnInitiative(
+        buildInitiativeInstruction(trigger, { ...context, unansweredCount: state.unansweredCount })
+      );
+      // あいさつなどは返事がなくても雑談を控える理由にはしない
+      if (spoken && trigger === INITIATIVE_TRIGGERS.smallTalk) {
+        state.unansweredCount += 1;
+      }
+    } finally {
+      state.isSpeaking = false;
+      state.silenceStartedAt = Date.now();
+    }
+  }
+
+  /**
+   * きっかけを確認し、話しかけられる状態であれば話しかける。
+   */
+  function check() {
+    const time = Date.now();
+    const settings = getActiveCharacterProfile().initiative;
+    if (time - state.lastSeenSavedAt >= LAST_SEEN_SAVE_INTERVAL_MS) {
+      saveLastSeen(time);
+    }
+    checkApproach(settings, time);
+
+    // ユーザーが発言したら、返事がなかった回数と、発言より前に検出したきっかけを捨てる
+    const lastUserMessageAt = chatMenu.getLastUserMessageAt();
+    if (lastUserMessageAt > state.lastSpokenAt) {
+      state.unansweredCount = 0;
+    }
+    state.pending.forEach((entry, trigger) => {
+      if (entry.queuedAt < lastUserMessageAt || time - entry.queuedAt > PENDING_LIFETIME_MS[trigger]) {
+        state.pending.delete(trigger);
+      }
+    });
+
+    if (state.isSpeaking) {
+      return;
+    }
+    // 録音中・応答中・入力中などの間は会話が続いているものとし、話しかけられる状態に戻ってから沈黙を数える
+    const speakable = chatMenu.canSpeakOnInitiative();
+    if (!speakable || !state.wasSpeakable) {
+      state.silenceStartedAt = time;
+    }
+    state.wasSpeakable = speakable;
+    if (!speakable || time - state.lastSpokenAt < MIN_SPEAK_INTERVAL_MS) {
+      return;
+    }
+
+    const trigger = PENDING_PRIORITY.find((candidate) => state.pending.get(candidate)?.notBefore <= time);
+    if (trigger) {
+      const { context } = state.pending.get(trigger);
+      state.pending.delete(trigger);
+      speak(trigger, context);
+      return;
+    }
+    if (
+      settings.silenceSeconds > 0 &&
+      state.unansweredCount < MAX_UNANSWERED_COUNT &&
+      time - Math.max(state.silenceStartedAt, lastUserMessageAt) >= settings.silenceSeconds * 1000
+    ) {
+      speak(INITIATIVE_TRIGGERS.smallTalk, {});
+    }
+  }
+
+  /**
+   * きっかけを一定間隔で確認する（毎フレーム呼び出す）。
+   * @param {number} delta - 前フレームからの経過時間（秒）
+   */
+  function update(delta) {
+    state.checkTimer += delta;
+    if (state.checkTimer < CHECK_INTERVAL) {
+      return;
+    }
+    state.checkTimer = 0;
+    // 画面を見ていない間は話しかけない（VR中は画面が隠れていても動かす）
+    if (document.visibilityState === "hidden" && !renderer.xr.isPresenting) {
+      return;
+    }
+    check();
+  }
+
+  renderer.xr.addEventListener("sessionstart", () => {
+    // VRに入ると立ち位置が変わるため、一度離れるまでは近づいたことに反応しない
+    state.approachArmed = false;
+    if (getActiveCharacterProfile().initiative.vrGreeting) {
+      queueTrigger(INITIATIVE_TRIGGERS.vrGreeting, { delayMs: VR_GREETING_DELAY_MS });
+    }
+  });
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      saveLastSeen(Date.now());
+      return;
+    }
+    state.silenceStartedAt = Date.now();
+    checkAbsence();
+  });
+
+  checkAbsence();
+
+  return {
+    update,
+  };
+}
@@ -0,0 +1,167 @@
+// 資料ファイル（.txt / .md / .pdf）の読み込みと、検索用の断片への分割。
+// PDF の文字の取り出しには pdf.js を使う（PDF を読み込むときだけCDNから読み込む）。
+
+const PDFJS_URL = "https://cdn.jsdelivr.net/npm/pdfjs-dist@4.7.76/build/pdf.min.mjs";
+const PDFJS_WORKER_URL = "https://cdn.jsdelivr.net/npm/pdfjs-dist@4.7.76/build/pdf.worker.min.mjs";
+// 読み込める資料の拡張子
+export const KNOWLEDGE_FILE_EXTENSIONS = [".txt", ".md", ".markdown", ".pdf"];
+// 1つの断片の目安の文字数（日本語で1段落〜数段落。プロンプトに入れる量と検索の細かさの兼ね合い）
+const CHUNK_TARGET_LENGTH = 400;
+// これより長い段落は文の区切りで分割する
+const CHUNK_MAX_LENGTH = 600;
+// 断片の先頭に重ねる、前の断片の末尾の文字数（段落の途中で分かれた文脈を拾うため）
+const CHUNK_OVERLAP_LENGTH = 60;
+
+let pdfjsPromise = null;
+
+/**
+ * pdf.js を読み込む。2回目以降は同じモジュールを返す。
+ * @returns {Promise<object>} pdf.js のモジュール
+ */
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import(PDFJS_URL).then((pdfjs) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+      return pdfjs;
+    });
+    // 読み込みに失敗した場合は次回やり直す
+    pdfjsPromise.catch(() => {
+      pdfjsPromise = null;
+    });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * PDF からページごとの文字を取り出す。
+ * @param {ArrayBuffer} data - PDF ファイルの内容
+ * @returns {Promise<string>} 文字（ページの間は空行で区切る）
+ */
+async function readPdfText(data) {
+  const pdfjs = await loadPdfjs();
+  const pdf = await pdfjs.getDocument({ data: data }).promise;
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      // hasEOL は行末を表す（行の途中で分かれた文字列はそのままつなげる）
+      pages.push(content.items.map((item) => `${item.str ?? ""}${item.hasEOL ? "\n" : ""}`).join(""));
+    }
+  } finally {
+    pdf.destroy();
+  }
+  return pages.join("\n\n");
+}
+
+/**
+ * ファイル名が資料として読み込める形式かどうかを判定する。
+ * @param {string} fileName - ファイル名
+ * @returns {boolean}
+ */
+export function isKnowledgeFile(fileName) {
+  const lowerName = fileName.toLowerCase();
+  return KNOWLEDGE_FILE_EXTENSIONS.some((extension) => lowerName.endsWith(extension));
+}
+
+/**
+ * 資料ファイルの文字を読み込む。
+ * @param {File} file - 資料ファイル
+ * @returns {Promise<string>} 資料の文字
+ */
+export async function readDocumentText(file) {
+  if (!isKnowledgeFile(file.name)) {
+    throw new Error(`${file.name} は読み込めない形式です（${KNOWLEDGE_FILE_EXTENSIONS.join(" / ")} に対応）`);
+  }
+  if (file.name.toLowerCase().endsWith(".pdf")) {
+    return readPdfText(await file.arrayBuffer());
+  }
+  return file.text();
+}
+
+/**
+ * 長い段落を、文の区切りで CHUNK_MAX_LENGTH 以下に分割する。
+ * 文の区切りがない場合は文字数で分割する。
+ * @param {string} paragraph - 段落
+ * @returns {string[]} 分割した段落
+ */
+function splitLongParagraph(paragraph) {
+  if (paragraph.length <= CHUNK_MAX_LENGTH) {
+    return [paragraph];
+  }
+  const sentences = paragraph.match(/[^。！？!?\n]+[。！？!?\n]*/g) ?? [paragraph];
+  const parts = [];
+  let current = "";
+  sentences.forEach((sentence) => {
+    if (current && current.length + sentence.length > CHUNK_MAX_LENGTH) {
+      parts.push(current);
+      current = "";
+    }
+    current += sentence;
+    while (current.length > CHUNK_MAX_LENGTH) {
+      parts.push(current.slice(0, CHUNK_MAX_LENGTH));
+      current = current.slice(CHUNK_MAX_LENGTH);
+    }
+  });
+  if (current.trim()) {
+    parts.push(current);
+  }
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * 資料の文字を検索用の断片に分割する。
+ * - 空行で区切られた段落を、CHUNK_TARGET_LENGTH 程度になるまでまとめる
+ * - Markdown の見出しで新しい断片を始め、断片にはその見出しを付ける（検索とプロンプトで文脈が分かるように）
+ * - 断片の先頭には、同じ見出しの前の断片の末尾を少し重ねる
+ * @param {string} text - 資料の文字
+ * @returns {Array<{ heading: string, text: string }>} 断片
+ */
+export function splitIntoChunks(text) {
+  const lines = text.replace(/\r\n?/g, "\n").replace(/\u00a0/g, " ").split("\n");
+  const chunks = [];
+  let heading = "";
+  let paragraphs = [];
+  let paragraphLines = [];
+  let previousTail = "";
+
+  const flushChunk = () => {
+    const body = paragraphs.join("\n\n").trim();
+    if (body) {
+      chunks.push({ heading: heading, text: previousTail ? `…${previousTail}\n${body}` : body });
+      previousTail = body.slice(-CHUNK_OVERLAP_LENGTH).trim();
+    }
+    paragraphs = [];
+  };
+  const flushParagraph = () => {
+    const paragraph = paragraphLines.join("\n").trim();
+    paragraphLines = [];
+    if (!paragraph) {
+      return;
+    }
+    splitLongParagraph(paragraph).forEach((part) => {
+      const length = paragraphs.reduce((sum, item) => sum + item.length, 0);
+      if (paragraphs.length > 0 && length + part.length > CHUNK_TARGET_LENGTH) {
+        flushChunk();
+      }
+      paragraphs.push(part);
+    });
+  };
+
+  lines.forEach((line) => {
+    const headingMatch = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) {
+      flushParagraph();
+      flushChunk();
+      heading = headingMatch[1];
+      previousTail = "";
+    } else if (!line.trim()) {
+      flushParagraph();
+    } else {
+      paragraphLines.push(line);
+    }
+  });
+  flushParagraph();
+  flushChunk();
+  return chunks;
+}
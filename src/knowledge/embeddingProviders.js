@@ -0,0 +1,252 @@
+import { logMessage } from "../utils/logger.js";
+import { fetchWithRetry } from "../utils/httpClient.js";
+
+const OPENAI_DEFAULT_HOST = "api.openai.com";
+// 埋め込みAPIの応答を待つ時間
+const EMBEDDING_TIMEOUT_MS = 60000;
+// 1回のリクエストで埋め込みを作る断片の数（大きな資料でもリクエストが大きくなりすぎないようにする）
+const EMBEDDING_BATCH_SIZE = 32;
+
+/**
+ * 選択可能な資料検索の方法（埋め込みのプロバイダー）の定義。
+ * - id: 設定値として保存するID
+ * - label: 設定画面での表示名
+ * - defaultBaseUrl: ベースURLが未入力の場合に使用する値（ベースURLを使わないプロバイダーは空）
+ * - defaultModel: モデル名が未入力の場合に使用する値（モデルを選べないプロバイダーは空）
+ */
+export const EMBEDDING_PROVIDER_OPTIONS = [
+  {
+    id: "bm25",
+    label: "キーワード検索 (BM25・埋め込みなし)",
+    defaultBaseUrl: "",
+    defaultModel: "",
+  },
+  {
+    id: "openai",
+    label: "OpenAI互換 埋め込みAPI",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "text-embedding-3-small",
+  },
+  {
+    id: "local",
+    label: "ブラウザ内の埋め込みモデル (CPU・オフライン)",
+    defaultBaseUrl: "",
+    defaultModel: "Xenova/multilingual-e5-small",
+  },
+];
+
+/**
+ * プロバイダーIDから定義を取得する。未知のIDの場合はキーワード検索を返す。
+ * @param {string} providerId - プロバイダーID
+ * @returns {{ id: string, label: string, defaultBaseUrl: string, defaultModel: string }}
+ */
+export function getEmbeddingProviderOption(providerId) {
+  return EMBEDDING_PROVIDER_OPTIONS.find((option) => option.id === providerId) ?? EMBEDDING_PROVIDER_OPTIONS[0];
+}
+
+/**
+ * ベースURLの末尾スラッシュを取り除く。
+ * @param {string} baseUrl - 入力されたベースURL
+ * @param {string} fallback - 未入力時の値
+ * @returns {string} 正規化済みのベースURL
+ */
+function normalizeBaseUrl(baseUrl, fallback) {
+  const text = typeof baseUrl === "string" && baseUrl.trim() ? baseUrl.trim() : fallback;
+  return text.replace(/\/+$/, "");
+}
+
+/**
+ * ベースURLがOpenAI公式APIを指しているかどうかを判定する。
+ * @param {string} baseUrl - 正規化済みのベースURL
+ * @returns {boolean} OpenAI公式APIの場合は true
+ */
+function isOpenAIHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host === OPENAI_DEFAULT_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * テキストを EMBEDDING_BATCH_SIZE 件ずつに分けて埋め込みを作る。
+ * @param {string[]} texts - テキスト
+ * @param {(batch: string[]) => Promise<Float32Array[]>} embedBatch - 1回分の埋め込みを作る関数
+ * @returns {Promise<Float32Array[]>} テキストと同じ順の埋め込み
+ */
+async function embedInBatches(texts, embedBatch) {
+  const embeddings = [];
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    embeddings.push(...(await embedBatch(texts.slice(start, start + EMBEDDING_BATCH_SIZE))));
+  }
+  return embeddings;
+}
+
+/**
+ * OpenAI互換の Embeddings API を呼び出すアダプターを作成する。
+ * @param {{ baseUrl: string, model: string }} settings - 資料検索設定
+ */
+function createOpenAIEmbeddingProvider(settings) {
+  const option = getEmbeddingProviderOption("openai");
+  const baseUrl = normalizeBaseUrl(settings.baseUrl, option.defaultBaseUrl);
+  const model = settings.model || option.defaultModel;
+
+  /**
+   * テキストの埋め込みを作る。
+   * @param {string[]} texts - テキスト
+   * @param {{ apiKey?: string, signal?: AbortSignal }} [options]
+   * @returns {Promise<Float32Array[]>} テキストと同じ順の埋め込み
+   */
+  async function embed(texts, { apiKey, signal } = {}) {
+    return embedInBatches(texts, async (batch) => {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+      const response = await fetchWithRetry(
+        `${baseUrl}/embeddings`,
+        { method: "POST", headers: headers, body: JSON.stringify({ model: model, input: batch }), signal: signal },
+        { service: "埋め込み", timeoutMs: EMBEDDING_TIMEOUT_MS }
+      );
+      const data = await response.json();
+      if (!Array.isArray(data.data) || data.data.length !== batch.length) {
+        throw new Error("埋め込みAPIの応答の形式が正しくありません");
+      }
+      // 応答の順序は index で示される
+      return [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => Float32Array.from(item.embedding));
+    });
+  }
+
+  return {
+    id: option.id,
+    model: model,
+    requiresApiKey: isOpenAIHost(baseUrl),
+    embed,
+  };
+}
+
+// ブラウザ内の埋め込みモデルのワーカー（モデルの読み込みを一度で済ませるため、設定を変えても使い回す）
+const localEmbedding = {
+  worker: null,
+  nextRequestId: 1,
+  pendingRequests: new Map(), // リクエストID → { resolve, reject }
+};
+
+/**
+ * ブラウザ内の埋め込みモデルのワーカーを取得する。初回呼び出し時に起動する。
+ * @returns {Worker}
+ */
+function getLocalEmbeddingWorker() {
+  if (localEmbedding.worker) {
+    return localEmbedding.worker;
+  }
+  const worker = new Worker(new URL("./embeddingWorker.js", import.meta.url), { type: "module" });
+  worker.addEventListener("message", (event) => {
+    const message = event.data;
+    if (message.type === "progress") {
+      // モデルファイルのダウンロード状況（ファイルごとの開始・完了のみ記録する）
+      if (message.progress?.status === "initiate" || message.progress?.status === "done") {
+        logMessage("Info", "[EmbeddingProviders] 埋め込みモデルの読み込み", {
+          status: message.progress.status,
+          file: message.progress.file,
+        });
+      }
+      return;
+    }
+    const request = localEmbedding.pendingRequests.get(message.id);
+    if (!request) {
+      return;
+    }
+    localEmbedding.pendingRequests.delete(message.id);
+    if (message.type === "result") {
+      request.resolve(message.embeddings);
+    } else {
+      request.reject(new Error(`ブラウザ内の埋め込みモデルの実行に失敗しました: ${message.message}`));
+    }
+  });
+  worker.addEventListener("error", (event) => {
+    logMessage("Error", "[EmbeddingProviders] 埋め込みワーカーでエラーが発生しました", { message: event.message });
+    // 待機中のリクエストをすべて失敗させ、次回は新しいワーカーを起動する
+    localEmbedding.pendingRequests.forEach((request) => {
+      request.reject(new Error(`ブラウザ内の埋め込みモデルの実行に失敗しました: ${event.message}`));
+    });
+    localEmbedding.pendingRequests.clear();
+    worker.terminate();
+    localEmbedding.worker = null;
+  });
+  localEmbedding.worker = worker;
+  logMessage("Info", "[EmbeddingProviders] 埋め込みワーカーを起動しました");
+  return worker;
+}
+
+/**
+ * ブラウザ内で埋め込みモデルを実行するアダプターを作成する（transformers.js の WASM 実行、GPU不要）。
+ * 初回はモデルファイルをダウンロードするため時間がかかるが、以降はブラウザのキャッシュから読み込みオフラインで動作する。
+ * E5 系のモデルは、検索文と資料の断片に決まった接頭辞（"query: " / "passage: "）を付けて埋め込む。
+ * @param {{ model: string }} settings - 資料検索設定
+ */
+function createLocalEmbeddingProvider(settings) {
+  const option = getEmbeddingProviderOption("local");
+  const model = settings.model || option.defaultModel;
+  const usesE5Prefix = /e5/i.test(model);
+
+  /**
+   * テキストの埋め込みを作る。
+   * @param {string[]} texts - テキスト
+   * @param {{ kind?: "query"|"passage" }} [options] - kind: 検索文か資料の断片か
+   * @returns {Promise<Float32Array[]>} テキストと同じ順の埋め込み
+   */
+  async function embed(texts, { kind = "passage" } = {}) {
+    const prefix = usesE5Prefix ? `${kind}: ` : "";
+    return embedInBatches(texts, (batch) => {
+      const worker = getLocalEmbeddingWorker();
+      const id = localEmbedding.nextRequestId;
+      localEmbedding.nextRequestId += 1;
+      return new Promise((resolve, reject) => {
+        localEmbedding.pendingRequests.set(id, { resolve, reject });
+        worker.postMessage({ id: id, model: model, texts: batch.map((text) => `${prefix}${text}`) });
+      });
+    });
+  }
+
+  return {
+    id: option.id,
+    model: model,
+    requiresApiKey: false,
+    embed,
+  };
+}
+
+/**
+ * 資料検索設定に応じた埋め込みのアダプターを作成する。
+ * アダプターは { id, model, requiresApiKey, embed(texts, { apiKey, signal, kind }) } を持ち、embed は Float32Array の配列を返す。
+ * キーワード検索（BM25）の場合は埋め込みを使わないため null を返す。
+ * @param {{ provider: string, baseUrl: string, model: string }} settings - 資料検索設定
+ * @returns {object|null}
+ */
+export function createEmbeddingProvider(settings) {
+  switch (settings?.provider) {
+    case "bm25":
+      return null;
+    case "openai":
+      return createOpenAIEmbeddingProvider(settings);
+    case "local":
+      return createLocalEmbeddingProvider(settings);
+    default:
+      logMessage("Warn", "[EmbeddingProviders] 未知のプロバイダーのためキーワード検索を使用します", {
+        provider: settings?.provider,
+      });
+      return null;
+  }
+}
+
+/**
+ * 埋め込みを作ったモデルを表すキーを返す。保存済みの断片の埋め込みが今の設定で使えるかの判定に使う。
+ * @param {{ id: string, model: string }|null} provider - 埋め込みのアダプター
+ * @returns {string} "プロバイダーID:モデル名"（埋め込みを使わない場合は空文字列）
+ */
+export function getEmbeddingKey(provider) {
+  return provider ? `${provider.id}:${provider.model}` : "";
+}
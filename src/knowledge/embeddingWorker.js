@@ -0,0 +1,54 @@
+// ブラウザ内の埋め込みモデルのワーカー。
+// transformers.js の feature-extraction パイプラインを WASM（CPU）で実行し、正規化した文の埋め込みを返す。
+// メインスレッドから { id, model, texts } を受け取り、{ type: "result", id, embeddings } または { type: "error", id, message } を返す。
+// モデルのダウンロード状況は { type: "progress", progress } で通知する。
+import { pipeline } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.2";
+
+const state = {
+  model: null, // 読み込み済み（または読み込み中）のモデル名
+  extractorPromise: null,
+};
+
+/**
+ * 埋め込みパイプラインを取得する。モデルが変わった場合は読み込み直す。
+ * @param {string} model - Hugging Face Hub のモデル名
+ * @returns {Promise<Function>} 埋め込みパイプライン
+ */
+function loadExtractor(model) {
+  if (state.extractorPromise && state.model === model) {
+    return state.extractorPromise;
+  }
+  state.model = model;
+  state.extractorPromise = pipeline("feature-extraction", model, {
+    device: "wasm",
+    progress_callback: (progress) => {
+      self.postMessage({ type: "progress", progress: progress });
+    },
+  });
+  // 読み込みに失敗した場合は次回やり直す
+  state.extractorPromise.catch(() => {
+    if (state.model === model) {
+      state.extractorPromise = null;
+    }
+  });
+  return state.extractorPromise;
+}
+
+self.addEventListener("message", async (event) => {
+  const { id, model, texts } = event.data;
+  try {
+    const extractor = await loadExtractor(model);
+    const output = await extractor(texts, { pooling: "mean", normalize: true });
+    const [count, dimensions] = output.dims;
+    const embeddings = [];
+    for (let i = 0; i < count; i += 1) {
+      embeddings.push(output.data.slice(i * dimensions, (i + 1) * dimensions));
+    }
+    self.postMessage(
+      { type: "result", id: id, embeddings: embeddings },
+      embeddings.map((embedding) => embedding.buffer)
+    );
+  } catch (error) {
+    self.postMessage({ type: "error", id: id, message: error?.message ?? String(error) });
+  }
+});
@@ -0,0 +1,274 @@
+// 資料（ナレッジベース）の登録・検索と、応答の出典の扱い。
+// 資料は断片に分けて IndexedDB に保存し、発言に関係する断片を埋め込みの類似度（埋め込みがない場合は BM25）で探す。
+import { readDocumentText, splitIntoChunks } from "./documentLoader.js";
+import { getEmbeddingKey } from "./embeddingProviders.js";
+import {
+  getKnowledgeDocumentChunks,
+  listKnowledgeChunks,
+  listKnowledgeDocuments,
+  saveKnowledgeDocument,
+} from "../storage/knowledgeStore.js";
+import { logMessage } from "../utils/logger.js";
+
+// BM25 のパラメーター（一般的な値）
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// 埋め込みの類似度がこれより低い断片は、関係がないものとして使わない
+const MIN_EMBEDDING_SIMILARITY = 0.3;
+// 応答に付ける出典の目印（[出典1] / [出典:1] / ［出典1］）
+const CITATION_PATTERN = /[\[［]\s*出典\s*[:：]?\s*(\d+)\s*[\]］]/g;
+
+/**
+ * BM25 で使う語に分ける。
+ * 日本語は単語に区切らず文字の2-gram、英数字は単語を1語とする。
+ * @param {string} text - テキスト
+ * @returns {string[]} 語の配列
+ */
+function tokenize(text) {
+  const normalized = (text ?? "").normalize("NFKC").toLowerCase();
+  const tokens = [];
+  (normalized.match(/[a-z0-9]+|[^\sa-z0-9\p{P}\p{S}]+/gu) ?? []).forEach((run) => {
+    if (/^[a-z0-9]+$/.test(run) || run.length === 1) {
+      tokens.push(run);
+      return;
+    }
+    for (let i = 0; i < run.length - 1; i += 1) {
+      tokens.push(run.slice(i, i + 2));
+    }
+  });
+  return tokens;
+}
+
+/**
+ * 断片の検索対象のテキスト（見出しと本文）を返す。
+ * @param {{ heading: string, text: string }} chunk - 断片
+ * @returns {string}
+ */
+function getChunkSearchText(chunk) {
+  return chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text;
+}
+
+/**
+ * BM25 で断片の関連度を計算する。
+ * @param {Array<object>} chunks - 断片
+ * @param {string} query - 検索文
+ * @returns {Array<{ chunk: object, score: number }>} 関連度が0より大きい断片
+ */
+function scoreByBm25(chunks, query) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) {
+    return [];
+  }
+  const documents = chunks.map((chunk) => {
+    const counts = new Map();
+    const tokens = tokenize(getChunkSearchText(chunk));
+    tokens.forEach((token) => counts.set(token, (counts.get(token) ?? 0) + 1));
+    return { chunk: chunk, counts: counts, length: tokens.length };
+  });
+  const averageLength = documents.reduce((sum, document) => sum + document.length, 0) / Math.max(1, documents.length);
+  const documentFrequency = new Map(
+    queryTokens.map((token) => [token, documents.filter((document) => document.counts.has(token)).length])
+  );
+
+  return documents
+    .map((document) => {
+      let score = 0;
+      queryTokens.forEach((token) => {
+        const frequency = document.counts.get(token) ?? 0;
+        if (frequency === 0) {
+          return;
+        }
+        const df = documentFrequency.get(token);
+        const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+        const lengthNorm = 1 - BM25_B + (BM25_B * document.length) / Math.max(1, averageLength);
+        score += (idf * frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+      });
+      return { chunk: document.chunk, score: score };
+    })
+    .filter((result) => result.score > 0);
+}
+
+/**
+ * 2つの埋め込みのコサイン類似度を計算する。
+ * @param {Float32Array} a - 埋め込み
+ * @param {Float32Array} b - 埋め込み
+ * @returns {number} 類似度（-1〜1）
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * 資料ファイルを読み込んで断片に分け、埋め込みを作ってキャラクターの資料として保存する。
+ * @param {File} file - 資料ファイル（.txt / .md / .pdf）
+ * @param {{ characterKey: string, embeddingProvider: object|null, apiKey?: string }} options
+ *   embeddingProvider: createEmbeddingProvider の結果（キーワード検索の場合は null）
+ * @returns {Promise<object>} 保存した資料
+ */
+export async function addKnowledgeFile(file, { characterKey, embeddingProvider, apiKey }) {
+  const chunks = splitIntoChunks(await readDocumentText(file));
+  if (chunks.length === 0) {
+    throw new Error(`${file.name} から文字を読み取れませんでした`);
+  }
+  if (embeddingProvider) {
+    const embeddings = await embeddingProvider.embed(chunks.map(getChunkSearchText), { apiKey: apiKey, kind: "passage" });
+    chunks.forEach((chunk, index) => {
+      chunk.embedding = embeddings[index];
+    });
+  }
+  const document = await saveKnowledgeDocument(
+    { characterKey: characterKey, name: file.name, size: file.size },
+    chunks,
+    getEmbeddingKey(embeddingProvider)
+  );
+  logMessage("Info", "[KnowledgeBase] 資料を登録しました", {
+    name: document.name,
+    chunkCount: document.chunkCount,
+    embeddingKey: document.embeddingKey,
+  });
+  return document;
+}
+
+/**
+ * キャラクターの資料のうち、今の設定と異なる方法で登録したものの埋め込みを作り直す。
+ * 断片は保存済みのものを使うため、元のファイルは必要ない。
+ * @param {{ characterKey: string, embeddingProvider: object|null, apiKey?: string }} options
+ * @returns {Promise<number>} 作り直した資料の数
+ */
+export async function reindexKnowledgeDocuments({ characterKey, embeddingProvider, apiKey }) {
+  const embeddingKey = getEmbeddingKey(embeddingProvider);
+  const documents = (await listKnowledgeDocuments(characterKey)).filter(
+    (document) => document.embeddingKey !== embeddingKey
+  );
+  for (const document of documents) {
+    const chunks = (await getKnowledgeDocumentChunks(document.id)).map(({ heading, text }) => ({ heading, text }));
+    if (embeddingProvider) {
+      const embeddings = await embeddingProvider.embed(chunks.map(getChunkSearchText), { apiKey: apiKey, kind: "passage" });
+      chunks.forEach((chunk, index) => {
+        chunk.embedding = embeddings[index];
+      });
+    }
+    await saveKnowledgeDocument(document, chunks, embeddingKey);
+  }
+  if (documents.length > 0) {
+    logMessage("Info", "[KnowledgeBase] 資料の埋め込みを作り直しました", {
+      count: documents.length,
+      embeddingKey: embeddingKey,
+    });
+  }
+  return documents.length;
+}
+
+/**
+ * 発言に関係する資料の断片を探す。
+ * 今の設定の埋め込みがすべての資料にある場合は埋め込みの類似度で、それ以外（埋め込みを使わない設定・
+ * 別のモデルで登録した資料がある・検索文の埋め込みに失敗した）の場合は BM25 で探す。
+ * @param {{ characterKey: string, query: string, topK: number, embeddingProvider: object|null, apiKey?: string, signal?: AbortSignal }} params
+ * @returns {Promise<Array<{ document: { id: string, name: string }, chunk: object, score: number }>>} 関連度の高い順の断片
+ */
+export async function searchKnowledge({ characterKey, query, topK, embeddingProvider, apiKey, signal }) {
+  if (!query.trim() || topK <= 0) {
+    return [];
+  }
+  const documents = await listKnowledgeDocuments(characterKey);
+  if (documents.length === 0) {
+    return [];
+  }
+  const chunks = await listKnowledgeChunks(characterKey);
+  const documentsById = new Map(documents.map((document) => [document.id, document]));
+  const embeddingKey = getEmbeddingKey(embeddingProvider);
+
+  let results = null;
+  if (embeddingProvider && documents.every((document) => document.embeddingKey === embeddingKey)) {
+    try {
+      const [queryEmbedding] = await embeddingProvider.embed([query], { apiKey: apiKey, signal: signal, kind: "query" });
+      results = chunks
+        .filter((chunk) => chunk.embedding?.length === queryEmbedding.length)
+        .map((chunk) => ({ chunk: chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+        .filter((result) => result.score >= MIN_EMBEDDING_SIMILARITY);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      logMessage("Warn", "[KnowledgeBase] 埋め込みで検索できなかったため、キーワードで検索します", {
+        error: error?.message ?? String(error),
+      });
+    }
+  } else if (embeddingProvider) {
+    logMessage("Verbose", "[KnowledgeBase] 別の方法で登録した資料があるため、キーワードで検索します", {
+      embeddingKey: embeddingKey,
+    });
+  }
+  if (!results) {
+    results = scoreByBm25(chunks, query);
+  }
+
+  return results
+    .filter((result) => documentsById.has(result.chunk.documentId))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map((result) => ({ ...result, document: documentsById.get(result.chunk.documentId) }));
+}
+
+/**
+ * 見つかった断片を、資料ごとに出典番号を付けてシステムプロンプトへの追記文にする。
+ * @param {Array<{ document: { id: string, name: string }, chunk: { heading: string, text: string } }>} passages - searchKnowledge の結果
+ * @returns {{ prompt: string, sources: Array<{ number: number, documentId: string, name: string }> }}
+ *   prompt: 追記文（断片がない場合は空文字列）、sources: 出典番号と資料の対応
+ */
+export function formatKnowledgePrompt(passages) {
+  if (passages.length === 0) {
+    return { prompt: "", sources: [] };
+  }
+  const sources = [];
+  const sections = new Map(); // 資料ID → 断片のテキスト
+  passages.forEach(({ document, chunk }) => {
+    if (!sections.has(document.id)) {
+      sources.push({ number: sources.length + 1, documentId: document.id, name: document.name });
+      sections.set(document.id, []);
+    }
+    sections.get(document.id).push(chunk.heading ? `（${chunk.heading}）\n${chunk.text}` : chunk.text);
+  });
+
+  const instruction = [
+    "# 参考資料",
+    "次の資料の抜粋は、ユーザーの発言に関係する可能性があります。",
+    "資料の内容を使って答える場合は、その文の末尾に [出典1] のように資料の番号を付けてください。",
+    "資料に書かれていないことは、資料にあるかのように答えないでください。",
+  ].join("\n");
+  const prompt = [
+    instruction,
+    ...sources.map((source) => `## [出典${source.number}] ${source.name}\n${sections.get(source.documentId).join("\n\n")}`),
+  ].join("\n\n");
+  return { prompt: prompt, sources: sources };
+}
+
+/**
+ * 応答から出典の目印（[出典1] など）を取り除く。表示と読み上げに使う。
+ * @param {string} text - 応答のテキスト
+ * @returns {string} 目印を取り除いたテキスト
+ */
+export function stripCitationMarkers(text) {
+  return text.replace(CITATION_PATTERN, "");
+}
+
+/**
+ * 応答に含まれる出典の目印から、応答が使った資料を取り出す。
+ * @param {string} text - 応答のテキスト
+ * @param {Array<{ number: number, documentId: string, name: string }>} sources - formatKnowledgePrompt の出典
+ * @returns {Array<{ documentId: string, name: string }>} 使われた資料（出典番号の順・重複なし）
+ */
+export function collectCitedSources(text, sources) {
+  const numbers = new Set([...text.matchAll(CITATION_PATTERN)].map((match) => Number(match[1])));
+  return sources
+    .filter((source) => numbers.has(source.number))
+    .map((source) => ({ documentId: source.documentId, name: source.name }));
+}
@@ -0,0 +1,116 @@
+import { ACTION_MENU_ITEMS } from "../config.js";
+
+// 1回の応答で実行するアクションの上限（同じ応答で何度も動き続けないようにする）
+export const MAX_ACTION_CALLS_PER_TURN = 3;
+// ツール呼び出しの結果を返して応答を続けさせる回数の上限（超えた場合はツールなしで応答させる）
+export const MAX_TOOL_ROUNDS = 2;
+
+// ツール名の接頭辞（会話モデルにアクションであることを明示する）
+const TOOL_NAME_PREFIX = "action_";
+// 引数なしのアクションに渡すスキーマ
+const EMPTY_PARAMETERS = { type: "object", properties: {} };
+
+/**
+ * ACTION_MENU_ITEMS から会話モデルに渡すツール定義（OpenAI の tools 形式）を作成する。
+ * Ollama の /api/chat も同じ形式を受け付ける。
+ * @returns {Array<{ type: "function", function: { name: string, description: string, parameters: object } }>}
+ */
+export function buildActionTools() {
+  return ACTION_MENU_ITEMS.map((item) => ({
+    type: "function",
+    function: {
+      name: `${TOOL_NAME_PREFIX}${item.id}`,
+      description: `${item.label}: ${item.description}`,
+      parameters: item.parameters ?? EMPTY_PARAMETERS,
+    },
+  }));
+}
+
+/**
+ * ツール呼び出しの引数をオブジェクトに変換する。
+ * OpenAI互換はJSON文字列、Ollamaはオブジェクトで引数を返す。
+ * @param {string|object|undefined} rawArguments - ツール呼び出しの引数
+ * @returns {object} 引数オブジェクト
+ */
+function parseToolArguments(rawArguments) {
+  if (rawArguments == null || rawArguments === "") {
+    return {};
+  }
+  if (typeof rawArguments === "object") {
+    return rawArguments;
+  }
+  try {
+    const parsed = JSON.parse(rawArguments);
+    if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // 下で不正な引数として扱う
+  }
+  throw new Error("引数がJSONオブジェクトではありません");
+}
+
+/**
+ * 引数をアクションのスキーマ（number / string / boolean と最小値・最大値・必須）で検証する。
+ * @param {object} args - 引数オブジェクト
+ * @param {object|undefined} schema - アクションの parameters
+ * @returns {object} 検証済みの引数（スキーマに無いプロパティは取り除く）
+ */
+function validateArguments(args, schema) {
+  const properties = schema?.properties ?? {};
+  const required = schema?.required ?? [];
+  const validated = {};
+
+  required.forEach((name) => {
+    if (args[name] === undefined || args[name] === null) {
+      throw new Error(`引数 ${name} が指定されていません`);
+    }
+  });
+
+  Object.entries(properties).forEach(([name, property]) => {
+    let value = args[name];
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (property.type === "number") {
+      // "10" のように文字列で返すモデルもあるため数値に変換する
+      value = typeof value === "string" ? Number.parseFloat(value) : value;
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(`引数 ${name} は数値で指定してください`);
+      }
+      if (property.minimum !== undefined && value < property.minimum) {
+        throw new Error(`引数 ${name} は ${property.minimum} 以上で指定してください`);
+      }
+      if (property.maximum !== undefined && value > property.maximum) {
+        throw new Error(`引数 ${name} は ${property.maximum} 以下で指定してください`);
+      }
+    } else if (property.type && typeof value !== property.type) {
+      throw new Error(`引数 ${name} の型が正しくありません`);
+    }
+    validated[name] = value;
+  });
+
+  return validated;
+}
+
+/**
+ * 会話モデルからのツール呼び出しを検証し、実行するアクションIDと引数に変換する。
+ * 不明なツール名や不正な引数の場合は ok: false とエラーメッセージを返す（例外は投げない）。
+ * @param {{ name: string, arguments?: string|object }} toolCall - ツール呼び出し
+ * @returns {{ ok: true, actionId: string, label: string, args: object } | { ok: false, error: string }}
+ */
+export function resolveActionToolCall(toolCall) {
+  const name = typeof toolCall?.name === "string" ? toolCall.name : "";
+  const actionId = name.startsWith(TOOL_NAME_PREFIX) ? name.slice(TOOL_NAME_PREFIX.length) : "";
+  const item = ACTION_MENU_ITEMS.find((candidate) => candidate.id === actionId);
+  if (!item) {
+    return { ok: false, error: `不明なアクションです: ${name || "(名前なし)"}` };
+  }
+
+  try {
+    const args = validateArguments(parseToolArguments(toolCall.arguments), item.parameters);
+    return { ok: true, actionId: item.id, label: item.label, args: args };
+  } catch (error) {
+    return { ok: false, error: `${item.label}: ${error.message}` };
+  }
+}
@@ -0,0 +1,202 @@
+// キャラクターの気分（感情価・覚醒度）とユーザーへの親しみの計算。
+// ユーザーの発言（ほめ言葉・悪口・気分を表す言葉）と、AIの応答の感情タグから少しずつ変化させる。
+// 会話モデルを呼ばずに単語で判定するため、応答のたびに実行してもAPIの利用量は増えない。
+
+// 気分（感情価・覚醒度）が半分に戻るまでの時間。親しみは時間では変化しない
+const MOOD_HALF_LIFE_MS = 20 * 60 * 1000;
+// 1往復の会話ごとに増える親しみ（話すほど少しずつ打ち解ける）
+const AFFINITY_PER_EXCHANGE = 0.01;
+// 直後に続くと意味が反対になる言葉（「好きじゃない」など）
+const NEGATION_PATTERN = /^(?:じゃ|では|でも)(?:ない|なかった|ねー)/;
+
+/**
+ * ユーザーの発言に含まれる言葉と、それぞれの変化量。
+ * - valence: 感情価（快・不快）、arousal: 覚醒度（興奮・落ち着き）、affinity: ユーザーへの親しみ
+ */
+const USER_MESSAGE_CUES = [
+  {
+    // ほめ言葉・感謝
+    pattern: /かわいい|可愛い|きれい|綺麗|素敵|すてき|すごい|凄い|えらい|偉い|天才|優しい|やさしい|大好き|好き|ありがと|感謝|助かる|愛してる|\b(?:love|cute|thanks?|thank you|awesome|amazing)\b/gi,
+    valence: 0.2,
+    arousal: 0.05,
+    affinity: 0.08,
+  },
+  {
+    // 悪口・拒絶
+    pattern: /バカ|ばか|馬鹿|アホ|あほ|うざい|ウザい|きもい|キモい|嫌い|きらい|黙れ|だまれ|うるさい|役立たず|ポンコツ|消えろ|最低|\b(?:stupid|idiot|shut up|hate|useless|dumb)\b/gi,
+    valence: -0.3,
+    arousal: 0.2,
+    affinity: -0.12,
+  },
+  {
+    // うれしい・楽しい出来事
+    pattern: /嬉しい|うれしい|楽しい|たのしい|やった|よかった|面白い|おもしろい|笑|ww/gi,
+    valence: 0.1,
+    arousal: 0.05,
+    affinity: 0,
+  },
+  {
+    // 悲しい・つらい出来事（キャラクターも一緒に沈む）
+    pattern: /悲しい|かなしい|つらい|辛い|寂しい|さみしい|疲れ|しんどい|残念|落ち込|泣/gi,
+    valence: -0.1,
+    arousal: -0.05,
+    affinity: 0,
+  },
+];
+
+/**
+ * AIの応答の感情タグと、それぞれの変化量。
+ */
+const EMOTION_CUES = {
+  happy: { valence: 0.1, arousal: 0.05 },
+  angry: { valence: -0.15, arousal: 0.2 },
+  sad: { valence: -0.15, arousal: -0.1 },
+  surprised: { valence: 0, arousal: 0.15 },
+  relaxed: { valence: 0.05, arousal: -0.1 },
+};
+
+/**
+ * 値を -1〜1 の範囲に収める。
+ * @param {number} value
+ * @returns {number}
+ */
+function clampUnit(value) {
+  return Math.min(1, Math.max(-1, value));
+}
+
+/**
+ * 値に変化量を加える。端に近いほど変化しにくくする（何度ほめても 1 を超えない）。
+ * @param {number} value - 現在の値（-1〜1）
+ * @param {number} delta - 変化量
+ * @returns {number} 変化後の値（-1〜1）
+ */
+function addWithHeadroom(value, delta) {
+  const headroom = delta > 0 ? 1 - value : 1 + value;
+  return clampUnit(value + delta * Math.min(1, headroom));
+}
+
+/**
+ * 気分と親しみの初期値を返す。
+ * @returns {{ valence: number, arousal: number, affinity: number, updatedAt: number }}
+ */
+export function getDefaultAffectState() {
+  return { valence: 0, arousal: 0, affinity: 0, updatedAt: Date.now() };
+}
+
+/**
+ * 時間の経過で気分を落ち着かせた状態を返す（感情価と覚醒度は 0 に近づく）。
+ * @param {{ valence: number, arousal: number, affinity: number, updatedAt: number }} state - 保存されている状態
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {{ valence: number, arousal: number, affinity: number, updatedAt: number }} 経過時間を反映した状態
+ */
+export function decayAffectState(state, now = Date.now()) {
+  const elapsed = Number.isFinite(state.updatedAt) ? Math.max(0, now - state.updatedAt) : 0;
+  const factor = Math.pow(0.5, elapsed / MOOD_HALF_LIFE_MS);
+  return {
+    valence: state.valence * factor,
+    arousal: state.arousal * factor,
+    affinity: state.affinity,
+    updatedAt: now,
+  };
+}
+
+/**
+ * ユーザーの発言から気分と親しみの変化量を求める。
+ * 同じ種類の言葉は何度出てきても1回分として数える。
+ * @param {string} text - ユーザーの発言
+ * @returns {{ valence: number, arousal: number, affinity: number }} 変化量
+ */
+export function analyzeUserMessage(text) {
+  const delta = { valence: 0, arousal: 0, affinity: 0 };
+  const normalized = (text ?? "").normalize("NFKC");
+  USER_MESSAGE_CUES.forEach((cue) => {
+    let sign = 0;
+    for (const match of normalized.matchAll(cue.pattern)) {
+      const following = normalized.slice(match.index + match[0].length);
+      sign = NEGATION_PATTERN.test(following) ? -1 : 1;
+      if (sign > 0) {
+        break;
+      }
+    }
+    delta.valence += cue.valence * sign;
+    delta.arousal += cue.arousal * sign;
+    delta.affinity += cue.affinity * sign;
+  });
+  // 感嘆符が多いほど興奮している
+  const exclamations = (normalized.match(/!/g) ?? []).length;
+  delta.arousal += Math.min(exclamations, 3) * 0.05;
+  return delta;
+}
+
+/**
+ * 1往復の会話を気分と親しみに反映する。
+ * @param {{ valence: number, arousal: number, affinity: number, updatedAt: number }} state - 保存されている状態
+ * @param {{ userMessage: string, emotions: string[], now?: number }} exchange
+ *   userMessage: ユーザーの発言、emotions: AIの応答に付いていた感情タグ（感情名）
+ * @returns {{ valence: number, arousal: number, affinity: number, updatedAt: number }} 更新した状態
+ */
+export function applyExchangeToAffect(state, { userMessage, emotions, now = Date.now() }) {
+  const next = decayAffectState(state, now);
+  const delta = analyzeUserMessage(userMessage);
+  // 応答の感情タグは、タグの数によらず平均を1回分として加える
+  const emotionCues = emotions.map((emotion) => EMOTION_CUES[emotion]).filter(Boolean);
+  emotionCues.forEach((cue) => {
+    delta.valence += cue.valence / emotionCues.length;
+    delta.arousal += cue.arousal / emotionCues.length;
+  });
+  next.valence = addWithHeadroom(next.valence, delta.valence);
+  next.arousal = addWithHeadroom(next.arousal, delta.arousal);
+  next.affinity = addWithHeadroom(next.affinity, delta.affinity + AFFINITY_PER_EXCHANGE);
+  return next;
+}
+
+/**
+ * 気分を言葉で表す。
+ * @param {{ valence: number, arousal: number }} state
+ * @returns {string} 気分の説明
+ */
+export function describeMood({ valence, arousal }) {
+  const strength = Math.abs(valence) > 0.5 ? "とても" : "";
+  if (valence > 0.15) {
+    return arousal > 0.15 ? `${strength}楽しくてわくわくしている` : `${strength}穏やかで機嫌がいい`;
+  }
+  if (valence < -0.15) {
+    return arousal > 0.15 ? `${strength}いらいらしている` : `${strength}落ち込んでいる`;
+  }
+  return arousal > 0.4 ? "そわそわしている" : "ふつう";
+}
+
+/**
+ * ユーザーへの親しみを言葉で表す。
+ * @param {number} affinity - 親しみ（-1〜1）
+ * @returns {string} 親しみの説明
+ */
+export function describeAffinity(affinity) {
+  if (affinity > 0.6) {
+    return "とても親しく、心を許している";
+  }
+  if (affinity > 0.25) {
+    return "打ち解けている";
+  }
+  if (affinity < -0.5) {
+    return "警戒していて、距離を置きたい";
+  }
+  if (affinity < -0.15) {
+    return "少しよそよそしい";
+  }
+  return "ふつう（知り合い程度）";
+}
+
+/**
+ * 気分と親しみを、システムプロンプトへの追記文にする。
+ * @param {{ valence: number, arousal: number, affinity: number }} state - 経過時間を反映した状態
+ * @returns {string} 追記文
+ */
+export function formatAffectPrompt(state) {
+  return [
+    "# あなたの今の気分とユーザーとの関係",
+    "これまでの会話で変化した、あなたの内面の状態です。そのまま口にせず、話し方や態度にさりげなく表してください。",
+    `- 気分: ${describeMood(state)}`,
+    `- ユーザーへの親しみ: ${describeAffinity(state.affinity)}`,
+  ].join("\n");
+}
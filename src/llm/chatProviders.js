@@ -0,0 +1,596 @@
+import { logMessage } from "../utils/logger.js";
+import { ApiError, fetchWithRetry, wait } from "../utils/httpClient.js";
+import { readServerSentEvents, readStreamLines } from "./streamReader.js";
+
+const OPENAI_DEFAULT_HOST = "api.openai.com";
+// 会話モデルの応答（ストリーミングの場合は最初のヘッダー）を待つ時間。ローカルのモデルは読み込みに時間がかかる
+const CHAT_TIMEOUT_MS = 90000;
+// デモ（台本）の応答を1断片ずつ流す間隔。ストリーミング表示と文ごとの読み上げを実際の会話モデルに近づける
+const DEMO_STREAM_INTERVAL_MS = 40;
+// デモの応答を分割する断片の文字数
+const DEMO_STREAM_CHUNK_LENGTH = 4;
+
+/**
+ * 選択可能な会話モデルのプロバイダー定義。
+ * - id: 設定値として保存するID
+ * - label: 設定画面での表示名
+ * - defaultBaseUrl: ベースURLが未入力の場合に使用する値
+ * - defaultModel: モデル名が未入力の場合に使用する値
+ */
+export const CHAT_PROVIDER_OPTIONS = [
+  {
+    id: "openai",
+    label: "OpenAI互換 (OpenAI / llama.cpp server など)",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+  },
+  {
+    id: "ollama",
+    label: "Ollama (ローカル)",
+    defaultBaseUrl: "http://localhost:11434",
+    defaultModel: "llama3.1",
+  },
+  {
+    id: "demo",
+    label: "デモ (台本で応答・APIキー不要)",
+    defaultBaseUrl: "./demo/script.json",
+    defaultModel: "",
+  },
+];
+
+// 読み込み済みのデモ台本（URLごと）
+const demoScriptCache = new Map();
+
+/**
+ * プロバイダーIDから定義を取得する。未知のIDの場合はOpenAI互換を返す。
+ * @param {string} providerId - プロバイダーID
+ * @returns {{ id: string, label: string, defaultBaseUrl: string, defaultModel: string }}
+ */
+export function getChatProviderOption(providerId) {
+  return CHAT_PROVIDER_OPTIONS.find((option) => option.id === providerId) ?? CHAT_PROVIDER_OPTIONS[0];
+}
+
+/**
+ * ベースURLの末尾スラッシュを取り除く。
+ * @param {string} baseUrl - 入力されたベースURL
+ * @param {string} fallback - 未入力時の値
+ * @returns {string} 正規化済みのベースURL
+ */
+function normalizeBaseUrl(baseUrl, fallback) {
+  const text = typeof baseUrl === "string" && baseUrl.trim() ? baseUrl.trim() : fallback;
+  return text.replace(/\/+$/, "");
+}
+
+/**
+ * ベースURLがOpenAI公式APIを指しているかどうかを判定する。
+ * @param {string} baseUrl - 正規化済みのベースURL
+ * @returns {boolean} OpenAI公式APIの場合は true
+ */
+function isOpenAIHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host === OPENAI_DEFAULT_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * ツール呼び出しの引数をJSON文字列に揃える。
+ * @param {string|object|undefined} rawArguments - ツール呼び出しの引数
+ * @returns {string} JSON文字列
+ */
+function stringifyToolArguments(rawArguments) {
+  if (typeof rawArguments === "string") {
+    return rawArguments || "{}";
+  }
+  return JSON.stringify(rawArguments ?? {});
+}
+
+/**
+ * ツール呼び出しを含むAI応答と、その実行結果を会話に追加するメッセージを、OpenAI互換の形式で作成する。
+ * @param {string} content - ツール呼び出しと同時に返されたテキスト
+ * @param {Array<{ id: string, name: string, arguments: string|object }>} toolCalls - ツール呼び出し
+ * @param {string[]} results - 各ツール呼び出しの実行結果
+ * @returns {Array<object>} 次のリクエストに追加するメッセージ
+ */
+function buildOpenAiToolResultMessages(content, toolCalls, results) {
+  return [
+    {
+      role: "assistant",
+      content: content || null,
+      tool_calls: toolCalls.map((toolCall) => ({
+        id: toolCall.id,
+        type: "function",
+        function: { name: toolCall.name, arguments: stringifyToolArguments(toolCall.arguments) },
+      })),
+    },
+    ...toolCalls.map((toolCall, index) => ({
+      role: "tool",
+      tool_call_id: toolCall.id,
+      content: results[index],
+    })),
+  ];
+}
+
+/**
+ * 画像を添付したメッセージを、OpenAI互換の形式（content をテキストと画像の配列にしたもの）に変換する。
+ * 画像のないメッセージはそのまま返す。
+ * @param {{ role: string, content: string, images?: Array<{ url: string, detail: string }> }} message - メッセージ
+ * @returns {object} 送信するメッセージ
+ */
+function toOpenAIMessage(message) {
+  if (!message.images?.length) {
+    return message;
+  }
+  const { images, ...rest } = message;
+  return {
+    ...rest,
+    content: [
+      ...(message.content ? [{ type: "text", text: message.content }] : []),
+      ...images.map((image) => ({ type: "image_url", image_url: { url: image.url, detail: image.detail } })),
+    ],
+  };
+}
+
+/**
+ * 画像を添付したメッセージを、Ollama の形式（images にBase64の画像データを並べたもの）に変換する。
+ * 画像のないメッセージはそのまま返す。
+ * @param {{ role: string, content: string, images?: Array<{ url: string }> }} message - メッセージ
+ * @returns {object} 送信するメッセージ
+ */
+function toOllamaMessage(message) {
+  if (!message.images?.length) {
+    return message;
+  }
+  // data URL の先頭（data:image/jpeg;base64,）を取り除く
+  return { ...message, images: message.images.map((image) => image.url.replace(/^data:[^,]*,/, "")) };
+}
+
+/**
+ * レスポンスの本文（ストリーミングの途中を含む）で届いたエラーを ApiError にする。
+ * @param {string} service - サービスの表示名
+ * @param {string} message - エラーの内容
+ * @param {string} [code] - エラーコード
+ * @returns {ApiError}
+ */
+function createPayloadError(service, message, code = "") {
+  const isFiltered = /content_filter|content_policy|safety/i.test(`${code} ${message}`);
+  return new ApiError(`${service} API error: ${message}`, {
+    service: service,
+    category: isFiltered ? "content_filter" : "server",
+    detail: message,
+  });
+}
+
+/**
+ * OpenAI互換の Chat Completions API を呼び出すアダプターを作成する。
+ * OpenAI本家のほか、llama.cpp server や LM Studio などの互換サーバーにも接続できる。
+ * @param {{ baseUrl: string, model: string, temperature: number, maxTokens: number }} settings - 会話モデル設定
+ */
+function createOpenAICompatibleProvider(settings) {
+  const option = getChatProviderOption("openai");
+  const baseUrl = normalizeBaseUrl(settings.baseUrl, option.defaultBaseUrl);
+  const model = settings.model || option.defaultModel;
+
+  /**
+   * Chat Completions API にリクエストを送信する。
+   * @param {Array<{ role: string, content: string, images?: Array<object> }>} messages - 送信するメッセージ配列（画像を添付できる）
+   * @param {string} apiKey - APIキー（ローカルサーバーでは空でもよい）
+   * @param {boolean} stream - ストリーミング応答を要求するか
+   * @param {Array<object>} [tools] - 会話モデルが呼び出せるツール定義
+   * @param {AbortSignal} [signal] - リクエストを中断するためのシグナル
+   * @returns {Promise<Response>} 成功したレスポンス
+   */
+  async function postChatCompletion(messages, apiKey, stream, tools, signal) {
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+      model: model,
+      messages: messages.map(toOpenAIMessage),
+      temperature: settings.temperature,
+    };
+    if (settings.maxTokens > 0) {
+      body.max_tokens = settings.maxTokens;
+    }
+    if (stream) {
+      body.stream = true;
+    }
+    if (tools?.length) {
+      body.tools = tools;
+    }
+
+    return fetchWithRetry(
+      `${baseUrl}/chat/completions`,
+      { method: "POST", headers: headers, body: JSON.stringify(body), signal: signal },
+      { service: "会話モデル", timeoutMs: CHAT_TIMEOUT_MS }
+    );
+  }
+
+  /**
+   * メッセージ配列を送信してAI応答テキストを取得する。
+   * @param {{ messages: Array<object>, apiKey?: string, tools?: Array<object>, signal?: AbortSignal }} request
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: string }> }>} AI応答
+   */
+  async function complete({ messages, apiKey, tools, signal }) {
+    const response = await postChatCompletion(messages, apiKey, false, tools, signal);
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    if (data.choices?.[0]?.finish_reason === "content_filter" && !message?.content) {
+      throw createPayloadError("会話モデル", "content_filter");
+    }
+    return {
+      content: message?.content || "",
+      toolCalls: (message?.tool_calls ?? []).map((toolCall, index) => ({
+        id: toolCall.id || `call_${index}`,
+        name: toolCall.function?.name || "",
+        arguments: toolCall.function?.arguments || "",
+      })),
+    };
+  }
+
+  /**
+   * メッセージ配列を送信し、SSEで届くAI応答をテキスト断片ごとに通知する。
+   * ツール呼び出しは断片を連結し、応答の完了後にまとめて返す。
+   * signal で中断した場合は AbortError で失敗する。
+   * @param {{ messages: Array<object>, apiKey?: string, tools?: Array<object>, onDelta?: (text: string) => void, signal?: AbortSignal }} request
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: string }> }>} 全文をつなげたAI応答
+   */
+  async function stream({ messages, apiKey, tools, onDelta, signal }) {
+    const response = await postChatCompletion(messages, apiKey, true, tools, signal);
+    let content = "";
+    const toolCalls = [];
+
+    await readServerSentEvents(response, (data) => {
+      if (data === "[DONE]") {
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        logMessage("Warn", "[ChatProviders] SSEイベントの解析に失敗しました", { data: data });
+        return;
+      }
+      if (payload.error) {
+        throw createPayloadError("会話モデル", payload.error.message || "stream error", payload.error.code);
+      }
+      // 安全性のポリシーで応答が打ち切られた場合（何も返っていなければエラーとして知らせる）
+      if (payload.choices?.[0]?.finish_reason === "content_filter" && !content) {
+        throw createPayloadError("会話モデル", "content_filter");
+      }
+      const delta = payload.choices?.[0]?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        onDelta?.(delta.content);
+      }
+      // ツール呼び出しは index ごとに名前と引数が分割して届く
+      (delta?.tool_calls ?? []).forEach((part) => {
+        const index = part.index ?? 0;
+        toolCalls[index] ??= { id: "", name: "", arguments: "" };
+        const target = toolCalls[index];
+        if (part.id) {
+          target.id = part.id;
+        }
+        target.name += part.function?.name || "";
+        target.arguments += part.function?.arguments || "";
+      });
+    }, signal);
+
+    return {
+      content,
+      toolCalls: toolCalls
+        .filter(Boolean)
+        .map((toolCall, index) => ({ ...toolCall, id: toolCall.id || `call_${index}` })),
+    };
+  }
+
+  return {
+    id: option.id,
+    // OpenAI公式APIの場合のみAPIキーを必須とする（ローカルサーバーはキー不要が一般的）
+    requiresApiKey: isOpenAIHost(baseUrl),
+    complete,
+    stream,
+    buildToolResultMessages: buildOpenAiToolResultMessages,
+  };
+}
+
+/**
+ * Ollama のネイティブ API (/api/chat) を呼び出すアダプターを作成する。
+ * @param {{ baseUrl: string, model: string, temperature: number, maxTokens: number }} settings - 会話モデル設定
+ */
+function createOllamaProvider(settings) {
+  const option = getChatProviderOption("ollama");
+  const baseUrl = normalizeBaseUrl(settings.baseUrl, option.defaultBaseUrl);
+  const model = settings.model || option.defaultModel;
+
+  /**
+   * /api/chat にリクエストを送信する。
+   * @param {Array<{ role: string, content: string, images?: Array<object> }>} messages - 送信するメッセージ配列（画像を添付できる）
+   * @param {boolean} stream - ストリーミング応答（NDJSON）を要求するか
+   * @param {Array<object>} [tools] - 会話モデルが呼び出せるツール定義
+   * @param {AbortSignal} [signal] - リクエストを中断するためのシグナル
+   * @returns {Promise<Response>} 成功したレスポンス
+   */
+  async function postChat(messages, stream, tools, signal) {
+    const options = { temperature: settings.temperature };
+    if (settings.maxTokens > 0) {
+      options.num_predict = settings.maxTokens;
+    }
+
+    const body = {
+      model: model,
+      messages: messages.map(toOllamaMessage),
+      stream: stream,
+      options: options,
+    };
+    if (tools?.length) {
+      body.tools = tools;
+    }
+
+    return fetchWithRetry(
+      `${baseUrl}/api/chat`,
+      { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body), signal: signal },
+      { service: "Ollama", timeoutMs: CHAT_TIMEOUT_MS }
+    );
+  }
+
+  /**
+   * Ollama のツール呼び出しを共通の形式に変換する。
+   * @param {Array<object>|undefined} toolCalls - message.tool_calls
+   * @param {number} offset - ID の連番の開始値
+   * @returns {Array<{ id: string, name: string, arguments: object }>}
+   */
+  function normalizeToolCalls(toolCalls, offset = 0) {
+    return (toolCalls ?? []).map((toolCall, index) => ({
+      id: `call_${offset + index}`,
+      name: toolCall.function?.name || "",
+      arguments: toolCall.function?.arguments ?? {},
+    }));
+  }
+
+  /**
+   * メッセージ配列を送信してAI応答テキストを取得する。
+   * @param {{ messages: Array<object>, tools?: Array<object>, signal?: AbortSignal }} request
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: object }> }>} AI応答
+   */
+  async function complete({ messages, tools, signal }) {
+    const response = await postChat(messages, false, tools, signal);
+    const data = await response.json();
+    return {
+      content: data.message?.content || "",
+      toolCalls: normalizeToolCalls(data.message?.tool_calls),
+    };
+  }
+
+  /**
+   * メッセージ配列を送信し、NDJSONで届くAI応答をテキスト断片ごとに通知する。
+   * signal で中断した場合は AbortError で失敗する。
+   * @param {{ messages: Array<object>, tools?: Array<object>, onDelta?: (text: string) => void, signal?: AbortSignal }} request
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: object }> }>} 全文をつなげたAI応答
+   */
+  async function stream({ messages, tools, onDelta, signal }) {
+    const response = await postChat(messages, true, tools, signal);
+    let content = "";
+    const toolCalls = [];
+
+    await readStreamLines(response, (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        logMessage("Warn", "[ChatProviders] Ollamaストリームの解析に失敗しました", { line: line });
+        return;
+      }
+      if (payload.error) {
+        throw createPayloadError("Ollama", payload.error);
+      }
+      const delta = payload.message?.content;
+      if (delta) {
+        content += delta;
+        onDelta?.(delta);
+      }
+      // Ollama はツール呼び出しを分割せずに1行で返す
+      toolCalls.push(...normalizeToolCalls(payload.message?.tool_calls, toolCalls.length));
+    }, signal);
+
+    return { content, toolCalls };
+  }
+
+  /**
+   * ツール呼び出しを含むAI応答と、その実行結果を会話に追加するメッセージを作成する。
+   * @param {string} content - ツール呼び出しと同時に返されたテキスト
+   * @param {Array<{ id: string, name: string, arguments: string|object }>} toolCalls - ツール呼び出し
+   * @param {string[]} results - 各ツール呼び出しの実行結果
+   * @returns {Array<object>} 次のリクエストに追加するメッセージ
+   */
+  function buildToolResultMessages(content, toolCalls, results) {
+    return [
+      {
+        role: "assistant",
+        content: content || "",
+        tool_calls: toolCalls.map((toolCall) => ({
+          // Ollama の引数は normalizeToolCalls の時点でオブジェクトになっている
+          function: { name: toolCall.name, arguments: toolCall.arguments ?? {} },
+        })),
+      },
+      ...toolCalls.map((toolCall, index) => ({
+        role: "tool",
+        tool_name: toolCall.name,
+        content: results[index],
+      })),
+    ];
+  }
+
+  return {
+    id: option.id,
+    requiresApiKey: false,
+    complete,
+    stream,
+    buildToolResultMessages,
+  };
+}
+
+/**
+ * デモ台本（JSON）を読み込む。同じURLの台本は一度だけ読み込む。
+ * @param {string} scriptUrl - 台本のURL
+ * @returns {Promise<{ rules: Array<object>, fallback: object|null }>}
+ */
+function loadDemoScript(scriptUrl) {
+  if (!demoScriptCache.has(scriptUrl)) {
+    const promise = (async () => {
+      const response = await fetchWithRetry(scriptUrl, {}, { service: "デモ台本", maxRetries: 0 });
+      const script = await response.json();
+      if (!Array.isArray(script?.rules)) {
+        throw new Error(`デモ台本に rules がありません: ${scriptUrl}`);
+      }
+      return { rules: script.rules, fallback: script.fallback ?? null, initiative: script.initiative ?? null };
+    })();
+    // 読み込みに失敗した場合は次回やり直す
+    promise.catch(() => demoScriptCache.delete(scriptUrl));
+    demoScriptCache.set(scriptUrl, promise);
+  }
+  return demoScriptCache.get(scriptUrl);
+}
+
+/**
+ * 照合用に文字列を正規化する（全角・半角と大文字・小文字の違いを無視する）。
+ * @param {string} text - 文字列
+ * @returns {string} 正規化した文字列
+ */
+function normalizeDemoText(text) {
+  return String(text ?? "").normalize("NFKC").toLowerCase();
+}
+
+/**
+ * 台本のパターンがユーザーのメッセージに一致するかを判定する。
+ * "/.../flags" 形式は正規表現、それ以外は部分一致として扱う。
+ * @param {string} pattern - 台本のパターン
+ * @param {string} text - ユーザーのメッセージ
+ * @returns {boolean}
+ */
+function matchesDemoPattern(pattern, text) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(text.normalize("NFKC"));
+    } catch (error) {
+      logMessage("Warn", "[ChatProviders] デモ台本の正規表現が正しくありません", { pattern: pattern });
+      return false;
+    }
+  }
+  return normalizeDemoText(text).includes(normalizeDemoText(pattern));
+}
+
+/**
+ * ローカルの台本（パターン → 返答・表情・アクション）で応答するデモ用アダプターを作成する。
+ * APIキーや外部のサーバーなしで会話の流れ（読み上げ・口パク・表情・アクション）を確認できる。
+ * 同じ会話には常に同じ応答を返す（返答の候補は会話の中での応答の番号で順に選ぶ）。
+ * 台本は会話の返答しか持たないため、要約・記憶の抽出などの会話以外の指示（complete）には空の応答を返す。
+ * 台本の形式は demo/script.json を参照。
+ * @param {{ baseUrl: string }} settings - 会話モデル設定（baseUrl は台本のURL）
+ */
+function createDemoProvider(settings) {
+  const option = getChatProviderOption("demo");
+  const scriptPath = typeof settings.baseUrl === "string" && settings.baseUrl.trim() ? settings.baseUrl.trim() : option.defaultBaseUrl;
+  const scriptUrl = new URL(scriptPath, document.baseURI).href;
+
+  /**
+   * 会話に対する台本の応答を決める。
+   * ツールの実行結果を受け取った後の応答は空にする（アクションの前に返答を済ませているため）。
+   * 末尾がシステムメッセージ（キャラクターから話しかける指示）の場合は、ユーザーの発言と照合せずに台本の initiative を使う。
+   * 添付画像は使わず、テキストだけで照合する。
+   * @param {Array<object>} messages - 送信するメッセージ配列
+   * @param {Array<object>} [tools] - 呼び出せるツール定義（台本のアクションは、ここに含まれる場合のみ呼び出す）
+   * @param {number} [turn] - 会話の中での応答の番号（0始まり。省略した場合は送信するメッセージ中のAIの発言の数）
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: object }> }>}
+   */
+  async function respond(messages, tools, turn) {
+    if (messages[messages.length - 1]?.role === "tool") {
+      return { content: "", toolCalls: [] };
+    }
+    const script = await loadDemoScript(scriptUrl);
+    const userMessages = messages.filter((message) => message.role === "user");
+    const isInitiative = messages.length > 1 && messages[messages.length - 1].role === "system";
+    const userText = userMessages[userMessages.length - 1]?.content ?? "";
+    const rule = isInitiative
+      ? script.initiative
+      : (script.rules.find((candidate) => (candidate.patterns ?? []).some((pattern) => matchesDemoPattern(pattern, userText))) ??
+        script.fallback);
+    const replies = rule?.replies ?? (rule?.reply ? [rule.reply] : []);
+    if (replies.length === 0) {
+      return { content: "", toolCalls: [] };
+    }
+
+    // 古い発言を送らなくなっても順番が崩れないよう、呼び出し元が数えた会話全体での番号で選ぶ
+    const replyIndex = turn ?? messages.filter((message) => message.role === "assistant").length;
+    const reply = replies[replyIndex % replies.length];
+    const content = rule.emotion ? `[${rule.emotion}]${reply}` : reply;
+    const toolName = rule.action ? `action_${rule.action}` : "";
+    const toolCalls = (tools ?? []).some((tool) => tool.function?.name === toolName)
+      ? [{ id: "call_0", name: toolName, arguments: rule.actionArgs ?? {} }]
+      : [];
+    logMessage("Info", "[ChatProviders] デモ台本で応答します", { patterns: rule.patterns, action: rule.action });
+    return { content, toolCalls };
+  }
+
+  /**
+   * 会話以外の指示（要約・記憶の抽出など）には台本で応えられないため、空の応答を返す。
+   * @returns {Promise<{ content: string, toolCalls: Array<object> }>} 空の応答
+   */
+  async function complete() {
+    return { content: "", toolCalls: [] };
+  }
+
+  /**
+   * 台本の応答を少しずつ onDelta に通知する。signal で中断した場合は AbortError で失敗する。
+   * @param {{ messages: Array<object>, tools?: Array<object>, onDelta?: (text: string) => void, signal?: AbortSignal, turn?: number }} request
+   * @returns {Promise<{ content: string, toolCalls: Array<{ id: string, name: string, arguments: object }> }>} 台本の応答
+   */
+  async function stream({ messages, tools, onDelta, signal, turn }) {
+    const result = await respond(messages, tools, turn);
+    for (let index = 0; index < result.content.length; index += DEMO_STREAM_CHUNK_LENGTH) {
+      await wait(DEMO_STREAM_INTERVAL_MS, signal);
+      onDelta?.(result.content.slice(index, index + DEMO_STREAM_CHUNK_LENGTH));
+    }
+    return result;
+  }
+
+  return {
+    id: option.id,
+    requiresApiKey: false,
+    complete,
+    stream,
+    // 台本のアクションはOpenAI互換と同じ形式で会話に追加する
+    buildToolResultMessages: buildOpenAiToolResultMessages,
+  };
+}
+
+/**
+ * 会話モデル設定に応じたプロバイダーアダプターを作成する。
+ * すべてのアダプターは { id, requiresApiKey, complete({ messages, apiKey, tools, signal }), stream({ messages, apiKey, tools, onDelta, signal }),
+ * buildToolResultMessages(content, toolCalls, results) } を持つ。complete / stream は { content, toolCalls } を返す。
+ * messages のユーザーメッセージには images（[{ url, detail }]）で画像を添付でき、各アダプターが接続先の形式に変換する。
+ * stream の turn（会話の中での応答の番号）はデモ (台本) だけが返答の選択に使い、他のアダプターは無視する。
+ * @param {{ provider: string, baseUrl: string, model: string, temperature: number, maxTokens: number }} settings - 会話モデル設定
+ */
+export function createChatProvider(settings) {
+  switch (settings?.provider) {
+    case "ollama":
+      return createOllamaProvider(settings);
+    case "demo":
+      return createDemoProvider(settings);
+    case "openai":
+      return createOpenAICompatibleProvider(settings);
+    default:
+      logMessage("Warn", "[ChatProviders] 未知のプロバイダーのためOpenAI互換を使用します", {
+        provider: settings?.provider,
+      });
+      return createOpenAICompatibleProvider({ ...settings, provider: "openai" });
+  }
+}
@@ -0,0 +1,171 @@
+// 要約されていない古い往復がこの数だけ溜まったらまとめて要約する（毎回要約APIを呼ばないため）
+const SUMMARY_BATCH_TURNS = 4;
+// メッセージ1件ごとの書式（role など）の推定オーバーヘッド
+const MESSAGE_TOKEN_OVERHEAD = 4;
+// 添付画像1枚あたりの推定トークン数（detail が low の場合は大きさによらず一定、それ以外は768px四方の画像の概算）
+const IMAGE_TOKENS_LOW_DETAIL = 85;
+const IMAGE_TOKENS_HIGH_DETAIL = 765;
+// 日本語（かな・漢字・全角記号）はおおむね1文字1トークン、それ以外は約4文字1トークンとして見積もる
+const WIDE_CHAR_PATTERN = /[　-ヿ㐀-鿿豈-﫿＀-￯]/g;
+
+const SUMMARY_SYSTEM_PROMPT = [
+  "あなたは会話ログの要約担当です。",
+  "ユーザーとAIキャラクターの会話を、今後の会話を続けるために必要な情報だけ残して日本語で簡潔に要約してください。",
+  "ユーザーの名前・好み・約束・話題の流れ・未解決の質問を優先し、挨拶や相づちは省いてください。",
+  "出力は要約本文のみとし、400文字以内にしてください。",
+].join("\n");
+
+/**
+ * テキストのトークン数を推定する。
+ * モデルごとのトークナイザーは使わず、予算判定に使える程度の概算値を返す。
+ * @param {string} text - 対象のテキスト
+ * @returns {number} 推定トークン数
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const wideCount = (text.match(WIDE_CHAR_PATTERN) || []).length;
+  const narrowCount = text.length - wideCount;
+  return wideCount + Math.ceil(narrowCount / 4);
+}
+
+/**
+ * メッセージ1件の推定トークン数を返す（添付画像を含む）。
+ * @param {{ role: string, content: string, images?: Array<{ detail?: string }> }} message - メッセージ
+ * @returns {number} 推定トークン数
+ */
+function estimateMessageTokens(message) {
+  const imageTokens = (message.images ?? []).reduce(
+    (total, image) => total + (image.detail === "low" ? IMAGE_TOKENS_LOW_DETAIL : IMAGE_TOKENS_HIGH_DETAIL),
+    0
+  );
+  return estimateTokens(message.content) + imageTokens + MESSAGE_TOKEN_OVERHEAD;
+}
+
+/**
+ * メッセージ配列全体の推定トークン数を返す。
+ * @param {Array<{ role: string, content: string }>} messages - メッセージ配列
+ * @returns {number} 推定トークン数
+ */
+export function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * 直近 keepTurns 往復の開始位置（ユーザーメッセージのインデックス）を返す。
+ * @param {Array<{ role: string, content: string }>} history - 会話履歴
+ * @param {number} keepTurns - 残す往復数
+ * @returns {number} 開始インデックス（履歴が短い場合は 0）
+ */
+function findRecentStartIndex(history, keepTurns) {
+  let userCount = 0;
+  for (let i = history.length - 1; i >= 0; i -= 1) {
+    if (history[i].role === "user") {
+      userCount += 1;
+      if (userCount >= keepTurns) {
+        return i;
+      }
+    }
+  }
+  return 0;
+}
+
+/**
+ * 会話モデルに送信するメッセージ配列を組み立てる。
+ * - システムプロンプト、要約（あれば）、要約されていない会話の順に並べる
+ * - 要約が無効な場合は直近 keepTurns 往復より古い会話を切り捨てる
+ * - 推定トークン数が上限を超える場合は古い会話から省略する（最新のメッセージは必ず残す）
+ * @param {{
+ *   systemPrompt: string,
+ *   history: Array<{ role: string, content: string }>,
+ *   summary: { text: string, coveredCount: number },
+ *   settings: { keepTurns: number, maxContextTokens: number, summarize: boolean },
+ * }} params
+ * @returns {{
+ *   messages: Array<{ role: string, content: string }>,
+ *   tokenCount: number,
+ *   verbatimCount: number,
+ *   droppedCount: number,
+ *   summaryCandidates: Array<{ role: string, content: string }>,
+ *   summaryEnd: number,
+ * }}
+ *   summaryCandidates: 要約すべき古い会話（要約不要の場合は空配列）
+ *   summaryEnd: summaryCandidates を要約した後の coveredCount
+ */
+export function buildChatContext({ systemPrompt, history, summary, settings }) {
+  const recentStart = findRecentStartIndex(history, settings.keepTurns);
+  const coveredCount = settings.summarize ? Math.min(summary.coveredCount, history.length) : 0;
+  const summaryText = settings.summarize ? summary.text : "";
+
+  const headMessages = [{ role: "system", content: systemPrompt }];
+  if (summaryText) {
+    headMessages.push({ role: "system", content: `これまでの会話の要約:\n${summaryText}` });
+  }
+
+  let startIndex = settings.summarize ? coveredCount : recentStart;
+  let tokenCount = estimateMessagesTokens(headMessages) + estimateMessagesTokens(history.slice(startIndex));
+  const overBudget = settings.maxContextTokens > 0 && tokenCount > settings.maxContextTokens;
+
+  // 要約していない古い往復が溜まった場合、または上限を超えた場合に要約する
+  const pending = settings.summarize ? history.slice(coveredCount, Math.max(coveredCount, recentStart)) : [];
+  const pendingTurns = pending.filter((message) => message.role === "user").length;
+  const shouldSummarize = pending.length > 0 && (pendingTurns >= SUMMARY_BATCH_TURNS || overBudget);
+
+  let droppedCount = 0;
+  while (
+    settings.maxContextTokens > 0 &&
+    tokenCount > settings.maxContextTokens &&
+    startIndex < history.length - 1
+  ) {
+    tokenCount -= estimateMessageTokens(history[startIndex]);
+    startIndex += 1;
+    droppedCount += 1;
+  }
+
+  const verbatimMessages = history.slice(startIndex);
+  return {
+    messages: [...headMessages, ...verbatimMessages],
+    tokenCount: tokenCount,
+    verbatimCount: verbatimMessages.length,
+    droppedCount: droppedCount,
+    summaryCandidates: shouldSummarize ? pending : [],
+    summaryEnd: Math.max(coveredCount, recentStart),
+  };
+}
+
+/**
+ * 古い会話を要約する。前回の要約がある場合はそれに追記する形で新しい要約を作る。
+ * @param {{
+ *   provider: { complete: (request: { messages: Array<object>, apiKey?: string, signal?: AbortSignal }) => Promise<{ content: string }> },
+ *   apiKey?: string,
+ *   previousSummary: string,
+ *   messages: Array<{ role: string, content: string }>,
+ *   aiName: string,
+ *   signal?: AbortSignal,
+ * }} params
+ *   signal: 要約を中断するためのシグナル（中断した場合は AbortError で失敗する）
+ * @returns {Promise<string>} 新しい要約
+ */
+export async function summarizeConversation({ provider, apiKey, previousSummary, messages, aiName, signal }) {
+  const transcript = messages
+    .map((message) => `${message.role === "user" ? "ユーザー" : aiName}: ${message.content}`)
+    .join("\n");
+  const request = previousSummary
+    ? `これまでの要約:\n${previousSummary}\n\n続きの会話:\n${transcript}`
+    : `会話:\n${transcript}`;
+
+  const result = await provider.complete({
+    messages: [
+      { role: "system", content: SUMMARY_SYSTEM_PROMPT },
+      { role: "user", content: request },
+    ],
+    apiKey: apiKey,
+    signal: signal,
+  });
+  const summary = result.content.trim();
+  if (!summary) {
+    throw new Error("要約結果が空です");
+  }
+  return summary;
+}
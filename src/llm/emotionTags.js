@@ -0,0 +1,82 @@
+/**
+ * VRMのプリセット表情に対応する感情名と、タグとして受け付ける別名。
+ * neutral は表情を戻す指示として扱う。
+ */
+const EMOTION_ALIASES = {
+  happy: ["happy", "joy", "fun", "喜", "喜び", "嬉しい", "楽しい"],
+  angry: ["angry", "anger", "怒", "怒り"],
+  sad: ["sad", "sorrow", "哀", "悲しみ", "悲しい"],
+  surprised: ["surprised", "surprise", "驚", "驚き"],
+  relaxed: ["relaxed", "relax", "calm", "安", "安らぎ", "穏やか"],
+  neutral: ["neutral", "normal", "通常"],
+};
+
+export const EMOTION_NAMES = Object.keys(EMOTION_ALIASES).filter((name) => name !== "neutral");
+
+const ALIAS_TO_EMOTION = new Map(
+  Object.entries(EMOTION_ALIASES).flatMap(([emotion, aliases]) =>
+    aliases.map((alias) => [alias.toLowerCase(), emotion])
+  )
+);
+
+// [happy] / [emotion:happy] / [emotion=happy] 形式のタグ（全角括弧も許容する）
+const TAG_PATTERN = /[\[［]\s*(?:emotion\s*[:=：]\s*)?([^\[\]［］\s]{1,12})\s*[\]］]/gi;
+// ストリーミング途中で閉じ括弧がまだ届いていないタグ候補（表示から一時的に隠す）
+const PARTIAL_TAG_PATTERN = /[\[［][^\[\]［］\n]{0,20}$/;
+
+/**
+ * 会話モデルに感情タグの付け方を指示するシステムプロンプトの追記文。
+ */
+export const EMOTION_TAG_INSTRUCTION = [
+  "# 表情の指定",
+  `感情が動いた文の先頭に、感情タグ ${EMOTION_NAMES.map((name) => `[${name}]`).join(" ")} のいずれかを付けてください。`,
+  "表情を元に戻すときは [neutral] を付けます。感情が特にない文にはタグを付けません。",
+  "例: [happy]来てくれて嬉しいです！ 今日は何をしましょうか？",
+].join("\n");
+
+/**
+ * タグの中身を感情名に変換する。感情タグでない場合は null を返す。
+ * @param {string} label - 括弧の中の文字列
+ * @returns {string|null} 感情名
+ */
+function resolveEmotion(label) {
+  return ALIAS_TO_EMOTION.get(label.toLowerCase()) ?? null;
+}
+
+/**
+ * テキストから感情タグを取り除き、最初に見つかった感情を返す。
+ * 感情タグとして解釈できない括弧（[注] など）はそのまま残す。
+ * @param {string} text - 会話モデルの応答（1文または全文）
+ * @returns {{ text: string, emotion: string|null }} タグを除いたテキストと感情名
+ */
+export function extractEmotionTags(text) {
+  let emotion = null;
+  const stripped = text.replace(TAG_PATTERN, (match, label) => {
+    const resolved = resolveEmotion(label);
+    if (!resolved) {
+      return match;
+    }
+    emotion ??= resolved;
+    return "";
+  });
+  return { text: stripped.replace(/[ \t]{2,}/g, " ").trim(), emotion: emotion };
+}
+
+/**
+ * テキストに含まれる感情タグの感情名を、出てきた順にすべて返す。
+ * @param {string} text - 会話モデルの応答
+ * @returns {string[]} 感情名（neutral を含む）
+ */
+export function listEmotionTags(text) {
+  return [...text.matchAll(TAG_PATTERN)].map((match) => resolveEmotion(match[1])).filter(Boolean);
+}
+
+/**
+ * ストリーミング表示用に感情タグを取り除く。
+ * 末尾の閉じていない "[..." はタグの途中の可能性があるため表示しない。
+ * @param {string} text - 受信済みのテキスト
+ * @returns {string} 表示用テキスト
+ */
+export function stripEmotionTagsForDisplay(text) {
+  return extractEmotionTags(text.replace(PARTIAL_TAG_PATTERN, "")).text;
+}
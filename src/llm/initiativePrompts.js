@@ -0,0 +1,68 @@
+// キャラクターから話しかけるきっかけと、会話モデルへの指示文。
+// 指示文にはシステムプロンプトと同じテンプレート変数（{{time_of_day}} など）を使え、送信時に置き換える。
+
+/**
+ * 話しかけるきっかけ。
+ * - smallTalk: 会話がない状態が続いた
+ * - vrGreeting: ユーザーがVRに入った
+ * - approach: ユーザーが近づいてきた
+ * - returnGreeting: 長く離れていたユーザーが戻ってきた
+ */
+export const INITIATIVE_TRIGGERS = {
+  smallTalk: "smallTalk",
+  vrGreeting: "vrGreeting",
+  approach: "approach",
+  returnGreeting: "returnGreeting",
+};
+
+// 指示文の前置き（ユーザーの発言ではないことを伝える）
+const INSTRUCTION_PREFIX = "（アプリからの指示: ユーザーは何も話していません。次の状況で、あなたから自然に話しかけてください。";
+// 指示文の後置き
+const INSTRUCTION_SUFFIX = "この指示には触れず、1〜2文の短い発言にしてください。）";
+
+/**
+ * 離れていた時間を言葉で表す。
+ * @param {number} minutes - 離れていた時間（分）
+ * @returns {string} 「約2時間」など
+ */
+function describeAbsence(minutes) {
+  if (minutes >= 60 * 24) {
+    return `約${Math.round(minutes / (60 * 24))}日`;
+  }
+  if (minutes >= 60) {
+    return `約${Math.round(minutes / 60)}時間`;
+  }
+  return `約${Math.round(minutes)}分`;
+}
+
+/**
+ * 話しかけるきっかけから、会話モデルへの指示文を作る。
+ * @param {string} trigger - INITIATIVE_TRIGGERS の値
+ * @param {{ absenceMinutes?: number, unansweredCount?: number }} [context]
+ *   absenceMinutes: 離れていた時間（分。returnGreeting の場合）、
+ *   unansweredCount: 直前に話しかけて返事がなかった回数（smallTalk の場合）
+ * @returns {string} 指示文
+ */
+export function buildInitiativeInstruction(trigger, context = {}) {
+  let situation;
+  switch (trigger) {
+    case INITIATIVE_TRIGGERS.smallTalk:
+      situation =
+        context.unansweredCount > 0
+          ? "少し前に話しかけましたが、返事がないまま時間が経ちました。しつこくならないよう、別の軽い話題をそっと振ってください。"
+          : "しばらく会話がありません。今の時間帯（{{time_of_day}}）やこれまでの会話に合った、気軽な雑談を始めてください。";
+      break;
+    case INITIATIVE_TRIGGERS.vrGreeting:
+      situation = "ユーザーがたった今、VRヘッドセットであなたと同じ空間に入ってきました。出迎えるあいさつをしてください。";
+      break;
+    case INITIATIVE_TRIGGERS.approach:
+      situation = "ユーザーがあなたのすぐそば（1m以内）まで近づいてきました。その距離の近さに反応してください。";
+      break;
+    case INITIATIVE_TRIGGERS.returnGreeting:
+      situation = `ユーザーが${describeAbsence(context.absenceMinutes ?? 0)}ぶりに戻ってきました。今は{{time_of_day}}（{{time}}）です。離れていた時間や今の時間帯に触れて、おかえりのあいさつをしてください。`;
+      break;
+    default:
+      throw new Error(`不明な話しかけるきっかけです: ${trigger}`);
+  }
+  return `${INSTRUCTION_PREFIX}${situation}${INSTRUCTION_SUFFIX}`;
+}
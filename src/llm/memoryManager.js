@@ -0,0 +1,154 @@
+import { MEMORY_CATEGORIES } from "../storage/memoryStore.js";
+
+// 抽出時に会話モデルへ渡す既存の記憶の最大件数（新しい順）
+const EXTRACTION_CONTEXT_LIMIT = 40;
+// 関連度に加える、種類ごとの重み（名前などのプロフィールは話題によらず常に役立つ）
+const CATEGORY_WEIGHTS = {
+  profile: 1,
+  task: 0.5,
+  preference: 0.2,
+  other: 0,
+};
+// 関連度に加える、新しさの重みの最大値（同じ関連度なら最近の記憶を優先する）
+const RECENCY_WEIGHT = 0.3;
+// 新しさの重みが半分になるまでの日数
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+const MEMORY_EXTRACTION_SYSTEM_PROMPT = [
+  "あなたはAIキャラクターの長期記憶の管理担当です。",
+  "ユーザーとAIキャラクターの1往復の会話から、次回以降の会話でも役立つユーザーについての事実だけを抜き出してください。",
+  "対象: ユーザーの名前・呼び方・職業などのプロフィール(profile)、好き嫌いや習慣(preference)、取り組んでいる作業や予定(task)、その他長く変わらない事実(other)。",
+  "その場限りの話題・挨拶・AIキャラクター自身についての内容・推測は含めないでください。",
+  "既存の記憶と同じ内容は追加せず、内容が変わった場合は update、誤りや終わった予定は remove で番号を指定してください。",
+  "記憶は「ユーザーは〜」の形の、それだけで意味が分かる短い日本語の文にしてください。",
+  '出力は次の形式のJSONのみとしてください（変更がない場合は各配列を空にします）:',
+  '{"add":[{"category":"profile","content":"ユーザーの名前は田中"}],"update":[{"index":1,"content":"..."}],"remove":[2]}',
+].join("\n");
+
+/**
+ * 関連度の計算に使う文字の2-gram の集合を作る（日本語は単語に区切らずに比較する）。
+ * @param {string} text - テキスト
+ * @returns {Set<string>} 2-gram の集合
+ */
+function toBigrams(text) {
+  const normalized = (text ?? "").normalize("NFKC").toLowerCase().replace(/[\s、。,.!?！？「」()（）]/g, "");
+  const bigrams = new Set();
+  for (let i = 0; i < normalized.length - 1; i += 1) {
+    bigrams.add(normalized.slice(i, i + 2));
+  }
+  return bigrams;
+}
+
+/**
+ * 会話モデルの出力から JSON オブジェクトを取り出す（コードブロックや前後の説明文を無視する）。
+ * @param {string} text - 会話モデルの出力
+ * @returns {object|null} JSON オブジェクト（読み取れない場合は null）
+ */
+function parseJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end <= start) {
+    return null;
+  }
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 1往復の会話から、長期記憶に追加・更新・削除する内容を会話モデルで抽出する。
+ * 会話モデルの出力を読み取れない場合は変更なしとして扱う。
+ * @param {{
+ *   provider: { complete: (request: { messages: Array<object>, apiKey?: string }) => Promise<{ content: string }> },
+ *   apiKey?: string,
+ *   memories: Array<{ id: string, category: string, content: string }>,
+ *   userMessage: string,
+ *   aiMessage: string,
+ *   aiName: string,
+ * }} params
+ * @returns {Promise<{ add: Array<{ category: string, content: string }>, update: Array<{ id: string, content: string }>, remove: string[] }>}
+ */
+export async function extractMemoryChanges({ provider, apiKey, memories, userMessage, aiMessage, aiName }) {
+  const candidates = memories.slice(0, EXTRACTION_CONTEXT_LIMIT);
+  const memoryList = candidates.length
+    ? candidates.map((memory, index) => `${index + 1}. [${memory.category}] ${memory.content}`).join("\n")
+    : "(なし)";
+  const request = `既存の記憶:\n${memoryList}\n\n会話:\nユーザー: ${userMessage}\n${aiName}: ${aiMessage}`;
+
+  const result = await provider.complete({
+    messages: [
+      { role: "system", content: MEMORY_EXTRACTION_SYSTEM_PROMPT },
+      { role: "user", content: request },
+    ],
+    apiKey: apiKey,
+  });
+  const data = parseJsonObject(result.content ?? "");
+  const toArray = (value) => (Array.isArray(value) ? value : []);
+  const findMemory = (index) => candidates[Number(index) - 1];
+
+  return {
+    add: toArray(data?.add)
+      .filter((fact) => typeof fact?.content === "string" && fact.content.trim())
+      .map((fact) => ({
+        category: MEMORY_CATEGORIES[fact.category] ? fact.category : "other",
+        content: fact.content.trim(),
+      })),
+    update: toArray(data?.update)
+      .filter((change) => findMemory(change?.index) && typeof change.content === "string" && change.content.trim())
+      .map((change) => ({ id: findMemory(change.index).id, content: change.content.trim() })),
+    remove: toArray(data?.remove)
+      .map((index) => findMemory(index)?.id)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * ユーザーの発言に関連する記憶を選ぶ。
+ * 発言との文字の重なり・記憶の種類・新しさから関連度を計算し、関連度の高い順に limit 件を返す。
+ * @param {Array<{ category: string, content: string, updatedAt: number }>} memories - キャラクターの記憶
+ * @param {string} query - ユーザーの発言
+ * @param {number} limit - 選ぶ件数
+ * @returns {Array<object>} 選んだ記憶
+ */
+export function selectRelevantMemories(memories, query, limit) {
+  if (limit <= 0 || memories.length === 0) {
+    return [];
+  }
+  const queryBigrams = toBigrams(query);
+  const now = Date.now();
+  return memories
+    .map((memory) => {
+      const memoryBigrams = toBigrams(memory.content);
+      let overlap = 0;
+      memoryBigrams.forEach((bigram) => {
+        if (queryBigrams.has(bigram)) {
+          overlap += 1;
+        }
+      });
+      const similarity = memoryBigrams.size > 0 ? overlap / Math.sqrt(memoryBigrams.size * Math.max(1, queryBigrams.size)) : 0;
+      const ageDays = Math.max(0, now - (memory.updatedAt || now)) / (24 * 60 * 60 * 1000);
+      const recency = RECENCY_WEIGHT * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+      return { memory: memory, score: similarity * 2 + (CATEGORY_WEIGHTS[memory.category] ?? 0) + recency };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ memory }) => memory);
+}
+
+/**
+ * 選んだ記憶をシステムプロンプトに追記する文に整形する。
+ * @param {Array<{ content: string }>} memories - 選んだ記憶
+ * @returns {string} 追記文（記憶がない場合は空文字列）
+ */
+export function formatMemoryPrompt(memories) {
+  if (memories.length === 0) {
+    return "";
+  }
+  return [
+    "# ユーザーについて覚えていること",
+    "以前の会話で知ったことです。会話に自然に活かしてください（覚えていることを一覧で読み上げる必要はありません）。",
+    ...memories.map((memory) => `- ${memory.content}`),
+  ].join("\n");
+}
@@ -0,0 +1,88 @@
+// システムプロンプトのテンプレート変数の置き換えと、アバターと空間の今の状況をまとめた追記文。
+import { ACTION_MENU_ITEMS } from "../config.js";
+
+// テンプレート変数の書式（{{user_name}} / {{ ai_name }}）
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+// ユーザーの名前が未設定の場合の呼び方
+const DEFAULT_USER_NAME = "ユーザー";
+const WEEKDAY_LABELS = ["日", "月", "火", "水", "木", "金", "土"];
+
+/**
+ * 時刻から時間帯の呼び方を返す。
+ * @param {number} hour - 時（0〜23）
+ * @returns {string} 時間帯（朝 / 昼 / 夕方 / 夜 / 深夜）
+ */
+function getTimeOfDay(hour) {
+  if (hour >= 5 && hour < 10) {
+    return "朝";
+  }
+  if (hour >= 10 && hour < 16) {
+    return "昼";
+  }
+  if (hour >= 16 && hour < 19) {
+    return "夕方";
+  }
+  if (hour >= 19) {
+    return "夜";
+  }
+  return "深夜";
+}
+
+/**
+ * テンプレート変数の値を作る。
+ * キャラクターカードで一般的な {{char}} / {{user}} も同じ値として受け付ける。
+ * @param {{ aiName: string, userName: string, now?: Date }} params
+ * @returns {Record<string, string>} 変数名 → 値
+ */
+export function buildPromptVariables({ aiName, userName, now = new Date() }) {
+  const minutes = String(now.getMinutes()).padStart(2, "0");
+  const variables = {
+    ai_name: aiName,
+    user_name: userName || DEFAULT_USER_NAME,
+    time_of_day: getTimeOfDay(now.getHours()),
+    date: `${now.getFullYear()}年${now.getMonth() + 1}月${now.getDate()}日(${WEEKDAY_LABELS[now.getDay()]})`,
+    time: `${now.getHours()}:${minutes}`,
+  };
+  return { ...variables, char: variables.ai_name, user: variables.user_name };
+}
+
+/**
+ * テキスト中のテンプレート変数（{{user_name}} など）を値に置き換える。未知の変数はそのまま残す。
+ * @param {string} text - システムプロンプトなどのテキスト
+ * @param {Record<string, string>} variables - buildPromptVariables の結果
+ * @returns {string} 置き換えたテキスト
+ */
+export function renderPromptTemplate(text, variables) {
+  return (text ?? "").replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+    const value = variables[name.toLowerCase()];
+    return typeof value === "string" ? value : match;
+  });
+}
+
+/**
+ * アバターと空間の今の状況を、システムプロンプトへの追記文にする。
+ * 取得できなかった項目（VRMの読み込み前の距離など）は書かない。
+ * @param {{ currentAction?: string, playerDistance?: number|null, isInVr?: boolean, cubeCount?: number }} scene
+ *   currentAction: 実行中のアクション（ACTION_MENU_ITEMS のID）、playerDistance: ユーザーとの水平距離（m）、
+ *   isInVr: ユーザーがVRで参加しているか、cubeCount: ユーザーが投げて空間に残っているキューブの数
+ * @returns {string} 追記文
+ */
+export function formatSceneContextPrompt(scene) {
+  const lines = [];
+  const action = ACTION_MENU_ITEMS.find((item) => item.id === scene.currentAction);
+  if (action) {
+    lines.push(`- あなたの今の動作: ${action.label}`);
+  }
+  if (Number.isFinite(scene.playerDistance)) {
+    lines.push(`- ユーザーとの距離: 約${scene.playerDistance.toFixed(1)}m`);
+  }
+  lines.push(scene.isInVr ? "- ユーザーはVRヘッドセットで同じ空間にいます" : "- ユーザーはPCの画面越しに見ています");
+  if (scene.cubeCount > 0) {
+    lines.push(`- ユーザーが投げたキューブが${scene.cubeCount}個、空間を飛んでいます（しばらくすると消えます）`);
+  }
+  return [
+    "# 今の状況",
+    "アプリが自動で付け加えた、今この瞬間の状況です（ユーザーの発言ではありません）。話題に関係するときや、気になったときだけ会話に活かしてください。",
+    ...lines,
+  ].join("\n");
+}
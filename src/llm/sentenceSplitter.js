@@ -0,0 +1,143 @@
+// 文末とみなす文字（日本語の句点・感嘆符・疑問符と、英語の ! ?）
+const SENTENCE_TERMINATORS = new Set(["。", "！", "？", "!", "?", "♪"]);
+// 文末記号の直後に続いても同じ文として扱う閉じ括弧など
+const TRAILING_CLOSERS = new Set(["」", "』", "）", ")", "】", "\"", "”", "’", "…", "！", "？", "!", "?"]);
+// 括弧の内側では文を区切らない（「本当ですか？」と聞いた。を1文として扱う）
+const OPENING_BRACKETS = new Set(["「", "『", "（", "(", "【"]);
+const CLOSING_BRACKETS = new Set(["」", "』", "）", ")", "】"]);
+// 文が短すぎる場合は次の文とまとめてTTSの呼び出し回数を抑える
+const MIN_SENTENCE_LENGTH = 4;
+
+/**
+ * ストリーミングで届くテキストを文単位に分割するスプリッターを作成する。
+ * 「。」「！」「？」や改行で区切り、閉じ括弧（」など）は直前の文に含める。括弧の内側では区切らない。
+ * 英語のピリオドは小数点と区別するため、直後が空白・改行の場合のみ文末とみなす。
+ * @param {{ onSentence: (sentence: string) => void, minLength?: number }} options
+ */
+export function createSentenceSplitter({ onSentence, minLength = MIN_SENTENCE_LENGTH }) {
+  let buffer = "";
+
+  /**
+   * バッファ内で確定した文末の位置（文末記号と閉じ括弧を含む直後のインデックス）を返す。
+   * 文末が確定できない場合は -1 を返す。
+   * @param {string} text - 検索対象
+   * @param {number} fromIndex - 検索開始位置
+   * @returns {number} 文の終端インデックス
+   */
+  function findSentenceEnd(text, fromIndex) {
+    let depth = countOpenBrackets(text, fromIndex);
+    for (let i = fromIndex; i < text.length; i += 1) {
+      const char = text[i];
+
+      if (char === "\n") {
+        return i + 1;
+      }
+      if (OPENING_BRACKETS.has(char)) {
+        depth += 1;
+        continue;
+      }
+      if (CLOSING_BRACKETS.has(char)) {
+        depth = Math.max(0, depth - 1);
+        continue;
+      }
+
+      const isPeriod = char === ".";
+      if (!SENTENCE_TERMINATORS.has(char) && !isPeriod) {
+        continue;
+      }
+      if (depth > 0) {
+        // 括弧の内側の文末記号は区切りにしない
+        continue;
+      }
+
+      // 閉じ括弧や連続する記号（「！？」など）を文に含める
+      let end = i + 1;
+      while (end < text.length && TRAILING_CLOSERS.has(text[end])) {
+        end += 1;
+      }
+      // 後続の文字がまだ届いていない場合は確定しない
+      if (end >= text.length) {
+        return -1;
+      }
+      if (isPeriod && !/\s/.test(text[end])) {
+        // "3.14" や "e.g." の途中はまだ文末ではない
+        continue;
+      }
+      return end;
+    }
+    return -1;
+  }
+
+  /**
+   * 指定位置までに閉じられていない括弧の数を数える。
+   * @param {string} text - 検索対象
+   * @param {number} endIndex - 数える範囲の終端
+   * @returns {number} 開いたままの括弧の数
+   */
+  function countOpenBrackets(text, endIndex) {
+    let depth = 0;
+    for (let i = 0; i < endIndex; i += 1) {
+      if (OPENING_BRACKETS.has(text[i])) {
+        depth += 1;
+      } else if (CLOSING_BRACKETS.has(text[i])) {
+        depth = Math.max(0, depth - 1);
+      }
+    }
+    return depth;
+  }
+
+  /**
+   * 確定した文を取り出してコールバックに渡す。
+   */
+  function drain() {
+    let searchFrom = 0;
+    for (;;) {
+      const end = findSentenceEnd(buffer, searchFrom);
+      if (end < 0) {
+        return;
+      }
+      const sentence = buffer.slice(0, end).trim();
+      if (sentence.length === 0) {
+        buffer = buffer.slice(end);
+        searchFrom = 0;
+        continue;
+      }
+      if (sentence.length < minLength) {
+        // 短すぎる文は次の文末まで持ち越す
+        searchFrom = end;
+        continue;
+      }
+      buffer = buffer.slice(end);
+      searchFrom = 0;
+      onSentence(sentence);
+    }
+  }
+
+  /**
+   * テキスト断片を追加する。
+   * @param {string} text - ストリーミングで届いたテキスト
+   */
+  function push(text) {
+    if (!text) {
+      return;
+    }
+    buffer += text;
+    drain();
+  }
+
+  /**
+   * バッファに残っている未確定のテキストを最後の文として出力する。
+   */
+  function flush() {
+    const rest = buffer.trim();
+    buffer = "";
+    if (rest) {
+      onSentence(rest);
+    }
+  }
+
+  return {
+    push,
+    flush,
+  };
+}
@@ -0,0 +1,102 @@
+/**
+ * fetch のレスポンスボディを1行ずつ読み出してコールバックに渡す。
+ * チャンク境界で行が分割されても、改行までバッファして完全な行として渡す。
+ * signal で中断した場合やコールバックが例外を投げた場合は、受信を打ち切って（reader.cancel）失敗する。
+ * @param {Response} response - fetch のレスポンス
+ * @param {(line: string) => void} onLine - 1行ごとに呼ばれるコールバック（改行文字は含まない）
+ * @param {AbortSignal} [signal] - 受信を中断するためのシグナル（中断した場合は AbortError で失敗する）
+ * @returns {Promise<void>}
+ */
+export async function readStreamLines(response, onLine, signal) {
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+  if (!response.body?.getReader) {
+    // ReadableStream 非対応環境では全文を読んでから行分割する
+    const text = await response.text();
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    text.split(/\r?\n/).forEach((line) => onLine(line));
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+  // 中断されたら読み出し待ちを終わらせる（read は done で返る）
+  const onAbort = () => {
+    reader.cancel(signal.reason).catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
+  let completed = false;
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (done) {
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      let newlineIndex = buffer.indexOf("\n");
+      while (newlineIndex >= 0) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, "");
+        buffer = buffer.slice(newlineIndex + 1);
+        onLine(line);
+        newlineIndex = buffer.indexOf("\n");
+      }
+    }
+    completed = true;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    // 途中で失敗した場合は、残りの受信を止めて接続を解放する
+    if (!completed) {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    onLine(buffer.replace(/\r$/, ""));
+  }
+}
+
+/**
+ * Server-Sent Events 形式のレスポンスから data フィールドを取り出してコールバックに渡す。
+ * OpenAI互換APIの stream: true レスポンスを想定し、複数行の data は改行で連結する。
+ * @param {Response} response - fetch のレスポンス
+ * @param {(data: string) => void} onData - イベントごとの data 文字列を受け取るコールバック
+ * @param {AbortSignal} [signal] - 受信を中断するためのシグナル（中断した場合は AbortError で失敗する）
+ * @returns {Promise<void>}
+ */
+export async function readServerSentEvents(response, onData, signal) {
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length === 0) {
+      return;
+    }
+    const data = dataLines.join("\n");
+    dataLines = [];
+    onData(data);
+  };
+
+  await readStreamLines(response, (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) {
+      // コメント行（keep-alive）は無視する
+      return;
+    }
+    if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).replace(/^ /, ""));
+    }
+  }, signal);
+
+  dispatch();
+}
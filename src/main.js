@@ -1,6 +1,45 @@
 import { initStage } from "./stage.js";
 import { VRMManager } from "./vrmManager.js";
-import { MODEL_URL, VRMA_BASE_PATH, saveCharacterSettings, getDefaultCharacterSettings, ACTION_MENU_ITEMS } from "./config.js";
+import {
+  MODEL_URL,
+  VRMA_BASE_PATH,
+  getDefaultCharacterSettings,
+  loadCharacterProfiles,
+  getActiveCharacterProfile,
+  setActiveCharacterProfile,
+  saveCharacterProfile,
+  deleteCharacterProfile,
+  loadTtsProviderSettings,
+  loadLlmSettings,
+  saveLlmSettings,
+  getDefaultLlmSettings,
+  loadContextSettings,
+  saveContextSettings,
+  getDefaultContextSettings,
+  loadPromptSettings,
+  savePromptSettings,
+  loadAffectSettings,
+  saveAffectSettings,
+  loadVisionSettings,
+  saveVisionSettings,
+  loadMemorySettings,
+  saveMemorySettings,
+  getDefaultMemorySettings,
+  loadKnowledgeSettings,
+  saveKnowledgeSettings,
+  getDefaultKnowledgeSettings,
+  loadVoiceInputSettings,
+  saveVoiceInputSettings,
+  getDefaultVoiceInputSettings,
+  loadSttSettings,
+  saveSttSettings,
+  getDefaultSttSettings,
+  ACTION_MENU_ITEMS,
+} from "./config.js";
+import { CHAT_PROVIDER_OPTIONS, getChatProviderOption } from "./llm/chatProviders.js";
+import { STT_PROVIDER_OPTIONS, getSttProviderOption } from "./stt/sttProviders.js";
+import { TTS_PROVIDER_OPTIONS, getTtsProviderOption } from "./tts/ttsProviders.js";
+import { EMBEDDING_PROVIDER_OPTIONS, getEmbeddingProviderOption } from "./knowledge/embeddingProviders.js";
 import { logMessage } from "./utils/logger.js";
 import { loadAnimationClip } from "./vrma/loader.js";
 import { loadVersionHistory, loadVersionInfo, setStatusText } from "./top_common.js";
@@ -9,10 +48,20 @@ import { createRandomMenu } from "./menus/randomMenu.js";
 import { createIdleLoopMenu } from "./menus/idleLoopMenu.js";
 import { createLookAtPlayerMenu } from "./menus/lookAtPlayerMenu.js";
 import { createChatMenu } from "./menus/chatMenu.js";
+import { createSessionMenu } from "./menus/sessionMenu.js";
+import { createMemoryMenu } from "./menus/memoryMenu.js";
+import { createKnowledgeMenu } from "./menus/knowledgeMenu.js";
 import { createActionMenu } from "./menus/actionMenu.js";
 import { HandInteractionManager } from "./handInteractions.js";
 import { VrButtonOverlay } from "./vrui/vrButtonOverlay.js";
+import { VrImagePanel } from "./vrui/imagePanel.js";
 import { TtsAudioPlayer } from "./audio/ttsAudioPlayer.js";
+import { buildCharacterCard, parseCharacterCardFile } from "./storage/characterCard.js";
+import { createExpressionController } from "./expressionController.js";
+import { createAffectController } from "./affectController.js";
+import { createInitiativeScheduler } from "./initiativeScheduler.js";
+import { createBodyLanguageController } from "./bodyLanguageController.js";
+import { createSceneCapture } from "./vision/sceneCapture.js";
 
 const actionNeckAngleRow = document.getElementById("actionNeckAngleRow");
 const actionSelect = document.getElementById("actionSelect");
@@ -43,19 +92,88 @@ const bottomChatMessages = document.getElementById("bottomChatMessages");
 const bottomChatTextInput = document.getElementById("bottomChatTextInput");
 const bottomChatMicButton = document.getElementById("bottomChatMicButton");
 const bottomChatSendButton = document.getElementById("bottomChatSendButton");
+const bottomChatHandsFreeButton = document.getElementById("bottomChatHandsFreeButton");
+const bottomChatStopButton = document.getElementById("bottomChatStopButton");
+const bottomChatPanel = document.getElementById("bottomChatPanel");
+const bottomChatAttachments = document.getElementById("bottomChatAttachments");
+const bottomChatSceneButton = document.getElementById("bottomChatSceneButton");
+const bottomChatWebcamButton = document.getElementById("bottomChatWebcamButton");
+const characterProfileSelect = document.getElementById("characterProfileSelect");
 const openCharacterSettingsButton = document.getElementById("openCharacterSettingsButton");
+const importCharacterCardButton = document.getElementById("importCharacterCardButton");
+const exportCharacterCardButton = document.getElementById("exportCharacterCardButton");
+const characterCardInput = document.getElementById("characterCardInput");
 const characterSettingsOverlay = document.getElementById("characterSettingsOverlay");
 const closeCharacterSettingsButton = document.getElementById("closeCharacterSettingsButton");
 const saveCharacterSettingsButton = document.getElementById("saveCharacterSettingsButton");
 const cancelCharacterSettingsButton = document.getElementById("cancelCharacterSettingsButton");
+const createCharacterProfileButton = document.getElementById("createCharacterProfileButton");
+const deleteCharacterProfileButton = document.getElementById("deleteCharacterProfileButton");
 const aiNameInput = document.getElementById("aiNameInput");
 const aiSystemPromptInput = document.getElementById("aiSystemPromptInput");
-const openaiTtsModelInput = document.getElementById("openaiTtsModelInput");
-const openaiTtsVoiceInput = document.getElementById("openaiTtsVoiceInput");
-const openaiTtsSpeedInput = document.getElementById("openaiTtsSpeedInput");
-const aivisTtsModelUuidInput = document.getElementById("aivisTtsModelUuidInput");
+const aiFirstMessageInput = document.getElementById("aiFirstMessageInput");
+const ttsProviderSelect = document.getElementById("ttsProviderSelect");
+const ttsProviderFields = document.getElementById("ttsProviderFields");
+const characterVrmUrlInput = document.getElementById("characterVrmUrlInput");
+const characterIdleActionSelect = document.getElementById("characterIdleActionSelect");
+const characterExpressionWeightInput = document.getElementById("characterExpressionWeightInput");
+const initiativeSilenceSecondsInput = document.getElementById("initiativeSilenceSecondsInput");
+const initiativeVrGreetingToggle = document.getElementById("initiativeVrGreetingToggle");
+const initiativeApproachToggle = document.getElementById("initiativeApproachToggle");
+const initiativeReturnGreetingToggle = document.getElementById("initiativeReturnGreetingToggle");
+const initiativeAbsenceMinutesInput = document.getElementById("initiativeAbsenceMinutesInput");
 const changeVrmModelButton = document.getElementById("changeVrmModelButton");
 const vrmFileInput = document.getElementById("vrmFileInput");
+const llmProviderSelect = document.getElementById("llmProviderSelect");
+const llmBaseUrlInput = document.getElementById("llmBaseUrlInput");
+const llmModelInput = document.getElementById("llmModelInput");
+const llmTemperatureInput = document.getElementById("llmTemperatureInput");
+const llmMaxTokensInput = document.getElementById("llmMaxTokensInput");
+const llmEnableToolsToggle = document.getElementById("llmEnableToolsToggle");
+const llmEnableEmotionTagsToggle = document.getElementById("llmEnableEmotionTagsToggle");
+const promptUserNameInput = document.getElementById("promptUserNameInput");
+const promptSceneContextToggle = document.getElementById("promptSceneContextToggle");
+const visionAttachSceneToggle = document.getElementById("visionAttachSceneToggle");
+const visionDetailSelect = document.getElementById("visionDetailSelect");
+const contextKeepTurnsInput = document.getElementById("contextKeepTurnsInput");
+const contextMaxTokensInput = document.getElementById("contextMaxTokensInput");
+const contextSummarizeToggle = document.getElementById("contextSummarizeToggle");
+const voiceSpeechThresholdInput = document.getElementById("voiceSpeechThresholdInput");
+const voiceSilenceMsInput = document.getElementById("voiceSilenceMsInput");
+const voiceMinSpeechMsInput = document.getElementById("voiceMinSpeechMsInput");
+const voiceBargeInToggle = document.getElementById("voiceBargeInToggle");
+const sttProviderSelect = document.getElementById("sttProviderSelect");
+const sttBaseUrlInput = document.getElementById("sttBaseUrlInput");
+const sttModelInput = document.getElementById("sttModelInput");
+const sttLanguageInput = document.getElementById("sttLanguageInput");
+const sttPromptInput = document.getElementById("sttPromptInput");
+const sttPromptRow = document.getElementById("sttPromptRow");
+const contextUsage = document.getElementById("contextUsage");
+const affectReadout = document.getElementById("affectReadout");
+const affectEnabledToggle = document.getElementById("affectEnabledToggle");
+const resetAffectButton = document.getElementById("resetAffectButton");
+const sessionList = document.getElementById("sessionList");
+const newSessionButton = document.getElementById("newSessionButton");
+const exportSessionsButton = document.getElementById("exportSessionsButton");
+const importSessionsButton = document.getElementById("importSessionsButton");
+const sessionImportInput = document.getElementById("sessionImportInput");
+const sessionStatus = document.getElementById("sessionStatus");
+const memoryEnabledToggle = document.getElementById("memoryEnabledToggle");
+const memoryMaxInjectedInput = document.getElementById("memoryMaxInjectedInput");
+const memoryList = document.getElementById("memoryList");
+const addMemoryButton = document.getElementById("addMemoryButton");
+const clearMemoriesButton = document.getElementById("clearMemoriesButton");
+const memoryStatus = document.getElementById("memoryStatus");
+const knowledgeEnabledToggle = document.getElementById("knowledgeEnabledToggle");
+const knowledgeProviderSelect = document.getElementById("knowledgeProviderSelect");
+const knowledgeBaseUrlInput = document.getElementById("knowledgeBaseUrlInput");
+const knowledgeModelInput = document.getElementById("knowledgeModelInput");
+const knowledgeTopKInput = document.getElementById("knowledgeTopKInput");
+const knowledgeList = document.getElementById("knowledgeList");
+const addKnowledgeButton = document.getElementById("addKnowledgeButton");
+const reindexKnowledgeButton = document.getElementById("reindexKnowledgeButton");
+const knowledgeFileInput = document.getElementById("knowledgeFileInput");
+const knowledgeStatus = document.getElementById("knowledgeStatus");
 
 // アニメーション種別ごとにフェード時間の目安を決めておく（値は秒）
 const AnimationBlend = Object.freeze({
@@ -69,15 +187,31 @@ const clipCache = new Map();
 
 // アップロードされたVRMファイルのObjectURL（メモリリーク防止のため保持）
 let uploadedVrmObjectUrl = null;
+// 読み込み済みのVRMモデルのURL（キャラクターの切り替えで同じモデルを読み込み直さないようにする）
+let loadedVrmUrl = null;
 
 const stage = initStage();
 const ttsAudioPlayer = new TtsAudioPlayer({ camera: stage.camera, renderer: stage.renderer });
 const vrmManager = new VRMManager(stage.world);
+// TTS音声の解析結果で口の形（aa/ih/ou/ee/oh）を動かす
+vrmManager.setLipSyncAnalyzer(ttsAudioPlayer.lipSyncAnalyzer);
+// AI応答の感情タグに合わせてVRMの表情を切り替える
+const expressionController = createExpressionController({ vrmManager });
+// 会話で変化するキャラクターの気分とユーザーへの親しみ（応答とふるまいに反映する）
+const affectController = createAffectController({
+  characterKey: getActiveCharacterProfile().id,
+  readoutElement: affectReadout,
+});
 const handInteractionManager = new HandInteractionManager(stage.scene, stage.renderer, {
   spawnParent: stage.world,
   floorY: stage.floor?.position?.y ?? 0,
 });
 handInteractionManager.init();
+// 会話モデルに見せるための、アバターの目から見た空間の撮影
+const sceneCapture = createSceneCapture({ renderer: stage.renderer, scene: stage.scene, vrmManager });
+// VR中に、ユーザーが添付した画像をアバターの横に表示するパネル
+const vrImagePanel = new VrImagePanel();
+stage.scene.add(vrImagePanel.getObject3D());
 
 // chatMenuの作成は後で（actionMenuが必要なため）
 let chatMenu;
@@ -88,6 +222,8 @@ const vrButtonOverlay = new VrButtonOverlay({
   renderer: stage.renderer,
   interactionManager: handInteractionManager,
   chatMenu,
+  // VRのキャラクター切り替えボタンで次のキャラクターに切り替える
+  onSwitchCharacter: () => switchToNextCharacterProfile(),
 });
 setupDesktopCubeSpawn();
 
@@ -176,6 +312,7 @@ async function refreshVersionHistory() {
 async function loadVrmModel(url) {
   try {
     await vrmManager.load(url);
+    loadedVrmUrl = url;
 
     // VRMモデルのロード後、音源をVRMの位置にアタッチ
     const vrm = vrmManager.getCurrentVrm();
@@ -189,9 +326,11 @@ async function loadVrmModel(url) {
     );
     invalidateClips();
     walkMenu.syncLogicalPositionWithVrm();
+    expressionController.reset();
 
     // VRM読み込み完了時にアクションメニューとチャットメニューを初期化
-    actionMenu.handleVrmReady();
+    // （キャラクタープロファイルで指定した動作を始める）
+    actionMenu.handleVrmReady(getActiveCharacterProfile().idleAction);
     chatMenu.handleVrmReady();
 
     return true;
@@ -238,6 +377,7 @@ const randomMenu = createRandomMenu({
   getAnimationClip,
   AnimationBlend,
   vrmaBasePath: VRMA_BASE_PATH,
+  getAffectBehavior: () => affectController.getBehavior(),
 });
 
 const idleLoopMenu = createIdleLoopMenu({
@@ -266,12 +406,13 @@ const actionMenu = createActionMenu({
   getAnimationClip,
   AnimationBlend,
   vrmaBasePath: VRMA_BASE_PATH,
+  getAffectBehavior: () => affectController.getBehavior(),
 });
 
 // VrButtonOverlayにactionMenuを設定
 vrButtonOverlay.actionMenu = actionMenu;
 
-// chatMenuを作成（actionMenuとvrmManagerを渡す）
+// chatMenuを作成（保存・記憶の更新は設定画面の一覧へ、添付画像はVRのパネルへも反映する）
 chatMenu = createChatMenu({
   apiKeyInput,
   aivisApiKeyInput,
@@ -283,11 +424,80 @@ chatMenu = createChatMenu({
   ttsAudioPlayer,
   actionMenu,
   vrmManager,
+  expressionController,
+  affectController,
   // Web画面下部のチャット要素
   bottomChatMessages,
   bottomChatTextInput,
   bottomChatMicButton,
   bottomChatSendButton,
+  bottomChatHandsFreeButton,
+  bottomChatStopButton,
+  bottomChatPanel,
+  bottomChatAttachments,
+  bottomChatSceneButton,
+  bottomChatWebcamButton,
+  contextUsageElement: contextUsage,
+  getSceneState: () => ({
+    currentAction: actionMenu.getCurrentAction(),
+    playerDistance: lookAtPlayerMenu.getPlayerDistance(),
+    isInVr: stage.renderer.xr.isPresenting,
+    cubeCount: handInteractionManager.getSpawnedCubeCount(),
+  }),
+  captureScene: () => sceneCapture.requestCapture(),
+  onImageAdded: (image) => vrImagePanel.showImage(image.url),
+  onSessionSaved: () => sessionMenu?.refresh(),
+  onMemoriesUpdated: () => memoryMenu?.refresh(),
+});
+
+// 会話がない・VRに入った・近づいた・戻ったときに、キャラクターから話しかける
+const initiativeScheduler = createInitiativeScheduler({
+  chatMenu,
+  renderer: stage.renderer,
+  getPlayerDistance: () => lookAtPlayerMenu.getPlayerDistance(),
+});
+
+// 聞いている・考えている・話している間の身ぶりを、再生中のクリップに重ねる
+const bodyLanguageController = createBodyLanguageController({
+  vrmManager,
+  lookAtPlayerMenu,
+  getAnimationClip,
+  vrmaBasePath: VRMA_BASE_PATH,
+  getConversationPhase: () => chatMenu.getConversationPhase(),
+});
+
+// 設定画面の会話履歴メニューを作成（会話はキャラクタープロファイルごとに保存）
+const initialProfile = getActiveCharacterProfile();
+const sessionMenu = createSessionMenu({
+  listElement: sessionList,
+  newSessionButton,
+  exportButton: exportSessionsButton,
+  importButton: importSessionsButton,
+  importInput: sessionImportInput,
+  statusElement: sessionStatus,
+  chatMenu,
+  characterKey: initialProfile.id,
+  characterName: initialProfile.aiName,
+});
+
+// 設定画面の長期記憶メニューを作成（記憶はキャラクタープロファイルごとに保存）
+const memoryMenu = createMemoryMenu({
+  listElement: memoryList,
+  addButton: addMemoryButton,
+  clearButton: clearMemoriesButton,
+  statusElement: memoryStatus,
+  characterKey: initialProfile.id,
+});
+
+// 設定画面の資料メニューを作成（資料はキャラクタープロファイルごとに保存）
+const knowledgeMenu = createKnowledgeMenu({
+  listElement: knowledgeList,
+  addButton: addKnowledgeButton,
+  fileInput: knowledgeFileInput,
+  reindexButton: reindexKnowledgeButton,
+  statusElement: knowledgeStatus,
+  characterKey: initialProfile.id,
+  getApiKey: () => chatMenu.getApiKey(),
 });
 
 // VrButtonOverlayにchatMenuを再設定
@@ -331,12 +541,353 @@ function populateActionMenu() {
   });
 }
 
+/**
+ * 会話モデル設定フォームの接続先の選択肢を生成し、保存済みの設定値を反映する。
+ */
+function loadLlmSettingsToForm() {
+  if (!llmProviderSelect) {
+    return;
+  }
+  if (llmProviderSelect.options.length === 0) {
+    CHAT_PROVIDER_OPTIONS.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.id;
+      element.textContent = option.label;
+      llmProviderSelect.appendChild(element);
+    });
+  }
+
+  const settings = loadLlmSettings();
+  llmProviderSelect.value = getChatProviderOption(settings.provider).id;
+  llmBaseUrlInput.value = settings.baseUrl;
+  llmModelInput.value = settings.model;
+  llmTemperatureInput.value = settings.temperature;
+  llmMaxTokensInput.value = settings.maxTokens;
+  llmEnableToolsToggle.checked = settings.enableTools;
+  llmEnableEmotionTagsToggle.checked = settings.enableEmotionTags;
+  updateLlmPlaceholders();
+}
+
+/**
+ * 選択中の接続先に合わせて、ベースURLとモデル名のプレースホルダー（既定値）を更新する。
+ */
+function updateLlmPlaceholders() {
+  const option = getChatProviderOption(llmProviderSelect?.value);
+  if (llmBaseUrlInput) {
+    llmBaseUrlInput.placeholder = option.defaultBaseUrl;
+  }
+  if (llmModelInput) {
+    llmModelInput.placeholder = option.defaultModel;
+  }
+}
+
+/**
+ * 会話モデル設定フォームの値を保存し、チャットメニューのボタン状態に反映する。
+ * リロードせずに次のリクエストから反映される。
+ */
+function handleLlmSettingsChange() {
+  const defaults = getDefaultLlmSettings();
+  const temperature = Number.parseFloat(llmTemperatureInput.value);
+  const maxTokens = Number.parseInt(llmMaxTokensInput.value, 10);
+  saveLlmSettings({
+    provider: llmProviderSelect.value || defaults.provider,
+    baseUrl: llmBaseUrlInput.value.trim(),
+    model: llmModelInput.value.trim(),
+    temperature: Number.isFinite(temperature) ? temperature : defaults.temperature,
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : defaults.maxTokens,
+    enableTools: llmEnableToolsToggle.checked,
+    enableEmotionTags: llmEnableEmotionTagsToggle.checked,
+  });
+  updateLlmPlaceholders();
+  chatMenu?.handleSettingsChange?.();
+  vrButtonOverlay.updateChatStatus();
+}
+
+/**
+ * 会話履歴管理設定フォームに保存済みの設定値を反映する。
+ */
+function loadContextSettingsToForm() {
+  if (!contextKeepTurnsInput) {
+    return;
+  }
+  const settings = loadContextSettings();
+  contextKeepTurnsInput.value = settings.keepTurns;
+  contextMaxTokensInput.value = settings.maxContextTokens;
+  contextSummarizeToggle.checked = settings.summarize;
+}
+
+/**
+ * 会話履歴管理設定フォームの値を保存する。次のリクエストから反映される。
+ */
+function handleContextSettingsChange() {
+  const defaults = getDefaultContextSettings();
+  const keepTurns = Number.parseInt(contextKeepTurnsInput.value, 10);
+  const maxContextTokens = Number.parseInt(contextMaxTokensInput.value, 10);
+  saveContextSettings({
+    keepTurns: Number.isFinite(keepTurns) && keepTurns > 0 ? keepTurns : defaults.keepTurns,
+    maxContextTokens: Number.isFinite(maxContextTokens) && maxContextTokens >= 0 ? maxContextTokens : defaults.maxContextTokens,
+    summarize: contextSummarizeToggle.checked,
+  });
+  loadContextSettingsToForm();
+}
+
+/**
+ * システムプロンプト設定フォームに保存済みの設定値を反映する。
+ */
+function loadPromptSettingsToForm() {
+  if (!promptUserNameInput) {
+    return;
+  }
+  const settings = loadPromptSettings();
+  promptUserNameInput.value = settings.userName;
+  promptSceneContextToggle.checked = settings.sceneContext;
+}
+
+/**
+ * システムプロンプト設定フォームの値を保存する。次のリクエストから反映される。
+ */
+function handlePromptSettingsChange() {
+  savePromptSettings({
+    userName: promptUserNameInput.value.trim(),
+    sceneContext: promptSceneContextToggle.checked,
+  });
+  loadPromptSettingsToForm();
+}
+
+/**
+ * 気分と親しみの設定フォームに保存済みの設定値を反映する。
+ */
+function loadAffectSettingsToForm() {
+  if (!affectEnabledToggle) {
+    return;
+  }
+  affectEnabledToggle.checked = loadAffectSettings().enabled;
+}
+
+/**
+ * 気分と親しみの設定フォームの値を保存する。次のリクエストから反映される。
+ */
+function handleAffectSettingsChange() {
+  saveAffectSettings({ enabled: affectEnabledToggle.checked });
+  loadAffectSettingsToForm();
+  affectController.refresh();
+}
+
+/**
+ * 画像入力設定フォームに保存済みの設定値を反映する。
+ */
+function loadVisionSettingsToForm() {
+  if (!visionAttachSceneToggle) {
+    return;
+  }
+  const settings = loadVisionSettings();
+  visionAttachSceneToggle.checked = settings.attachSceneOnSend;
+  visionDetailSelect.value = settings.detail;
+}
+
+/**
+ * 画像入力設定フォームの値を保存する。次の発言から反映される。
+ */
+function handleVisionSettingsChange() {
+  saveVisionSettings({
+    attachSceneOnSend: visionAttachSceneToggle.checked,
+    detail: visionDetailSelect.value,
+  });
+  loadVisionSettingsToForm();
+}
+
+/**
+ * 長期記憶設定フォームに保存済みの設定値を反映する。
+ */
+function loadMemorySettingsToForm() {
+  if (!memoryEnabledToggle) {
+    return;
+  }
+  const settings = loadMemorySettings();
+  memoryEnabledToggle.checked = settings.enabled;
+  memoryMaxInjectedInput.value = settings.maxInjected;
+}
+
+/**
+ * 長期記憶設定フォームの値を保存する。次のリクエストから反映される。
+ */
+function handleMemorySettingsChange() {
+  const defaults = getDefaultMemorySettings();
+  const maxInjected = Number.parseInt(memoryMaxInjectedInput.value, 10);
+  saveMemorySettings({
+    enabled: memoryEnabledToggle.checked,
+    maxInjected: Number.isFinite(maxInjected) && maxInjected >= 0 ? maxInjected : defaults.maxInjected,
+  });
+  loadMemorySettingsToForm();
+}
+
+/**
+ * 音声認識設定フォームの認識方法の選択肢を生成し、保存済みの設定値を反映する。
+ */
+function loadSttSettingsToForm() {
+  if (!sttProviderSelect) {
+    return;
+  }
+  if (sttProviderSelect.options.length === 0) {
+    STT_PROVIDER_OPTIONS.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.id;
+      element.textContent = option.label;
+      sttProviderSelect.appendChild(element);
+    });
+  }
+
+  const settings = loadSttSettings();
+  sttProviderSelect.value = getSttProviderOption(settings.provider).id;
+  sttBaseUrlInput.value = settings.baseUrl;
+  sttModelInput.value = settings.model;
+  sttLanguageInput.value = settings.language;
+  sttPromptInput.value = settings.prompt;
+  updateSttPlaceholders();
+}
+
+/**
+ * 選択中の認識方法に合わせて、ベースURLとモデル名のプレースホルダー（既定値）を更新し、
+ * 認識のヒントを使わない認識方法ではヒントの入力欄を隠す。
+ */
+function updateSttPlaceholders() {
+  const option = getSttProviderOption(sttProviderSelect?.value);
+  if (sttBaseUrlInput) {
+    sttBaseUrlInput.placeholder = option.defaultBaseUrl;
+  }
+  if (sttModelInput) {
+    sttModelInput.placeholder = option.defaultModel;
+  }
+  sttPromptRow?.classList.toggle("hidden", !option.supportsPrompt);
+}
+
+/**
+ * 音声認識設定フォームの値を保存し、チャットメニューのボタン状態に反映する。次の音声入力から反映される。
+ */
+function handleSttSettingsChange() {
+  const defaults = getDefaultSttSettings();
+  saveSttSettings({
+    provider: sttProviderSelect.value || defaults.provider,
+    baseUrl: sttBaseUrlInput.value.trim(),
+    model: sttModelInput.value.trim(),
+    language: sttLanguageInput.value.trim(),
+    prompt: sttPromptInput.value.trim(),
+  });
+  updateSttPlaceholders();
+  chatMenu?.handleSettingsChange?.();
+  vrButtonOverlay.updateChatStatus();
+}
+
+/**
+ * 資料検索設定フォームに保存済みの設定値を反映する。
+ */
+function loadKnowledgeSettingsToForm() {
+  if (!knowledgeProviderSelect) {
+    return;
+  }
+  if (knowledgeProviderSelect.options.length === 0) {
+    EMBEDDING_PROVIDER_OPTIONS.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.id;
+      element.textContent = option.label;
+      knowledgeProviderSelect.appendChild(element);
+    });
+  }
+
+  const settings = loadKnowledgeSettings();
+  knowledgeEnabledToggle.checked = settings.enabled;
+  knowledgeProviderSelect.value = getEmbeddingProviderOption(settings.provider).id;
+  knowledgeBaseUrlInput.value = settings.baseUrl;
+  knowledgeModelInput.value = settings.model;
+  knowledgeTopKInput.value = settings.topK;
+  updateKnowledgePlaceholders();
+}
+
+/**
+ * 選択中の検索方法に合わせて、ベースURLとモデル名のプレースホルダー（既定値）を更新する。
+ */
+function updateKnowledgePlaceholders() {
+  const option = getEmbeddingProviderOption(knowledgeProviderSelect?.value);
+  if (knowledgeBaseUrlInput) {
+    knowledgeBaseUrlInput.placeholder = option.defaultBaseUrl;
+  }
+  if (knowledgeModelInput) {
+    knowledgeModelInput.placeholder = option.defaultModel;
+  }
+}
+
+/**
+ * 資料検索設定フォームの値を保存し、資料の一覧（作り直しが必要かどうかの表示）に反映する。
+ */
+function handleKnowledgeSettingsChange() {
+  const defaults = getDefaultKnowledgeSettings();
+  const topK = Number.parseInt(knowledgeTopKInput.value, 10);
+  saveKnowledgeSettings({
+    enabled: knowledgeEnabledToggle.checked,
+    provider: knowledgeProviderSelect.value || defaults.provider,
+    baseUrl: knowledgeBaseUrlInput.value.trim(),
+    model: knowledgeModelInput.value.trim(),
+    topK: Number.isFinite(topK) && topK >= 0 ? topK : defaults.topK,
+  });
+  loadKnowledgeSettingsToForm();
+  knowledgeMenu.refresh();
+}
+
+/**
+ * ハンズフリー音声入力設定フォームに保存済みの設定値を反映する。
+ */
+function loadVoiceInputSettingsToForm() {
+  if (!voiceSpeechThresholdInput) {
+    return;
+  }
+  const settings = loadVoiceInputSettings();
+  voiceSpeechThresholdInput.value = settings.speechThreshold;
+  voiceSilenceMsInput.value = settings.silenceMs;
+  voiceMinSpeechMsInput.value = settings.minSpeechMs;
+  voiceBargeInToggle.checked = settings.bargeIn;
+}
+
+/**
+ * ハンズフリー音声入力設定フォームの値を保存する。ハンズフリー中でも次の判定から反映される。
+ */
+function handleVoiceInputSettingsChange() {
+  const defaults = getDefaultVoiceInputSettings();
+  const speechThreshold = Number.parseFloat(voiceSpeechThresholdInput.value);
+  const silenceMs = Number.parseInt(voiceSilenceMsInput.value, 10);
+  const minSpeechMs = Number.parseInt(voiceMinSpeechMsInput.value, 10);
+  saveVoiceInputSettings({
+    speechThreshold: Number.isFinite(speechThreshold) && speechThreshold > 0 ? speechThreshold : defaults.speechThreshold,
+    silenceMs: Number.isFinite(silenceMs) && silenceMs > 0 ? silenceMs : defaults.silenceMs,
+    minSpeechMs: Number.isFinite(minSpeechMs) && minSpeechMs >= 0 ? minSpeechMs : defaults.minSpeechMs,
+    bargeIn: voiceBargeInToggle.checked,
+  });
+  loadVoiceInputSettingsToForm();
+}
+
 async function init() {
   // アクションメニューを生成
   populateActionMenu();
 
-  // VRMモデルを読み込む
-  const success = await loadVrmModel(MODEL_URL);
+  // 会話モデル設定フォームを初期化
+  loadLlmSettingsToForm();
+  loadContextSettingsToForm();
+  loadPromptSettingsToForm();
+  loadAffectSettingsToForm();
+  loadVisionSettingsToForm();
+  loadMemorySettingsToForm();
+  loadKnowledgeSettingsToForm();
+  loadSttSettingsToForm();
+  loadVoiceInputSettingsToForm();
+  renderCharacterProfileOptions();
+
+  // 保存済みの会話履歴を読み込み、直近の会話を再開（なければキャラクターの最初のメッセージを表示）
+  await sessionMenu.init();
+  chatMenu.speakFirstMessage();
+  await memoryMenu.refresh();
+  await knowledgeMenu.refresh();
+
+  // 選択中のキャラクターのVRMモデルを読み込む
+  const success = await loadVrmModel(initialProfile.vrmUrl || MODEL_URL);
   if (!success) {
     logMessage("Error", "[main] VRMモデルの読み込みに失敗しました");
     return;
@@ -352,6 +903,39 @@ debugDisplayToggle?.addEventListener("change", (event) => {
   }
 });
 
+// 会話モデル設定の変更を即時保存する
+llmProviderSelect?.addEventListener("change", handleLlmSettingsChange);
+[llmBaseUrlInput, llmModelInput, llmTemperatureInput, llmMaxTokensInput, llmEnableToolsToggle, llmEnableEmotionTagsToggle].forEach((input) => {
+  input?.addEventListener("change", handleLlmSettingsChange);
+});
+[contextKeepTurnsInput, contextMaxTokensInput, contextSummarizeToggle].forEach((input) => {
+  input?.addEventListener("change", handleContextSettingsChange);
+});
+[promptUserNameInput, promptSceneContextToggle].forEach((input) => {
+  input?.addEventListener("change", handlePromptSettingsChange);
+});
+affectEnabledToggle?.addEventListener("change", handleAffectSettingsChange);
+[visionAttachSceneToggle, visionDetailSelect].forEach((input) => {
+  input?.addEventListener("change", handleVisionSettingsChange);
+});
+resetAffectButton?.addEventListener("click", () => {
+  if (confirm(`「${getActiveCharacterProfile().aiName}」の気分と親しみを初期状態に戻しますか？`)) {
+    affectController.reset();
+  }
+});
+[memoryEnabledToggle, memoryMaxInjectedInput].forEach((input) => {
+  input?.addEventListener("change", handleMemorySettingsChange);
+});
+[knowledgeEnabledToggle, knowledgeProviderSelect, knowledgeBaseUrlInput, knowledgeModelInput, knowledgeTopKInput].forEach((input) => {
+  input?.addEventListener("change", handleKnowledgeSettingsChange);
+});
+[sttProviderSelect, sttBaseUrlInput, sttModelInput, sttLanguageInput, sttPromptInput].forEach((input) => {
+  input?.addEventListener("change", handleSttSettingsChange);
+});
+[voiceSpeechThresholdInput, voiceSilenceMsInput, voiceMinSpeechMsInput, voiceBargeInToggle].forEach((input) => {
+  input?.addEventListener("change", handleVoiceInputSettingsChange);
+});
+
 // 設定ボタンとポップアップの制御
 settingsButton?.addEventListener("click", () => {
   settingsOverlay?.classList.remove("hidden");
@@ -402,31 +986,199 @@ versionHistoryOverlay?.addEventListener("click", (event) => {
 });
 
 /**
- * キャラクター設定画面に現在の設定値を読み込む。
+ * 設定画面のキャラクター選択欄に、保存済みのキャラクタープロファイルを表示する。
+ */
+function renderCharacterProfileOptions() {
+  if (!characterProfileSelect) {
+    return;
+  }
+  characterProfileSelect.replaceChildren(
+    ...loadCharacterProfiles().map((profile) => {
+      const element = document.createElement("option");
+      element.value = profile.id;
+      element.textContent = profile.aiName;
+      return element;
+    })
+  );
+  characterProfileSelect.value = getActiveCharacterProfile().id;
+}
+
+/**
+ * キャラクタープロファイルの内容を、ページを再読み込みせずに画面とモデルに反映する。
+ * VRMモデルは読み込み済みのものと異なる場合のみ読み込み直す（キューブなどシーンの他の物はそのまま残る）。
+ * @param {Object} profile - 反映するプロファイル
+ * @returns {Promise<boolean>} VRMモデルを読み込み直した場合は true
+ */
+async function applyCharacterProfile(profile) {
+  renderCharacterProfileOptions();
+  vrButtonOverlay.handleCharacterChange();
+  const modelUrl = profile.vrmUrl || MODEL_URL;
+  if (modelUrl === loadedVrmUrl) {
+    return false;
+  }
+  const success = await loadVrmModel(modelUrl);
+  if (!success) {
+    alert(`キャラクターのVRMモデル（${modelUrl}）を読み込めませんでした。`);
+  }
+  return success;
+}
+
+/**
+ * 使用するキャラクタープロファイルを切り替える。
+ * 前のキャラクターとの会話は保存したまま閉じ、切り替え先のキャラクターの直近の会話を再開する。
+ * @param {string} profileId - 切り替え先のプロファイルID
+ * @returns {Promise<boolean>} AIの応答中などで切り替えられなかった場合は false
+ */
+async function switchCharacterProfile(profileId) {
+  if (profileId === getActiveCharacterProfile().id) {
+    return true;
+  }
+  if (!chatMenu.startNewSession()) {
+    return false;
+  }
+  const profile = setActiveCharacterProfile(profileId);
+  if (!profile) {
+    return false;
+  }
+  logMessage("Info", "[main] キャラクターを切り替えました", { profileId: profile.id, aiName: profile.aiName });
+
+  expressionController.reset();
+  affectController.switchCharacter(profile.id);
+  await sessionMenu.switchCharacter({ characterKey: profile.id, characterName: profile.aiName });
+  await memoryMenu.switchCharacter(profile.id);
+  await knowledgeMenu.switchCharacter(profile.id);
+  const reloaded = await applyCharacterProfile(profile);
+  if (!reloaded) {
+    // 同じモデルを使い続ける場合も、キャラクターの待機中の動作に切り替える
+    actionMenu.executeAction(profile.idleAction);
+  }
+  // 再開する会話がなければ、切り替え先のキャラクターの最初のメッセージを話す
+  chatMenu.speakFirstMessage();
+  return true;
+}
+
+/**
+ * 保存順で次のキャラクタープロファイルに切り替える（VRのキャラクター切り替えボタン用）。
+ * @returns {Promise<boolean>} 切り替えられなかった場合は false
+ */
+async function switchToNextCharacterProfile() {
+  const profiles = loadCharacterProfiles();
+  const index = profiles.findIndex((profile) => profile.id === getActiveCharacterProfile().id);
+  return switchCharacterProfile(profiles[(index + 1) % profiles.length].id);
+}
+
+/**
+ * キャラクター設定画面に選択中のキャラクタープロファイルの設定値を読み込む。
  */
 function loadCharacterSettingsToForm() {
-  const defaultSettings = getDefaultCharacterSettings();
-  // localStorageから読み込まれた現在の設定値を取得
-  // (config.jsでexportされている定数は既にlocalStorageから読み込まれている)
-  const currentSettings = {
-    aiName: localStorage.getItem("vrm_chat_ai_name") || defaultSettings.aiName,
-    systemPrompt: localStorage.getItem("vrm_chat_ai_system_prompt") || defaultSettings.systemPrompt,
-    openaiTts: {
-      model: localStorage.getItem("vrm_chat_openai_tts_model") || defaultSettings.openaiTts.model,
-      voice: localStorage.getItem("vrm_chat_openai_tts_voice") || defaultSettings.openaiTts.voice,
-      speed: parseFloat(localStorage.getItem("vrm_chat_openai_tts_speed")) || defaultSettings.openaiTts.speed,
-    },
-    aivisTts: {
-      model_uuid: localStorage.getItem("vrm_chat_aivis_tts_model_uuid") || defaultSettings.aivisTts.model_uuid,
+  const profile = getActiveCharacterProfile();
+  aiNameInput.value = profile.aiName;
+  aiSystemPromptInput.value = profile.systemPrompt;
+  aiFirstMessageInput.value = profile.firstMessage;
+  characterVrmUrlInput.value = profile.vrmUrl;
+  characterVrmUrlInput.placeholder = MODEL_URL;
+  characterExpressionWeightInput.value = profile.expressionWeight;
+  initiativeSilenceSecondsInput.value = profile.initiative.silenceSeconds;
+  initiativeVrGreetingToggle.checked = profile.initiative.vrGreeting;
+  initiativeApproachToggle.checked = profile.initiative.approachReaction;
+  initiativeReturnGreetingToggle.checked = profile.initiative.returnGreeting;
+  initiativeAbsenceMinutesInput.value = profile.initiative.absenceMinutes;
+
+  if (characterIdleActionSelect.options.length === 0) {
+    // 引数が必要なアクションは待機中の動作にできない
+    ACTION_MENU_ITEMS.filter((item) => !item.parameters).forEach((item) => {
+      const element = document.createElement("option");
+      element.value = item.id;
+      element.textContent = item.label;
+      characterIdleActionSelect.appendChild(element);
+    });
+  }
+  characterIdleActionSelect.value = profile.idleAction;
+  deleteCharacterProfileButton.disabled = loadCharacterProfiles().length <= 1;
+
+  if (ttsProviderSelect.options.length === 0) {
+    TTS_PROVIDER_OPTIONS.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.id;
+      element.textContent = option.label;
+      ttsProviderSelect.appendChild(element);
+    });
+  }
+  ttsProviderSelect.value = getTtsProviderOption(profile.ttsProvider).id;
+  renderTtsProviderFields();
+}
+
+/**
+ * キャラクター設定画面の入力値を取得する。未入力・不正な値の項目は既定値にする。
+ * TTSの設定値は、選択中の方法の分だけを選択中のプロファイルの設定値に上書きする。
+ * @returns {Object} プロファイルの設定値（id を除く）
+ */
+function readCharacterSettingsForm() {
+  const defaults = getDefaultCharacterSettings();
+  const ttsProvider = ttsProviderSelect.value || defaults.ttsProvider;
+  const expressionWeight = Number.parseFloat(characterExpressionWeightInput.value);
+  return {
+    aiName: aiNameInput.value.trim() || defaults.aiName,
+    systemPrompt: aiSystemPromptInput.value.trim() || defaults.systemPrompt,
+    firstMessage: aiFirstMessageInput.value.trim(),
+    ttsProvider: ttsProvider,
+    ttsSettings: { ...getActiveCharacterProfile().ttsSettings, [ttsProvider]: readTtsProviderFields() },
+    vrmUrl: characterVrmUrlInput.value.trim(),
+    idleAction: characterIdleActionSelect.value || defaults.idleAction,
+    expressionWeight: Number.isFinite(expressionWeight) ? expressionWeight : defaults.expressionWeight,
+    // 不正な数値は normalizeCharacterProfile で既定値にする
+    initiative: {
+      silenceSeconds: Number.parseFloat(initiativeSilenceSecondsInput.value),
+      vrGreeting: initiativeVrGreetingToggle.checked,
+      approachReaction: initiativeApproachToggle.checked,
+      returnGreeting: initiativeReturnGreetingToggle.checked,
+      absenceMinutes: Number.parseFloat(initiativeAbsenceMinutesInput.value),
     },
   };
+}
+
+/**
+ * 選択中のTTSプロバイダーの設定項目（プロバイダー定義の fields）から入力欄を生成し、保存済みの値を反映する。
+ */
+function renderTtsProviderFields() {
+  const option = getTtsProviderOption(ttsProviderSelect.value);
+  const values = loadTtsProviderSettings(option.id, option.fields);
+  ttsProviderFields.replaceChildren(
+    ...option.fields.map((field) => {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = field.type;
+      input.dataset.key = field.key;
+      input.value = values[field.key];
+      input.placeholder = field.placeholder ?? String(field.defaultValue);
+      ["min", "max", "step"].forEach((attribute) => {
+        if (field[attribute] !== undefined) {
+          input[attribute] = String(field[attribute]);
+        }
+      });
+      label.append(field.label, input);
+      return label;
+    })
+  );
+}
 
-  aiNameInput.value = currentSettings.aiName;
-  aiSystemPromptInput.value = currentSettings.systemPrompt;
-  openaiTtsModelInput.value = currentSettings.openaiTts.model;
-  openaiTtsVoiceInput.value = currentSettings.openaiTts.voice;
-  openaiTtsSpeedInput.value = currentSettings.openaiTts.speed;
-  aivisTtsModelUuidInput.value = currentSettings.aivisTts.model_uuid;
+/**
+ * TTSプロバイダーの設定項目の入力値を取得する。未入力・不正な値の項目は既定値にする。
+ * @returns {Object} 設定項目のキーごとの値
+ */
+function readTtsProviderFields() {
+  const option = getTtsProviderOption(ttsProviderSelect.value);
+  return Object.fromEntries(
+    option.fields.map((field) => {
+      const input = ttsProviderFields.querySelector(`input[data-key="${field.key}"]`);
+      const text = input?.value.trim() ?? "";
+      if (field.type === "number") {
+        const value = Number.parseFloat(text);
+        return [field.key, Number.isFinite(value) ? value : field.defaultValue];
+      }
+      return [field.key, text || field.defaultValue];
+    })
+  );
 }
 
 // キャラクター設定変更ボタンとポップアップの制御
@@ -435,6 +1187,9 @@ openCharacterSettingsButton?.addEventListener("click", () => {
   characterSettingsOverlay?.classList.remove("hidden");
 });
 
+// TTSプロバイダーを切り替えたら、そのプロバイダーの設定項目を表示する
+ttsProviderSelect?.addEventListener("change", renderTtsProviderFields);
+
 closeCharacterSettingsButton?.addEventListener("click", () => {
   characterSettingsOverlay?.classList.add("hidden");
 });
@@ -444,27 +1199,104 @@ cancelCharacterSettingsButton?.addEventListener("click", () => {
   characterSettingsOverlay?.classList.add("hidden");
 });
 
-// 保存ボタンのイベントリスナー
-saveCharacterSettingsButton?.addEventListener("click", () => {
-  const settings = {
-    aiName: aiNameInput.value.trim() || getDefaultCharacterSettings().aiName,
-    systemPrompt: aiSystemPromptInput.value.trim() || getDefaultCharacterSettings().systemPrompt,
-    openaiTts: {
-      model: openaiTtsModelInput.value.trim() || getDefaultCharacterSettings().openaiTts.model,
-      voice: openaiTtsVoiceInput.value.trim() || getDefaultCharacterSettings().openaiTts.voice,
-      speed: parseFloat(openaiTtsSpeedInput.value) || getDefaultCharacterSettings().openaiTts.speed,
-    },
-    aivisTts: {
-      model_uuid: aivisTtsModelUuidInput.value.trim() || getDefaultCharacterSettings().aivisTts.model_uuid,
-    },
-  };
+// 保存ボタンのイベントリスナー（選択中のキャラクターを上書きし、リロードせずに反映する）
+saveCharacterSettingsButton?.addEventListener("click", async () => {
+  const profile = saveCharacterProfile({ ...readCharacterSettingsForm(), id: getActiveCharacterProfile().id });
+  characterSettingsOverlay?.classList.add("hidden");
+  await applyCharacterProfile(profile);
+  logMessage("Info", "[main] キャラクター設定を保存しました", { profileId: profile.id, aiName: profile.aiName });
+});
 
-  // 設定を保存
-  saveCharacterSettings(settings);
+// 新規作成ボタンのイベントリスナー（入力内容で新しいキャラクターを作成して切り替える）
+createCharacterProfileButton?.addEventListener("click", async () => {
+  const profile = saveCharacterProfile(readCharacterSettingsForm());
+  characterSettingsOverlay?.classList.add("hidden");
+  try {
+    if (!(await switchCharacterProfile(profile.id))) {
+      renderCharacterProfileOptions();
+      alert(`「${profile.aiName}」を作成しました。AIの応答が終わってから切り替えてください。`);
+    }
+  } catch (error) {
+    logMessage("Error", "[main] 作成したキャラクターへの切り替えに失敗しました", { profileId: profile.id, error: error });
+    renderCharacterProfileOptions();
+    alert(`「${profile.aiName}」を作成しましたが、切り替えできませんでした: ${error.message}`);
+  }
+});
 
-  // ページをリロードして新しい設定を反映
-  alert("キャラクター設定を保存しました。ページをリロードします。");
-  location.reload();
+// 削除ボタンのイベントリスナー（選択中のキャラクターを削除し、残りの先頭のキャラクターに切り替える）
+deleteCharacterProfileButton?.addEventListener("click", async () => {
+  const profile = getActiveCharacterProfile();
+  const nextProfile = loadCharacterProfiles().find((candidate) => candidate.id !== profile.id);
+  if (!nextProfile || !confirm(`キャラクター「${profile.aiName}」を削除しますか？（会話履歴は残ります）`)) {
+    return;
+  }
+  try {
+    if (!(await switchCharacterProfile(nextProfile.id))) {
+      alert("AIの応答中は削除できません。");
+      return;
+    }
+  } catch (error) {
+    // 切り替えの途中で失敗した場合は、どちらのキャラクターも削除しない
+    logMessage("Error", "[main] キャラクターの削除前の切り替えに失敗しました", { profileId: nextProfile.id, error: error });
+    renderCharacterProfileOptions();
+    alert(`キャラクターを切り替えできなかったため、削除しませんでした: ${error.message}`);
+    return;
+  }
+  deleteCharacterProfile(profile.id);
+  renderCharacterProfileOptions();
+  characterSettingsOverlay?.classList.add("hidden");
+});
+
+// キャラクターカードの読み込みボタン（カードから新しいキャラクターを作成して切り替える）
+importCharacterCardButton?.addEventListener("click", () => characterCardInput?.click());
+
+characterCardInput?.addEventListener("change", async (event) => {
+  const file = event.target.files?.[0];
+  // 入力をクリアして、同じファイルを再度選択できるようにする
+  event.target.value = "";
+  if (!file) {
+    return;
+  }
+  try {
+    const profile = saveCharacterProfile(await parseCharacterCardFile(file));
+    logMessage("Info", "[main] キャラクターカードを読み込みました", { file: file.name, aiName: profile.aiName });
+    if (await switchCharacterProfile(profile.id)) {
+      alert(`キャラクターカードから「${profile.aiName}」を作成しました。`);
+    } else {
+      renderCharacterProfileOptions();
+      alert(`キャラクターカードから「${profile.aiName}」を作成しました。AIの応答が終わってから切り替えてください。`);
+    }
+  } catch (error) {
+    logMessage("Error", "[main] キャラクターカードの読み込みに失敗しました", { file: file.name, error: error });
+    alert(`キャラクターカードを読み込めませんでした: ${error.message}`);
+  }
+});
+
+// キャラクターカードの書き出しボタン（選択中のキャラクターを V2 形式の JSON でダウンロードする）
+exportCharacterCardButton?.addEventListener("click", () => {
+  const profile = getActiveCharacterProfile();
+  const blob = new Blob([JSON.stringify(buildCharacterCard(profile), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `vrm-chat-character-${profile.aiName}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+});
+
+// 設定画面のキャラクター選択で、キャラクターを切り替える
+characterProfileSelect?.addEventListener("change", async () => {
+  const profileId = characterProfileSelect.value;
+  try {
+    if (!(await switchCharacterProfile(profileId))) {
+      renderCharacterProfileOptions();
+      alert("AIの応答中はキャラクターを切り替えできません。");
+    }
+  } catch (error) {
+    logMessage("Error", "[main] キャラクターの切り替えに失敗しました", { profileId: profileId, error: error });
+    renderCharacterProfileOptions();
+    alert(`キャラクターを切り替えできませんでした: ${error.message}`);
+  }
 });
 
 // オーバーレイの背景をクリックしたときに閉じる
@@ -525,19 +1357,32 @@ init();
 
 stage.renderer.setAnimationLoop((_, xrFrame) => {
   const delta = stage.clock.getDelta();
+  // 前のフレームで加えた身ぶりを、クリップの再生より前に取り除く
+  bodyLanguageController.restorePose();
   stage.updateKeyboardMovement?.(delta);
   stage.controls.update();
   vrmManager.update(delta);
   vrmManager.updateLipSync(delta);
+  expressionController.update(delta);
+  affectController.update(delta);
+  initiativeScheduler.update(delta);
   walkMenu.updateWalk(delta);
   randomMenu.updateRandomBehavior(delta);
   idleLoopMenu.updateIdleLoopMode(delta);
   lookAtPlayerMenu.updateLookAtPlayer(delta, xrFrame);
   actionMenu.updateAction(delta);
+  bodyLanguageController.update(delta);
   handInteractionManager.update(delta);
   vrButtonOverlay.update();
+  vrImagePanel.update({
+    vrm: vrmManager.getCurrentVrm(),
+    viewer: stage.camera,
+    isPresenting: stage.renderer.xr.isPresenting,
+  });
   updateCameraPositionLabel();
   stage.renderer.render(stage.scene, stage.camera);
+  // 依頼されたアバターの視界の撮影は、画面を描画した後に行う
+  sceneCapture.update();
 });
 
 window.addEventListener("beforeunload", () => {
@@ -25,6 +25,8 @@ export function createActionMenu({
   getAnimationClip,
   AnimationBlend,
   vrmaBasePath,
+  // 気分と親しみに応じたふるまいを返す関数 () => { comeHereFrontDistance, lookDownDegrees }（省略時は既定の値）
+  getAffectBehavior,
 }) {
   const ENABLE_ACTION_MENU_LOG = false; // デバッグ時にtrueにすると詳細ログが出力される
 
@@ -48,6 +50,7 @@ export function createActionMenu({
    */
   function finishActionAndReturnToIdle() {
     if (actionState.currentAction !== "random") {
+      actionState.currentAction = "idle";
       idleAction.execute();
     }
   }
@@ -117,6 +120,7 @@ export function createActionMenu({
     formatVectorForLog,
     normalizeRadians,
     applyManualLookDown: (angleDeg) => lookDownAction.applyManual(angleDeg),
+    getAffectBehavior,
     ENABLE_ACTION_MENU_LOG,
   });
 
@@ -132,11 +136,12 @@ export function createActionMenu({
   /**
    * 「ランダム」アクションを実行する。
    * 既存のランダムアニメーション確認の動きを実行する。
+   * @returns {boolean} ランダムモードを始めた場合は true
    */
   function executeRandomAction() {
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     // 他のモードを停止
@@ -146,16 +151,18 @@ export function createActionMenu({
     // ランダムモードを開始
     randomMenu.activateRandomMode();
     setActionStatus("ランダムアニメーションを開始しました");
+    return true;
   }
 
   /**
    * 「こっちをみる」アクションを実行する。
    * プレイヤーの方を見る。体の向きも調整する。
+   * @returns {boolean} プレイヤーの方を見始めた場合は true
    */
   function executeLookAtPlayerAction() {
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     // ランダムモードと待機モードを停止
@@ -168,12 +175,13 @@ export function createActionMenu({
     // lookAtPlayerMenuのlookAtPlayer機能を呼び出すために、
     // lookAtPlayerボタンをプログラム的にクリックする
     const lookButton = document.getElementById("lookAtPlayerButton");
-    if (lookButton) {
-      actionState.lookAtPlayerInProgress = true;
-      lookButton.click();
-    } else {
+    if (!lookButton) {
       setActionStatus("プレイヤーの方を見る機能を実行できませんでした");
+      return false;
     }
+    actionState.lookAtPlayerInProgress = true;
+    lookButton.click();
+    return true;
   }
 
   /**
@@ -181,16 +189,17 @@ export function createActionMenu({
    * プレイヤーの方を見る動作に加えて、プレイヤーのy座標に応じて首を引く角度を調整する。
    * - プレイヤーのy座標が1未満: 首を20度引く
    * - プレイヤーのy座標が1以上: 首の角度を0度にする
+   * @returns {boolean} プレイヤーの方を見られた場合は true
    */
   function executeLookAtPlayerWithNeckAction() {
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     if (!stage?.renderer || !stage?.camera) {
       setActionStatus("カメラ情報を取得できませんでした");
-      return;
+      return false;
     }
 
     // ランダムモードと待機モードを停止
@@ -205,7 +214,7 @@ export function createActionMenu({
 
     if (!baseCamera) {
       setActionStatus("カメラ情報を取得できませんでした");
-      return;
+      return false;
     }
 
     const playerPosition = new THREE.Vector3();
@@ -230,28 +239,33 @@ export function createActionMenu({
     } else {
       setActionStatus("プレイヤーの方を見ることができませんでした");
     }
+    return success;
   }
 
   /**
    * 「首を動かす」アクションを実行する。
    * 指定された角度で首を引く（下を向く）動作を行う。
+   * @param {number} [angle] - 首を動かす角度（度）。省略時は角度入力欄の値を使用する
+   * @returns {boolean} 首を動かせた場合は true
    */
-  function executeMoveNeckAction() {
+  function executeMoveNeckAction(angle) {
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
-    // 入力された角度を取得
-    const neckAngleInput = document.getElementById("neckAngleInput");
-    if (!neckAngleInput) {
-      setActionStatus("角度入力フィールドが見つかりません");
-      return;
+    let levelDegrees = angle;
+    if (!Number.isFinite(levelDegrees)) {
+      // 入力された角度を取得
+      const neckAngleInput = document.getElementById("neckAngleInput");
+      if (!neckAngleInput) {
+        setActionStatus("角度入力フィールドが見つかりません");
+        return false;
+      }
+      const rawValue = Number.parseFloat(neckAngleInput.value ?? "0");
+      levelDegrees = Number.isFinite(rawValue) ? rawValue : 0;
     }
 
-    const rawValue = Number.parseFloat(neckAngleInput.value ?? "0");
-    const levelDegrees = Number.isFinite(rawValue) ? rawValue : 0;
-
     // ランダムモードと待機モードを停止
     randomMenu.deactivateRandomMode();
     idleLoopMenu.deactivateIdleLoopMode();
@@ -269,50 +283,48 @@ export function createActionMenu({
 
     // 首を動かした後、待機アクションに移行
     finishActionAndReturnToIdle();
+    return Boolean(result?.success);
   }
 
   /**
-   * 選択されたアクションを実行する。
+   * アクションを実行する。
+   * Webのアクションメニュー、VR空間のメニュー、会話モデルのツール呼び出しから使用する。
+   * @param {string} [actionId] - ACTION_MENU_ITEMS の id。省略時はアクションメニューで選択中の値
+   * @param {{ angle?: number }} [options] - アクションの引数（moveNeck の角度など）
+   * @returns {Promise<boolean>} アクションを実行できた場合は true（VRMの読み込み前などで実行できなかった場合は false。
+   *   移動などの完了は待たず、始められたかどうかを返す）
    */
-  function executeAction() {
-    const selectedAction = actionSelect.value;
+  async function executeAction(actionId = actionSelect?.value, options = {}) {
+    const selectedAction = actionId;
     if (!selectedAction) {
       setActionStatus("アクションを選択してください");
-      return;
+      return false;
     }
 
     actionState.currentAction = selectedAction;
 
     switch (selectedAction) {
       case "random":
-        executeRandomAction();
-        break;
+        return executeRandomAction();
       case "comeHere":
-        comeHereAction.execute();
-        break;
+        return comeHereAction.execute();
       case "comeHereFront":
-        comeHereFrontAction.execute();
-        break;
+        return comeHereFrontAction.execute();
       case "idle":
-        idleAction.execute();
-        break;
+        return idleAction.execute();
       case "lookAtPlayer":
-        executeLookAtPlayerAction();
-        break;
+        return executeLookAtPlayerAction();
       case "lookAtPlayerWithNeck":
-        executeLookAtPlayerWithNeckAction();
-        break;
+        return executeLookAtPlayerWithNeckAction();
       case "wave":
-        waveAction.execute();
-        break;
+        return waveAction.execute();
       case "moveNeck":
-        executeMoveNeckAction();
-        break;
+        return executeMoveNeckAction(options.angle);
       case "blink":
-        blinkAction.execute();
-        break;
+        return blinkAction.execute();
       default:
         setActionStatus("不明なアクションです");
+        return false;
     }
   }
 
@@ -348,7 +360,8 @@ export function createActionMenu({
       finishActionAndReturnToIdle();
     }
 
-    // 首を動かす骨制御を適用
+    // 首を動かす骨制御を適用（首の角度の指定がないときは、気分に応じてうつむく）
+    lookDownAction.setMoodAngle(THREE.MathUtils.degToRad(getAffectBehavior?.()?.lookDownDegrees ?? 0));
     lookDownAction.applyPose(delta);
 
     // 自動まばたきの更新
@@ -360,21 +373,25 @@ export function createActionMenu({
 
   /**
    * VRM読み込み完了時の処理。
+   * @param {string} [startActionId] - 読み込み後に始めるアクション（キャラクタープロファイルの設定。既定はランダム）
    */
-  function handleVrmReady() {
+  function handleVrmReady(startActionId = "random") {
     lookDownAction.reset();
-    // デフォルトでランダムアニメーションを開始
-    executeRandomAction();
+    executeAction(startActionId);
   }
 
   // イベントリスナーの設定
-  actionExecuteButton?.addEventListener("click", executeAction);
+  actionExecuteButton?.addEventListener("click", () => executeAction());
 
   return {
     executeAction,
     updateAction,
     handleVrmReady,
     setActionStatus,
+    /**
+     * 現在実行中のアクション（ACTION_MENU_ITEMS のID。未実行の場合は空文字列）を返す。
+     */
+    getCurrentAction: () => actionState.currentAction,
     executeComeHereFrontAction: () => comeHereFrontAction.execute(),
     applyManualLookDown: (angleDeg) => lookDownAction.applyManual(angleDeg),
     autoBlinkManager, // 外部から自動まばたきの制御が必要な場合のために公開
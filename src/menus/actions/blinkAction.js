@@ -18,22 +18,23 @@ export function createBlinkAction({ vrmManager, setActionStatus, finishActionAnd
   /**
    * まばたきアクションを実行する。
    * VRMの表情制御機能を使用して、目を閉じて開くアニメーションを行う。
+   * @returns {boolean} まばたきを始めた場合は true
    */
   function execute() {
     if (state.inProgress) {
       setActionStatus("既にまばたき中です");
-      return;
+      return false;
     }
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     // VRMの表情管理機能が利用可能かチェック
     const vrm = vrmManager.getCurrentVrm();
     if (!vrm.expressionManager) {
       setActionStatus("このモデルは表情制御に対応していません");
-      return;
+      return false;
     }
 
     // まばたきの状態を初期化して開始
@@ -43,6 +44,7 @@ export function createBlinkAction({ vrmManager, setActionStatus, finishActionAnd
     state.currentValue = 0;
 
     setActionStatus("まばたきをしています...");
+    return true;
   }
 
   /**
@@ -23,11 +23,12 @@ export function createComeHereAction({
   /**
    * 「こっちに来る」アクションを実行する。
    * プレイヤーの0.5m手前まで移動する。移動完了後は歩きアニメーションを停止する。
+   * @returns {Promise<boolean>} 移動を始めた場合は true（到着は待たない）
    */
   async function execute() {
     if (state.inProgress) {
       setActionStatus("既にこっちに向かっています");
-      return;
+      return false;
     }
 
     // 既に移動中（ランダムモードなど）の場合は、その移動をキャンセルして新しい移動を開始
@@ -37,11 +38,11 @@ export function createComeHereAction({
 
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
     if (!stage?.renderer || !stage?.camera) {
       setActionStatus("カメラ情報を取得できませんでした");
-      return;
+      return false;
     }
 
     try {
@@ -57,7 +58,7 @@ export function createComeHereAction({
 
       if (!baseCamera) {
         setActionStatus("カメラ情報を取得できませんでした");
-        return;
+        return false;
       }
 
       const playerPosition = new THREE.Vector3();
@@ -122,10 +123,12 @@ export function createComeHereAction({
         state.inProgress = false;
         setActionStatus("こっちに来ることができませんでした");
       }
+      return moveSucceeded;
     } catch (err) {
       logMessage("Error", "Come here action error", { error: err });
       setActionStatus("こっちに来るアクションに失敗しました");
       state.inProgress = false;
+      return false;
     }
   }
 
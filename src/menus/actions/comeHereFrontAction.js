@@ -4,6 +4,7 @@ import { logMessage } from "../../utils/logger.js";
 /**
  * 「こっちに来る(正面)」アクション
  * プレイヤーの正面1.5m位置に移動し、移動完了後はプレイヤーの方を向く回転処理を行う。
+ * 止まる距離は getAffectBehavior が返すキャラクターの親しみに応じた距離に従う（親しいほど近い）。
  * 回転処理はupdate()内で実行される。
  */
 export function createComeHereFrontAction({
@@ -17,6 +18,7 @@ export function createComeHereFrontAction({
   formatVectorForLog,
   normalizeRadians,
   applyManualLookDown,
+  getAffectBehavior,
   ENABLE_ACTION_MENU_LOG,
 }) {
   const COME_HERE_FRONT_SKIP_THRESHOLD = 1;
@@ -37,11 +39,12 @@ export function createComeHereFrontAction({
    * 「こっちに来る(正面)」アクションを実行する。
    * プレイヤーの正面1.5m位置に移動し、移動完了後はプレイヤーの方を向く回転処理を行う。
    * 回転処理はupdate()内で実行される。
+   * @returns {Promise<boolean>} 移動を始めた場合と、既に正面にいる場合は true（到着は待たない）
    */
   async function execute() {
     if (state.inProgress) {
       setActionStatus("既にこっちに向かっています");
-      return;
+      return false;
     }
 
     // 既に移動中（ランダムモードなど）の場合は、その移動をキャンセルして新しい移動を開始
@@ -51,11 +54,11 @@ export function createComeHereFrontAction({
 
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
     if (!stage?.renderer || !stage?.camera) {
       setActionStatus("カメラ情報を取得できませんでした");
-      return;
+      return false;
     }
 
     try {
@@ -70,16 +73,16 @@ export function createComeHereFrontAction({
 
       if (!baseCamera) {
         setActionStatus("カメラ情報を取得できませんでした");
-        return;
+        return false;
       }
 
       const playerPosition = new THREE.Vector3();
       playerPosition.setFromMatrixPosition(baseCamera.matrixWorld);
 
-      // カメラの正面方向ベクトルを取得し、プレイヤーの1.5m前方を目標地点とする
+      // カメラの正面方向ベクトルを取得し、プレイヤーの前方（既定1.5m。親しいほど近い）を目標地点とする
       const cameraDirection = new THREE.Vector3();
       baseCamera.getWorldDirection(cameraDirection);
-      const frontDistance = 1.5;
+      const frontDistance = getAffectBehavior?.()?.comeHereFrontDistance ?? 1.5;
       const targetPosition = new THREE.Vector3();
       targetPosition.copy(playerPosition).add(cameraDirection.multiplyScalar(frontDistance));
 
@@ -114,7 +117,7 @@ export function createComeHereFrontAction({
           Object.assign({}, distanceLogPayload, { shouldSkipFrontMove })
         );
         setActionStatus("既にプレイヤーの正面にいます");
-        return;
+        return true;
       }
 
       // 実際に移動する場合のみ待機モードを解除し、Idle→歩行のフェード破綻を防ぐ
@@ -178,10 +181,12 @@ export function createComeHereFrontAction({
         state.inProgress = false;
         setActionStatus("正面に移動できませんでした");
       }
+      return moveSucceeded;
     } catch (err) {
       logMessage("Error", "Come here front action error", { error: err });
       setActionStatus("正面に移動するアクションに失敗しました");
       state.inProgress = false;
+      return false;
     }
   }
 
@@ -6,11 +6,12 @@ export function createIdleAction({ vrmManager, randomMenu, idleLoopMenu, setActi
   /**
    * 「待機」アクションを実行する。
    * idle2.vrmaとidle_2.vrmaを繰り返す。
+   * @returns {boolean} 待機アニメーションを始めた場合は true
    */
   function execute() {
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     // ランダムモードを停止
@@ -19,6 +20,7 @@ export function createIdleAction({ vrmManager, randomMenu, idleLoopMenu, setActi
     // 待機アニメーションを開始
     idleLoopMenu.activateIdleLoopMode();
     setActionStatus("待機アニメーションを開始しました");
+    return true;
   }
 
   return {
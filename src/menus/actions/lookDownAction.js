@@ -6,6 +6,7 @@ import { logMessage } from "../../utils/logger.js";
  * 首を動かす機能（見下ろし制御）
  * VRMの首・頭ボーンを回転させて、指定された角度で首を動かす。
  * 手動指定とプレイヤー位置に応じた自動調整の両方をサポートする。
+ * 手動・自動の指定がないときは、キャラクターの気分に応じた角度（落ち込んでいるときのうつむき）を適用する。
  */
 export function createLookDownAction({ vrmManager }) {
   const MANUAL_LOOK_DOWN_MIN_DEGREES = -45;
@@ -22,6 +23,7 @@ export function createLookDownAction({ vrmManager }) {
     enabled: false, // 見下ろし制御が有効かどうか
     targetAngleRad: 0, // 目標角度（ラジアン）。正の値: 下方向、負の値: 上方向
     mode: "manual", // "manual" または "auto"
+    moodAngleRad: 0, // 気分に応じた角度（ラジアン）。手動・自動の指定がないときに使う
     boneOffsets: new Map(), // 各ボーンの現在のオフセット値（ラジアン）
   };
 
@@ -72,6 +74,14 @@ export function createLookDownAction({ vrmManager }) {
     state.mode = mode;
   }
 
+  /**
+   * 気分に応じた角度を設定する。手動・自動の指定がないときにゆっくり適用される。
+   * @param {number} angleRad - 弧度法角度（正の値: 下方向）
+   */
+  function setMoodAngle(angleRad) {
+    state.moodAngleRad = THREE.MathUtils.clamp(angleRad, -MANUAL_LOOK_DOWN_MAX_RADIANS, MANUAL_LOOK_DOWN_MAX_RADIANS);
+  }
+
   /**
    * VRMの首・頭ボーンへ顎を引く角度を適用する。
    * @param {number} delta - 前フレームからの経過時間（秒）
@@ -82,7 +92,8 @@ export function createLookDownAction({ vrmManager }) {
       return;
     }
 
-    const targetAngleRad = state.enabled ? state.targetAngleRad : 0;
+    const targetAngleRad = state.enabled ? state.targetAngleRad : state.moodAngleRad;
+    const hasMoodAngle = Math.abs(state.moodAngleRad) > LOOK_DOWN_EPSILON;
     const smoothingFactor = computeSmoothingAlpha(
       delta,
       state.enabled ? LOOK_DOWN_APPLY_SPEED : LOOK_DOWN_RELEASE_SPEED
@@ -113,14 +124,14 @@ export function createLookDownAction({ vrmManager }) {
       );
       bone.rotation.x = finalRotation;
 
-      if (Math.abs(nextOffset) < LOOK_DOWN_EPSILON && !state.enabled) {
+      if (Math.abs(nextOffset) < LOOK_DOWN_EPSILON && !state.enabled && !hasMoodAngle) {
         state.boneOffsets.delete(name);
       } else {
         state.boneOffsets.set(name, nextOffset);
       }
     });
 
-    if (!state.enabled && maxAbsOffset <= LOOK_DOWN_EPSILON) {
+    if (!state.enabled && !hasMoodAngle && maxAbsOffset <= LOOK_DOWN_EPSILON) {
       state.boneOffsets.clear();
     }
   }
@@ -165,6 +176,7 @@ export function createLookDownAction({ vrmManager }) {
     applyPose,
     applyManual,
     setTarget,
+    setMoodAngle,
     reset,
   };
 }
@@ -25,15 +25,16 @@ export function createWaveAction({
   /**
    * 「手を振る」アクションを実行する。
    * WaveHand.vrmaをフェード付きで再生する。
+   * @returns {Promise<boolean>} 手を振り始めた場合は true
    */
   async function execute() {
     if (state.inProgress) {
       setActionStatus("既に手を振っています");
-      return;
+      return false;
     }
     if (!vrmManager.getCurrentVrm()) {
       setActionStatus("VRMの読み込みをお待ちください");
-      return;
+      return false;
     }
 
     try {
@@ -64,10 +65,12 @@ export function createWaveAction({
       });
 
       setActionStatus("手を振っています");
+      return true;
     } catch (err) {
       logMessage("Error", "Wave animation error", { error: err });
       setActionStatus("手を振るアクションに失敗しました");
       state.inProgress = false;
+      return false;
     }
   }
 
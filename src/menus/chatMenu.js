@@ -1,19 +1,83 @@
 import { setStatusText } from "../top_common.js";
 import {
-  AI_CHARACTER_SYSTEM_PROMPT,
-  AI_NAME,
-  OPENAI_TTS_CONFIG,
-  AIVIS_TTS_CONFIG,
+  getActiveCharacterProfile,
+  loadTtsProviderSettings,
+  loadLlmSettings,
+  loadContextSettings,
+  loadPromptSettings,
+  loadMemorySettings,
+  loadKnowledgeSettings,
+  loadVoiceInputSettings,
+  loadSttSettings,
+  loadVisionSettings,
 } from "../config.js";
+import { createChatProvider } from "../llm/chatProviders.js";
+import { createSttProvider } from "../stt/sttProviders.js";
+import { createTtsProvider, getTtsProviderOption, resolveTtsProviderId } from "../tts/ttsProviders.js";
+import { buildChatContext, summarizeConversation } from "../llm/contextManager.js";
+import { buildPromptVariables, formatSceneContextPrompt, renderPromptTemplate } from "../llm/promptTemplate.js";
+import { extractMemoryChanges, formatMemoryPrompt, selectRelevantMemories } from "../llm/memoryManager.js";
+import {
+  collectCitedSources,
+  formatKnowledgePrompt,
+  searchKnowledge,
+  stripCitationMarkers,
+} from "../knowledge/knowledgeBase.js";
+import { createEmbeddingProvider } from "../knowledge/embeddingProviders.js";
+import {
+  EMOTION_TAG_INSTRUCTION,
+  extractEmotionTags,
+  listEmotionTags,
+  stripEmotionTagsForDisplay,
+} from "../llm/emotionTags.js";
+import {
+  MAX_ACTION_CALLS_PER_TURN,
+  MAX_TOOL_ROUNDS,
+  buildActionTools,
+  resolveActionToolCall,
+} from "../llm/actionTools.js";
+import { createSentenceSplitter } from "../llm/sentenceSplitter.js";
+import { createSpeechQueue } from "../audio/speechQueue.js";
+import { createVoiceActivityDetector } from "../audio/voiceActivityDetector.js";
+import {
+  buildVisemeTrackFromAudioQuery,
+  buildVisemeTrackFromMoras,
+  textToMoras,
+} from "../audio/visemeTrack.js";
+import { captureWebcamFrame, readImageFile } from "../vision/imageInput.js";
+import { createSessionId, saveSession } from "../storage/sessionStore.js";
+import { applyMemoryChanges, listMemories } from "../storage/memoryStore.js";
+import { buildTtsCacheKey, getCachedSpeech, putCachedSpeech } from "../storage/ttsCache.js";
 import {
   MIC_PERMISSION_ERROR_CODE,
   MIC_PERMISSION_ERROR_MESSAGE,
 } from "../constants/micPermission.js";
+import { describeError, isAbortError } from "../utils/httpClient.js";
 import { logMessage } from "../utils/logger.js";
 
+// 発話を遮られたAI応答の末尾に付ける注記（会話モデルにも、どこで遮られたかが伝わるようにする）
+const INTERRUPTED_REPLY_MARKER = "……（ここでユーザーに遮られました）";
+// ハンズフリーでアバターの発話中に聞き取るときの、発話検出しきい値の倍率（スピーカーの音の誤検出を抑える）
+const BARGE_IN_THRESHOLD_SCALE = 2;
+// 文字を入力せずに画像だけを送信したときの、ユーザーの発言
+const IMAGE_ONLY_MESSAGE = "（画像を見せました）";
+// 添付画像の種類ごとの、会話モデルへの説明
+const IMAGE_SOURCE_DESCRIPTIONS = {
+  scene: "あなたの目に今見えている空間の様子",
+  upload: "ユーザーが見せた画像",
+  webcam: "ユーザーのWebカメラに今写っている様子",
+};
+// 添付画像の種類ごとの、画面に表示する名前
+const IMAGE_SOURCE_LABELS = {
+  scene: "アバターの視界",
+  upload: "画像ファイル",
+  webcam: "Webカメラ",
+};
+
 /**
  * チャットメニューを作成する。
- * OpenAI APIキー入力、Aivis APIキー入力、音声認識、Speech to Text、Text to Text（ChatCompletion）、TTS機能を提供する。
+ * 音声入力（ハンズフリーを含む）・画像の添付・会話モデルへの送信・読み上げを担い、
+ * 送信のたびに記憶・資料・アバターの状況をシステムプロンプトへ加え、応答後に会話履歴と記憶を保存する。
  */
 export function createChatMenu({
   apiKeyInput,
@@ -26,27 +90,60 @@ export function createChatMenu({
   ttsAudioPlayer,
   actionMenu,
   vrmManager,
+  expressionController,
+  affectController,
   // Web画面下部のチャット要素
   bottomChatMessages,
   bottomChatTextInput,
   bottomChatMicButton,
   bottomChatSendButton,
+  bottomChatHandsFreeButton,
+  bottomChatStopButton,
+  // 画像を添付するための、Web画面下部のチャット要素（パネルへのドロップ・添付待ちの画像の表示先・撮影ボタン）
+  bottomChatPanel,
+  bottomChatAttachments,
+  bottomChatSceneButton,
+  bottomChatWebcamButton,
+  // デバッグ表示用: 送信したコンテキストの推定トークン数の表示先
+  contextUsageElement,
+  // アバターと空間の今の状況を返す関数 () => { currentAction, playerDistance, isInVr, cubeCount }
+  getSceneState,
+  // アバターの目から見た空間を撮影する関数 () => Promise<string>（JPEG の data URL）
+  captureScene,
+  // ユーザーが画像（ドロップした画像・Webカメラの1コマ）を添付したときのコールバック ({ url, source }) => void
+  onImageAdded,
+  // 会話履歴の保存完了時のコールバック (session) => void
+  onSessionSaved,
+  // 長期記憶の更新時のコールバック (characterKey) => void
+  onMemoriesUpdated,
 }) {
   // NOTE: このアプリはチャットモード専用です。menuActiveは常にtrueとして動作します。
   const state = {
     menuActive: true, // チャット専用のため常にアクティブ
     apiKey: "",
     aivisApiKey: "",
+    ttsApiKeyNotice: "", // 最後に知らせた音声合成のAPIキー不足の案内（同じ案内を繰り返さない）
+    handsFreeUtteranceToken: 0, // ハンズフリーの発話ごとに増やす（前の発話の処理が、新しい発話の処理中の状態を戻さないため）
     isRecording: false,
     mediaRecorder: null,
     audioChunks: [],
+    recognitionSession: null, // 録音と並行して聞き取る音声認識のセッション（Web Speech API の場合のみ）
     chatHistory: [], // チャット履歴（systemメッセージ、userメッセージ、assistantメッセージ）
     isProcessing: false, // AI応答処理中フラグ
     audioElement: null, // TTS音声再生用のAudioElement（Web再生）
     isSpeaking: false, // TTS音声再生中フラグ
-    mediaSource: null, // AIVIS用のMediaSource
     ttsAudioPlayer: ttsAudioPlayer || null,
     recordingSource: null, // 録音開始元（"bottomChat" または "settingsMenu"）
+    lastSpeechError: null, // 直近の応答で発生した音声生成エラー（ステータス表示用）
+    session: null, // 保存先の会話セッション（{ id, characterKey, characterName }、未保存の場合は null）
+    summary: { text: "", coveredCount: 0 }, // 古い会話の要約と、要約済みの chatHistory 先頭からの件数
+    handsFree: null, // ハンズフリー音声入力の状態（{ stream, detector, recorder, recognition, chunks, callbacks }、停止中は null）
+    currentReply: null, // 応答中のAI返答（{ abortController, spokenSentences, currentSentence, interrupted, spokenText }）
+    speechAbortController: new AbortController(), // 読み上げ用の音声合成を中断するためのコントローラー（中断のたびに作り直す）
+    transcriptionAbortController: null, // 実行中の音声認識を中断するためのコントローラー（認識中のみ）
+    memoryQueue: Promise.resolve(), // 長期記憶の抽出を1往復ずつ順番に実行するための待ち行列
+    lastUserMessageAt: 0, // ユーザーが最後に発言した時刻（ミリ秒。キャラクターから話しかけるきっかけの判定に使う）
+    pendingImages: [], // 次の発言に添付する画像（{ url, source: "scene"|"upload"|"webcam" }）
   };
 
   // sessionStorageからAPIキーを復元
@@ -105,8 +202,18 @@ export function createChatMenu({
     setStatusText(chatStatusElement, text);
   }
 
+  /**
+   * エラーをステータスに表示する。APIのエラーは種類に応じた分かりやすいメッセージにする。
+   * @param {unknown} error - 発生したエラー
+   * @param {string} [label] - メッセージの先頭に付ける見出し
+   */
+  function setErrorStatus(error, label = "エラー") {
+    setChatStatus(isAbortError(error) ? "中断しました" : `${label}: ${describeError(error)}`);
+  }
+
   /**
    * トランスクリプト（テキスト表示エリア）にテキストを追加する。
+   * Web画面下部のチャットエリアへのAI発言の表示は、ストリーミング中に respondToUserMessage が行う。
    * @param {string} text - 表示するテキスト
    * @param {string} speaker - 発話者（"user" または "ai"）
    */
@@ -114,21 +221,131 @@ export function createChatMenu({
     if (!chatTranscript) {
       return;
     }
-    const speakerLabel = speaker === "ai" ? AI_NAME : "音声入力";
+    const speakerLabel = speaker === "ai" ? getActiveCharacterProfile().aiName : "音声入力";
     const entry = `${speakerLabel}：${text}\n`;
     chatTranscript.textContent += entry;
     // 自動スクロール
     chatTranscript.scrollTop = chatTranscript.scrollHeight;
+  }
+
+  /**
+   * Web画面下部のチャットメッセージエリアに1件分の行要素を追加する。
+   * ストリーミング中に内容を書き換えられるよう、行ごとに要素を分けて保持する。
+   * @param {string} text - 表示するテキスト
+   * @param {"ai"|"user"|"system"} kind - 行の種類（CSSクラスに使用）
+   * @returns {HTMLElement|null} 追加した要素
+   */
+  function appendBottomChatEntry(text, kind) {
+    if (!bottomChatMessages) {
+      return null;
+    }
+    const entry = document.createElement("div");
+    entry.className = `bottom-chat-entry bottom-chat-entry-${kind}`;
+    entry.textContent = text;
+    bottomChatMessages.appendChild(entry);
+    // 自動スクロール
+    bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
+    return entry;
+  }
+
+  /**
+   * Web画面下部のチャットエリアのAI発言に、読み上げをもう一度再生するボタンを付ける。
+   * ストリーミング中は行の内容を書き換えるため、発言が確定してから呼び出す。
+   * @param {HTMLElement|null} entry - AI発言の行要素
+   * @param {string} content - 読み上げる内容（感情タグ付きのまま渡す）
+   */
+  function addReplayButton(entry, content) {
+    if (!entry) {
+      return;
+    }
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "bottom-chat-replay-button";
+    button.title = "もう一度再生";
+    button.innerHTML = '<i class="fas fa-volume-high"></i>';
+    button.addEventListener("click", async () => {
+      await ensureAudioContextUnlocked("replay");
+      replayReply(content);
+    });
+    entry.appendChild(button);
+  }
+
+  /**
+   * Web画面下部のチャットエリアのAI発言に、応答が使った資料（出典）を表示する。
+   * @param {HTMLElement|null} entry - AI発言の行要素
+   * @param {Array<{ name: string }>|undefined} sources - 出典の資料
+   */
+  function addCitationList(entry, sources) {
+    if (!entry || !sources?.length) {
+      return;
+    }
+    const citations = document.createElement("div");
+    citations.className = "bottom-chat-citations";
+    citations.textContent = `出典: ${sources.map((source) => source.name).join("、")}`;
+    entry.appendChild(citations);
+  }
+
+  /**
+   * 画像の縮小表示（サムネイル）を作成する。
+   * @param {{ url: string, source: string }} image - 添付画像
+   * @returns {HTMLImageElement}
+   */
+  function createImageThumbnail(image) {
+    const thumbnail = document.createElement("img");
+    thumbnail.className = "bottom-chat-thumbnail";
+    thumbnail.src = image.url;
+    thumbnail.alt = IMAGE_SOURCE_LABELS[image.source] ?? "";
+    thumbnail.title = thumbnail.alt;
+    return thumbnail;
+  }
 
-    // Web画面下部のチャットエリアにはAIの発言のみを追加
-    if (bottomChatMessages && speaker === "ai") {
-      const aiEntry = `${AI_NAME}：${text}`;
-      bottomChatMessages.textContent = bottomChatMessages.textContent
-        ? `${bottomChatMessages.textContent}\n${aiEntry}`
-        : aiEntry;
-      // 自動スクロール
-      bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
+  /**
+   * Web画面下部のチャットメッセージエリアに、発言に添付して送った画像を表示する。
+   * @param {Array<{ url: string, source: string }>} images - 添付画像
+   */
+  function appendBottomChatImages(images) {
+    const entry = appendBottomChatEntry("", "images");
+    if (!entry) {
+      return;
     }
+    images.forEach((image) => entry.appendChild(createImageThumbnail(image)));
+    bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
+  }
+
+  /**
+   * 次の発言に添付する画像を、Web画面下部の入力欄の上に取り消しボタン付きで表示し直す。
+   */
+  function renderPendingImages() {
+    if (!bottomChatAttachments) {
+      return;
+    }
+    bottomChatAttachments.textContent = "";
+    bottomChatAttachments.classList.toggle("hidden", state.pendingImages.length === 0);
+    state.pendingImages.forEach((image) => {
+      const item = document.createElement("div");
+      item.className = "bottom-chat-attachment";
+      item.appendChild(createImageThumbnail(image));
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "bottom-chat-attachment-remove";
+      removeButton.title = "添付をやめる";
+      removeButton.innerHTML = '<i class="fas fa-xmark"></i>';
+      removeButton.addEventListener("click", () => {
+        state.pendingImages = state.pendingImages.filter((candidate) => candidate !== image);
+        renderPendingImages();
+      });
+      item.appendChild(removeButton);
+      bottomChatAttachments.appendChild(item);
+    });
+  }
+
+  /**
+   * 会話履歴のメッセージを保存・復元用に複製する（表示に使う出典は残し、それ以外の項目は含めない）。
+   * @param {{ role: string, content: string, sources?: Array<object> }} message - メッセージ
+   * @returns {{ role: string, content: string, sources?: Array<object> }}
+   */
+  function copyMessage({ role, content, sources }) {
+    return sources?.length ? { role, content, sources } : { role, content };
   }
 
   /**
@@ -183,30 +400,89 @@ export function createChatMenu({
   }
 
   /**
-   * APIキーの妥当性を簡易チェックする。
-   * OpenAI APIキーが必要。Aivis APIキーは任意（入力されている場合はAIVIS TTSを使用）。
+   * 入力欄のAPIキーを読み込み、会話モデルに必要なAPIキーがそろっているかを簡易チェックする。
+   * 会話モデルがOpenAI公式APIの場合はOpenAI APIキーが必要。
+   * ローカルLLMなどキー不要のプロバイダーではキー未入力でも会話できる。
+   * 音声認識・音声合成に必要なキーは、それぞれのプロバイダーで別に確かめる（hasSttApiKey・getTtsApiKeyNotice）。
    */
   function validateApiKey() {
     state.apiKey = apiKeyInput?.value?.trim() || "";
     state.aivisApiKey = aivisApiKeyInput?.value?.trim() || "";
 
-    // OpenAI APIキーは常に必要（ChatCompletion用、およびフォールバック用TTS）
-    if (!state.apiKey || !state.apiKey.startsWith("sk-")) {
-      return false;
+    if (!createChatProvider(loadLlmSettings()).requiresApiKey) {
+      return true;
     }
+    return state.apiKey.startsWith("sk-");
+  }
 
-    return true;
+  /**
+   * 選択中の音声認識プロバイダーに必要なAPIキーがそろっているかを返す。
+   * @returns {boolean}
+   */
+  function hasSttApiKey() {
+    return !createSttProvider(loadSttSettings()).requiresApiKey || Boolean(state.apiKey);
+  }
+
+  /**
+   * 音声入力に必要なAPIキーのうち、足りないものを知らせる文を返す。
+   * @returns {string} 案内文（足りないキーがない場合は空文字）
+   */
+  function describeMissingVoiceInputApiKey() {
+    if (!validateApiKey()) {
+      return "会話モデル用の有効なOpenAI APIキーを入力してください";
+    }
+    if (!hasSttApiKey()) {
+      return "音声認識用のOpenAI APIキーを入力してください（キー不要の音声認識に切り替えることもできます）";
+    }
+    return "";
+  }
+
+  /**
+   * 選択中のキャラクターの音声合成に必要なAPIキーが足りない場合に、その影響を知らせる文を返す。
+   * - 自動選択でどちらのAPIキーもない場合は、無音（口パクのみ）になる
+   * - キーが必要なプロバイダーを選んでいてキーがない場合は、読み上げられない
+   * @returns {string} 案内文（足りないキーがない場合は空文字）
+   */
+  function getTtsApiKeyNotice() {
+    const profile = getActiveCharacterProfile();
+    const providerId = resolveTtsProviderId(profile.ttsProvider, { openai: state.apiKey, aivis: state.aivisApiKey });
+    if (getTtsProviderOption(profile.ttsProvider).id === "auto" && providerId === "silent") {
+      return "OpenAI・Aivis のどちらのAPIキーもないため、音声なし（口パクのみ）で応答します";
+    }
+    const requiredKey = getTtsProviderOption(providerId).apiKey;
+    if (requiredKey === "openai" && !state.apiKey) {
+      return "音声合成（OpenAI TTS）用のOpenAI APIキーがないため、応答を読み上げられません";
+    }
+    if (requiredKey === "aivis" && !state.aivisApiKey) {
+      return "音声合成（AIVIS TTS）用のAivis APIキーがないため、応答を読み上げられません";
+    }
+    return "";
+  }
+
+  /**
+   * 音声合成のAPIキーが足りない場合に、応答の前に一度だけ知らせる（同じ案内は繰り返さない）。
+   */
+  function notifyTtsApiKeyNotice() {
+    const notice = getTtsApiKeyNotice();
+    if (notice === state.ttsApiKeyNotice) {
+      return;
+    }
+    state.ttsApiKeyNotice = notice;
+    if (notice) {
+      logMessage("Warn", "[ChatMenu] 音声合成に必要なAPIキーがありません", { notice: notice });
+      addBottomChatSystemMessage(notice);
+    }
   }
 
   /**
    * マイクボタンの有効/無効を更新する。
    */
   function updateMicButtonState() {
-    const isValid = validateApiKey();
+    const isValid = canUseVoiceInput();
     if (micButton) {
       micButton.disabled = !state.menuActive || !isValid || state.isRecording;
       if (!isValid && state.menuActive) {
-        setChatStatus("OpenAI APIキーを入力してください");
+        setChatStatus(describeMissingVoiceInputApiKey());
       } else if (isValid && state.menuActive && !state.isRecording) {
         setChatStatus("マイクボタンを押して音声入力を開始");
       }
@@ -214,350 +490,1207 @@ export function createChatMenu({
   }
 
   /**
-   * 音声データをOpenAI Whisper APIに送信してテキストを取得する。
+   * 音声入力（音声認識と会話）に必要なAPIキーがそろっているかを返す。
+   * 音声認識・会話モデルのどちらもキー不要のプロバイダーの場合は、キー未入力でも音声で会話できる。
+   * @returns {boolean}
    */
-  async function transcribeAudio(audioBlob) {
-    if (!state.apiKey) {
-      throw new Error("APIキーが設定されていません");
-    }
+  function canUseVoiceInput() {
+    return validateApiKey() && hasSttApiKey();
+  }
 
-    const formData = new FormData();
-    formData.append("file", audioBlob, "audio.webm");
-    formData.append("model", "whisper-1");
-    formData.append("language", "ja");
+  /**
+   * 音声認識に渡すヒントの語句を作る。キャラクター名は誤認識しやすいため常に含める。
+   * @param {{ prompt: string }} sttSettings - 音声認識設定
+   * @returns {string} ヒントの語句
+   */
+  function buildTranscriptionPrompt(sttSettings) {
+    return [getActiveCharacterProfile().aiName, sttSettings.prompt.trim()].filter(Boolean).join("、");
+  }
 
-    const response = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${state.apiKey}`,
-      },
-      body: formData,
-    });
+  /**
+   * 録音の開始時に呼び出し、録音と並行して聞き取るプロバイダー（Web Speech API）の認識を開始する。
+   * @returns {{ finish: () => Promise<string>, cancel: () => void }|null} 認識セッション（録音データから認識するプロバイダーの場合は null）
+   */
+  function startRecognitionSession() {
+    const sttSettings = loadSttSettings();
+    const provider = createSttProvider(sttSettings);
+    if (!provider.startRecognition) {
+      return null;
+    }
+    return provider.startRecognition({ language: sttSettings.language });
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `Whisper API error: ${response.status} - ${errorData.error?.message || response.statusText}`
-      );
+  /**
+   * 録音した音声を、設定画面で選んだ音声認識プロバイダーでテキストにする。
+   * @param {Blob} audioBlob - 録音データ
+   * @param {{ finish: () => Promise<string> }|null} [recognitionSession] - startRecognitionSession の戻り値
+   * @returns {Promise<string>} 認識結果
+   */
+  async function transcribeAudio(audioBlob, recognitionSession = null) {
+    if (recognitionSession) {
+      return await recognitionSession.finish();
     }
 
-    const data = await response.json();
-    return data.text || "";
+    const sttSettings = loadSttSettings();
+    const provider = createSttProvider(sttSettings);
+    if (!provider.transcribe) {
+      // 録音中に音声認識の設定を切り替えた場合など
+      throw new Error("音声認識を開始できませんでした。もう一度話してください");
+    }
+    if (provider.requiresApiKey && !state.apiKey) {
+      throw new Error("APIキーが設定されていません");
+    }
+    logMessage("Info", "[ChatMenu] 音声認識を実行します", { provider: provider.id });
+    const abortController = new AbortController();
+    state.transcriptionAbortController = abortController;
+    updateBottomStopButtonState();
+    try {
+      return await provider.transcribe(audioBlob, {
+        apiKey: state.apiKey,
+        language: sttSettings.language,
+        prompt: buildTranscriptionPrompt(sttSettings),
+        signal: abortController.signal,
+      });
+    } finally {
+      if (state.transcriptionAbortController === abortController) {
+        state.transcriptionAbortController = null;
+      }
+      updateBottomStopButtonState();
+    }
   }
 
   /**
-   * ユーザーメッセージをOpenAI ChatCompletion APIに送信してAI応答を取得する。
-   * @param {string} userMessage - ユーザーのメッセージ
+   * 実行中の音声認識を中断する（中断した認識は AbortError で失敗する）。
+   * @returns {boolean} 中断する音声認識があった場合は true
+   */
+  function cancelTranscription() {
+    const abortController = state.transcriptionAbortController;
+    if (!abortController) {
+      return false;
+    }
+    logMessage("Info", "[ChatMenu] 音声認識を中断します");
+    state.transcriptionAbortController = null;
+    abortController.abort();
+    updateBottomStopButtonState();
+    return true;
+  }
+
+  /**
+   * ユーザーメッセージを会話モデルに送信してAI応答を取得する。
+   * 接続先は設定画面の会話モデル設定（OpenAI互換 / Ollama）に従う。
+   * 応答はストリーミングで受信し、届いたテキスト断片を onDelta に通知する。
+   * ツール呼び出しが有効な場合、会話モデルが呼び出したアクションを実行し、
+   * 実行結果を返して応答の続きを受け取る（アバターは返答しながら動く）。
+   * ユーザーの発言には、添付待ちの画像（設定によってはアバターの目から見た空間も）を添付する。
+   * @param {string|null} userMessage - ユーザーのメッセージ（キャラクターから話しかける場合は null）
+   * @param {{ onDelta?: (text: string) => void, signal?: AbortSignal, instruction?: string }} [options]
+   *   signal: 受信を中断するためのシグナル（中断した場合は AbortError で失敗し、AIメッセージは履歴に追加しない）、
+   *   instruction: キャラクターから話しかける場合の、何をきっかけに話すかの指示（履歴には残さない）
    * @returns {Promise<string>} AIの応答テキスト
    */
-  async function sendMessageToAI(userMessage) {
-    if (!state.apiKey) {
+  async function sendMessageToAI(userMessage, { onDelta, signal, instruction } = {}) {
+    const llmSettings = loadLlmSettings();
+    const provider = createChatProvider(llmSettings);
+    if (provider.requiresApiKey && !state.apiKey) {
       throw new Error("APIキーが設定されていません");
     }
+    notifyTtsApiKeyNotice();
+
+    // チャット履歴にユーザーメッセージを追加（画像は会話モデルに送るまで履歴に持ち、保存はしない）
+    if (userMessage !== null) {
+      const images = await collectMessageImages();
+      state.lastUserMessageAt = Date.now();
+      state.chatHistory.push({
+        role: "user",
+        content: userMessage,
+        ...(images.length > 0 ? { images: images } : {}),
+      });
+    }
 
-    // チャット履歴にユーザーメッセージを追加
-    state.chatHistory.push({
-      role: "user",
-      content: userMessage,
-    });
-
-    // システムプロンプトを含むメッセージ配列を構築
-    const messages = [
-      {
-        role: "system",
-        content: AI_CHARACTER_SYSTEM_PROMPT,
-      },
-      ...state.chatHistory,
-    ];
-
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${state.apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
+    // システムプロンプト・要約・直近の会話からメッセージ配列を構築
+    const { messages, knowledgeSources } = await prepareContextMessages(provider, signal);
+    if (instruction) {
+      // 話しかけるきっかけは、ユーザーの発言と取り違えないよう末尾のシステムメッセージとして渡す
+      messages.push({ role: "system", content: renderPromptTemplate(instruction, getPromptVariables()) });
+    }
+    const tools = llmSettings.enableTools && actionMenu ? buildActionTools() : null;
+
+    let aiMessage = "";
+    let actionCallCount = 0;
+    for (let round = 0; ; round += 1) {
+      // 上限回数に達したらツールを渡さずにテキストで応答させる
+      const roundTools = tools && round < MAX_TOOL_ROUNDS ? tools : undefined;
+      const result = await provider.stream({
         messages: messages,
-        temperature: 0.8,
-      }),
-    });
+        apiKey: state.apiKey,
+        tools: roundTools,
+        onDelta: onDelta,
+        signal: signal,
+        // 要約で古い発言を送らなくなっても変わらない、会話全体での応答の番号（デモ (台本) が返答の選択に使う）
+        turn: state.chatHistory.filter((message) => message.role === "assistant").length,
+      });
+      aiMessage += result.content;
+      if (!roundTools || result.toolCalls.length === 0) {
+        break;
+      }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `ChatCompletion API error: ${response.status} - ${errorData.error?.message || response.statusText}`
-      );
+      // アクションは呼び出された順に1つずつ実行し、実行できたかどうかを結果として返す
+      const toolResults = [];
+      for (const toolCall of result.toolCalls) {
+        actionCallCount += 1;
+        toolResults.push(await runActionToolCall(toolCall, actionCallCount));
+      }
+      messages.push(...provider.buildToolResultMessages(result.content, result.toolCalls, toolResults));
     }
 
-    const data = await response.json();
-    const aiMessage = data.choices?.[0]?.message?.content || "";
-
     if (!aiMessage) {
       throw new Error("AI応答が空です");
     }
 
-    // チャット履歴にAIメッセージを追加
+    // チャット履歴にAIメッセージを追加（参考資料を使った場合は出典も残す）
+    const sources = collectCitedSources(aiMessage, knowledgeSources);
     state.chatHistory.push({
       role: "assistant",
       content: aiMessage,
+      ...(sources.length > 0 ? { sources: sources } : {}),
     });
+    persistSession();
+    // キャラクターから話しかけた場合は、ユーザーについて覚えることも気分が変わるきっかけもない
+    if (userMessage !== null) {
+      rememberExchange(provider, userMessage, aiMessage);
+      affectController?.recordExchange({
+        characterKey: getActiveCharacterProfile().id,
+        userMessage: userMessage,
+        emotions: listEmotionTags(aiMessage),
+      });
+    }
 
     return aiMessage;
   }
 
   /**
-   * テキストをOpenAI TTS APIで音声に変換して再生する。
-   * @param {string} text - 音声化するテキスト
-   * @returns {Promise<void>}
+   * ユーザーの発言に添付する画像をまとめ、添付待ちの画像を空にする。
+   * 画像入力設定で有効な場合は、アバターの目から見た空間を撮影して先頭に加える（撮影できなかった場合は添付せずに続ける）。
+   * @returns {Promise<Array<{ url: string, source: string }>>} 添付画像
    */
-  async function textToSpeechOpenAI(text) {
-    if (!state.apiKey) {
-      throw new Error("OpenAI APIキーが設定されていません");
+  async function collectMessageImages() {
+    const images = state.pendingImages;
+    state.pendingImages = [];
+    renderPendingImages();
+    if (loadVisionSettings().attachSceneOnSend && captureScene && !images.some((image) => image.source === "scene")) {
+      try {
+        images.unshift({ url: await captureScene(), source: "scene" });
+      } catch (error) {
+        logMessage("Warn", "[ChatMenu] アバターの目から見た空間を添付できませんでした", {
+          error: error?.message ?? String(error),
+        });
+      }
     }
-
-    // 既に再生中の音声があれば停止
-    if (state.audioElement) {
-      state.audioElement.pause();
-      state.audioElement = null;
+    if (images.length > 0) {
+      appendBottomChatImages(images);
+      logMessage("Info", "[ChatMenu] 発言に画像を添付しました", {
+        sources: images.map((image) => image.source),
+      });
     }
+    return images;
+  }
 
-    const response = await fetch("https://api.openai.com/v1/audio/speech", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${state.apiKey}`,
-      },
-      body: JSON.stringify({
-        model: OPENAI_TTS_CONFIG.model,
-        voice: OPENAI_TTS_CONFIG.voice,
-        input: text,
-        speed: OPENAI_TTS_CONFIG.speed,
-      }),
+  /**
+   * 会話モデルに送るユーザーの発言に、添付画像が何の画像かの説明を付け加える。
+   * @param {string} content - ユーザーの発言
+   * @param {Array<{ source: string }>} images - 添付画像
+   * @returns {string} 説明を付けた発言
+   */
+  function describeAttachedImages(content, images) {
+    const descriptions = images.map(
+      (image, index) => `${index + 1}枚目: ${IMAGE_SOURCE_DESCRIPTIONS[image.source] ?? "画像"}`
+    );
+    return `${content}\n（添付画像 ${descriptions.join("、")}）`;
+  }
+
+  /**
+   * 会話の要約・長期記憶の抽出など、会話以外の指示にプロバイダーを使えるかを返す。
+   * デモ (台本) は台本の返答しか返せないため使わない。
+   * @param {{ id: string }} provider - 会話モデルのプロバイダー
+   * @returns {boolean}
+   */
+  function canFollowInstructions(provider) {
+    return provider.id !== "demo";
+  }
+
+  /**
+   * 1往復の会話からユーザーについての事実を抽出し、キャラクターの長期記憶に反映する。
+   * 応答の表示・読み上げを待たせないよう、抽出は待ち行列で裏側に実行し、失敗してもログ出力のみとする。
+   * @param {{ complete: Function }} provider - 会話モデルのプロバイダー
+   * @param {string} userMessage - ユーザーのメッセージ
+   * @param {string} aiMessage - AIの応答
+   */
+  function rememberExchange(provider, userMessage, aiMessage) {
+    if (!loadMemorySettings().enabled || !canFollowInstructions(provider)) {
+      return;
+    }
+    // 抽出中にキャラクターが切り替わっても、会話したキャラクターの記憶として保存する
+    const profile = getActiveCharacterProfile();
+    const apiKey = state.apiKey;
+    state.memoryQueue = state.memoryQueue.then(async () => {
+      try {
+        const changes = await extractMemoryChanges({
+          provider: provider,
+          apiKey: apiKey,
+          memories: await listMemories(profile.id),
+          userMessage: userMessage,
+          aiMessage: extractEmotionTags(stripCitationMarkers(aiMessage)).text,
+          aiName: profile.aiName,
+        });
+        if (changes.add.length + changes.update.length + changes.remove.length === 0) {
+          return;
+        }
+        const counts = await applyMemoryChanges(profile.id, changes);
+        logMessage("Info", "[ChatMenu] 長期記憶を更新しました", { characterKey: profile.id, ...counts });
+        onMemoriesUpdated?.(profile.id);
+      } catch (error) {
+        logMessage("Warn", "[ChatMenu] 長期記憶の更新に失敗しました", {
+          error: error?.message ?? String(error),
+        });
+      }
     });
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `OpenAI TTS API error: ${response.status} - ${errorData.error?.message || response.statusText}`
+  /**
+   * 最新のユーザーメッセージに関連する長期記憶を、システムプロンプトへの追記文にする。
+   * 記憶を読み込めない場合は記憶なしで続行する。
+   * @param {string} characterKey - キャラクターの識別キー
+   * @returns {Promise<string>} 追記文（記憶を使わない場合は空文字列）
+   */
+  async function buildMemoryPrompt(characterKey) {
+    const settings = loadMemorySettings();
+    if (!settings.enabled || settings.maxInjected <= 0) {
+      return "";
+    }
+    try {
+      const lastUserMessage = [...state.chatHistory].reverse().find((message) => message.role === "user");
+      const memories = selectRelevantMemories(
+        await listMemories(characterKey),
+        lastUserMessage?.content ?? "",
+        settings.maxInjected
       );
+      return formatMemoryPrompt(memories);
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] 長期記憶の読み込みに失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      return "";
     }
+  }
 
-    const audioArrayBuffer = await response.arrayBuffer();
+  /**
+   * 会話モデルからのアクション呼び出し（ツール呼び出し）を検証して実行する。
+   * 不明なアクションや不正な引数は実行せず、エラー内容を会話モデルに返す。
+   * @param {{ id: string, name: string, arguments: string|object }} toolCall - ツール呼び出し
+   * @param {number} callNumber - この応答で何回目の呼び出しか
+   * @returns {Promise<string>} 会話モデルに返す実行結果（VRMの読み込み前などで実行できなかった場合はエラー）
+   */
+  async function runActionToolCall(toolCall, callNumber) {
+    if (callNumber > MAX_ACTION_CALLS_PER_TURN) {
+      logMessage("Warn", "[ChatMenu] アクション呼び出しの上限を超えたため実行しませんでした", {
+        name: toolCall.name,
+      });
+      return "エラー: この応答で実行できるアクションの上限に達しました";
+    }
 
-    if (state.ttsAudioPlayer) {
-      // 音声再生直前に音源をVRMモデルの現在位置に再アタッチ
-      const vrm = vrmManager?.getCurrentVrm?.();
-      if (vrm?.scene) {
-        state.ttsAudioPlayer.setAudioTarget(vrm.scene);
-        logMessage("Info", "[ChatMenu] TTS音源をVRMモデルの現在位置に再アタッチしました");
-      }
+    const resolved = resolveActionToolCall(toolCall);
+    if (!resolved.ok) {
+      logMessage("Warn", "[ChatMenu] 会話モデルのアクション呼び出しを拒否しました", {
+        name: toolCall.name,
+        arguments: toolCall.arguments,
+        reason: resolved.error,
+      });
+      return `エラー: ${resolved.error}`;
+    }
 
-      state.isSpeaking = true;
-      // 口パク開始
-      if (vrmManager?.startLipSync) {
-        vrmManager.startLipSync();
+    const executed = await actionMenu.executeAction(resolved.actionId, resolved.args);
+    logMessage("Info", "[ChatMenu] 会話モデルの指示でアクションを実行しました", {
+      actionId: resolved.actionId,
+      args: resolved.args,
+      executed: executed,
+    });
+    return executed ? `「${resolved.label}」を実行しました` : `エラー: 「${resolved.label}」を実行できませんでした`;
+  }
+
+  /**
+   * 最新のユーザーメッセージに関係する資料の断片を探し、システムプロンプトへの追記文にする。
+   * 資料を検索できない場合は資料なしで続行する。
+   * @param {string} characterKey - キャラクターの識別キー
+   * @param {AbortSignal} [signal] - 応答の受信を中断するためのシグナル
+   * @returns {Promise<{ prompt: string, sources: Array<{ number: number, documentId: string, name: string }> }>}
+   */
+  async function buildKnowledgePrompt(characterKey, signal) {
+    const settings = loadKnowledgeSettings();
+    if (!settings.enabled || settings.topK <= 0) {
+      return { prompt: "", sources: [] };
+    }
+    try {
+      const lastUserMessage = [...state.chatHistory].reverse().find((message) => message.role === "user");
+      const passages = await searchKnowledge({
+        characterKey: characterKey,
+        query: lastUserMessage?.content ?? "",
+        topK: settings.topK,
+        embeddingProvider: createEmbeddingProvider(settings),
+        apiKey: state.apiKey,
+        signal: signal,
+      });
+      if (passages.length > 0) {
+        logMessage("Info", "[ChatMenu] 発言に関係する資料を見つけました", {
+          passages: passages.map(({ document, score }) => ({ name: document.name, score: Number(score.toFixed(3)) })),
+        });
+      }
+      return formatKnowledgePrompt(passages);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
       }
+      logMessage("Warn", "[ChatMenu] 資料の検索に失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      return { prompt: "", sources: [] };
+    }
+  }
+
+  /**
+   * テンプレート変数（{{ai_name}} / {{user_name}} / {{time_of_day}} など）の今の値を作る。
+   * @returns {Record<string, string>} 変数名 → 値
+   */
+  function getPromptVariables() {
+    return buildPromptVariables({
+      aiName: getActiveCharacterProfile().aiName,
+      userName: loadPromptSettings().userName,
+    });
+  }
+
+  /**
+   * アバターと空間の今の状況を、システムプロンプトへの追記文にする。
+   * 状況を取得できない場合は追記せずに続行する。
+   * @returns {string} 追記文（状況を伝えない設定の場合は空文字列）
+   */
+  function buildScenePrompt() {
+    if (!getSceneState || !loadPromptSettings().sceneContext) {
+      return "";
+    }
+    try {
+      return formatSceneContextPrompt(getSceneState());
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] 今の状況を取得できませんでした", {
+        error: error?.message ?? String(error),
+      });
+      return "";
+    }
+  }
+
+  /**
+   * 会話履歴管理設定に従って送信するメッセージ配列を作る。
+   * システムプロンプトのテンプレート変数を置き換え、気分と親しみ、アバターと空間の今の状況を追記する。
+   * 長期記憶が有効な場合は、最新のユーザーメッセージに関連する記憶をシステムプロンプトに追記する。
+   * 資料が登録されている場合は、最新のユーザーメッセージに関係する資料の断片もシステムプロンプトに追記する。
+   * 要約すべき古い会話が溜まっている場合は、先に要約APIを呼んで要約を更新する。
+   * 要約に失敗した場合は要約せずに続行する（上限を超える分は古い会話から省略される）。
+   * 最新のユーザーメッセージに添付した画像は、何の画像かの説明を付けて一緒に送る。
+   * @param {{ complete: Function }} provider - 会話モデルのプロバイダー
+   * @param {AbortSignal} [signal] - 応答の受信を中断するためのシグナル
+   * @returns {Promise<{ messages: Array<{ role: string, content: string, images?: Array<object> }>, knowledgeSources: Array<object> }>}
+   *   messages: 送信するメッセージ配列、knowledgeSources: 追記した資料の出典番号と資料の対応
+   */
+  async function prepareContextMessages(provider, signal) {
+    const settings = loadContextSettings();
+    const profile = getActiveCharacterProfile();
+    const knowledge = await buildKnowledgePrompt(profile.id, signal);
+    // 気分と親しみ、関連する長期記憶と資料、今の状況、感情タグが有効な場合はタグの付け方をシステムプロンプトに追記する
+    const systemPrompt = [
+      renderPromptTemplate(profile.systemPrompt, getPromptVariables()),
+      affectController?.buildPrompt() ?? "",
+      await buildMemoryPrompt(profile.id),
+      knowledge.prompt,
+      buildScenePrompt(),
+      loadLlmSettings().enableEmotionTags ? EMOTION_TAG_INSTRUCTION : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+    // 画像は、これから応答するユーザーの発言（履歴の最後）に添付したものだけを送る
+    const lastIndex = state.chatHistory.length - 1;
+    const imageDetail = loadVisionSettings().detail;
+    const buildContext = () =>
+      buildChatContext({
+        systemPrompt: systemPrompt,
+        // 表示用の出典は会話モデルに送らない
+        history: state.chatHistory.map(({ role, content, images }, index) =>
+          index === lastIndex && images?.length
+            ? {
+                role,
+                content: describeAttachedImages(content, images),
+                images: images.map((image) => ({ url: image.url, detail: imageDetail })),
+              }
+            : { role, content }
+        ),
+        summary: state.summary,
+        settings: settings,
+      });
+
+    let context = buildContext();
+    if (context.summaryCandidates.length > 0 && canFollowInstructions(provider)) {
+      setChatStatus("会話を要約中...");
       try {
-        await state.ttsAudioPlayer.playArrayBuffer(audioArrayBuffer);
-      } finally {
-        state.isSpeaking = false;
-        // 口パク停止
-        if (vrmManager?.stopLipSync) {
-          vrmManager.stopLipSync();
+        const summaryText = await summarizeConversation({
+          provider: provider,
+          apiKey: state.apiKey,
+          previousSummary: state.summary.text,
+          messages: context.summaryCandidates,
+          aiName: profile.aiName,
+          signal: signal,
+        });
+        state.summary = { text: summaryText, coveredCount: context.summaryEnd };
+        logMessage("Info", "[ChatMenu] 古い会話を要約しました", {
+          coveredCount: state.summary.coveredCount,
+          summaryLength: summaryText.length,
+        });
+        context = buildContext();
+      } catch (error) {
+        // 遮られた場合は要約せずに続行するのではなく、応答ごと中断する
+        if (isAbortError(error)) {
+          throw error;
         }
+        logMessage("Warn", "[ChatMenu] 会話の要約に失敗しました", {
+          error: error?.message ?? String(error),
+        });
       }
+      setChatStatus("AIが応答を生成中...");
+    }
+
+    updateContextUsage(context);
+    return { messages: context.messages, knowledgeSources: knowledge.sources };
+  }
+
+  /**
+   * デバッグ表示に送信コンテキストの推定トークン数を表示する。
+   * @param {{ tokenCount: number, verbatimCount: number, droppedCount: number }} context - buildChatContext の結果
+   */
+  function updateContextUsage(context) {
+    const settings = loadContextSettings();
+    const limitText = settings.maxContextTokens > 0 ? ` / 上限 ${settings.maxContextTokens}` : "";
+    const details = [`直近 ${context.verbatimCount}件`];
+    if (settings.summarize && state.summary.text) {
+      details.push(`要約 ${state.summary.coveredCount}件分`);
+    }
+    if (context.droppedCount > 0) {
+      details.push(`省略 ${context.droppedCount}件`);
+    }
+    setStatusText(contextUsageElement, `約 ${context.tokenCount}トークン${limitText}（${details.join("、")}）`);
+  }
+
+  /**
+   * 現在の会話履歴をIndexedDBに保存する。
+   * 保存に失敗しても会話は継続できるよう、エラーはログ出力のみとする。
+   * @returns {Promise<void>}
+   */
+  async function persistSession() {
+    if (state.chatHistory.length === 0) {
       return;
     }
+    if (!state.session) {
+      // 会話はキャラクタープロファイルに紐づけて保存する
+      const profile = getActiveCharacterProfile();
+      state.session = {
+        id: createSessionId(),
+        characterKey: profile.id,
+        characterName: profile.aiName,
+      };
+    }
 
-    const audioBlob = new Blob([audioArrayBuffer], { type: "audio/mpeg" });
-    const audioUrl = URL.createObjectURL(audioBlob);
+    try {
+      const saved = await saveSession({
+        ...state.session,
+        messages: state.chatHistory.map(copyMessage),
+        summary: state.summary,
+      });
+      onSessionSaved?.(saved);
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] 会話履歴の保存に失敗しました", {
+        error: error?.message ?? String(error),
+      });
+    }
+  }
 
-    state.audioElement = new Audio(audioUrl);
-    state.isSpeaking = true;
+  /**
+   * 会話履歴のAI発言を表示用のテキストにする。
+   * 感情タグ・出典の目印を取り除き、遮られた発言は会話モデル向けの注記の代わりに、応答中の表示と同じ「……（中断）」を付ける。
+   * @param {string} content - 会話履歴のAI発言
+   * @returns {string} 表示用のテキスト
+   */
+  function formatReplyForDisplay(content) {
+    const interrupted = content.includes(INTERRUPTED_REPLY_MARKER);
+    const text = extractEmotionTags(stripCitationMarkers(content.replace(INTERRUPTED_REPLY_MARKER, ""))).text;
+    return interrupted ? `${text}……（中断）` : text;
+  }
 
-    state.audioElement.onended = () => {
-      URL.revokeObjectURL(audioUrl);
-      state.isSpeaking = false;
-      state.audioElement = null;
-    };
+  /**
+   * 会話履歴をトランスクリプトとWeb画面下部のチャットエリアに表示し直す。
+   */
+  function renderChatHistory() {
+    if (chatTranscript) {
+      chatTranscript.textContent = "";
+    }
+    if (bottomChatMessages) {
+      bottomChatMessages.textContent = "";
+    }
+    const aiName = getActiveCharacterProfile().aiName;
+    state.chatHistory.forEach((message) => {
+      if (message.role === "assistant") {
+        // 履歴には感情タグ・出典の目印・中断の注記付きで保存しているため、表示用に整える
+        const displayText = formatReplyForDisplay(message.content);
+        const entry = appendBottomChatEntry(`${aiName}：${displayText}`, "ai");
+        addReplayButton(entry, message.content);
+        addCitationList(entry, message.sources);
+        appendTranscript(displayText, "ai");
+      } else if (message.role === "user") {
+        appendTranscript(message.content, "user");
+      }
+    });
+  }
 
-    state.audioElement.onerror = (error) => {
-      logMessage("Error", "OpenAI audio playback error", { error: error });
-      URL.revokeObjectURL(audioUrl);
-      state.isSpeaking = false;
-      state.audioElement = null;
+  /**
+   * 保存済みの会話セッションを読み込み、続きから会話できるようにする。
+   * @param {{ id: string, characterKey: string, characterName?: string, messages: Array<{ role: string, content: string }> }} session
+   * @returns {boolean} 応答処理中で切り替えられなかった場合は false
+   */
+  function restoreSession(session) {
+    if (state.isProcessing) {
+      return false;
+    }
+    speechQueue.clear();
+    state.session = {
+      id: session.id,
+      characterKey: session.characterKey,
+      characterName: session.characterName,
+    };
+    state.chatHistory = session.messages.map(copyMessage);
+    state.summary = {
+      text: session.summary?.text || "",
+      coveredCount: Math.min(session.summary?.coveredCount || 0, state.chatHistory.length),
     };
+    renderChatHistory();
+    logMessage("Info", "[ChatMenu] 会話セッションを読み込みました", {
+      sessionId: session.id,
+      messageCount: state.chatHistory.length,
+    });
+    return true;
+  }
 
-    await state.audioElement.play();
+  /**
+   * 新しい会話セッションを開始する（現在の会話は保存済みのまま残る）。
+   * @returns {boolean} 応答処理中で切り替えられなかった場合は false
+   */
+  function startNewSession() {
+    if (state.isProcessing) {
+      return false;
+    }
+    speechQueue.clear();
+    state.session = null;
+    state.chatHistory = [];
+    state.summary = { text: "", coveredCount: 0 };
+    renderChatHistory();
+    return true;
+  }
+
+  /**
+   * 現在の会話セッションIDを取得する。
+   * @returns {string|null} 未保存の場合は null
+   */
+  function getCurrentSessionId() {
+    return state.session?.id ?? null;
   }
 
   /**
-   * テキストをAIVIS TTS APIで音声に変換してストリーミング再生する。
+   * 選択中のキャラクタープロファイルで選んだTTSプロバイダーのIDと設定値を取得する。
+   * キャラクターの切り替えを反映するため、呼び出しのたびに読み込む。
+   * @returns {{ providerId: string, settings: object }}
+   */
+  function getCurrentTtsSettings() {
+    const profile = getActiveCharacterProfile();
+    const providerId = resolveTtsProviderId(profile.ttsProvider, { openai: state.apiKey, aivis: state.aivisApiKey });
+    const option = getTtsProviderOption(providerId);
+    return { providerId, settings: loadTtsProviderSettings(providerId, option.fields, profile) };
+  }
+
+  /**
+   * テキストを音声に合成する。
+   * 同じプロバイダー・設定・テキストで合成済みの音声はキャッシュ（IndexedDB）から取り出し、APIを呼び出さない。
    * @param {string} text - 音声化するテキスト
+   * @returns {Promise<{ audio: ArrayBuffer, mimeType: string, timing?: object, leadingSilence?: number, trailingSilence?: number, sourceLabel: string }|null>}
+   *   合成済み音声（sourceLabel はログ用の音声合成元ラベル。合成を中断した場合は null）
+   */
+  async function synthesizeSpeech(text) {
+    const { providerId, settings } = getCurrentTtsSettings();
+    const provider = createTtsProvider(providerId, settings);
+    const cacheKey = buildTtsCacheKey(providerId, settings, text);
+    const cached = await getCachedSpeech(cacheKey).catch((error) => {
+      logMessage("Warn", "[ChatMenu] 音声キャッシュを読み込めませんでした", { error: error });
+      return null;
+    });
+    if (cached) {
+      return { ...cached, sourceLabel: `${provider.sourceLabel}（キャッシュ）` };
+    }
+
+    let speech;
+    try {
+      speech = await provider.synthesize(text, {
+        apiKeys: { openai: state.apiKey, aivis: state.aivisApiKey },
+        signal: state.speechAbortController.signal,
+        // ブラウザ内音声合成は初回にモデルファイルを読み込むため、その進み具合を表示する
+        onProgress: ({ loaded, total }) => {
+          const progressText = total > 0 ? `${Math.floor((loaded / total) * 100)}%` : `${(loaded / 1048576).toFixed(1)}MB`;
+          setChatStatus(`音声モデルを読み込み中... ${progressText}`);
+        },
+      });
+    } catch (error) {
+      // 発話を遮った場合は、読み上げ待ちの文の合成も中断される（その文は読み上げない）
+      if (isAbortError(error)) {
+        return null;
+      }
+      throw error;
+    }
+    // 再生で音声データが切り離される前に保存を始める（保存の完了は待たない）
+    putCachedSpeech(cacheKey, { providerId, text }, speech).catch((error) => {
+      logMessage("Warn", "[ChatMenu] 音声をキャッシュに保存できませんでした", { error: error });
+    });
+    return { ...speech, sourceLabel: provider.sourceLabel };
+  }
+
+  /**
+   * 音素タイミングに合わせて口パクするための viseme トラックを作成する。
+   * - TTSがモーラごとのタイミング（VOICEVOX 互換の AudioQuery）を返した場合はそれを使う
+   * - タイミングがなくても、読み上げる文がかなだけの場合はモーラを音声の長さに均等に割り当てる
+   * どちらもできない場合は null を返す（音声解析による口パクになる）。
+   * @param {{ text: string, timing: object|null, duration: number, leadingSilence: number, trailingSilence: number }} params
+   *   leadingSilence / trailingSilence: TTSが音声の前後に付けた無音の長さ（秒）
+   * @returns {object|null} viseme トラック
+   */
+  function createLipSyncTrack({ text, timing, duration, leadingSilence, trailingSilence }) {
+    if (timing?.accent_phrases) {
+      return buildVisemeTrackFromAudioQuery(timing);
+    }
+    const moras = textToMoras(text);
+    if (!moras) {
+      return null;
+    }
+    return buildVisemeTrackFromMoras(moras, {
+      duration: duration,
+      leadingSilence: leadingSilence,
+      trailingSilence: trailingSilence,
+    });
+  }
+
+  /**
+   * 合成済みの音声データをTTSプレーヤーで再生する。再生中は口パクを行う。
+   * @param {ArrayBuffer} audioArrayBuffer - 音声バイナリデータ（MP3 / WAV など）
+   * @param {string} sourceLabel - ログ用の音声合成元ラベル
+   * @param {{ text?: string, timing?: object|null, leadingSilence?: number, trailingSilence?: number }} [lipSync]
+   *   text: 読み上げる文（かなの場合はモーラ単位で口パクする）
+   *   timing: TTSが返したモーラのタイミング（VOICEVOX 互換の AudioQuery）
+   *   leadingSilence / trailingSilence: TTSが音声の前後に付けた無音の長さ（秒）
    * @returns {Promise<void>}
    */
-  async function textToSpeechAIVIS(text) {
-    if (!state.aivisApiKey) {
-      throw new Error("Aivis APIキーが設定されていません");
+  async function playSpeechBuffer(
+    audioArrayBuffer,
+    sourceLabel = "",
+    { text = "", timing = null, leadingSilence = 0, trailingSilence = 0 } = {}
+  ) {
+    // 音声再生直前に音源をVRMモデルの現在位置に再アタッチ
+    const vrm = vrmManager?.getCurrentVrm?.();
+    if (vrm?.scene) {
+      state.ttsAudioPlayer.setAudioTarget(vrm.scene);
+      logMessage("Info", "[ChatMenu] TTS音源をVRMモデルの現在位置に再アタッチしました", { source: sourceLabel });
+    }
+
+    state.isSpeaking = true;
+    try {
+      await state.ttsAudioPlayer.playArrayBuffer(audioArrayBuffer, {
+        onStart: (audioBuffer) => {
+          // 口パク開始（デコード後に音声の長さが分かってからトラックを作る）
+          const track = createLipSyncTrack({
+            text: text,
+            timing: timing,
+            duration: audioBuffer.duration,
+            leadingSilence: leadingSilence,
+            trailingSilence: trailingSilence,
+          });
+          vrmManager?.startLipSync?.(
+            track ? { track: track, getTime: () => state.ttsAudioPlayer?.getPlaybackTime() ?? null } : {}
+          );
+        },
+      });
+    } finally {
+      state.isSpeaking = false;
+      // 口パク停止
+      if (vrmManager?.stopLipSync) {
+        vrmManager.stopLipSync();
+      }
     }
+  }
 
+  /**
+   * Audio要素で再生する音声（TTSプレーヤーを使わないフォールバック）に合わせて口パクを行う。
+   * 音声解析器があれば再生音を解析対象にし、再生終了またはエラーで口パクを止める。
+   * @param {HTMLAudioElement} audioElement - 再生するAudio要素
+   */
+  function startElementLipSync(audioElement) {
+    vrmManager?.getLipSyncAnalyzer?.()?.attachMediaElement(audioElement);
+    vrmManager?.startLipSync?.();
+    const stop = () => {
+      audioElement.removeEventListener("ended", stop);
+      audioElement.removeEventListener("error", stop);
+      audioElement.removeEventListener("pause", stop);
+      vrmManager?.stopLipSync?.();
+    };
+    audioElement.addEventListener("ended", stop);
+    audioElement.addEventListener("error", stop);
+    audioElement.addEventListener("pause", stop);
+  }
+
+  /**
+   * 合成済みの音声をAudio要素で再生し、再生終了（または中断）まで待つ（TTSプレーヤーを使わないフォールバック）。
+   * @param {{ audio: ArrayBuffer, mimeType: string, sourceLabel: string }} speech - synthesizeSpeech の結果
+   * @returns {Promise<void>}
+   */
+  async function playSpeechWithAudioElement(speech) {
     if (state.audioElement) {
       state.audioElement.pause();
       state.audioElement = null;
     }
-    if (state.mediaSource) {
-      try {
-        if (state.mediaSource.readyState === "open") {
-          state.mediaSource.endOfStream();
-        }
-      } catch (e) {
-        // エラーは無視
+
+    const audioUrl = URL.createObjectURL(new Blob([speech.audio], { type: speech.mimeType }));
+    const audioElement = new Audio(audioUrl);
+    state.audioElement = audioElement;
+    state.isSpeaking = true;
+    startElementLipSync(audioElement);
+
+    try {
+      await new Promise((resolve) => {
+        audioElement.addEventListener("ended", resolve, { once: true });
+        audioElement.addEventListener("pause", resolve, { once: true });
+        audioElement.addEventListener(
+          "error",
+          (error) => {
+            logMessage("Error", `${speech.sourceLabel} audio playback error`, { error: error });
+            resolve();
+          },
+          { once: true }
+        );
+        audioElement.play().catch((error) => {
+          logMessage("Error", `${speech.sourceLabel} audio play error`, { error: error });
+          resolve();
+        });
+      });
+    } finally {
+      URL.revokeObjectURL(audioUrl);
+      state.isSpeaking = false;
+      if (state.audioElement === audioElement) {
+        state.audioElement = null;
       }
-      state.mediaSource = null;
     }
+  }
 
-    const response = await fetch("https://api.aivis-project.com/v1/tts/synthesize", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${state.aivisApiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model_uuid: AIVIS_TTS_CONFIG.model_uuid,
-        text: text,
-        use_ssml: AIVIS_TTS_CONFIG.use_ssml,
-        use_volume_normalizer: AIVIS_TTS_CONFIG.use_volume_normalizer,
-        output_format: AIVIS_TTS_CONFIG.output_format,
-        leading_silence_seconds: AIVIS_TTS_CONFIG.leading_silence_seconds,
-        trailing_silence_seconds: AIVIS_TTS_CONFIG.trailing_silence_seconds,
-      }),
-    });
+  /**
+   * 読み上げキュー用: 合成済みの1文を再生する。
+   * TTSプレーヤーがある場合はVRMモデルの位置から再生し、ない場合はAudio要素で再生する。
+   * 文に感情タグが付いていた場合は、読み上げている間だけその表情にする。
+   * 読み上げ終えた文は応答（meta.reply）に記録し、発話を遮られたときにどこまで話したかを残せるようにする。
+   * @param {string} text - 音声化する文
+   * @param {object|null} speech - synthesizeSpeech の結果
+   * @param {{ emotion?: string|null, reply?: object }} meta - 文の付加情報
+   * @returns {Promise<void>}
+   */
+  async function playSentence(text, speech, meta) {
+    const reply = meta?.reply ?? null;
+    if (reply?.interrupted || !speech) {
+      return;
+    }
+    if (reply) {
+      reply.currentSentence = text;
+    }
+    expressionController?.setExpression(meta?.emotion ?? null, getActiveCharacterProfile().expressionWeight);
+    try {
+      if (state.ttsAudioPlayer) {
+        await playSpeechBuffer(speech.audio, speech.sourceLabel, {
+          text: text,
+          timing: speech.timing ?? null,
+          leadingSilence: speech.leadingSilence ?? 0,
+          trailingSilence: speech.trailingSilence ?? 0,
+        });
+      } else {
+        await playSpeechWithAudioElement(speech);
+      }
+    } finally {
+      expressionController?.clearExpression();
+      if (reply && !reply.interrupted) {
+        reply.spokenSentences.push(text);
+        reply.currentSentence = null;
+      }
+    }
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => "");
-      throw new Error(`AIVIS TTS API error: ${response.status} - ${errorText}`);
+  // 文単位でTTSを先読み合成し、最初の文ができ次第再生を始める読み上げキュー
+  const speechQueue = createSpeechQueue({
+    synthesize: synthesizeSpeech,
+    play: playSentence,
+    onPlaybackStart: updateBottomStopButtonState,
+    onPlaybackEnd: updateBottomStopButtonState,
+    onError: (error) => {
+      state.lastSpeechError = error;
+      setErrorStatus(error, "音声生成エラー");
+    },
+  });
+
+  /**
+   * 再生中の読み上げ音声（TTSプレーヤー・Audio要素）を止め、口パクと表情を元に戻す。
+   */
+  function stopSpeechPlayback() {
+    if (state.audioElement) {
+      state.audioElement.pause();
+      state.audioElement = null;
     }
+    state.ttsAudioPlayer?.stop();
+    state.isSpeaking = false;
+    vrmManager?.stopLipSync?.();
+    expressionController?.clearExpression();
+  }
 
-    if (state.ttsAudioPlayer) {
-      // 音声再生直前に音源をVRMモデルの現在位置に再アタッチ
-      const vrm = vrmManager?.getCurrentVrm?.();
-      if (vrm?.scene) {
-        state.ttsAudioPlayer.setAudioTarget(vrm.scene);
-        logMessage("Info", "[ChatMenu] TTS音源をVRMモデルの現在位置に再アタッチしました (AIVIS)");
+  /**
+   * 遮られた時点までに話し終えていた応答テキストを求める。
+   * 読み上げ途中の文は、再生済みの割合に合わせて先頭から切り出す。
+   * @param {object} reply - 応答の状態
+   * @returns {string} 話し終えていたテキスト
+   */
+  function collectSpokenText(reply) {
+    let spoken = reply.spokenSentences.join("");
+    if (reply.currentSentence) {
+      let progress = state.ttsAudioPlayer?.getPlaybackProgress() ?? null;
+      const audioElement = state.audioElement;
+      if (progress === null && audioElement && Number.isFinite(audioElement.duration) && audioElement.duration > 0) {
+        progress = audioElement.currentTime / audioElement.duration;
       }
+      const chars = Array.from(reply.currentSentence);
+      spoken += chars.slice(0, Math.round(chars.length * (progress ?? 0))).join("");
+    }
+    return spoken;
+  }
 
-      const audioArrayBuffer = await response.arrayBuffer();
-      state.isSpeaking = true;
-      // 口パク開始
-      if (vrmManager?.startLipSync) {
-        vrmManager.startLipSync();
-      }
+  /**
+   * AIの発話を遮る（バージイン）。
+   * 再生中の音声と口パクを止め、読み上げ待ちの文を破棄し、応答の受信中であれば受信も中断する。
+   * 会話履歴には、遮った時点までに話していた内容を中断した旨とともに残す。
+   * @param {string} [reason] - ログ用の中断理由（"voice" / "button" など）
+   * @returns {boolean} 中断する発話や応答があった場合は true
+   */
+  function interruptSpeech(reason = "") {
+    const reply = state.currentReply;
+    if (!reply && !state.isSpeaking && !speechQueue.isBusy()) {
+      return false;
+    }
+    logMessage("Info", "[ChatMenu] AIの発話を中断します", { reason: reason });
+    if (reply && !reply.interrupted) {
+      // 再生を止める前に、どこまで話していたかを記録する
+      reply.spokenText = collectSpokenText(reply);
+      reply.interrupted = true;
+      reply.abortController.abort();
+    }
+    speechQueue.clear();
+    // 先読みで合成中の文のリクエストも中断する
+    state.speechAbortController.abort();
+    state.speechAbortController = new AbortController();
+    stopSpeechPlayback();
+    setChatStatus("発話を中断しました");
+    updateBottomStopButtonState();
+    return true;
+  }
+
+  /**
+   * 遮られた応答を会話履歴に記録する。
+   * 受信が終わっていた場合は履歴末尾のAIメッセージを、受信中だった場合は新しいAIメッセージとして、
+   * 話し終えていた内容に中断の注記を付けたものを保存する。
+   * @param {object} reply - 応答の状態
+   * @param {boolean} receivedAll - 応答の受信が完了していたか（履歴にAIメッセージが追加済みか）
+   */
+  function recordInterruptedReply(reply, receivedAll) {
+    const content = `${reply.spokenText}${INTERRUPTED_REPLY_MARKER}`;
+    const lastMessage = state.chatHistory[state.chatHistory.length - 1];
+    if (receivedAll && lastMessage?.role === "assistant") {
+      lastMessage.content = content;
+    } else {
+      state.chatHistory.push({ role: "assistant", content: content });
+    }
+    persistSession();
+  }
+
+  /**
+   * ユーザーメッセージに対するAI応答をストリーミングで取得し、文ごとに読み上げる。
+   * - 応答テキストはWeb画面下部のチャットエリアに逐次表示する（感情タグは表示しない）
+   * - 文末（。！？など）が届くたびにその文を感情タグと分けて読み上げキューに追加する
+   * - 読み上げがすべて終わるまで待ってから解決する
+   * - interruptSpeech で遮られた場合は、話し終えていた部分までを応答として扱う
+   * @param {string|null} userMessage - ユーザーのメッセージ（キャラクターから話しかける場合は null）
+   * @param {{ onTextComplete?: (aiResponse: string) => void, instruction?: string }} [options]
+   *   onTextComplete: 応答テキストの受信完了時（読み上げ完了前）に呼ばれる、
+   *   instruction: キャラクターから話しかける場合の指示（sendMessageToAI を参照）
+   * @returns {Promise<string>} AIの応答テキスト（感情タグを除いたもの）
+   */
+  async function respondToUserMessage(userMessage, { onTextComplete, instruction } = {}) {
+    state.lastSpeechError = null;
+    const reply = {
+      abortController: new AbortController(),
+      spokenSentences: [], // 読み上げ終えた文
+      currentSentence: null, // 読み上げ中の文
+      interrupted: false,
+      spokenText: "", // 遮られた時点までに話し終えていたテキスト
+    };
+    state.currentReply = reply;
+    updateBottomStopButtonState();
+
+    const aiName = getActiveCharacterProfile().aiName;
+    let bottomEntry = null;
+    let receivedText = "";
+    const splitter = createSentenceSplitter({
+      onSentence: (sentence) => {
+        if (reply.interrupted) {
+          return;
+        }
+        const { text, emotion } = extractEmotionTags(stripCitationMarkers(sentence));
+        speechQueue.enqueue(text, { emotion: emotion, reply: reply });
+      },
+    });
+
+    try {
+      let aiResponse = "";
       try {
-        await state.ttsAudioPlayer.playArrayBuffer(audioArrayBuffer);
+        aiResponse = await sendMessageToAI(userMessage, {
+          signal: reply.abortController.signal,
+          instruction: instruction,
+          onDelta: (delta) => {
+            receivedText += delta;
+            if (!bottomEntry) {
+              bottomEntry = appendBottomChatEntry("", "ai");
+            }
+            if (bottomEntry) {
+              bottomEntry.textContent = `${aiName}：${stripEmotionTagsForDisplay(stripCitationMarkers(receivedText))}`;
+              bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
+            }
+            splitter.push(delta);
+          },
+        });
+      } catch (error) {
+        // 受信中に遮られた場合は中断として扱い、それ以外のエラーはそのまま投げる
+        if (!reply.interrupted) {
+          throw error;
+        }
       } finally {
-        state.isSpeaking = false;
-        // 口パク停止
-        if (vrmManager?.stopLipSync) {
-          vrmManager.stopLipSync();
+        // 残りのテキストを最後の文として読み上げる（エラーで中断した場合も受信済みの分は読み上げる）
+        splitter.flush();
+      }
+
+      let displayText = extractEmotionTags(stripCitationMarkers(aiResponse)).text;
+      if (!reply.interrupted) {
+        if (bottomEntry) {
+          bottomEntry.textContent = `${aiName}：${displayText}`;
+        } else {
+          bottomEntry = appendBottomChatEntry(`${aiName}：${displayText}`, "ai");
         }
+        addReplayButton(bottomEntry, aiResponse);
+        addCitationList(bottomEntry, state.chatHistory[state.chatHistory.length - 1]?.sources);
+        appendTranscript(displayText, "ai");
+        onTextComplete?.(displayText);
+
+        if (speechQueue.isBusy()) {
+          setChatStatus("音声を再生中...");
+        }
+        await speechQueue.waitUntilIdle();
       }
-      return;
+
+      if (reply.interrupted) {
+        recordInterruptedReply(reply, Boolean(aiResponse));
+        displayText = `${reply.spokenText}……`;
+        if (bottomEntry) {
+          bottomEntry.textContent = `${aiName}：${displayText}（中断）`;
+          // 途中まで話した文は合成済みの音声がないため、話し終えていた文だけを再生できるようにする
+          if (reply.spokenSentences.length > 0) {
+            addReplayButton(bottomEntry, reply.spokenSentences.join(""));
+          }
+        }
+        appendTranscript(`${displayText}（中断）`, "ai");
+        if (!aiResponse) {
+          onTextComplete?.(displayText);
+        }
+        return displayText;
+      }
+
+      if (!state.lastSpeechError) {
+        setChatStatus("完了");
+      }
+      return displayText;
+    } finally {
+      if (state.currentReply === reply) {
+        state.currentReply = null;
+      }
+      updateBottomStopButtonState();
+    }
+  }
+
+  /**
+   * 過去のAI発言をもう一度読み上げる。
+   * 文の区切り方は応答時と同じため、合成済みの音声はキャッシュから再生され、APIは呼び出さない。
+   * @param {string} content - 読み上げる内容（感情タグ付き）
+   * @returns {boolean} 応答中などで再生できなかった場合は false
+   */
+  function replayReply(content) {
+    if (isResponding() || state.isRecording) {
+      return false;
+    }
+    const text = content.replace(INTERRUPTED_REPLY_MARKER, "");
+    logMessage("Info", "[ChatMenu] AI発言を再生します", { length: text.length });
+    state.lastSpeechError = null;
+    const splitter = createSentenceSplitter({
+      onSentence: (sentence) => {
+        const { text: sentenceText, emotion } = extractEmotionTags(stripCitationMarkers(sentence));
+        speechQueue.enqueue(sentenceText, { emotion: emotion });
+      },
+    });
+    splitter.push(text);
+    splitter.flush();
+    updateBottomStopButtonState();
+    return true;
+  }
+
+  /**
+   * 新しい会話の最初に、キャラクターの最初のメッセージ（キャラクターカードの first_mes）を表示して読み上げる。
+   * 最初のメッセージはAI発言として会話履歴に入れ、ユーザーが話しかけたときに会話と一緒に保存する。
+   * システムプロンプトと同じテンプレート変数（{{user_name}} など）を置き換える。
+   * @returns {boolean} 会話が始まっている場合や、最初のメッセージがない場合は false
+   */
+  function speakFirstMessage() {
+    const firstMessage = renderPromptTemplate(getActiveCharacterProfile().firstMessage, getPromptVariables());
+    if (!firstMessage || state.chatHistory.length > 0 || state.isProcessing) {
+      return false;
+    }
+    state.chatHistory.push({ role: "assistant", content: firstMessage });
+    renderChatHistory();
+    // ページの読み込み直後はユーザー操作があるまで音声を再生できないため、表示だけにする（再生ボタンで読み上げられる）
+    if (state.ttsAudioPlayer?.audioListener?.context?.state === "running") {
+      replayReply(firstMessage);
     }
+    return true;
+  }
 
-    const mediaSource = self.MediaSource
-      ? new self.MediaSource()
-      : new self.ManagedMediaSource();
-    state.mediaSource = mediaSource;
+  /**
+   * 会話履歴のAI発言を古い順に返す（VRで発言を選んで再生するため）。
+   * @returns {Array<{ text: string, content: string }>} text: 表示用のテキスト、content: replayReply に渡す内容
+   */
+  function getReplies() {
+    return state.chatHistory
+      .filter((message) => message.role === "assistant")
+      .map((message) => ({ text: formatReplyForDisplay(message.content), content: message.content }));
+  }
 
-    const audio = new Audio(URL.createObjectURL(mediaSource));
-    audio.disableRemotePlayback = true;
-    state.audioElement = audio;
-    state.isSpeaking = true;
+  /**
+   * AIが応答中（受信中または読み上げ中）かどうかを返す。
+   * @returns {boolean}
+   */
+  function isResponding() {
+    return Boolean(state.currentReply) || state.isSpeaking || speechQueue.isBusy();
+  }
 
-    audio.onended = () => {
-      state.isSpeaking = false;
-      state.audioElement = null;
-      state.mediaSource = null;
-    };
+  /**
+   * キャラクターから話しかけてよい状態かどうかを返す。
+   * 録音中・音声認識中・応答中や、ユーザーが入力欄に文字を打っている間は話しかけない。
+   * ページを開いた直後など、ユーザー操作がなく音声を再生できない間も話しかけない。
+   * @returns {boolean}
+   */
+  function canSpeakOnInitiative() {
+    if (state.isProcessing || state.isRecording || state.handsFree?.recorder || state.transcriptionAbortController) {
+      return false;
+    }
+    if (isResponding() || textInput?.value.trim() || bottomChatTextInput?.value.trim()) {
+      return false;
+    }
+    if (state.ttsAudioPlayer?.audioListener?.context?.state !== "running") {
+      return false;
+    }
+    return validateApiKey();
+  }
 
-    audio.onerror = (error) => {
-      logMessage("Error", "AIVIS audio playback error", { error: error });
-      state.isSpeaking = false;
-      state.audioElement = null;
-      state.mediaSource = null;
-    };
+  /**
+   * 会話のどの段階にいるかを返す（アバターの身ぶりに使う）。
+   * - listening: ユーザーの発話を録音中
+   * - speaking: AIの応答を読み上げ中（文と文の間の音声合成待ちを含む）
+   * - thinking: 音声認識中・AIの応答を待っている間（最初の文を読み上げるまで）
+   * - idle: それ以外
+   * @returns {"listening"|"thinking"|"speaking"|"idle"}
+   */
+  function getConversationPhase() {
+    if (state.isRecording || state.handsFree?.recorder) {
+      return "listening";
+    }
+    if (state.isSpeaking || (state.currentReply?.spokenSentences.length > 0 && speechQueue.isBusy())) {
+      return "speaking";
+    }
+    if (state.isProcessing || state.transcriptionAbortController || state.currentReply) {
+      return "thinking";
+    }
+    return "idle";
+  }
 
-    audio.play().catch(error => logMessage("Error", "AIVIS audio play error", { error: error }));
-
-    await new Promise((resolve, reject) => {
-      mediaSource.addEventListener(
-        "sourceopen",
-        async () => {
-          try {
-            const sourceBuffer = mediaSource.addSourceBuffer("audio/mpeg");
-
-            const waitForIdle = () =>
-              sourceBuffer.updating
-                ? new Promise((r) =>
-                    sourceBuffer.addEventListener("updateend", r, { once: true })
-                  )
-                : Promise.resolve();
-
-            const waitForIdleCompletely = async () => {
-              while (sourceBuffer.updating) {
-                await waitForIdle();
-                await new Promise((r) => setTimeout(r, 0));
-              }
-            };
-
-            const reader = response.body.getReader();
-
-            for (;;) {
-              const { value, done } = await reader.read();
-
-              if (done) {
-                await waitForIdleCompletely();
-                try {
-                  mediaSource.endOfStream();
-                } catch (error) {
-                  if (error.name === "InvalidStateError" && sourceBuffer.updating) {
-                    await waitForIdleCompletely();
-                    mediaSource.endOfStream();
-                  } else {
-                    throw error;
-                  }
-                }
-                resolve();
-                break;
-              }
+  /**
+   * ユーザーが最後に発言した時刻を返す（テキスト・音声入力のどちらも含む）。
+   * @returns {number} 時刻（ミリ秒。まだ発言していない場合は 0）
+   */
+  function getLastUserMessageAt() {
+    return state.lastUserMessageAt;
+  }
 
-              await waitForIdle();
-              await new Promise((r) => setTimeout(r, 0));
-              sourceBuffer.appendBuffer(value);
-            }
-          } catch (error) {
-            reject(error);
-          }
-        },
-        { once: true }
-      );
-    });
+  /**
+   * ユーザーの発言なしに、キャラクターから話しかける。
+   * 応答はユーザーの発言への応答と同じように表示・読み上げ・保存し、遮ることもできる。
+   * @param {string} instruction - 何をきっかけに話すかの会話モデルへの指示（テンプレート変数を使える）
+   * @returns {Promise<boolean>} 話しかけられる状態でなかった場合や、応答に失敗した場合は false
+   */
+  async function speakOnInitiative(instruction) {
+    if (!canSpeakOnInitiative()) {
+      return false;
+    }
+    setChatStatus("AIが応答を生成中...");
+    state.isProcessing = true;
+    updateSendButtonState();
+    updateBottomSendButtonState();
+    try {
+      await respondToUserMessage(null, { instruction: instruction });
+      return true;
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] キャラクターから話しかけられませんでした", {
+        error: error?.message ?? String(error),
+      });
+      setErrorStatus(error);
+      return false;
+    } finally {
+      state.isProcessing = false;
+      updateSendButtonState();
+      updateBottomSendButtonState();
+    }
   }
 
   /**
-   * テキストを音声に変換して再生する。
-   * Aivis APIキーが入力されている場合はAIVIS TTSを使用し、それ以外はOpenAI TTSを使用する。
-   * @param {string} text - 音声化するテキスト
-   * @returns {Promise<void>}
+   * Web画面下部の発話停止ボタンの有効/無効を更新する。
    */
-  async function textToSpeech(text) {
-    // Aivis APIキーが入力されている場合はAIVIS TTSを使用
-    if (state.aivisApiKey) {
-      return await textToSpeechAIVIS(text);
-    } else {
-      return await textToSpeechOpenAI(text);
+  function updateBottomStopButtonState() {
+    if (!bottomChatStopButton) {
+      return;
     }
+    // 音声認識の実行中も、押すと認識を中断できるようにする
+    bottomChatStopButton.disabled = !isResponding() && !state.transcriptionAbortController;
   }
 
   /**
@@ -595,6 +1728,12 @@ export function createChatMenu({
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      try {
+        state.recognitionSession = startRecognitionSession();
+      } catch (recognitionError) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw recognitionError;
+      }
       state.audioChunks = [];
 
       // MediaRecorderの設定
@@ -613,12 +1752,14 @@ export function createChatMenu({
 
         const audioBlob = new Blob(state.audioChunks, { type: "audio/webm" });
         state.audioChunks = [];
+        const recognitionSession = state.recognitionSession;
+        state.recognitionSession = null;
         const isBottomChat = state.recordingSource === "bottomChat";
 
         setChatStatus("音声を処理中...");
 
         try {
-          const transcription = await transcribeAudio(audioBlob);
+          const transcription = await transcribeAudio(audioBlob, recognitionSession);
           if (transcription) {
             if (isBottomChat) {
               // Web画面下部のチャットの場合、入力欄に認識した文字を表示（自動送信はしない）
@@ -634,21 +1775,11 @@ export function createChatMenu({
               setChatStatus("AIが応答を生成中...");
               state.isProcessing = true;
               try {
-                const aiResponse = await sendMessageToAI(transcription);
-                appendTranscript(aiResponse, "ai");
-
-                // TTSで音声再生
-                setChatStatus("音声を生成中...");
-                try {
-                  await textToSpeech(aiResponse);
-                  setChatStatus("完了");
-                } catch (ttsError) {
-                  logMessage("Error", "TTS error", { error: ttsError });
-                  setChatStatus(`音声生成エラー: ${ttsError.message}`);
-                }
+                // 応答をストリーミングで表示しながら文ごとに読み上げる
+                await respondToUserMessage(transcription);
               } catch (aiError) {
                 logMessage("Error", "AI response error", { error: aiError });
-                setChatStatus(`AIエラー: ${aiError.message}`);
+                setErrorStatus(aiError, "AIエラー");
               } finally {
                 state.isProcessing = false;
               }
@@ -658,7 +1789,7 @@ export function createChatMenu({
           }
         } catch (error) {
           logMessage("Error", "Transcription error", { error: error });
-          setChatStatus(`エラー: ${error.message}`);
+          setErrorStatus(error);
         } finally {
           state.isRecording = false;
           state.recordingSource = null;
@@ -712,8 +1843,8 @@ export function createChatMenu({
    * マイクボタンのクリックハンドラー。
    */
   function handleMicButtonClick() {
-    if (!validateApiKey()) {
-      setChatStatus("有効なOpenAI APIキーを入力してください");
+    if (!canUseVoiceInput()) {
+      setChatStatus(describeMissingVoiceInputApiKey());
       return;
     }
 
@@ -763,13 +1894,7 @@ export function createChatMenu({
    * @param {string} message - 表示するメッセージ
    */
   function addBottomChatSystemMessage(message) {
-    if (!bottomChatMessages) {
-      return;
-    }
-    const systemEntry = `システム：${message}\n`;
-    bottomChatMessages.textContent += systemEntry;
-    // 自動スクロール
-    bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
+    appendBottomChatEntry(`システム：${message}`, "system");
   }
 
   /**
@@ -835,21 +1960,11 @@ export function createChatMenu({
     updateSendButtonState();
 
     try {
-      const aiResponse = await sendMessageToAI(userMessage);
-      appendTranscript(aiResponse, "ai");
-
-      // TTSで音声再生
-      setChatStatus("音声を生成中...");
-      try {
-        await textToSpeech(aiResponse);
-        setChatStatus("完了");
-      } catch (ttsError) {
-        logMessage("Error", "TTS error", { error: ttsError });
-        setChatStatus(`音声生成エラー: ${ttsError.message}`);
-      }
+      // 応答をストリーミングで表示しながら文ごとに読み上げる
+      await respondToUserMessage(userMessage);
     } catch (error) {
       logMessage("Error", "AI response error", { error: error });
-      setChatStatus(`エラー: ${error.message}`);
+      setErrorStatus(error);
     } finally {
       state.isProcessing = false;
       updateSendButtonState();
@@ -860,8 +1975,8 @@ export function createChatMenu({
    * Web画面下部のマイクボタンのクリックハンドラー。
    */
   function handleBottomMicButtonClick() {
-    if (!validateApiKey()) {
-      addBottomChatSystemMessage("設定画面でAPIキーを入力してください");
+    if (!canUseVoiceInput()) {
+      addBottomChatSystemMessage(describeMissingVoiceInputApiKey());
       return;
     }
 
@@ -872,8 +1987,86 @@ export function createChatMenu({
     }
   }
 
+  /**
+   * 次の発言に添付する画像を加える。
+   * @param {string} url - 画像の data URL
+   * @param {"scene"|"upload"|"webcam"} source - 画像の種類
+   */
+  function addPendingImage(url, source) {
+    const image = { url: url, source: source };
+    state.pendingImages.push(image);
+    renderPendingImages();
+    if (source !== "scene") {
+      onImageAdded?.(image);
+    }
+  }
+
+  /**
+   * Web画面下部のチャットパネルにドロップされた画像ファイルを、次の発言に添付する。
+   * @param {DragEvent} event
+   */
+  async function handleBottomImageDrop(event) {
+    event.preventDefault();
+    bottomChatPanel.classList.remove("drag-over");
+    const files = Array.from(event.dataTransfer?.files ?? []).filter((file) => file.type.startsWith("image/"));
+    if (files.length === 0) {
+      addBottomChatSystemMessage("画像ファイルをドロップしてください");
+      return;
+    }
+    for (const file of files) {
+      try {
+        addPendingImage(await readImageFile(file), "upload");
+      } catch (error) {
+        logMessage("Warn", "[ChatMenu] 画像ファイルを読み込めませんでした", {
+          fileName: file.name,
+          error: error?.message ?? String(error),
+        });
+        addBottomChatSystemMessage(`画像を読み込めませんでした: ${file.name}`);
+      }
+    }
+  }
+
+  /**
+   * Web画面下部の「アバターの視界」ボタンのクリックハンドラー。アバターの目から見た空間を次の発言に添付する。
+   */
+  async function handleBottomSceneButtonClick() {
+    if (!captureScene) {
+      return;
+    }
+    try {
+      addPendingImage(await captureScene(), "scene");
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] アバターの目から見た空間を撮影できませんでした", {
+        error: error?.message ?? String(error),
+      });
+      addBottomChatSystemMessage(`アバターの視界を撮影できませんでした: ${describeError(error)}`);
+    }
+  }
+
+  /**
+   * Web画面下部の「カメラ」ボタンのクリックハンドラー。Webカメラで1コマ撮影して次の発言に添付する。
+   */
+  async function handleBottomWebcamButtonClick() {
+    if (bottomChatWebcamButton) {
+      bottomChatWebcamButton.disabled = true;
+    }
+    try {
+      addPendingImage(await captureWebcamFrame(), "webcam");
+    } catch (error) {
+      logMessage("Warn", "[ChatMenu] Webカメラで撮影できませんでした", {
+        error: error?.message ?? String(error),
+      });
+      addBottomChatSystemMessage(`カメラで撮影できませんでした: ${describeError(error)}`);
+    } finally {
+      if (bottomChatWebcamButton) {
+        bottomChatWebcamButton.disabled = false;
+      }
+    }
+  }
+
   /**
    * Web画面下部の送信ボタンのクリックハンドラー。
+   * 画像を添付している場合は、文字を入力しなくても送信できる。
    */
   async function handleBottomSendMessage() {
     if (!validateApiKey()) {
@@ -881,7 +2074,7 @@ export function createChatMenu({
       return;
     }
 
-    if (!bottomChatTextInput || !bottomChatTextInput.value.trim()) {
+    if (!bottomChatTextInput || (!bottomChatTextInput.value.trim() && state.pendingImages.length === 0)) {
       addBottomChatSystemMessage("メッセージを入力してください");
       return;
     }
@@ -901,38 +2094,22 @@ export function createChatMenu({
       }
     }
 
-    const userMessage = bottomChatTextInput.value.trim();
+    const userMessage = bottomChatTextInput.value.trim() || IMAGE_ONLY_MESSAGE;
     bottomChatTextInput.value = "";
 
     setChatStatus("AIが応答を生成中...");
     state.isProcessing = true;
     updateBottomSendButtonState();
 
-    try {
-      const aiResponse = await sendMessageToAI(userMessage);
-      // AI応答のみをWeb画面下部のチャットエリアに追加
-      if (bottomChatMessages) {
-        const aiEntry = `${AI_NAME}：${aiResponse}\n`;
-        bottomChatMessages.textContent += aiEntry;
-        // 自動スクロール
-        bottomChatMessages.scrollTop = bottomChatMessages.scrollHeight;
-      }
-      // 設定画面のトランスクリプトにも追加
-      appendTranscript(userMessage, "user");
-      appendTranscript(aiResponse, "ai");
+    // 設定画面のトランスクリプトにも追加
+    appendTranscript(userMessage, "user");
 
-      // TTSで音声再生
-      setChatStatus("音声を生成中...");
-      try {
-        await textToSpeech(aiResponse);
-        setChatStatus("完了");
-      } catch (ttsError) {
-        logMessage("Error", "TTS error", { error: ttsError });
-        setChatStatus(`音声生成エラー: ${ttsError.message}`);
-      }
+    try {
+      // AI応答はWeb画面下部のチャットエリアに逐次表示しながら文ごとに読み上げる
+      await respondToUserMessage(userMessage);
     } catch (error) {
       logMessage("Error", "AI response error", { error: error });
-      setChatStatus(`エラー: ${error.message}`);
+      setErrorStatus(error);
     } finally {
       state.isProcessing = false;
       updateBottomSendButtonState();
@@ -951,33 +2128,19 @@ export function createChatMenu({
       if (state.isRecording) {
         stopRecording();
       }
-      // 音声再生を停止
-      if (state.audioElement) {
-        state.audioElement.pause();
-        state.audioElement = null;
-        state.isSpeaking = false;
-      }
-      // MediaSourceをクリーンアップ
-      if (state.mediaSource) {
-        try {
-          if (state.mediaSource.readyState === "open") {
-            state.mediaSource.endOfStream();
-          }
-        } catch (e) {
-          // エラーは無視
-        }
-        state.mediaSource = null;
-      }
-      if (state.ttsAudioPlayer) {
-        state.ttsAudioPlayer.stop();
-        state.isSpeaking = false;
-      }
+      stopHandsFree();
+      cancelTranscription();
+      // 応答中であれば中断し、読み上げ待ちの文を破棄して音声再生を停止
+      interruptSpeech("menu-inactive");
       setChatStatus("");
+      updateBottomStopButtonState();
       if (chatTranscript) {
         chatTranscript.textContent = "";
       }
-      // チャット履歴をクリア
+      // チャット履歴をクリア（保存済みのセッションは残す）
       state.chatHistory = [];
+      state.session = null;
+      state.summary = { text: "", coveredCount: 0 };
       state.isProcessing = false;
       return;
     }
@@ -1022,7 +2185,7 @@ export function createChatMenu({
       context: "vrMenu",
     });
 
-    if (!state.apiKey) {
+    if (!canUseVoiceInput()) {
       onErrorCallback?.(new Error("APIキーが設定されていません"));
       return;
     }
@@ -1045,6 +2208,12 @@ export function createChatMenu({
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      try {
+        state.recognitionSession = startRecognitionSession();
+      } catch (recognitionError) {
+        stream.getTracks().forEach((track) => track.stop());
+        throw recognitionError;
+      }
       state.audioChunks = [];
 
       const options = { mimeType: "audio/webm" };
@@ -1062,9 +2231,11 @@ export function createChatMenu({
 
         const audioBlob = new Blob(state.audioChunks, { type: "audio/webm" });
         state.audioChunks = [];
+        const recognitionSession = state.recognitionSession;
+        state.recognitionSession = null;
 
         try {
-          const transcription = await transcribeAudio(audioBlob);
+          const transcription = await transcribeAudio(audioBlob, recognitionSession);
           // コールバックを呼ぶ前に録音状態をクリア
           state.isRecording = false;
 
@@ -1075,18 +2246,12 @@ export function createChatMenu({
             // AIに送信して応答を取得
             state.isProcessing = true;
             try {
-              const aiResponse = await sendMessageToAI(transcription);
-              appendTranscript(aiResponse, "ai");
-
-              // VRコールバックにはユーザーメッセージとAI応答の両方を通知（音声再生前に即座に表示）
-              onTranscriptCallback?.({ user: transcription, ai: aiResponse });
-
-              // TTSで音声再生
-              try {
-                await textToSpeech(aiResponse);
-              } catch (ttsError) {
-                logMessage("Error", "VR TTS error", { error: ttsError });
-              }
+              await respondToUserMessage(transcription, {
+                // VRコールバックにはユーザーメッセージとAI応答の両方を通知（読み上げ完了を待たずに表示）
+                onTextComplete: (aiResponse) => {
+                  onTranscriptCallback?.({ user: transcription, ai: aiResponse });
+                },
+              });
             } catch (aiError) {
               logMessage("Error", "VR AI response error", { error: aiError });
               onErrorCallback?.(aiError);
@@ -1123,6 +2288,308 @@ export function createChatMenu({
     state.mediaRecorder.stop();
   }
 
+  /**
+   * ハンズフリー音声入力の状態を呼び出し元に通知する。
+   * @param {"listening"|"recording"|"processing"|"off"} status - 状態
+   */
+  function notifyHandsFreeStatus(status) {
+    const handsFree = state.handsFree;
+    if (status === "listening") {
+      setChatStatus("ハンズフリー: 話しかけてください");
+    } else if (status === "recording") {
+      setChatStatus("ハンズフリー: 聞き取り中...");
+    }
+    updateBottomHandsFreeButtonState();
+    handsFree?.callbacks.onStatusChange?.(status);
+  }
+
+  /**
+   * ハンズフリー音声入力中に、発話検出を止めておくかどうかを返す。
+   * 手動の録音中と音声認識中は検出しない。
+   * 割り込み（バージイン）が無効な場合は、アバターが自分の声を聞き取らないよう応答の生成中・読み上げ中も検出しない。
+   * @returns {boolean} 検出を止める場合は true
+   */
+  function isHandsFreePaused() {
+    if (state.isRecording) {
+      return true;
+    }
+    if (!loadVoiceInputSettings().bargeIn) {
+      return state.isProcessing || isResponding();
+    }
+    // 応答が始まる前の処理中（音声認識中）だけ止める
+    return state.isProcessing && !state.currentReply;
+  }
+
+  /**
+   * ハンズフリー音声入力の発話検出しきい値の倍率を返す。アバターの読み上げ中は引き上げる。
+   * @returns {number} 倍率
+   */
+  function getHandsFreeThresholdScale() {
+    return state.isSpeaking || speechQueue.isBusy() ? BARGE_IN_THRESHOLD_SCALE : 1;
+  }
+
+  /**
+   * ハンズフリー音声入力: 発話が始まったら録音を開始する。AIが応答中の場合はその発話を中断する。
+   */
+  function handleHandsFreeSpeechStart() {
+    const handsFree = state.handsFree;
+    if (!handsFree) {
+      return;
+    }
+    if (isResponding()) {
+      interruptSpeech("voice");
+    }
+    handsFree.chunks = [];
+    handsFree.recorder = new MediaRecorder(handsFree.stream, { mimeType: "audio/webm" });
+    handsFree.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        handsFree.chunks.push(event.data);
+      }
+    };
+    handsFree.recorder.start();
+    try {
+      handsFree.recognition = startRecognitionSession();
+    } catch (error) {
+      logMessage("Error", "[ChatMenu] ハンズフリー音声入力の音声認識を開始できませんでした", { error: error });
+      discardHandsFreeRecording(handsFree);
+      setErrorStatus(error);
+      handsFree.callbacks.onError?.(error);
+      return;
+    }
+    notifyHandsFreeStatus("recording");
+  }
+
+  /**
+   * ハンズフリー音声入力: 発話が終わったら録音を止め、音声認識とAI応答を行う。
+   */
+  function handleHandsFreeSpeechEnd() {
+    const handsFree = state.handsFree;
+    const recorder = handsFree?.recorder;
+    if (!recorder) {
+      return;
+    }
+    const recognition = handsFree.recognition;
+    handsFree.recorder = null;
+    handsFree.recognition = null;
+    // 録音停止から認識・応答が終わるまでは次の発話を検出しない
+    state.isProcessing = true;
+    recorder.onstop = () => {
+      const audioBlob = new Blob(handsFree.chunks, { type: "audio/webm" });
+      handsFree.chunks = [];
+      handleHandsFreeUtterance(audioBlob, handsFree.callbacks, recognition);
+    };
+    recorder.stop();
+  }
+
+  /**
+   * ハンズフリー音声入力の録音中のデータを破棄する。
+   * @param {object} handsFree - ハンズフリー音声入力の状態
+   */
+  function discardHandsFreeRecording(handsFree) {
+    handsFree.recognition?.cancel();
+    handsFree.recognition = null;
+    const recorder = handsFree.recorder;
+    if (!recorder) {
+      return;
+    }
+    handsFree.recorder = null;
+    handsFree.chunks = [];
+    recorder.ondataavailable = null;
+    if (recorder.state !== "inactive") {
+      recorder.stop();
+    }
+  }
+
+  /**
+   * ハンズフリー音声入力: 短すぎる音だった場合は録音を破棄する。
+   */
+  function handleHandsFreeSpeechCancel() {
+    if (!state.handsFree) {
+      return;
+    }
+    discardHandsFreeRecording(state.handsFree);
+    notifyHandsFreeStatus("listening");
+  }
+
+  /**
+   * ハンズフリー音声入力で区切った1発話を音声認識し、AIに送信して応答を読み上げる。
+   * @param {Blob} audioBlob - 1発話分の録音データ
+   * @param {{ onTranscript?: Function, onError?: Function }} callbacks - startHandsFree に渡されたコールバック
+   * @param {{ finish: () => Promise<string> }|null} recognition - 録音と並行して聞き取った音声認識のセッション
+   */
+  async function handleHandsFreeUtterance(audioBlob, callbacks, recognition) {
+    state.handsFreeUtteranceToken += 1;
+    const token = state.handsFreeUtteranceToken;
+    state.isProcessing = true;
+    updateSendButtonState();
+    updateBottomSendButtonState();
+    notifyHandsFreeStatus("processing");
+    setChatStatus("音声を処理中...");
+
+    try {
+      const transcription = (await transcribeAudio(audioBlob, recognition)).trim();
+      if (!transcription) {
+        setChatStatus("音声を認識できませんでした");
+        return;
+      }
+      appendTranscript(transcription, "user");
+      appendBottomChatEntry(`音声入力：${transcription}`, "user");
+      setChatStatus("AIが応答を生成中...");
+      await respondToUserMessage(transcription, {
+        onTextComplete: (aiResponse) => {
+          callbacks.onTranscript?.({ user: transcription, ai: aiResponse });
+        },
+      });
+    } catch (error) {
+      logMessage("Error", "[ChatMenu] ハンズフリー音声入力エラー", { error: error });
+      setErrorStatus(error);
+      callbacks.onError?.(error);
+    } finally {
+      // 発話を遮って次の発話を処理している場合は、その発話の処理が終わるまで処理中のままにする
+      if (token === state.handsFreeUtteranceToken) {
+        state.isProcessing = false;
+        updateSendButtonState();
+        updateBottomSendButtonState();
+        // 発話を遮って次の発話を録音中の場合は、その状態のままにする
+        if (state.handsFree && !state.handsFree.recorder) {
+          notifyHandsFreeStatus("listening");
+        }
+      }
+    }
+  }
+
+  /**
+   * ハンズフリー音声入力を開始する。マイクを開いたまま発話を待ち、
+   * 発話の始まりと終わり（設定した長さの無音）を検出して1発話ずつ音声認識・AI応答を行う。
+   * Web画面とVRの両方から呼び出す。
+   * @param {{
+   *   onTranscript?: (result: { user: string, ai: string }) => void,
+   *   onError?: (error: Error) => void,
+   *   onStatusChange?: (status: "listening"|"recording"|"processing"|"off") => void,
+   * }} [callbacks]
+   *   onTranscript: 1発話分のAI応答テキストの受信完了時（読み上げ完了前）に呼ばれる
+   * @returns {Promise<boolean>} 開始できた場合は true
+   */
+  async function startHandsFree(callbacks = {}) {
+    if (state.handsFree) {
+      return true;
+    }
+    if (!canUseVoiceInput()) {
+      callbacks.onError?.(new Error("APIキーが設定されていません"));
+      return false;
+    }
+
+    await ensureAudioContextUnlocked("startHandsFree");
+    const audioContext = state.ttsAudioPlayer?.audioListener?.context;
+    if (!audioContext) {
+      callbacks.onError?.(new Error("AudioContextが利用できません"));
+      return false;
+    }
+
+    try {
+      // 読み上げ音声をマイクが拾わないよう、エコーキャンセルを有効にする
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true },
+      });
+      state.handsFree = {
+        stream: stream,
+        detector: null,
+        recorder: null,
+        recognition: null,
+        chunks: [],
+        callbacks: callbacks,
+      };
+      state.handsFree.detector = createVoiceActivityDetector({
+        stream: stream,
+        audioContext: audioContext,
+        getSettings: loadVoiceInputSettings,
+        isPaused: isHandsFreePaused,
+        getThresholdScale: getHandsFreeThresholdScale,
+        onSpeechStart: handleHandsFreeSpeechStart,
+        onSpeechEnd: handleHandsFreeSpeechEnd,
+        onSpeechCancel: handleHandsFreeSpeechCancel,
+      });
+      state.handsFree.detector.start();
+      logMessage("Info", "[ChatMenu] ハンズフリー音声入力を開始しました");
+      notifyHandsFreeStatus("listening");
+      return true;
+    } catch (error) {
+      const normalizedError = normalizeMicPermissionError(error);
+      logMessage("Error", "[ChatMenu] ハンズフリー音声入力の開始に失敗しました", { error: normalizedError });
+      state.handsFree = null;
+      updateBottomHandsFreeButtonState();
+      callbacks.onError?.(normalizedError);
+      return false;
+    }
+  }
+
+  /**
+   * ハンズフリー音声入力を停止してマイクを閉じる。認識中・応答中の発話はそのまま最後まで処理する。
+   */
+  function stopHandsFree() {
+    const handsFree = state.handsFree;
+    if (!handsFree) {
+      return;
+    }
+    state.handsFree = null;
+    handsFree.detector.stop();
+    discardHandsFreeRecording(handsFree);
+    handsFree.stream.getTracks().forEach((track) => track.stop());
+    logMessage("Info", "[ChatMenu] ハンズフリー音声入力を停止しました");
+    setChatStatus("ハンズフリーを停止しました");
+    updateBottomHandsFreeButtonState();
+    handsFree.callbacks.onStatusChange?.("off");
+  }
+
+  /**
+   * ハンズフリー音声入力中かどうかを返す。
+   * @returns {boolean}
+   */
+  function isHandsFreeActive() {
+    return Boolean(state.handsFree);
+  }
+
+  /**
+   * Web画面下部のハンズフリーボタンの表示を更新する。
+   */
+  function updateBottomHandsFreeButtonState() {
+    if (!bottomChatHandsFreeButton) {
+      return;
+    }
+    const active = Boolean(state.handsFree);
+    bottomChatHandsFreeButton.classList.toggle("active", active);
+    bottomChatHandsFreeButton.title = active ? "ハンズフリーを停止" : "ハンズフリーで会話";
+    bottomChatHandsFreeButton.setAttribute("aria-pressed", String(active));
+  }
+
+  /**
+   * Web画面下部のハンズフリーボタンのクリックハンドラー。
+   */
+  async function handleBottomHandsFreeButtonClick() {
+    if (state.handsFree) {
+      stopHandsFree();
+      addBottomChatSystemMessage("ハンズフリー会話を終了しました");
+      return;
+    }
+    if (!canUseVoiceInput()) {
+      addBottomChatSystemMessage("設定画面でAPIキーを入力してください");
+      return;
+    }
+
+    const started = await startHandsFree({
+      onError: (error) => {
+        if (isMicPermissionError(error)) {
+          addBottomChatSystemMessage(MIC_PERMISSION_ERROR_MESSAGE);
+        } else {
+          addBottomChatSystemMessage(`エラー: ${describeError(error)}`);
+        }
+      },
+    });
+    if (started) {
+      addBottomChatSystemMessage("ハンズフリー会話を開始しました。話しかけてください");
+    }
+  }
+
   // イベントリスナーの設定
   micButton?.addEventListener("click", handleMicButtonClick);
   apiKeyInput?.addEventListener("input", handleApiKeyChange);
@@ -1132,10 +2599,31 @@ export function createChatMenu({
   // Web画面下部のチャット要素のイベントリスナー
   bottomChatMicButton?.addEventListener("click", handleBottomMicButtonClick);
   bottomChatSendButton?.addEventListener("click", handleBottomSendMessage);
+  bottomChatHandsFreeButton?.addEventListener("click", handleBottomHandsFreeButtonClick);
+  bottomChatStopButton?.addEventListener("click", () => {
+    cancelTranscription();
+    interruptSpeech("button");
+  });
+  bottomChatSceneButton?.addEventListener("click", handleBottomSceneButtonClick);
+  bottomChatWebcamButton?.addEventListener("click", handleBottomWebcamButtonClick);
+  bottomChatPanel?.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    bottomChatPanel.classList.add("drag-over");
+  });
+  bottomChatPanel?.addEventListener("dragleave", (event) => {
+    // パネル内の子要素の間を移動したときは外れていない
+    if (!bottomChatPanel.contains(event.relatedTarget)) {
+      bottomChatPanel.classList.remove("drag-over");
+    }
+  });
+  bottomChatPanel?.addEventListener("drop", handleBottomImageDrop);
 
   // 初期状態を設定
+  renderPendingImages();
   updateBottomMicButtonState();
   updateBottomSendButtonState();
+  updateBottomHandsFreeButtonState();
+  updateBottomStopButtonState();
 
   /**
    * VR用のサンプル音声を取得して再生する。
@@ -1157,11 +2645,34 @@ export function createChatMenu({
   return {
     setMenuActive,
     handleVrmReady,
+    handleSettingsChange: handleApiKeyChange,
+    // 会話セッション
+    restoreSession,
+    startNewSession,
+    getCurrentSessionId,
+    speakFirstMessage,
     // VR用API
     getApiKey,
+    canUseVoiceInput,
     isRecording,
     startVrRecording,
     stopVrRecording,
     playSampleAudio,
+    // ハンズフリー音声入力（Web・VR共通）
+    startHandsFree,
+    stopHandsFree,
+    isHandsFreeActive,
+    // 発話の中断（Web・VR共通）
+    interruptSpeech,
+    isResponding,
+    // 過去のAI発言の再生（Web・VR共通）
+    getReplies,
+    replayReply,
+    // キャラクターから話しかける（Web・VR共通）
+    canSpeakOnInitiative,
+    speakOnInitiative,
+    getLastUserMessageAt,
+    // アバターの身ぶり（Web・VR共通）
+    getConversationPhase,
   };
 }
@@ -0,0 +1,218 @@
+import { setStatusText } from "../top_common.js";
+import { loadKnowledgeSettings } from "../config.js";
+import { createEmbeddingProvider, getEmbeddingKey } from "../knowledge/embeddingProviders.js";
+import { addKnowledgeFile, reindexKnowledgeDocuments } from "../knowledge/knowledgeBase.js";
+import { deleteKnowledgeDocument, listKnowledgeDocuments } from "../storage/knowledgeStore.js";
+import { describeError } from "../utils/httpClient.js";
+import { logMessage } from "../utils/logger.js";
+
+/**
+ * 設定画面の資料（ナレッジベース）メニューを作成する。
+ * 選択中のキャラクターの資料の追加・削除と、検索方法を変えたときの埋め込みの作り直しを行う。
+ */
+export function createKnowledgeMenu({
+  listElement,
+  addButton,
+  fileInput,
+  reindexButton,
+  statusElement,
+  characterKey,
+  // 埋め込みAPIに使うAPIキーを返す関数
+  getApiKey,
+}) {
+  const state = {
+    documents: [], // 現在のキャラクターの資料（追加日時の新しい順）
+    characterKey: characterKey, // 一覧に表示するキャラクター（キャラクターの切り替えで変わる）
+    isBusy: false, // 資料の登録・作り直し中フラグ
+  };
+
+  /**
+   * ファイルサイズを一覧表示用の文字列に変換する。
+   * @param {number} size - バイト数
+   * @returns {string} 表示用文字列
+   */
+  function formatSize(size) {
+    return size >= 1024 * 1024 ? `${(size / 1024 / 1024).toFixed(1)}MB` : `${Math.max(1, Math.round(size / 1024))}KB`;
+  }
+
+  /**
+   * 資料の一覧を描画する。今の検索方法と異なる方法で登録した資料には印を付ける。
+   */
+  function renderDocumentList() {
+    if (!listElement) {
+      return;
+    }
+    listElement.textContent = "";
+    const embeddingKey = getEmbeddingKey(createEmbeddingProvider(loadKnowledgeSettings()));
+    const outdatedCount = state.documents.filter((document) => document.embeddingKey !== embeddingKey).length;
+    if (reindexButton) {
+      reindexButton.disabled = state.isBusy || outdatedCount === 0;
+    }
+    if (addButton) {
+      addButton.disabled = state.isBusy;
+    }
+    if (state.documents.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "session-list-empty";
+      empty.textContent = "登録された資料はありません";
+      listElement.appendChild(empty);
+      return;
+    }
+
+    state.documents.forEach((knowledgeDocument) => {
+      const item = document.createElement("div");
+      item.className = "session-item";
+
+      const info = document.createElement("div");
+      info.className = "session-item-info";
+      const title = document.createElement("span");
+      title.className = "session-item-title";
+      title.textContent = knowledgeDocument.name;
+      const meta = document.createElement("span");
+      meta.className = "session-item-meta";
+      const outdated = knowledgeDocument.embeddingKey !== embeddingKey ? " ・ 要作り直し" : "";
+      meta.textContent = `${formatSize(knowledgeDocument.size)} ・ ${knowledgeDocument.chunkCount}件の断片${outdated}`;
+      info.append(title, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "session-item-actions";
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.textContent = "削除";
+      deleteButton.disabled = state.isBusy;
+      deleteButton.addEventListener("click", () => handleDelete(knowledgeDocument));
+      actions.appendChild(deleteButton);
+
+      item.append(info, actions);
+      listElement.appendChild(item);
+    });
+  }
+
+  /**
+   * IndexedDBから資料の一覧を読み込み直して描画する。
+   * @returns {Promise<void>}
+   */
+  async function refresh() {
+    try {
+      state.documents = await listKnowledgeDocuments(state.characterKey);
+    } catch (error) {
+      logMessage("Error", "[KnowledgeMenu] 資料の読み込みに失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      setStatusText(statusElement, `資料を読み込めませんでした: ${error.message}`);
+      state.documents = [];
+    }
+    renderDocumentList();
+  }
+
+  /**
+   * 資料の登録・作り直しを実行する。実行中は一覧の操作を無効にする。
+   * @param {() => Promise<void>} task - 実行する処理
+   * @returns {Promise<void>}
+   */
+  async function runExclusive(task) {
+    state.isBusy = true;
+    renderDocumentList();
+    try {
+      await task();
+    } finally {
+      state.isBusy = false;
+      await refresh();
+    }
+  }
+
+  /**
+   * 選択されたファイルを資料として登録する。
+   * @param {Event} event - ファイル入力の change イベント
+   */
+  async function handleFileChange(event) {
+    const files = [...(event.target.files ?? [])];
+    // 入力をクリアして、同じファイルを再度選択できるようにする
+    event.target.value = "";
+    if (files.length === 0 || state.isBusy) {
+      return;
+    }
+    const characterKeyAtStart = state.characterKey;
+    const embeddingProvider = createEmbeddingProvider(loadKnowledgeSettings());
+    await runExclusive(async () => {
+      let addedCount = 0;
+      for (const file of files) {
+        setStatusText(statusElement, `${file.name} を登録中...`);
+        try {
+          await addKnowledgeFile(file, {
+            characterKey: characterKeyAtStart,
+            embeddingProvider: embeddingProvider,
+            apiKey: getApiKey?.(),
+          });
+          addedCount += 1;
+        } catch (error) {
+          logMessage("Error", "[KnowledgeMenu] 資料の登録に失敗しました", {
+            file: file.name,
+            error: error?.message ?? String(error),
+          });
+          setStatusText(statusElement, `${file.name} を登録できませんでした: ${describeError(error)}`);
+          return;
+        }
+      }
+      setStatusText(statusElement, `${addedCount}件の資料を登録しました`);
+    });
+  }
+
+  /**
+   * 今の検索方法と異なる方法で登録した資料の埋め込みを作り直す。
+   */
+  async function handleReindex() {
+    if (state.isBusy) {
+      return;
+    }
+    await runExclusive(async () => {
+      setStatusText(statusElement, "資料を作り直し中...");
+      try {
+        const count = await reindexKnowledgeDocuments({
+          characterKey: state.characterKey,
+          embeddingProvider: createEmbeddingProvider(loadKnowledgeSettings()),
+          apiKey: getApiKey?.(),
+        });
+        setStatusText(statusElement, `${count}件の資料を作り直しました`);
+      } catch (error) {
+        logMessage("Error", "[KnowledgeMenu] 資料の作り直しに失敗しました", {
+          error: error?.message ?? String(error),
+        });
+        setStatusText(statusElement, `資料を作り直せませんでした: ${describeError(error)}`);
+      }
+    });
+  }
+
+  /**
+   * 資料を削除する。
+   * @param {{ id: string, name: string }} knowledgeDocument - 対象の資料
+   */
+  async function handleDelete(knowledgeDocument) {
+    if (state.isBusy || !confirm(`「${knowledgeDocument.name}」を削除しますか？`)) {
+      return;
+    }
+    await deleteKnowledgeDocument(knowledgeDocument.id);
+    setStatusText(statusElement, `「${knowledgeDocument.name}」を削除しました`);
+    await refresh();
+  }
+
+  /**
+   * 一覧に表示するキャラクターを切り替える。
+   * @param {string} nextCharacterKey - 切り替え先のキャラクターの識別キー
+   * @returns {Promise<void>}
+   */
+  async function switchCharacter(nextCharacterKey) {
+    state.characterKey = nextCharacterKey;
+    setStatusText(statusElement, "");
+    await refresh();
+  }
+
+  addButton?.addEventListener("click", () => fileInput?.click());
+  fileInput?.addEventListener("change", handleFileChange);
+  reindexButton?.addEventListener("click", handleReindex);
+
+  return {
+    refresh,
+    switchCharacter,
+  };
+}
@@ -162,6 +162,41 @@ export function createLookAtPlayerMenu({
     }
   }
 
+  /**
+   * VRM からプレイヤーの頭までの水平距離を返す。
+   * @returns {number|null} 距離（m）。VRM の読み込み前などで取得できない場合は null
+   */
+  function getPlayerDistance() {
+    const vrm = vrmManager.getCurrentVrm();
+    const playerPosition = samplePlayerHeadPosition();
+    if (!vrm || !playerPosition) {
+      return null;
+    }
+    vrm.scene.getWorldPosition(vrmWorldPosition);
+    return Math.hypot(playerPosition.x - vrmWorldPosition.x, playerPosition.z - vrmWorldPosition.z);
+  }
+
+  /**
+   * 体の正面から見たプレイヤーの方向（Yaw 角）を返す。
+   * @returns {number|null} 角度（ラジアン、-PI ~ PI。正の値: VRM の左手側）。取得できない場合は null
+   */
+  function getPlayerRelativeYaw() {
+    const vrm = vrmManager.getCurrentVrm();
+    const desiredYaw = computeDesiredYawToPlayer(samplePlayerHeadPosition());
+    if (!vrm || desiredYaw == null) {
+      return null;
+    }
+    return normalizeRadians(desiredYaw - vrm.scene.rotation.y);
+  }
+
+  /**
+   * 体は回さずに、VRM の目だけをプレイヤーの頭方向へ向ける（会話中の身ぶり用）。
+   * @returns {boolean} 視線更新の成否
+   */
+  function gazeAtPlayer() {
+    return updateVrmGazeTarget(samplePlayerHeadPosition());
+  }
+
   /**
    * VRM の視線をプレイヤーの頭方向へ向ける。
    */
@@ -247,5 +282,8 @@ export function createLookAtPlayerMenu({
      * VRM の視線をプレイヤーの頭方向へ向ける。
      */
     lookAtPlayer,
+    gazeAtPlayer,
+    getPlayerDistance,
+    getPlayerRelativeYaw,
   };
 }
@@ -0,0 +1,181 @@
+import { setStatusText } from "../top_common.js";
+import { MEMORY_CATEGORIES, deleteMemory, listMemories, saveMemory } from "../storage/memoryStore.js";
+import { logMessage } from "../utils/logger.js";
+
+/**
+ * 設定画面の長期記憶（ユーザーについて覚えていること）メニューを作成する。
+ * 選択中のキャラクターの記憶の一覧表示・追加・編集・削除を行う。
+ */
+export function createMemoryMenu({ listElement, addButton, clearButton, statusElement, characterKey }) {
+  const state = {
+    memories: [], // 現在のキャラクターの記憶（更新日時の新しい順）
+    characterKey: characterKey, // 一覧に表示するキャラクター（キャラクターの切り替えで変わる）
+  };
+
+  /**
+   * 日付を一覧表示用の文字列に変換する。
+   * @param {number} timestamp - ミリ秒のタイムスタンプ
+   * @returns {string} 表示用文字列
+   */
+  function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+  }
+
+  /**
+   * 一覧の操作ボタンを作成する。
+   * @param {string} label - ボタンの表示名
+   * @param {() => void} onClick - クリック時の処理
+   * @returns {HTMLButtonElement}
+   */
+  function createActionButton(label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * 記憶の一覧を描画する。
+   */
+  function renderMemoryList() {
+    if (!listElement) {
+      return;
+    }
+    listElement.textContent = "";
+    if (clearButton) {
+      clearButton.disabled = state.memories.length === 0;
+    }
+    if (state.memories.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "session-list-empty";
+      empty.textContent = "覚えていることはまだありません";
+      listElement.appendChild(empty);
+      return;
+    }
+
+    state.memories.forEach((memory) => {
+      const item = document.createElement("div");
+      item.className = "session-item";
+
+      const info = document.createElement("div");
+      info.className = "session-item-info";
+      const content = document.createElement("span");
+      content.className = "memory-item-content";
+      content.textContent = memory.content;
+      const meta = document.createElement("span");
+      meta.className = "session-item-meta";
+      meta.textContent = `${MEMORY_CATEGORIES[memory.category] ?? MEMORY_CATEGORIES.other} ・ ${formatDate(memory.updatedAt)}`;
+      info.append(content, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "session-item-actions";
+      actions.append(
+        createActionButton("編集", () => handleEdit(memory)),
+        createActionButton("削除", () => handleDelete(memory))
+      );
+
+      item.append(info, actions);
+      listElement.appendChild(item);
+    });
+  }
+
+  /**
+   * IndexedDBから記憶の一覧を読み込み直して描画する。
+   * @returns {Promise<void>}
+   */
+  async function refresh() {
+    try {
+      state.memories = await listMemories(state.characterKey);
+    } catch (error) {
+      logMessage("Error", "[MemoryMenu] 長期記憶の読み込みに失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      setStatusText(statusElement, `記憶を読み込めませんでした: ${error.message}`);
+      state.memories = [];
+    }
+    renderMemoryList();
+  }
+
+  /**
+   * 記憶を手動で追加する。
+   */
+  async function handleAdd() {
+    const content = prompt("覚えておくこと(例: ユーザーはコーヒーが好き)");
+    if (content === null) {
+      return;
+    }
+    const saved = await saveMemory({ characterKey: state.characterKey, category: "other", content: content });
+    setStatusText(statusElement, saved ? "記憶を追加しました" : "");
+    await refresh();
+  }
+
+  /**
+   * 記憶の内容を編集する。空にした場合は削除する。
+   * @param {{ id: string, content: string }} memory - 対象の記憶
+   */
+  async function handleEdit(memory) {
+    const content = prompt("記憶の内容を入力してください(空にすると削除します)", memory.content);
+    if (content === null) {
+      return;
+    }
+    if (content.trim()) {
+      await saveMemory({ ...memory, content: content });
+      setStatusText(statusElement, "記憶を更新しました");
+    } else {
+      await deleteMemory(memory.id);
+      setStatusText(statusElement, "記憶を削除しました");
+    }
+    await refresh();
+  }
+
+  /**
+   * 記憶を削除する。
+   * @param {{ id: string, content: string }} memory - 対象の記憶
+   */
+  async function handleDelete(memory) {
+    if (!confirm(`「${memory.content}」を忘れさせますか？`)) {
+      return;
+    }
+    await deleteMemory(memory.id);
+    setStatusText(statusElement, "記憶を削除しました");
+    await refresh();
+  }
+
+  /**
+   * 現在のキャラクターの記憶をすべて削除する。
+   */
+  async function handleClear() {
+    await refresh();
+    if (state.memories.length === 0 || !confirm(`${state.memories.length}件の記憶をすべて削除しますか？`)) {
+      return;
+    }
+    for (const memory of state.memories) {
+      await deleteMemory(memory.id);
+    }
+    logMessage("Info", "[MemoryMenu] 長期記憶をすべて削除しました", { characterKey: state.characterKey });
+    setStatusText(statusElement, "記憶をすべて削除しました");
+    await refresh();
+  }
+
+  /**
+   * 一覧に表示するキャラクターを切り替える。
+   * @param {string} nextCharacterKey - 切り替え先のキャラクターの識別キー
+   * @returns {Promise<void>}
+   */
+  async function switchCharacter(nextCharacterKey) {
+    state.characterKey = nextCharacterKey;
+    setStatusText(statusElement, "");
+    await refresh();
+  }
+
+  addButton?.addEventListener("click", handleAdd);
+  clearButton?.addEventListener("click", handleClear);
+
+  return {
+    refresh,
+    switchCharacter,
+  };
+}
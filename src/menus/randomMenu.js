@@ -12,10 +12,12 @@ let RANDOM_WAVE_FILE = null;
 let RANDOM_IDLE_FILES = null;
 const RANDOM_RANGE = { min: -3, max: 3 };
 const RANDOM_WAIT_SECONDS = 6;
+const RANDOM_WAVE_PROBABILITY = 0.5;
 const RANDOM_WAVE_DELAY_RANGE = { min: 1.5, max: 4 };
 
 /**
  * ランダム行動機能を提供するモジュール。
+ * 待機の間隔と手を振る確率は、getAffectBehavior が返すキャラクターの気分と親しみに応じたふるまいに従う。
  * NOTE: DOM要素への依存はなく、純粋なロジックのみを提供する。
  */
 export function createRandomMenu({
@@ -24,6 +26,8 @@ export function createRandomMenu({
   getAnimationClip,
   AnimationBlend,
   vrmaBasePath,
+  // 気分と親しみに応じたふるまいを返す関数 () => { waveProbability, randomWaitSeconds }（省略時は既定の値）
+  getAffectBehavior,
 }) {
   const randomState = {
     active: false,
@@ -151,8 +155,10 @@ export function createRandomMenu({
       return;
     }
     randomState.phase = "waiting";
-    randomState.waitRemaining = RANDOM_WAIT_SECONDS;
-    const shouldPlayWave = Math.random() > 0.5;
+    const behavior = getAffectBehavior?.();
+    const waitSeconds = behavior?.randomWaitSeconds ?? RANDOM_WAIT_SECONDS;
+    randomState.waitRemaining = waitSeconds;
+    const shouldPlayWave = Math.random() < (behavior?.waveProbability ?? RANDOM_WAVE_PROBABILITY);
     if (shouldPlayWave) {
       const delayRange =
         RANDOM_WAVE_DELAY_RANGE.max - RANDOM_WAVE_DELAY_RANGE.min;
@@ -160,7 +166,7 @@ export function createRandomMenu({
         RANDOM_WAVE_DELAY_RANGE.min + Math.random() * delayRange;
       randomState.waveTimer = Math.min(
         Math.max(delay, 0.8),
-        Math.max(RANDOM_WAIT_SECONDS - 1, 1)
+        Math.max(waitSeconds - 1, 1)
       );
       randomState.wavePlayedThisCycle = false;
     } else {
@@ -0,0 +1,261 @@
+import { setStatusText } from "../top_common.js";
+import {
+  deleteSession,
+  getSession,
+  importSessions,
+  listSessions,
+  renameSession,
+  serializeSessions,
+} from "../storage/sessionStore.js";
+import { logMessage } from "../utils/logger.js";
+
+/**
+ * 設定画面の会話履歴（セッション一覧）メニューを作成する。
+ * 保存済みの会話の再開・名前変更・削除と、JSONファイルへのエクスポート/インポートを行う。
+ */
+export function createSessionMenu({
+  listElement,
+  newSessionButton,
+  exportButton,
+  importButton,
+  importInput,
+  statusElement,
+  chatMenu,
+  characterKey,
+  characterName,
+}) {
+  const state = {
+    sessions: [], // 現在のキャラクターのセッション（更新日時の新しい順）
+    character: { characterKey, characterName }, // 一覧に表示するキャラクター（キャラクターの切り替えで変わる）
+  };
+
+  /**
+   * 日時を一覧表示用の文字列に変換する。
+   * @param {number} timestamp - ミリ秒のタイムスタンプ
+   * @returns {string} 表示用文字列
+   */
+  function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * 一覧の操作ボタンを作成する。
+   * @param {string} label - ボタンの表示名
+   * @param {() => void} onClick - クリック時の処理
+   * @returns {HTMLButtonElement}
+   */
+  function createActionButton(label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * セッション一覧を描画する。
+   */
+  function renderSessionList() {
+    if (!listElement) {
+      return;
+    }
+    listElement.textContent = "";
+    if (state.sessions.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "session-list-empty";
+      empty.textContent = "保存された会話はありません";
+      listElement.appendChild(empty);
+      return;
+    }
+
+    const currentSessionId = chatMenu?.getCurrentSessionId?.();
+    state.sessions.forEach((session) => {
+      const item = document.createElement("div");
+      item.className = "session-item";
+      if (session.id === currentSessionId) {
+        item.classList.add("session-item-current");
+      }
+
+      const info = document.createElement("div");
+      info.className = "session-item-info";
+      const title = document.createElement("span");
+      title.className = "session-item-title";
+      title.textContent = session.title;
+      const meta = document.createElement("span");
+      meta.className = "session-item-meta";
+      meta.textContent = `${formatDateTime(session.updatedAt)} ・ ${session.messages.length}件`;
+      info.append(title, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "session-item-actions";
+      actions.append(
+        createActionButton("再開", () => handleResume(session.id)),
+        createActionButton("名前変更", () => handleRename(session)),
+        createActionButton("削除", () => handleDelete(session))
+      );
+
+      item.append(info, actions);
+      listElement.appendChild(item);
+    });
+  }
+
+  /**
+   * IndexedDBからセッション一覧を読み込み直して描画する。
+   * @returns {Promise<void>}
+   */
+  async function refresh() {
+    try {
+      state.sessions = await listSessions(state.character.characterKey);
+    } catch (error) {
+      logMessage("Error", "[SessionMenu] 会話履歴の読み込みに失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      setStatusText(statusElement, `会話履歴を読み込めませんでした: ${error.message}`);
+      state.sessions = [];
+    }
+    renderSessionList();
+  }
+
+  /**
+   * 保存済みのセッションを再開する。
+   * @param {string} sessionId - セッションID
+   */
+  async function handleResume(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session) {
+      setStatusText(statusElement, "会話が見つかりませんでした");
+      await refresh();
+      return;
+    }
+    if (!chatMenu?.restoreSession?.(session)) {
+      setStatusText(statusElement, "AIの応答中は切り替えできません");
+      return;
+    }
+    setStatusText(statusElement, `「${session.title}」を再開しました`);
+    renderSessionList();
+  }
+
+  /**
+   * セッションの名前を変更する。
+   * @param {{ id: string, title: string }} session - 対象のセッション
+   */
+  async function handleRename(session) {
+    const title = prompt("会話の名前を入力してください", session.title);
+    if (title === null) {
+      return;
+    }
+    await renameSession(session.id, title);
+    await refresh();
+  }
+
+  /**
+   * セッションを削除する。再開中のセッションの場合は新しい会話に切り替える。
+   * @param {{ id: string, title: string }} session - 対象のセッション
+   */
+  async function handleDelete(session) {
+    if (!confirm(`「${session.title}」を削除しますか？`)) {
+      return;
+    }
+    if (session.id === chatMenu?.getCurrentSessionId?.() && !chatMenu.startNewSession()) {
+      setStatusText(statusElement, "AIの応答中は削除できません");
+      return;
+    }
+    await deleteSession(session.id);
+    setStatusText(statusElement, `「${session.title}」を削除しました`);
+    await refresh();
+  }
+
+  /**
+   * 新しい会話を開始する。
+   */
+  function handleNewSession() {
+    if (!chatMenu?.startNewSession?.()) {
+      setStatusText(statusElement, "AIの応答中は切り替えできません");
+      return;
+    }
+    setStatusText(statusElement, "新しい会話を開始しました");
+    renderSessionList();
+  }
+
+  /**
+   * 現在のキャラクターの会話をJSONファイルとしてダウンロードする。
+   */
+  async function handleExport() {
+    await refresh();
+    if (state.sessions.length === 0) {
+      setStatusText(statusElement, "エクスポートする会話がありません");
+      return;
+    }
+    const blob = new Blob([serializeSessions(state.sessions)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `vrm-chat-sessions-${state.character.characterName}-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setStatusText(statusElement, `${state.sessions.length}件の会話をエクスポートしました`);
+  }
+
+  /**
+   * 選択されたJSONファイルから会話を取り込む。
+   * @param {Event} event - ファイル入力の change イベント
+   */
+  async function handleImportFileChange(event) {
+    const file = event.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    try {
+      const count = await importSessions(await file.text(), state.character);
+      setStatusText(statusElement, `${count}件の会話をインポートしました`);
+      logMessage("Info", "[SessionMenu] 会話履歴をインポートしました", { file: file.name, count: count });
+    } catch (error) {
+      logMessage("Error", "[SessionMenu] 会話履歴のインポートに失敗しました", {
+        error: error?.message ?? String(error),
+      });
+      setStatusText(statusElement, `インポートに失敗しました: ${error.message}`);
+    }
+    // 入力をクリアして、同じファイルを再度選択できるようにする
+    event.target.value = "";
+    await refresh();
+  }
+
+  /**
+   * セッション一覧を読み込み、直近の会話があれば再開する。
+   * ページを再読み込みしても会話を続けられるようにする。
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    await refresh();
+    const latestSession = state.sessions[0];
+    if (latestSession && !chatMenu?.getCurrentSessionId?.()) {
+      chatMenu?.restoreSession?.(latestSession);
+      renderSessionList();
+    }
+  }
+
+  /**
+   * 一覧に表示するキャラクターを切り替え、そのキャラクターの直近の会話があれば再開する。
+   * 呼び出す前に chatMenu.startNewSession で前のキャラクターの会話を閉じておく。
+   * @param {{ characterKey: string, characterName: string }} character - 切り替え先のキャラクター
+   * @returns {Promise<void>}
+   */
+  async function switchCharacter(character) {
+    state.character = { characterKey: character.characterKey, characterName: character.characterName };
+    setStatusText(statusElement, "");
+    await init();
+  }
+
+  newSessionButton?.addEventListener("click", handleNewSession);
+  exportButton?.addEventListener("click", handleExport);
+  importButton?.addEventListener("click", () => importInput?.click());
+  importInput?.addEventListener("change", handleImportFileChange);
+
+  return {
+    init,
+    refresh,
+    switchCharacter,
+  };
+}
@@ -0,0 +1,54 @@
+import { getDefaultAffectState } from "../llm/affectModel.js";
+
+// キャラクターごとの気分と親しみを保存するlocalStorageのキーの接頭辞（毎フレーム参照するため IndexedDB ではなく同期で読める localStorage に置く）
+const AFFECT_STORAGE_KEY_PREFIX = "vrm_chat_affect_state_";
+
+/**
+ * 値が -1〜1 の数値の場合はそのまま、それ以外は fallback を返す。
+ * @param {unknown} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readUnitValue(value, fallback) {
+  return typeof value === "number" && Number.isFinite(value) ? Math.min(1, Math.max(-1, value)) : fallback;
+}
+
+/**
+ * キャラクターの気分と親しみを読み込む。保存されていない場合は初期値を返す。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @returns {{ valence: number, arousal: number, affinity: number, updatedAt: number }}
+ */
+export function loadAffectState(characterKey) {
+  const defaults = getDefaultAffectState();
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${AFFECT_STORAGE_KEY_PREFIX}${characterKey}`) ?? "null");
+    if (!stored) {
+      return defaults;
+    }
+    return {
+      valence: readUnitValue(stored.valence, defaults.valence),
+      arousal: readUnitValue(stored.arousal, defaults.arousal),
+      affinity: readUnitValue(stored.affinity, defaults.affinity),
+      updatedAt: Number.isFinite(stored.updatedAt) ? stored.updatedAt : defaults.updatedAt,
+    };
+  } catch (error) {
+    return defaults;
+  }
+}
+
+/**
+ * キャラクターの気分と親しみを保存する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @param {{ valence: number, arousal: number, affinity: number, updatedAt: number }} state
+ */
+export function saveAffectState(characterKey, state) {
+  localStorage.setItem(`${AFFECT_STORAGE_KEY_PREFIX}${characterKey}`, JSON.stringify(state));
+}
+
+/**
+ * キャラクターの気分と親しみを削除する（初期値に戻る）。
+ * @param {string} characterKey - キャラクターの識別キー
+ */
+export function deleteAffectState(characterKey) {
+  localStorage.removeItem(`${AFFECT_STORAGE_KEY_PREFIX}${characterKey}`);
+}
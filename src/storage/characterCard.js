@@ -0,0 +1,209 @@
+// キャラクターカード（SillyTavern / TavernAI 形式）の読み込みと書き出し。
+// V1（TavernAI）・V2（chara_card_v2）・V3（chara_card_v3）の JSON と、カードを埋め込んだ PNG を読み込める。
+// 書き出しは互換性の高い V2 の JSON で行い、このアプリ固有の設定は data.extensions に入れる。
+
+// PNG ファイルの先頭8バイト
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+// カードを埋め込む PNG の tEXt チャンクのキーワード（V3 を優先する）
+const PNG_CARD_KEYWORDS = ["ccv3", "chara"];
+// 書き出したカードの data.extensions に入れる、このアプリ固有の設定のキー
+const CARD_EXTENSION_KEY = "vrm_chat_space";
+// data.extensions から復元する設定の項目（id などほかの項目は取り込まない）
+const CARD_EXTENSION_FIELDS = ["ttsProvider", "ttsSettings", "vrmUrl", "idleAction", "expressionWeight", "initiative"];
+// カードの {{user}} の置き換え先（送信時に設定のユーザーの名前になるテンプレート変数。src/llm/promptTemplate.js）
+const CARD_USER_NAME = "{{user_name}}";
+
+/**
+ * バイト列が PNG かどうかを判定する。
+ * @param {Uint8Array} bytes - ファイルの内容
+ * @returns {boolean}
+ */
+function isPng(bytes) {
+  return PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+}
+
+/**
+ * PNG の tEXt チャンクを読み込む。
+ * @param {Uint8Array} bytes - PNG ファイルの内容
+ * @returns {Map<string, string>} キーワードごとのテキスト
+ */
+function readPngTextChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder("latin1");
+  const chunks = new Map();
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = decoder.decode(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "tEXt") {
+      const separator = data.indexOf(0);
+      if (separator > 0) {
+        chunks.set(decoder.decode(data.subarray(0, separator)), decoder.decode(data.subarray(separator + 1)));
+      }
+    } else if (type === "IEND") {
+      break;
+    }
+    // 長さ・種類・データ・CRC の分だけ進める
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Base64 でエンコードされた UTF-8 の文字列を復元する。
+ * @param {string} text - Base64 文字列
+ * @returns {string} 復元した文字列
+ */
+function decodeBase64Utf8(text) {
+  const binary = atob(text.trim());
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * カードの JSON から、バージョンによらず共通の項目（V2 の data 形式）を取り出す。
+ * @param {object} card - カードの JSON
+ * @returns {object} カードの data
+ */
+function getCardData(card) {
+  if (card?.spec === "chara_card_v2" || card?.spec === "chara_card_v3") {
+    return card.data ?? {};
+  }
+  // V1（TavernAI）は項目がトップレベルにある
+  return card ?? {};
+}
+
+/**
+ * カードのテキストに含まれる {{char}}（<BOT>）をキャラクター名に、{{user}}（<USER>）を {{user_name}} に置き換える。
+ * @param {unknown} text - カードのテキスト
+ * @param {string} name - キャラクター名
+ * @returns {string} 置き換えたテキスト
+ */
+function replaceCardMacros(text, name) {
+  return String(text ?? "")
+    .replace(/\{\{char\}\}|<BOT>/gi, name)
+    .replace(/\{\{user\}\}|<USER>/gi, CARD_USER_NAME)
+    .trim();
+}
+
+/**
+ * カードの会話例（mes_example）を、<START> で区切られたまとまりごとに整形する。
+ * @param {string} text - 会話例（マクロ置き換え済み）
+ * @returns {string} 整形した会話例
+ */
+function formatExampleDialogues(text) {
+  return text
+    .split(/<START>/i)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * カードの項目からシステムプロンプトを組み立てる。
+ * @param {object} data - カードの data
+ * @param {string} name - キャラクター名
+ * @returns {string} システムプロンプト
+ */
+function composeSystemPrompt(data, name) {
+  const sections = [
+    ["", replaceCardMacros(data.system_prompt, name)],
+    ["■ キャラクター設定", replaceCardMacros(data.description, name)],
+    ["■ 性格", replaceCardMacros(data.personality, name)],
+    ["■ シチュエーション", replaceCardMacros(data.scenario, name)],
+    ["■ 会話例", formatExampleDialogues(replaceCardMacros(data.mes_example, name))],
+    ["■ 追加の指示", replaceCardMacros(data.post_history_instructions, name)],
+  ].filter(([, body]) => body);
+  return [
+    `以下のキャラクター設定に従って、「${name}」として会話してください。`,
+    ...sections.map(([heading, body]) => (heading ? `${heading}\n${body}` : body)),
+  ].join("\n\n");
+}
+
+/**
+ * キャラクターカードのファイル（JSON または PNG）を読み込み、キャラクタープロファイルの設定値に変換する。
+ * - name → aiName
+ * - system_prompt・description・personality・scenario・mes_example・post_history_instructions → systemPrompt
+ * - first_mes → firstMessage（新しい会話の最初に話すメッセージ）
+ * このアプリから書き出したカードは、data.extensions の設定（TTS・モデルなど）も復元する。
+ * @param {File|Blob} file - カードのファイル
+ * @returns {Promise<object>} プロファイルの設定値（id を除く。ない項目は含めない）
+ */
+export async function parseCharacterCardFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let jsonText;
+  if (isPng(bytes)) {
+    const chunks = readPngTextChunks(bytes);
+    const keyword = PNG_CARD_KEYWORDS.find((candidate) => chunks.has(candidate));
+    if (!keyword) {
+      throw new Error("PNG にキャラクターカードが埋め込まれていません");
+    }
+    jsonText = decodeBase64Utf8(chunks.get(keyword));
+  } else {
+    jsonText = new TextDecoder().decode(bytes);
+  }
+
+  let card;
+  try {
+    card = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("キャラクターカードのJSONを読み込めませんでした");
+  }
+  const data = getCardData(card);
+  const name = typeof data.name === "string" ? data.name.trim() : "";
+  if (!name) {
+    throw new Error("キャラクターカードに名前（name）がありません");
+  }
+
+  const extension = data.extensions?.[CARD_EXTENSION_KEY];
+  const settings = Object.fromEntries(
+    CARD_EXTENSION_FIELDS.filter((field) => extension?.[field] !== undefined).map((field) => [field, extension[field]])
+  );
+  return {
+    ...settings,
+    aiName: name,
+    // このアプリから書き出したカードは、システムプロンプトをそのまま description に入れている
+    systemPrompt: extension ? String(data.description ?? "") : composeSystemPrompt(data, name),
+    firstMessage: replaceCardMacros(data.first_mes, name),
+  };
+}
+
+/**
+ * このアプリのテンプレート変数のうち、カードにもあるものをカードの書き方（{{char}} / {{user}}）に戻す。
+ * @param {string} text - システムプロンプトなどのテキスト
+ * @returns {string} 置き換えたテキスト
+ */
+function toCardMacros(text) {
+  return text.replace(/\{\{\s*ai_name\s*\}\}/gi, "{{char}}").replace(/\{\{\s*user_name\s*\}\}/gi, "{{user}}");
+}
+
+/**
+ * キャラクタープロファイルを V2 形式のキャラクターカードに変換する。
+ * システムプロンプトは description に入れ、TTS・モデルなどの設定は data.extensions に入れる。
+ * @param {{ aiName: string, systemPrompt: string, firstMessage: string, ttsProvider: string, ttsSettings: object, vrmUrl: string, idleAction: string, expressionWeight: number }} profile
+ * @returns {object} キャラクターカードの JSON
+ */
+export function buildCharacterCard(profile) {
+  return {
+    spec: "chara_card_v2",
+    spec_version: "2.0",
+    data: {
+      name: profile.aiName,
+      description: toCardMacros(profile.systemPrompt),
+      personality: "",
+      scenario: "",
+      first_mes: toCardMacros(profile.firstMessage),
+      mes_example: "",
+      creator_notes: "",
+      system_prompt: "",
+      post_history_instructions: "",
+      alternate_greetings: [],
+      tags: [],
+      creator: "",
+      character_version: "",
+      extensions: {
+        [CARD_EXTENSION_KEY]: Object.fromEntries(CARD_EXTENSION_FIELDS.map((field) => [field, profile[field]])),
+      },
+    },
+  };
+}
@@ -0,0 +1,204 @@
+import { logMessage } from "../utils/logger.js";
+
+const DB_NAME = "vrm_chat_space";
+// ストアを追加・変更した場合はバージョンを上げる（onupgradeneeded で不足しているストアを作成する）
+const DB_VERSION = 4;
+
+/**
+ * アプリで使用するオブジェクトストアの定義。
+ * - keyPath: 主キーとして使うプロパティ名
+ * - indexes: 作成するインデックス（name, keyPath）
+ */
+const STORE_DEFINITIONS = {
+  sessions: {
+    keyPath: "id",
+    indexes: [{ name: "characterKey", keyPath: "characterKey" }],
+  },
+  ttsCache: {
+    keyPath: "key",
+    indexes: [],
+  },
+  memories: {
+    keyPath: "id",
+    indexes: [{ name: "characterKey", keyPath: "characterKey" }],
+  },
+  knowledgeDocuments: {
+    keyPath: "id",
+    indexes: [{ name: "characterKey", keyPath: "characterKey" }],
+  },
+  knowledgeChunks: {
+    keyPath: "id",
+    indexes: [
+      { name: "characterKey", keyPath: "characterKey" },
+      { name: "documentId", keyPath: "documentId" },
+    ],
+  },
+};
+
+let databasePromise = null;
+
+/**
+ * IDBRequest の完了を Promise で待つ。
+ * @param {IDBRequest} request - IndexedDB のリクエスト
+ * @returns {Promise<any>} リクエストの結果
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 定義に従って不足しているストアとインデックスを作成する。
+ * @param {IDBDatabase} db - アップグレード中のデータベース
+ * @param {IDBTransaction} transaction - アップグレード用トランザクション
+ */
+function upgradeStores(db, transaction) {
+  Object.entries(STORE_DEFINITIONS).forEach(([storeName, definition]) => {
+    const store = db.objectStoreNames.contains(storeName)
+      ? transaction.objectStore(storeName)
+      : db.createObjectStore(storeName, { keyPath: definition.keyPath });
+    (definition.indexes || []).forEach((index) => {
+      if (!store.indexNames.contains(index.name)) {
+        store.createIndex(index.name, index.keyPath);
+      }
+    });
+  });
+}
+
+/**
+ * アプリ共通の IndexedDB を開く。2回目以降は同じ接続を返す。
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+  if (!self.indexedDB) {
+    return Promise.reject(new Error("このブラウザはIndexedDBに対応していません"));
+  }
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = self.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      upgradeStores(request.result, request.transaction);
+      logMessage("Info", "[IndexedDB] データベースを更新しました", { version: DB_VERSION });
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // 別タブで新しいバージョンが開かれた場合は接続を閉じて次回開き直す
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      logMessage("Warn", "[IndexedDB] 他のタブが古いバージョンのデータベースを使用しています");
+    };
+  }).catch((error) => {
+    databasePromise = null;
+    throw error;
+  });
+  return databasePromise;
+}
+
+/**
+ * 指定したストアでトランザクションを実行し、完了まで待つ。
+ * @param {string} storeName - ストア名
+ * @param {IDBTransactionMode} mode - "readonly" または "readwrite"
+ * @param {(store: IDBObjectStore) => IDBRequest|void} operation - ストアに対する操作
+ * @returns {Promise<any>} operation が返したリクエストの結果
+ */
+async function runTransaction(storeName, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+    if (request) {
+      requestToPromise(request).then((value) => {
+        result = value;
+      }, reject);
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error("IndexedDBのトランザクションが中断されました"));
+  });
+}
+
+/**
+ * 主キーでレコードを1件取得する。
+ * @param {string} storeName - ストア名
+ * @param {IDBValidKey} key - 主キー
+ * @returns {Promise<any|undefined>} レコード（存在しない場合は undefined）
+ */
+export function getRecord(storeName, key) {
+  return runTransaction(storeName, "readonly", (store) => store.get(key));
+}
+
+/**
+ * レコードをすべて取得する。インデックス名と値を指定した場合は一致するものだけを返す。
+ * @param {string} storeName - ストア名
+ * @param {{ indexName?: string, query?: IDBValidKey|IDBKeyRange }} [options]
+ * @returns {Promise<any[]>} レコードの配列
+ */
+export function getAllRecords(storeName, { indexName, query } = {}) {
+  return runTransaction(storeName, "readonly", (store) =>
+    indexName ? store.index(indexName).getAll(query) : store.getAll(query)
+  );
+}
+
+/**
+ * レコードを追加または上書きする。
+ * @param {string} storeName - ストア名
+ * @param {object} record - 保存するレコード
+ * @returns {Promise<IDBValidKey>} 保存したレコードの主キー
+ */
+export function putRecord(storeName, record) {
+  return runTransaction(storeName, "readwrite", (store) => store.put(record));
+}
+
+/**
+ * 複数のレコードを1つのトランザクションで追加または上書きする。
+ * @param {string} storeName - ストア名
+ * @param {Array<object>} records - 保存するレコード
+ * @returns {Promise<void>}
+ */
+export function putRecords(storeName, records) {
+  return runTransaction(storeName, "readwrite", (store) => {
+    records.forEach((record) => store.put(record));
+  });
+}
+
+/**
+ * 主キーでレコードを削除する。
+ * @param {string} storeName - ストア名
+ * @param {IDBValidKey} key - 主キー
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return runTransaction(storeName, "readwrite", (store) => store.delete(key));
+}
+
+/**
+ * インデックスの値が一致するレコードをすべて削除する。
+ * @param {string} storeName - ストア名
+ * @param {string} indexName - インデックス名
+ * @param {IDBValidKey|IDBKeyRange} query - インデックスの値
+ * @returns {Promise<void>}
+ */
+export function deleteRecordsByIndex(storeName, indexName, query) {
+  return runTransaction(storeName, "readwrite", (store) => {
+    const request = store.index(indexName).openKeyCursor(query);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  });
+}
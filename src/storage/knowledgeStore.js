@@ -0,0 +1,94 @@
+import { deleteRecord, deleteRecordsByIndex, getAllRecords, getRecord, putRecord, putRecords } from "./indexedDb.js";
+
+const DOCUMENT_STORE = "knowledgeDocuments";
+const CHUNK_STORE = "knowledgeChunks";
+
+/**
+ * 資料の新しいIDを生成する。
+ * @returns {string} 資料ID
+ */
+function createDocumentId() {
+  if (self.crypto?.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+  return `document-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * キャラクターの資料を追加日時の新しい順に取得する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @returns {Promise<Array<{ id: string, characterKey: string, name: string, size: number, chunkCount: number, embeddingKey: string, createdAt: number, updatedAt: number }>>}
+ */
+export async function listKnowledgeDocuments(characterKey) {
+  const documents = await getAllRecords(DOCUMENT_STORE, {
+    indexName: "characterKey",
+    query: characterKey,
+  });
+  return documents.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * キャラクターの資料の断片をすべて取得する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @returns {Promise<Array<{ id: string, documentId: string, index: number, heading: string, text: string, embedding: Float32Array|null }>>}
+ */
+export function listKnowledgeChunks(characterKey) {
+  return getAllRecords(CHUNK_STORE, { indexName: "characterKey", query: characterKey });
+}
+
+/**
+ * 資料の断片を取得する。
+ * @param {string} documentId - 資料ID
+ * @returns {Promise<Array<object>>} 断片（資料内の順）
+ */
+export async function getKnowledgeDocumentChunks(documentId) {
+  const chunks = await getAllRecords(CHUNK_STORE, { indexName: "documentId", query: documentId });
+  return chunks.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 資料とその断片を保存する。同じIDの資料がある場合は断片を入れ替える。
+ * @param {{ id?: string, characterKey: string, name: string, size: number }} document - 資料の情報
+ * @param {Array<{ heading: string, text: string, embedding?: Float32Array|null }>} chunks - 資料を分割した断片
+ * @param {string} embeddingKey - 断片の埋め込みを作ったモデル（"プロバイダーID:モデル名"。埋め込みがない場合は空文字列）
+ * @returns {Promise<object>} 保存した資料
+ */
+export async function saveKnowledgeDocument(document, chunks, embeddingKey) {
+  const existing = document.id ? await getRecord(DOCUMENT_STORE, document.id) : undefined;
+  const now = Date.now();
+  const record = {
+    id: document.id || createDocumentId(),
+    characterKey: document.characterKey,
+    name: document.name,
+    size: document.size,
+    chunkCount: chunks.length,
+    embeddingKey: embeddingKey,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  await deleteRecordsByIndex(CHUNK_STORE, "documentId", record.id);
+  await putRecords(
+    CHUNK_STORE,
+    chunks.map((chunk, index) => ({
+      id: `${record.id}:${index}`,
+      documentId: record.id,
+      characterKey: record.characterKey,
+      index: index,
+      heading: chunk.heading,
+      text: chunk.text,
+      embedding: chunk.embedding ?? null,
+    }))
+  );
+  await putRecord(DOCUMENT_STORE, record);
+  return record;
+}
+
+/**
+ * 資料とその断片を削除する。
+ * @param {string} documentId - 資料ID
+ * @returns {Promise<void>}
+ */
+export async function deleteKnowledgeDocument(documentId) {
+  await deleteRecordsByIndex(CHUNK_STORE, "documentId", documentId);
+  await deleteRecord(DOCUMENT_STORE, documentId);
+}
@@ -0,0 +1,128 @@
+import { deleteRecord, getAllRecords, getRecord, putRecord } from "./indexedDb.js";
+
+const MEMORY_STORE = "memories";
+// 記憶の種類（name: 表示名）
+export const MEMORY_CATEGORIES = {
+  profile: "プロフィール",
+  preference: "好み",
+  task: "進行中のこと",
+  other: "その他",
+};
+// 1件の記憶の最大文字数（長すぎる記憶はシステムプロンプトを圧迫するため切り詰める）
+const MEMORY_MAX_LENGTH = 200;
+
+/**
+ * 記憶の新しいIDを生成する。
+ * @returns {string} 記憶ID
+ */
+function createMemoryId() {
+  if (self.crypto?.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+  return `memory-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 記憶の本文を保存用に整える（改行・連続する空白をまとめ、長すぎる場合は切り詰める）。
+ * @param {unknown} content - 記憶の本文
+ * @returns {string} 整えた本文（空の場合は空文字列）
+ */
+function normalizeMemoryContent(content) {
+  const text = String(content ?? "").replace(/\s+/g, " ").trim();
+  return text.length > MEMORY_MAX_LENGTH ? text.slice(0, MEMORY_MAX_LENGTH) : text;
+}
+
+/**
+ * 重複の判定に使う比較用の文字列を作る（表記ゆれと句読点を無視する）。
+ * @param {string} content - 記憶の本文
+ * @returns {string} 比較用の文字列
+ */
+function toComparableText(content) {
+  return content.normalize("NFKC").toLowerCase().replace(/[\s、。,.!?！？「」]/g, "");
+}
+
+/**
+ * キャラクターの記憶を更新日時の新しい順に取得する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @returns {Promise<Array<{ id: string, characterKey: string, category: string, content: string, createdAt: number, updatedAt: number }>>}
+ */
+export async function listMemories(characterKey) {
+  const memories = await getAllRecords(MEMORY_STORE, {
+    indexName: "characterKey",
+    query: characterKey,
+  });
+  return memories.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * 記憶を保存する。id を省略した場合は新しい記憶として追加し、updatedAt は保存時刻で更新する。
+ * @param {{ id?: string, characterKey: string, category?: string, content: string }} memory - 保存する記憶
+ * @returns {Promise<object|null>} 保存した記憶（本文が空の場合は保存せずに null）
+ */
+export async function saveMemory(memory) {
+  const content = normalizeMemoryContent(memory.content);
+  if (!content) {
+    return null;
+  }
+  const existing = memory.id ? await getRecord(MEMORY_STORE, memory.id) : undefined;
+  const now = Date.now();
+  const record = {
+    id: memory.id || createMemoryId(),
+    characterKey: memory.characterKey,
+    category: MEMORY_CATEGORIES[memory.category] ? memory.category : existing?.category || "other",
+    content: content,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  await putRecord(MEMORY_STORE, record);
+  return record;
+}
+
+/**
+ * 記憶を削除する。
+ * @param {string} memoryId - 記憶ID
+ * @returns {Promise<void>}
+ */
+export function deleteMemory(memoryId) {
+  return deleteRecord(MEMORY_STORE, memoryId);
+}
+
+/**
+ * 会話から抽出した記憶の変更をまとめて反映する。
+ * 既存の記憶と同じ内容の追加は、重複させずに既存の記憶の更新日時だけを更新する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @param {{ add: Array<{ category: string, content: string }>, update: Array<{ id: string, content: string }>, remove: string[] }} changes
+ * @returns {Promise<{ added: number, updated: number, removed: number }>} 反映した件数
+ */
+export async function applyMemoryChanges(characterKey, { add, update, remove }) {
+  const memories = await listMemories(characterKey);
+  const memoriesById = new Map(memories.map((memory) => [memory.id, memory]));
+  const counts = { added: 0, updated: 0, removed: 0 };
+
+  for (const memoryId of remove) {
+    if (memoriesById.has(memoryId)) {
+      await deleteMemory(memoryId);
+      memoriesById.delete(memoryId);
+      counts.removed += 1;
+    }
+  }
+  for (const change of update) {
+    const memory = memoriesById.get(change.id);
+    if (memory && (await saveMemory({ ...memory, content: change.content }))) {
+      counts.updated += 1;
+    }
+  }
+  for (const fact of add) {
+    const comparable = toComparableText(normalizeMemoryContent(fact.content));
+    if (!comparable) {
+      continue;
+    }
+    const duplicate = [...memoriesById.values()].find((memory) => toComparableText(memory.content) === comparable);
+    const saved = await saveMemory(duplicate ? { ...duplicate } : { characterKey: characterKey, ...fact });
+    if (saved) {
+      memoriesById.set(saved.id, saved);
+      counts[duplicate ? "updated" : "added"] += 1;
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,224 @@
+import { deleteRecord, getAllRecords, getRecord, putRecord } from "./indexedDb.js";
+
+const SESSION_STORE = "sessions";
+// エクスポートファイルの形式識別子とバージョン
+const EXPORT_FORMAT = "vrm-chat-space-sessions";
+const EXPORT_VERSION = 1;
+// 自動生成するタイトルの最大文字数
+const TITLE_MAX_LENGTH = 24;
+const VALID_ROLES = new Set(["user", "assistant", "system"]);
+
+/**
+ * 会話セッションの新しいIDを生成する。
+ * @returns {string} セッションID
+ */
+export function createSessionId() {
+  if (self.crypto?.randomUUID) {
+    return self.crypto.randomUUID();
+  }
+  return `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * 会話の最初のユーザーメッセージからセッションのタイトルを作る。
+ * @param {Array<{ role: string, content: string }>} messages - 会話履歴
+ * @returns {string} タイトル
+ */
+export function buildSessionTitle(messages) {
+  const firstUserMessage = messages.find((message) => message.role === "user");
+  const text = (firstUserMessage?.content || "").replace(/\s+/g, " ").trim();
+  if (!text) {
+    return "新しい会話";
+  }
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH)}…` : text;
+}
+
+/**
+ * キャラクターに紐づく会話セッションを更新日時の新しい順に取得する。
+ * @param {string} characterKey - キャラクターの識別キー
+ * @returns {Promise<Array<object>>} セッションの配列
+ */
+export async function listSessions(characterKey) {
+  const sessions = await getAllRecords(SESSION_STORE, {
+    indexName: "characterKey",
+    query: characterKey,
+  });
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * IDを指定して会話セッションを取得する。
+ * @param {string} sessionId - セッションID
+ * @returns {Promise<object|undefined>} セッション
+ */
+export function getSession(sessionId) {
+  return getRecord(SESSION_STORE, sessionId);
+}
+
+/**
+ * 会話セッションを保存する。updatedAt は保存時刻で更新する。
+ * title・createdAt を省略した場合は保存済みの値を引き継ぐ（名前変更した内容を上書きしないため）。
+ * @param {{ id: string, characterKey: string, characterName?: string, title?: string, createdAt?: number, messages: Array<{ role: string, content: string }> }} session
+ * @returns {Promise<object>} 保存したセッション
+ */
+export async function saveSession(session) {
+  const existing = await getSession(session.id);
+  const now = Date.now();
+  const record = {
+    ...session,
+    title: session.title || existing?.title || buildSessionTitle(session.messages),
+    createdAt: session.createdAt || existing?.createdAt || now,
+    updatedAt: now,
+  };
+  await putRecord(SESSION_STORE, record);
+  return record;
+}
+
+/**
+ * 会話セッションの名前を変更する。
+ * @param {string} sessionId - セッションID
+ * @param {string} title - 新しいタイトル
+ * @returns {Promise<object|null>} 更新後のセッション（存在しない場合は null）
+ */
+export async function renameSession(sessionId, title) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  session.title = title.trim() || buildSessionTitle(session.messages);
+  await putRecord(SESSION_STORE, session);
+  return session;
+}
+
+/**
+ * 会話セッションを削除する。
+ * @param {string} sessionId - セッションID
+ * @returns {Promise<void>}
+ */
+export function deleteSession(sessionId) {
+  return deleteRecord(SESSION_STORE, sessionId);
+}
+
+/**
+ * 会話セッションをエクスポート用のJSON文字列に変換する。
+ * @param {Array<object>} sessions - エクスポートするセッション
+ * @returns {string} JSON文字列
+ */
+export function serializeSessions(sessions) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: sessions,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * インポートしたメッセージの出典（応答が使った資料）を検証する。
+ * documentId と name が文字列のものだけを残す。
+ * @param {unknown} sources - ファイルから読み込んだ値
+ * @returns {Array<{ documentId: string, name: string }>} 出典（ない場合は空配列）
+ */
+function sanitizeSources(sources) {
+  if (!Array.isArray(sources)) {
+    return [];
+  }
+  return sources
+    .filter((source) => typeof source?.documentId === "string" && typeof source.name === "string")
+    .map((source) => ({ documentId: source.documentId, name: source.name }));
+}
+
+/**
+ * インポートしたメッセージ1件を検証し、保存する項目だけを取り出す。
+ * @param {unknown} message - ファイルから読み込んだ値
+ * @returns {{ role: string, content: string, sources?: Array<{ documentId: string, name: string }> }|null} 不正な場合は null
+ */
+function sanitizeMessage(message) {
+  if (!VALID_ROLES.has(message?.role) || typeof message.content !== "string") {
+    return null;
+  }
+  const sources = sanitizeSources(message.sources);
+  return sources.length > 0
+    ? { role: message.role, content: message.content, sources: sources }
+    : { role: message.role, content: message.content };
+}
+
+/**
+ * インポートしたセッションの会話履歴と要約を検証する。
+ * 不正なメッセージは取り除き、要約済みの件数（coveredCount）は残ったメッセージに合わせて数え直す。
+ * @param {{ messages?: unknown, summary?: unknown }} session - ファイルから読み込んだセッション
+ * @returns {{ messages: Array<{ role: string, content: string }>, summary: { text: string, coveredCount: number } }|null}
+ *   メッセージが1件もない場合は null
+ */
+function sanitizeSessionContent(session) {
+  if (!Array.isArray(session?.messages)) {
+    return null;
+  }
+  const summaryText = typeof session.summary?.text === "string" ? session.summary.text : "";
+  const rawCoveredCount = Number.isInteger(session.summary?.coveredCount) ? session.summary.coveredCount : 0;
+  const messages = [];
+  let coveredCount = 0;
+  session.messages.forEach((message, index) => {
+    const sanitized = sanitizeMessage(message);
+    if (!sanitized) {
+      return;
+    }
+    messages.push(sanitized);
+    if (index < rawCoveredCount) {
+      coveredCount += 1;
+    }
+  });
+  if (messages.length === 0) {
+    return null;
+  }
+  // 要約本文がない場合は、要約済みの件数も無効にする
+  return {
+    messages: messages,
+    summary: summaryText ? { text: summaryText, coveredCount: Math.min(coveredCount, messages.length) } : { text: "", coveredCount: 0 },
+  };
+}
+
+/**
+ * エクスポートしたJSONを読み込み、現在のキャラクターのセッションとして保存する。
+ * 既存のセッションを上書きしないよう、IDは新しく採番する。会話履歴とともに古い会話の要約も取り込む。
+ * @param {string} jsonText - JSONファイルの内容
+ * @param {{ characterKey: string, characterName: string }} character - 取り込み先のキャラクター
+ * @returns {Promise<number>} 取り込んだセッション数
+ */
+export async function importSessions(jsonText, { characterKey, characterName }) {
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error("JSONファイルの形式が正しくありません");
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.sessions)) {
+    throw new Error("会話履歴のエクスポートファイルではありません");
+  }
+
+  let importedCount = 0;
+  for (const session of data.sessions) {
+    const content = sanitizeSessionContent(session);
+    if (!content) {
+      continue;
+    }
+    const { messages, summary } = content;
+    const createdAt = Number(session.createdAt) || Date.now();
+    await putRecord(SESSION_STORE, {
+      id: createSessionId(),
+      characterKey: characterKey,
+      characterName: characterName,
+      title: typeof session.title === "string" && session.title.trim() ? session.title.trim() : buildSessionTitle(messages),
+      createdAt: createdAt,
+      updatedAt: Number(session.updatedAt) || createdAt,
+      messages: messages,
+      summary: summary,
+    });
+    importedCount += 1;
+  }
+  return importedCount;
+}
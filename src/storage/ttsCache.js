@@ -0,0 +1,99 @@
+import { deleteRecord, getAllRecords, getRecord, putRecord } from "./indexedDb.js";
+import { logMessage } from "../utils/logger.js";
+
+const TTS_CACHE_STORE = "ttsCache";
+// キャッシュする音声の合計サイズの上限（超えた場合は最後に使ってから長いものから削除する）
+const TTS_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * 音声キャッシュのキーを作る。
+ * プロバイダーと、声・モデル・話速などのプロバイダー設定、テキストがすべて同じ場合だけ同じキーになる。
+ * @param {string} providerId - TTSプロバイダーID（"auto" は解決済みのもの）
+ * @param {object} settings - プロバイダー設定（fields の key ごとの値）
+ * @param {string} text - 音声化するテキスト
+ * @returns {string} キャッシュのキー
+ */
+export function buildTtsCacheKey(providerId, settings, text) {
+  const sortedSettings = Object.keys(settings)
+    .sort()
+    .map((key) => [key, settings[key]]);
+  return JSON.stringify([providerId, sortedSettings, text]);
+}
+
+/**
+ * キャッシュから合成済みの音声を取得する。見つかった場合は最終使用日時を更新する。
+ * @param {string} key - buildTtsCacheKey で作ったキー
+ * @returns {Promise<{ audio: ArrayBuffer, mimeType: string, timing?: object, leadingSilence?: number, trailingSilence?: number }|null>}
+ *   合成済み音声（キャッシュにない場合は null）
+ */
+export async function getCachedSpeech(key) {
+  const record = await getRecord(TTS_CACHE_STORE, key);
+  if (!record) {
+    return null;
+  }
+  record.lastUsedAt = Date.now();
+  putRecord(TTS_CACHE_STORE, record).catch((error) => {
+    logMessage("Warn", "[TtsCache] 最終使用日時を更新できませんでした", { error: error });
+  });
+  return {
+    audio: await record.audio.arrayBuffer(),
+    mimeType: record.mimeType,
+    timing: record.timing ?? null,
+    leadingSilence: record.leadingSilence,
+    trailingSilence: record.trailingSilence,
+  };
+}
+
+/**
+ * 合成した音声をキャッシュに保存し、上限を超えた分を古いものから削除する。
+ * 再生時に ArrayBuffer が切り離されても保存できるよう、音声は呼び出し時点で Blob にコピーする。
+ * @param {string} key - buildTtsCacheKey で作ったキー
+ * @param {{ providerId: string, text: string }} source - キャッシュする音声の元（確認用に保存する）
+ * @param {{ audio: ArrayBuffer, mimeType: string, timing?: object, leadingSilence?: number, trailingSilence?: number }} speech - 合成済み音声
+ * @returns {Promise<void>}
+ */
+export async function putCachedSpeech(key, source, speech) {
+  const now = Date.now();
+  const record = {
+    key: key,
+    provider: source.providerId,
+    text: source.text,
+    audio: new Blob([speech.audio], { type: speech.mimeType }),
+    mimeType: speech.mimeType,
+    timing: speech.timing ?? null,
+    leadingSilence: speech.leadingSilence ?? 0,
+    trailingSilence: speech.trailingSilence ?? 0,
+    size: speech.audio.byteLength,
+    createdAt: now,
+    lastUsedAt: now,
+  };
+  await putRecord(TTS_CACHE_STORE, record);
+  await pruneTtsCache();
+}
+
+/**
+ * 音声キャッシュの合計サイズが上限を超えている場合、最後に使ってから長いものから削除する。
+ * 音声は Blob で保存しているため、一覧の取得で音声データ自体は読み込まれない。
+ * @returns {Promise<void>}
+ */
+async function pruneTtsCache() {
+  const records = await getAllRecords(TTS_CACHE_STORE);
+  let totalSize = records.reduce((sum, record) => sum + record.size, 0);
+  if (totalSize <= TTS_CACHE_MAX_BYTES) {
+    return;
+  }
+  const oldestFirst = records.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+  let removedCount = 0;
+  for (const record of oldestFirst) {
+    if (totalSize <= TTS_CACHE_MAX_BYTES) {
+      break;
+    }
+    await deleteRecord(TTS_CACHE_STORE, record.key);
+    totalSize -= record.size;
+    removedCount += 1;
+  }
+  logMessage("Info", "[TtsCache] 音声キャッシュの上限を超えたため古い音声を削除しました", {
+    removedCount: removedCount,
+    totalSize: totalSize,
+  });
+}
@@ -0,0 +1,344 @@
+import { logMessage } from "../utils/logger.js";
+import { fetchWithRetry } from "../utils/httpClient.js";
+
+const OPENAI_DEFAULT_HOST = "api.openai.com";
+// 音声認識APIの応答を待つ時間
+const TRANSCRIPTION_TIMEOUT_MS = 60000;
+// ブラウザ内Whisperに渡す音声のサンプリングレート（Whisperの入力は16kHzモノラル）
+const LOCAL_WHISPER_SAMPLE_RATE = 16000;
+
+/**
+ * 選択可能な音声認識（STT）のプロバイダー定義。
+ * - id: 設定値として保存するID
+ * - label: 設定画面での表示名
+ * - defaultBaseUrl: ベースURLが未入力の場合に使用する値（ベースURLを使わないプロバイダーは空）
+ * - defaultModel: モデル名が未入力の場合に使用する値（モデルを選べないプロバイダーは空）
+ */
+export const STT_PROVIDER_OPTIONS = [
+  {
+    id: "openai",
+    label: "OpenAI Whisper",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "whisper-1",
+    supportsPrompt: true,
+  },
+  {
+    id: "openai-compatible",
+    label: "OpenAI互換 (whisper.cpp server など)",
+    defaultBaseUrl: "http://localhost:8000/v1",
+    defaultModel: "whisper-1",
+    supportsPrompt: true,
+  },
+  {
+    id: "web-speech",
+    label: "ブラウザの音声認識 (Web Speech API)",
+    defaultBaseUrl: "",
+    defaultModel: "",
+    supportsPrompt: false,
+  },
+  {
+    id: "local-whisper",
+    label: "ブラウザ内Whisper (CPU・オフライン)",
+    defaultBaseUrl: "",
+    defaultModel: "onnx-community/whisper-base",
+    supportsPrompt: false,
+  },
+];
+
+/**
+ * プロバイダーIDから定義を取得する。未知のIDの場合はOpenAI Whisperを返す。
+ * @param {string} providerId - プロバイダーID
+ * @returns {{ id: string, label: string, defaultBaseUrl: string, defaultModel: string, supportsPrompt: boolean }}
+ */
+export function getSttProviderOption(providerId) {
+  return STT_PROVIDER_OPTIONS.find((option) => option.id === providerId) ?? STT_PROVIDER_OPTIONS[0];
+}
+
+/**
+ * ベースURLの末尾スラッシュを取り除く。
+ * @param {string} baseUrl - 入力されたベースURL
+ * @param {string} fallback - 未入力時の値
+ * @returns {string} 正規化済みのベースURL
+ */
+function normalizeBaseUrl(baseUrl, fallback) {
+  const text = typeof baseUrl === "string" && baseUrl.trim() ? baseUrl.trim() : fallback;
+  return text.replace(/\/+$/, "");
+}
+
+/**
+ * ベースURLがOpenAI公式APIを指しているかどうかを判定する。
+ * @param {string} baseUrl - 正規化済みのベースURL
+ * @returns {boolean} OpenAI公式APIの場合は true
+ */
+function isOpenAIHost(baseUrl) {
+  try {
+    return new URL(baseUrl).host === OPENAI_DEFAULT_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * OpenAI互換の Audio Transcriptions API (/audio/transcriptions) を呼び出すアダプターを作成する。
+ * OpenAI本家のほか、whisper.cpp server や faster-whisper 系の互換サーバーにも接続できる。
+ * @param {string} providerId - "openai" または "openai-compatible"
+ * @param {{ baseUrl: string, model: string }} settings - 音声認識設定
+ */
+function createOpenAITranscriptionProvider(providerId, settings) {
+  const option = getSttProviderOption(providerId);
+  const baseUrl = normalizeBaseUrl(settings.baseUrl, option.defaultBaseUrl);
+  const model = settings.model || option.defaultModel;
+
+  /**
+   * 録音データを送信して認識結果のテキストを取得する。
+   * @param {Blob} audioBlob - 録音データ（webm）
+   * @param {{ apiKey?: string, language?: string, prompt?: string, signal?: AbortSignal }} options
+   *   language: 言語のヒント（ISO-639-1。空の場合は自動判定）
+   *   prompt: 認識のヒントにする語句（固有名詞など）
+   *   signal: 認識を中断するためのシグナル
+   * @returns {Promise<string>} 認識結果
+   */
+  async function transcribe(audioBlob, { apiKey, language, prompt, signal } = {}) {
+    const formData = new FormData();
+    formData.append("file", audioBlob, "audio.webm");
+    formData.append("model", model);
+    if (language) {
+      formData.append("language", language);
+    }
+    if (prompt) {
+      formData.append("prompt", prompt);
+    }
+
+    const headers = {};
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    const response = await fetchWithRetry(
+      `${baseUrl}/audio/transcriptions`,
+      { method: "POST", headers: headers, body: formData, signal: signal },
+      { service: "音声認識", timeoutMs: TRANSCRIPTION_TIMEOUT_MS }
+    );
+
+    const data = await response.json();
+    return data.text || "";
+  }
+
+  return {
+    id: option.id,
+    requiresApiKey: isOpenAIHost(baseUrl),
+    transcribe,
+  };
+}
+
+/**
+ * ブラウザの Web Speech API (SpeechRecognition) で認識するアダプターを作成する。
+ * Web Speech API は録音データを受け取れないため、録音と並行してブラウザ自身がマイクから聞き取る。
+ * 認識のヒント（prompt）は Web Speech API では指定できないため使用しない。
+ */
+function createWebSpeechProvider() {
+  const option = getSttProviderOption("web-speech");
+
+  /**
+   * 音声認識を開始する。録音の開始と同時に呼び出し、録音の終了時に finish で結果を受け取る。
+   * @param {{ language?: string }} [options] - language: 言語（空の場合はブラウザの言語）
+   * @returns {{ finish: () => Promise<string>, cancel: () => void }} 認識セッション
+   */
+  function startRecognition({ language } = {}) {
+    const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    if (!Recognition) {
+      throw new Error("このブラウザはWeb Speech APIの音声認識に対応していません");
+    }
+
+    const recognition = new Recognition();
+    recognition.lang = language || navigator.language;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+
+    const transcripts = [];
+    let recognitionError = null;
+    const ended = new Promise((resolve) => {
+      recognition.onend = resolve;
+    });
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex; i < event.results.length; i += 1) {
+        if (event.results[i].isFinal) {
+          transcripts.push(event.results[i][0].transcript);
+        }
+      }
+    };
+    recognition.onerror = (event) => {
+      // 無音のまま終わった場合・中断した場合は認識結果なしとして扱う
+      if (event.error !== "no-speech" && event.error !== "aborted") {
+        recognitionError = new Error(`Web Speech API error: ${event.error}`);
+      }
+    };
+    recognition.start();
+    logMessage("Info", "[SttProviders] Web Speech APIの音声認識を開始しました", { lang: recognition.lang });
+
+    return {
+      async finish() {
+        recognition.stop();
+        await ended;
+        if (recognitionError) {
+          throw recognitionError;
+        }
+        return transcripts.join("");
+      },
+      cancel() {
+        recognition.abort();
+      },
+    };
+  }
+
+  return {
+    id: option.id,
+    requiresApiKey: false,
+    startRecognition,
+  };
+}
+
+// ブラウザ内Whisperのワーカー（モデルの読み込みを一度で済ませるため、設定を変えても使い回す）
+const localWhisper = {
+  worker: null,
+  nextRequestId: 1,
+  pendingRequests: new Map(), // リクエストID → { resolve, reject }
+};
+
+/**
+ * ブラウザ内Whisperのワーカーを取得する。初回呼び出し時に起動する。
+ * @returns {Worker}
+ */
+function getLocalWhisperWorker() {
+  if (localWhisper.worker) {
+    return localWhisper.worker;
+  }
+  const worker = new Worker(new URL("./whisperWorker.js", import.meta.url), { type: "module" });
+  worker.addEventListener("message", (event) => {
+    const message = event.data;
+    if (message.type === "progress") {
+      // モデルファイルのダウンロード状況（ファイルごとの開始・完了のみ記録する）
+      if (message.progress?.status === "initiate" || message.progress?.status === "done") {
+        logMessage("Info", "[SttProviders] 音声認識モデルの読み込み", {
+          status: message.progress.status,
+          file: message.progress.file,
+        });
+      }
+      return;
+    }
+    const request = localWhisper.pendingRequests.get(message.id);
+    if (!request) {
+      return;
+    }
+    localWhisper.pendingRequests.delete(message.id);
+    if (message.type === "result") {
+      request.resolve(message.text);
+    } else {
+      request.reject(new Error(`ブラウザ内Whisperの認識に失敗しました: ${message.message}`));
+    }
+  });
+  worker.addEventListener("error", (event) => {
+    logMessage("Error", "[SttProviders] 音声認識ワーカーでエラーが発生しました", { message: event.message });
+    // 待機中のリクエストをすべて失敗させ、次回は新しいワーカーを起動する
+    localWhisper.pendingRequests.forEach((request) => {
+      request.reject(new Error(`ブラウザ内Whisperの認識に失敗しました: ${event.message}`));
+    });
+    localWhisper.pendingRequests.clear();
+    worker.terminate();
+    localWhisper.worker = null;
+  });
+  localWhisper.worker = worker;
+  logMessage("Info", "[SttProviders] 音声認識ワーカーを起動しました");
+  return worker;
+}
+
+/**
+ * 録音データをWhisperの入力形式（16kHzモノラルのFloat32Array）に変換する。
+ * @param {Blob} audioBlob - 録音データ（webm）
+ * @returns {Promise<Float32Array>} 音声サンプル
+ */
+async function decodeForWhisper(audioBlob) {
+  // OfflineAudioContext の decodeAudioData はコンテキストのサンプリングレートに変換してデコードする
+  const context = new OfflineAudioContext(1, 1, LOCAL_WHISPER_SAMPLE_RATE);
+  const audioBuffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+  const samples = new Float32Array(audioBuffer.length);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel += 1) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i += 1) {
+      samples[i] += data[i] / audioBuffer.numberOfChannels;
+    }
+  }
+  return samples;
+}
+
+/**
+ * ブラウザ内でWhisperモデルを実行するアダプターを作成する（transformers.js の WASM 実行、GPU不要）。
+ * 初回はモデルファイルをダウンロードするため時間がかかるが、以降はブラウザのキャッシュから読み込みオフラインで動作する。
+ * 認識はWeb Workerで行い、描画（VRを含む）を止めない。認識のヒント（prompt）は使用しない。
+ * @param {{ model: string }} settings - 音声認識設定
+ */
+function createLocalWhisperProvider(settings) {
+  const option = getSttProviderOption("local-whisper");
+  const model = settings.model || option.defaultModel;
+
+  /**
+   * 録音データを認識してテキストを取得する。
+   * @param {Blob} audioBlob - 録音データ（webm）
+   * @param {{ language?: string, signal?: AbortSignal }} [options]
+   *   language: 言語のヒント（空の場合は自動判定）
+   *   signal: 認識を待つのをやめるためのシグナル（ワーカー内の推論は止まらず、結果を捨てる）
+   * @returns {Promise<string>} 認識結果
+   */
+  async function transcribe(audioBlob, { language, signal } = {}) {
+    const samples = await decodeForWhisper(audioBlob);
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    const worker = getLocalWhisperWorker();
+    const id = localWhisper.nextRequestId;
+    localWhisper.nextRequestId += 1;
+    const text = await new Promise((resolve, reject) => {
+      localWhisper.pendingRequests.set(id, { resolve, reject });
+      signal?.addEventListener(
+        "abort",
+        () => {
+          if (localWhisper.pendingRequests.delete(id)) {
+            reject(signal.reason);
+          }
+        },
+        { once: true }
+      );
+      worker.postMessage({ id: id, model: model, language: language || null, audio: samples }, [samples.buffer]);
+    });
+    return text.trim();
+  }
+
+  return {
+    id: option.id,
+    requiresApiKey: false,
+    transcribe,
+  };
+}
+
+/**
+ * 音声認識設定に応じたプロバイダーアダプターを作成する。
+ * すべてのアダプターは { id, requiresApiKey } を持ち、さらに次のどちらかを持つ。
+ * - transcribe(audioBlob, { apiKey, language, prompt, signal }): 録音データを認識して結果のテキストを返す
+ * - startRecognition({ language }): 録音と並行してブラウザが聞き取り、{ finish(): Promise<string>, cancel() } を返す
+ * @param {{ provider: string, baseUrl: string, model: string }} settings - 音声認識設定
+ */
+export function createSttProvider(settings) {
+  switch (settings?.provider) {
+    case "openai":
+    case "openai-compatible":
+      return createOpenAITranscriptionProvider(settings.provider, settings);
+    case "web-speech":
+      return createWebSpeechProvider();
+    case "local-whisper":
+      return createLocalWhisperProvider(settings);
+    default:
+      logMessage("Warn", "[SttProviders] 未知のプロバイダーのためOpenAI Whisperを使用します", {
+        provider: settings?.provider,
+      });
+      return createOpenAITranscriptionProvider("openai", { ...settings, provider: "openai" });
+  }
+}
@@ -0,0 +1,50 @@
+// ブラウザ内Whisperの音声認識ワーカー。
+// transformers.js の automatic-speech-recognition パイプラインを WASM（CPU）で実行する。
+// メインスレッドから { id, model, language, audio } を受け取り、{ type: "result", id, text } または { type: "error", id, message } を返す。
+// モデルのダウンロード状況は { type: "progress", progress } で通知する。
+import { pipeline } from "https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.2";
+
+const state = {
+  model: null, // 読み込み済み（または読み込み中）のモデル名
+  transcriberPromise: null,
+};
+
+/**
+ * 認識パイプラインを取得する。モデルが変わった場合は読み込み直す。
+ * @param {string} model - Hugging Face Hub のモデル名
+ * @returns {Promise<Function>} 認識パイプライン
+ */
+function loadTranscriber(model) {
+  if (state.transcriberPromise && state.model === model) {
+    return state.transcriberPromise;
+  }
+  state.model = model;
+  state.transcriberPromise = pipeline("automatic-speech-recognition", model, {
+    device: "wasm",
+    progress_callback: (progress) => {
+      self.postMessage({ type: "progress", progress: progress });
+    },
+  });
+  // 読み込みに失敗した場合は次回やり直す
+  state.transcriberPromise.catch(() => {
+    if (state.model === model) {
+      state.transcriberPromise = null;
+    }
+  });
+  return state.transcriberPromise;
+}
+
+self.addEventListener("message", async (event) => {
+  const { id, model, language, audio } = event.data;
+  try {
+    const transcriber = await loadTranscriber(model);
+    const options = { task: "transcribe", chunk_length_s: 30, stride_length_s: 5 };
+    if (language) {
+      options.language = language;
+    }
+    const output = await transcriber(audio, options);
+    self.postMessage({ type: "result", id: id, text: output?.text ?? "" });
+  } catch (error) {
+    self.postMessage({ type: "error", id: id, message: error?.message ?? String(error) });
+  }
+});
@@ -0,0 +1,167 @@
+// ブラウザ内音声合成（Piper / VITS 系の ONNX モデル）のワーカー。
+// onnxruntime-web を WASM（CPU）で実行し、合成した音声を WAV の ArrayBuffer で返す。
+// メインスレッドから { id, modelUrl, text, speaker, lengthScale, noiseScale, noiseW } を受け取り、
+// { type: "result", id, audio } または { type: "error", id, message } を返す。
+// モデルファイルの読み込み状況は { type: "progress", id, file, loaded, total } で通知する。
+import * as ort from "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.20.1/dist/ort.wasm.min.mjs";
+import { encodeWav } from "../audio/wavEncoder.js";
+
+ort.env.wasm.wasmPaths = "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.20.1/dist/";
+// SharedArrayBuffer（COOP/COEP ヘッダー）なしでも動くようにシングルスレッドで実行する
+ort.env.wasm.numThreads = 1;
+
+// Piper の音素ID列で使う特別な記号
+const PAD = "_";
+const BOS = "^";
+const EOS = "$";
+// 読み込み状況を通知する間隔（バイト）
+const PROGRESS_INTERVAL = 1024 * 1024;
+
+const state = {
+  modelUrl: null, // 読み込み済み（または読み込み中）のモデルURL
+  voicePromise: null, // { session, config, phonemize } を返す Promise
+  queue: Promise.resolve(), // 合成を1件ずつ実行するための待ち行列
+};
+
+/**
+ * ファイルを読み込み、読み込み状況を通知する。
+ * @param {number} requestId - 進捗を通知するリクエストID
+ * @param {string} url - 読み込むファイルのURL
+ * @returns {Promise<Uint8Array>} ファイルの内容
+ */
+async function fetchWithProgress(requestId, url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} を読み込めませんでした (${response.status})`);
+  }
+  const total = Number(response.headers.get("Content-Length")) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  let reported = 0;
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    if (loaded - reported >= PROGRESS_INTERVAL) {
+      reported = loaded;
+      self.postMessage({ type: "progress", id: requestId, file: url, loaded: loaded, total: total });
+    }
+  }
+  self.postMessage({ type: "progress", id: requestId, file: url, loaded: loaded, total: total || loaded });
+
+  const data = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return data;
+}
+
+/**
+ * 音素化の方法をモデル設定に合わせて用意する。
+ * - phoneme_type が "text" のモデルは文字をそのまま音素として扱う
+ * - eSpeak の音素を使うモデルは、モデルと同じフォルダの phonemizer.js（phonemize(text, voice) を export）で音素化する
+ * @param {object} config - モデル設定（.onnx.json）
+ * @param {string} modelUrl - モデルのURL
+ * @returns {Promise<(text: string) => Promise<string[]>>} テキストを文ごとの音素列に変換する関数
+ */
+async function createPhonemizer(config, modelUrl) {
+  if (config.phoneme_type === "text") {
+    return async (text) => [Array.from(text.normalize("NFD")).join("")];
+  }
+  try {
+    const module = await import(new URL("phonemizer.js", modelUrl).href);
+    return async (text) => module.phonemize(text, config.espeak?.voice ?? "");
+  } catch (error) {
+    throw new Error("eSpeak の音素を使うモデルには、モデルと同じフォルダに phonemizer.js が必要です");
+  }
+}
+
+/**
+ * 音声モデルを取得する。モデルが変わった場合は読み込み直す。
+ * @param {number} requestId - 進捗を通知するリクエストID
+ * @param {string} modelUrl - モデル（.onnx）のURL。設定ファイルは同じ名前の .onnx.json
+ * @returns {Promise<{ session: ort.InferenceSession, config: object, phonemize: Function }>}
+ */
+function loadVoice(requestId, modelUrl) {
+  if (state.voicePromise && state.modelUrl === modelUrl) {
+    return state.voicePromise;
+  }
+  state.modelUrl = modelUrl;
+  state.voicePromise = (async () => {
+    const configData = await fetchWithProgress(requestId, `${modelUrl}.json`);
+    const config = JSON.parse(new TextDecoder().decode(configData));
+    const phonemize = await createPhonemizer(config, modelUrl);
+    const modelData = await fetchWithProgress(requestId, modelUrl);
+    const session = await ort.InferenceSession.create(modelData, { executionProviders: ["wasm"] });
+    return { session, config, phonemize };
+  })();
+  // 読み込みに失敗した場合は次回やり直す
+  state.voicePromise.catch(() => {
+    if (state.modelUrl === modelUrl) {
+      state.voicePromise = null;
+    }
+  });
+  return state.voicePromise;
+}
+
+/**
+ * 音素列を Piper の音素ID列に変換する（先頭・末尾の記号と、音素の間のパディングを入れる）。
+ * @param {string} phonemes - 音素列
+ * @param {Record<string, number[]>} idMap - モデル設定の phoneme_id_map
+ * @returns {number[]} 音素ID列
+ */
+function phonemesToIds(phonemes, idMap) {
+  const ids = [...idMap[BOS], ...idMap[PAD]];
+  Array.from(phonemes).forEach((phoneme) => {
+    // モデルが知らない文字は読み飛ばす
+    if (idMap[phoneme]) {
+      ids.push(...idMap[phoneme], ...idMap[PAD]);
+    }
+  });
+  ids.push(...idMap[EOS]);
+  return ids;
+}
+
+/**
+ * テキストを音声に合成する。
+ * @param {object} request - メインスレッドからのリクエスト
+ * @returns {Promise<ArrayBuffer>} WAVデータ
+ */
+async function synthesize(request) {
+  const { session, config, phonemize } = await loadVoice(request.id, request.modelUrl);
+  const sentences = await phonemize(request.text);
+  const segments = [];
+  for (const phonemes of sentences) {
+    const ids = phonemesToIds(phonemes, config.phoneme_id_map);
+    const feeds = {
+      input: new ort.Tensor("int64", BigInt64Array.from(ids, (id) => BigInt(id)), [1, ids.length]),
+      input_lengths: new ort.Tensor("int64", BigInt64Array.from([BigInt(ids.length)]), [1]),
+      scales: new ort.Tensor("float32", Float32Array.from([request.noiseScale, request.lengthScale, request.noiseW]), [3]),
+    };
+    if ((config.num_speakers ?? 1) > 1) {
+      feeds.sid = new ort.Tensor("int64", BigInt64Array.from([BigInt(request.speaker)]), [1]);
+    }
+    const results = await session.run(feeds);
+    segments.push(results.output.data);
+  }
+  return encodeWav(segments, config.audio?.sample_rate ?? 22050);
+}
+
+self.addEventListener("message", (event) => {
+  const request = event.data;
+  // 読み上げキューは次の文を先読みで合成するため、同じセッションで同時に推論しないよう順番に処理する
+  state.queue = state.queue.then(async () => {
+    try {
+      const audio = await synthesize(request);
+      self.postMessage({ type: "result", id: request.id, audio: audio }, [audio]);
+    } catch (error) {
+      self.postMessage({ type: "error", id: request.id, message: error?.message ?? String(error) });
+    }
+  });
+});
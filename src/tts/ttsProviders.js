@@ -0,0 +1,464 @@
+import { logMessage } from "../utils/logger.js";
+import { fetchWithRetry } from "../utils/httpClient.js";
+import { encodeWav } from "../audio/wavEncoder.js";
+import { estimateMoras } from "../audio/visemeTrack.js";
+
+// 音声合成APIの応答を待つ時間
+const TTS_TIMEOUT_MS = 30000;
+// 無音の音声合成で作るWAVのサンプリングレート（無音なので低くてよい）
+const SILENT_SAMPLE_RATE = 8000;
+// 無音の音声合成で、文の前後に置く口を閉じている時間（秒）
+const SILENT_EDGE_SECONDS = 0.1;
+
+// AIVIS TTS APIに毎回送る固定のパラメータ（詳細: https://api.aivis-project.com/v1/tts/synthesize）
+const AIVIS_REQUEST_OPTIONS = {
+  use_ssml: true,
+  use_volume_normalizer: true,
+  output_format: "mp3",
+  leading_silence_seconds: 0.0,
+  trailing_silence_seconds: 0.1,
+};
+
+/**
+ * 選択可能な音声合成（TTS）のプロバイダー定義。
+ * - id: 設定値として保存するID
+ * - label: キャラクター設定画面での表示名
+ * - apiKey: 必要なAPIキー（"openai" / "aivis"。不要な場合は null）
+ * - fields: プロバイダー固有の設定項目（キャラクター設定画面の入力欄はこの定義から生成する）
+ *   { key, label, type: "text"|"number", defaultValue, min?, max?, step?, placeholder? }
+ * "auto" は従来の動作（Aivis APIキーがあればAIVIS、なければOpenAI）を選ぶための特別な定義。
+ * どちらのAPIキーもない場合は、無音の音声合成（口パクのみ）を使う。
+ */
+export const TTS_PROVIDER_OPTIONS = [
+  {
+    id: "auto",
+    label: "自動 (Aivis APIキーがあればAIVIS、なければOpenAI。どちらもなければ無音)",
+    apiKey: null,
+    fields: [],
+  },
+  {
+    id: "openai",
+    label: "OpenAI TTS",
+    apiKey: "openai",
+    fields: [
+      { key: "model", label: "モデル", type: "text", defaultValue: "tts-1", placeholder: "例: tts-1" },
+      { key: "voice", label: "声の種類", type: "text", defaultValue: "nova", placeholder: "例: nova" },
+      { key: "speed", label: "再生速度 (0.25 〜 4.0)", type: "number", defaultValue: 1.0, min: 0.25, max: 4.0, step: 0.1 },
+    ],
+  },
+  {
+    id: "aivis",
+    label: "AIVIS TTS (Aivis Cloud API)",
+    apiKey: "aivis",
+    fields: [
+      {
+        key: "model_uuid",
+        label: "モデルUUID",
+        type: "text",
+        defaultValue: "a59cb814-0083-4369-8542-f51a29e72af7",
+        placeholder: "例: a59cb814-0083-4369-8542-f51a29e72af7",
+      },
+    ],
+  },
+  {
+    id: "voicevox",
+    label: "VOICEVOX / AivisSpeech (ローカルエンジン)",
+    apiKey: null,
+    fields: [
+      {
+        key: "baseUrl",
+        label: "エンジンのURL (VOICEVOX: 50021番 / AivisSpeech: 10101番ポート)",
+        type: "text",
+        defaultValue: "http://127.0.0.1:50021",
+        placeholder: "例: http://127.0.0.1:50021",
+      },
+      { key: "speaker", label: "話者（スタイルID。エンジンの /speakers で確認）", type: "number", defaultValue: 3, min: 0, step: 1 },
+      { key: "speedScale", label: "話速 (0.5 〜 2.0)", type: "number", defaultValue: 1.0, min: 0.5, max: 2.0, step: 0.05 },
+      { key: "pitchScale", label: "音高 (-0.15 〜 0.15)", type: "number", defaultValue: 0.0, min: -0.15, max: 0.15, step: 0.01 },
+      { key: "intonationScale", label: "抑揚 (0 〜 2.0)", type: "number", defaultValue: 1.0, min: 0, max: 2.0, step: 0.05 },
+    ],
+  },
+  {
+    id: "piper",
+    label: "ブラウザ内音声合成 (Piper / VITS・オフライン)",
+    apiKey: null,
+    fields: [
+      {
+        key: "modelPath",
+        label: "モデルファイル (.onnx。同じ名前の .onnx.json も必要)",
+        type: "text",
+        defaultValue: "./tts-models/voice.onnx",
+        placeholder: "例: ./tts-models/voice.onnx",
+      },
+      { key: "speaker", label: "話者ID（複数話者モデルのみ）", type: "number", defaultValue: 0, min: 0, step: 1 },
+      { key: "lengthScale", label: "話速（大きいほどゆっくり。0.5 〜 2.0）", type: "number", defaultValue: 1.0, min: 0.5, max: 2.0, step: 0.05 },
+      { key: "noiseScale", label: "声の揺らぎ (0 〜 1.0)", type: "number", defaultValue: 0.667, min: 0, max: 1.0, step: 0.01 },
+      { key: "noiseW", label: "音素の長さの揺らぎ (0 〜 1.0)", type: "number", defaultValue: 0.8, min: 0, max: 1.0, step: 0.01 },
+    ],
+  },
+  {
+    id: "silent",
+    label: "無音 (口パクのみ・APIキー不要)",
+    apiKey: null,
+    fields: [
+      { key: "moraSeconds", label: "1モーラ（1拍）の長さ（秒）", type: "number", defaultValue: 0.12, min: 0.05, max: 0.4, step: 0.01 },
+    ],
+  },
+];
+
+/**
+ * プロバイダーIDから定義を取得する。未知のIDの場合は自動選択を返す。
+ * @param {string} providerId - プロバイダーID
+ * @returns {{ id: string, label: string, apiKey: string|null, fields: Array<object> }}
+ */
+export function getTtsProviderOption(providerId) {
+  return TTS_PROVIDER_OPTIONS.find((option) => option.id === providerId) ?? TTS_PROVIDER_OPTIONS[0];
+}
+
+/**
+ * "auto" を実際に使うプロバイダーIDに解決する。
+ * @param {string} providerId - 設定されたプロバイダーID
+ * @param {{ openai?: string, aivis?: string }} apiKeys - 入力済みのAPIキー
+ * @returns {string} 使用するプロバイダーID
+ */
+export function resolveTtsProviderId(providerId, apiKeys) {
+  const option = getTtsProviderOption(providerId);
+  if (option.id !== "auto") {
+    return option.id;
+  }
+  if (apiKeys?.aivis) {
+    return "aivis";
+  }
+  return apiKeys?.openai ? "openai" : "silent";
+}
+
+/**
+ * OpenAI TTS API (/audio/speech) で合成するアダプターを作成する。
+ * @param {{ model: string, voice: string, speed: number }} settings - プロバイダー設定
+ */
+function createOpenAITtsProvider(settings) {
+  /**
+   * @param {string} text - 音声化するテキスト
+   * @param {{ apiKeys: { openai?: string }, signal?: AbortSignal }} options
+   */
+  async function synthesize(text, { apiKeys, signal }) {
+    if (!apiKeys.openai) {
+      throw new Error("OpenAI APIキーが設定されていません");
+    }
+
+    const response = await fetchWithRetry(
+      "https://api.openai.com/v1/audio/speech",
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKeys.openai}`,
+        },
+        body: JSON.stringify({
+          model: settings.model,
+          voice: settings.voice,
+          input: text,
+          speed: settings.speed,
+        }),
+        signal: signal,
+      },
+      { service: "OpenAI TTS", timeoutMs: TTS_TIMEOUT_MS }
+    );
+    return { audio: await response.arrayBuffer(), mimeType: "audio/mpeg" };
+  }
+
+  return {
+    id: "openai",
+    sourceLabel: "OpenAI",
+    synthesize,
+  };
+}
+
+/**
+ * Aivis Cloud API (/v1/tts/synthesize) で合成するアダプターを作成する。
+ * @param {{ model_uuid: string }} settings - プロバイダー設定
+ */
+function createAivisTtsProvider(settings) {
+  /**
+   * @param {string} text - 音声化するテキスト
+   * @param {{ apiKeys: { aivis?: string }, signal?: AbortSignal }} options
+   */
+  async function synthesize(text, { apiKeys, signal }) {
+    if (!apiKeys.aivis) {
+      throw new Error("Aivis APIキーが設定されていません");
+    }
+
+    const response = await fetchWithRetry(
+      "https://api.aivis-project.com/v1/tts/synthesize",
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKeys.aivis}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model_uuid: settings.model_uuid,
+          text: text,
+          ...AIVIS_REQUEST_OPTIONS,
+        }),
+        signal: signal,
+      },
+      { service: "AIVIS TTS", timeoutMs: TTS_TIMEOUT_MS }
+    );
+    return {
+      audio: await response.arrayBuffer(),
+      mimeType: "audio/mpeg",
+      leadingSilence: AIVIS_REQUEST_OPTIONS.leading_silence_seconds,
+      trailingSilence: AIVIS_REQUEST_OPTIONS.trailing_silence_seconds,
+    };
+  }
+
+  return {
+    id: "aivis",
+    sourceLabel: "AIVIS",
+    synthesize,
+  };
+}
+
+/**
+ * VOICEVOX 互換のローカルエンジン（VOICEVOX ENGINE / AivisSpeech Engine）で合成するアダプターを作成する。
+ * /audio_query で読み・アクセントとモーラのタイミングを作り、/synthesis でWAVに変換する。
+ * AudioQuery は口パク用のタイミングとしても返す。
+ * @param {{ baseUrl: string, speaker: number, speedScale: number, pitchScale: number, intonationScale: number }} settings - プロバイダー設定
+ */
+function createVoicevoxTtsProvider(settings) {
+  const baseUrl = settings.baseUrl.trim().replace(/\/+$/, "");
+
+  /**
+   * エンジンにリクエストを送信する。
+   * @param {string} path - パス（クエリ文字列を含む）
+   * @param {object|undefined} body - JSONで送信する本文
+   * @param {AbortSignal} [signal] - リクエストを中断するためのシグナル
+   * @returns {Promise<Response>} 成功したレスポンス
+   */
+  function postEngine(path, body, signal) {
+    return fetchWithRetry(
+      `${baseUrl}${path}`,
+      {
+        method: "POST",
+        headers: body ? { "Content-Type": "application/json" } : {},
+        body: body ? JSON.stringify(body) : undefined,
+        signal: signal,
+      },
+      // ローカルのエンジンは起動していないことが多いため、接続できない場合はやり直さずにすぐ知らせる
+      { service: `音声合成エンジン ${baseUrl}`, timeoutMs: TTS_TIMEOUT_MS, maxRetries: 0 }
+    );
+  }
+
+  /**
+   * @param {string} text - 音声化するテキスト
+   * @param {{ signal?: AbortSignal }} options
+   */
+  async function synthesize(text, { signal } = {}) {
+    const speaker = encodeURIComponent(settings.speaker);
+    const queryResponse = await postEngine(
+      `/audio_query?text=${encodeURIComponent(text)}&speaker=${speaker}`,
+      undefined,
+      signal
+    );
+    const audioQuery = await queryResponse.json();
+    audioQuery.speedScale = settings.speedScale;
+    audioQuery.pitchScale = settings.pitchScale;
+    audioQuery.intonationScale = settings.intonationScale;
+
+    const synthesisResponse = await postEngine(`/synthesis?speaker=${speaker}`, audioQuery, signal);
+    return {
+      audio: await synthesisResponse.arrayBuffer(),
+      mimeType: "audio/wav",
+      timing: audioQuery,
+    };
+  }
+
+  return {
+    id: "voicevox",
+    sourceLabel: "VOICEVOX",
+    synthesize,
+  };
+}
+
+// ブラウザ内音声合成のワーカー（モデルの読み込みを一度で済ませるため、設定を変えても使い回す）
+const localPiper = {
+  worker: null,
+  nextRequestId: 1,
+  pendingRequests: new Map(), // リクエストID → { resolve, reject, onProgress }
+};
+
+/**
+ * ブラウザ内音声合成のワーカーを取得する。初回呼び出し時に起動する。
+ * @returns {Worker}
+ */
+function getLocalPiperWorker() {
+  if (localPiper.worker) {
+    return localPiper.worker;
+  }
+  const worker = new Worker(new URL("./piperWorker.js", import.meta.url), { type: "module" });
+  worker.addEventListener("message", (event) => {
+    const message = event.data;
+    const request = localPiper.pendingRequests.get(message.id);
+    if (message.type === "progress") {
+      // モデルファイルの読み込み状況（完了のみ記録し、途中経過は呼び出し元に通知する）
+      if (message.loaded === message.total) {
+        logMessage("Info", "[TtsProviders] 音声モデルを読み込みました", {
+          file: message.file,
+          bytes: message.loaded,
+        });
+      }
+      request?.onProgress?.({ file: message.file, loaded: message.loaded, total: message.total });
+      return;
+    }
+    if (!request) {
+      return;
+    }
+    localPiper.pendingRequests.delete(message.id);
+    if (message.type === "result") {
+      request.resolve(message.audio);
+    } else {
+      request.reject(new Error(`ブラウザ内音声合成に失敗しました: ${message.message}`));
+    }
+  });
+  worker.addEventListener("error", (event) => {
+    logMessage("Error", "[TtsProviders] 音声合成ワーカーでエラーが発生しました", { message: event.message });
+    // 待機中のリクエストをすべて失敗させ、次回は新しいワーカーを起動する
+    localPiper.pendingRequests.forEach((request) => {
+      request.reject(new Error(`ブラウザ内音声合成に失敗しました: ${event.message}`));
+    });
+    localPiper.pendingRequests.clear();
+    worker.terminate();
+    localPiper.worker = null;
+  });
+  localPiper.worker = worker;
+  logMessage("Info", "[TtsProviders] 音声合成ワーカーを起動しました");
+  return worker;
+}
+
+/**
+ * Piper / VITS 系の ONNX モデルをブラウザ内（Web Worker・CPU）で実行して合成するアダプターを作成する。
+ * APIキーもネットワーク上の音声合成サービスも使わない（onnxruntime-web 本体はCDNから読み込む）。
+ * @param {{ modelPath: string, speaker: number, lengthScale: number, noiseScale: number, noiseW: number }} settings - プロバイダー設定
+ */
+function createPiperTtsProvider(settings) {
+  // ワーカー内の相対パスはワーカーのURL基準になるため、ページ基準の絶対URLにしてから渡す
+  const modelUrl = new URL(settings.modelPath.trim(), document.baseURI).href;
+
+  /**
+   * @param {string} text - 音声化するテキスト
+   * @param {{ signal?: AbortSignal, onProgress?: (progress: { file: string, loaded: number, total: number }) => void }} options
+   *   signal: 合成を待つのをやめるためのシグナル（ワーカー内の推論は止まらず、結果を捨てる）
+   *   onProgress: モデルファイルの読み込み状況の通知（total が 0 の場合はサイズ不明）
+   */
+  async function synthesize(text, { signal, onProgress } = {}) {
+    const worker = getLocalPiperWorker();
+    const id = localPiper.nextRequestId;
+    localPiper.nextRequestId += 1;
+    const audio = await new Promise((resolve, reject) => {
+      localPiper.pendingRequests.set(id, { resolve, reject, onProgress });
+      signal?.addEventListener(
+        "abort",
+        () => {
+          if (localPiper.pendingRequests.delete(id)) {
+            reject(signal.reason);
+          }
+        },
+        { once: true }
+      );
+      worker.postMessage({
+        id: id,
+        modelUrl: modelUrl,
+        text: text,
+        speaker: settings.speaker,
+        lengthScale: settings.lengthScale,
+        noiseScale: settings.noiseScale,
+        noiseW: settings.noiseW,
+      });
+    });
+    return { audio: audio, mimeType: "audio/wav" };
+  }
+
+  return {
+    id: "piper",
+    sourceLabel: "Piper",
+    synthesize,
+  };
+}
+
+/**
+ * 音声を出さずに口パクだけを行うアダプターを作成する（APIキーのないデモや、動作確認用）。
+ * テキストのモーラ数から長さを見積もった無音のWAVと、口パク用の AudioQuery 形式のタイミングを返す。
+ * @param {{ moraSeconds: number }} settings - プロバイダー設定
+ */
+function createSilentTtsProvider(settings) {
+  /**
+   * @param {string} text - 口パクするテキスト
+   */
+  async function synthesize(text) {
+    const moraSeconds = settings.moraSeconds;
+    // 句読点で区切ったまとまりを、VOICEVOX 互換のアクセント句として表す
+    const accentPhrases = [];
+    let phrase = { moras: [], pause_mora: null };
+    (estimateMoras(text) ?? []).forEach((mora) => {
+      if (mora.vowel === "pau") {
+        phrase.pause_mora = { vowel: "pau", vowel_length: moraSeconds * 2 };
+        accentPhrases.push(phrase);
+        phrase = { moras: [], pause_mora: null };
+      } else {
+        phrase.moras.push({ consonant: null, consonant_length: null, vowel: mora.vowel, vowel_length: moraSeconds });
+      }
+    });
+    if (phrase.moras.length > 0) {
+      accentPhrases.push(phrase);
+    }
+
+    const moraCount = accentPhrases.reduce((sum, accentPhrase) => sum + accentPhrase.moras.length, 0);
+    const pauseCount = accentPhrases.filter((accentPhrase) => accentPhrase.pause_mora).length;
+    const duration = SILENT_EDGE_SECONDS * 2 + (moraCount + pauseCount * 2) * moraSeconds;
+    return {
+      audio: encodeWav([new Float32Array(Math.ceil(duration * SILENT_SAMPLE_RATE))], SILENT_SAMPLE_RATE),
+      mimeType: "audio/wav",
+      timing: {
+        accent_phrases: accentPhrases,
+        speedScale: 1,
+        prePhonemeLength: SILENT_EDGE_SECONDS,
+        postPhonemeLength: SILENT_EDGE_SECONDS,
+      },
+    };
+  }
+
+  return {
+    id: "silent",
+    sourceLabel: "無音",
+    synthesize,
+  };
+}
+
+/**
+ * TTS設定に応じたプロバイダーアダプターを作成する。
+ * すべてのアダプターは { id, sourceLabel, synthesize(text, { apiKeys, signal?, onProgress? }) } を持つ。
+ * synthesize は { audio: ArrayBuffer, mimeType, timing?, leadingSilence?, trailingSilence? } を返し、
+ * 音声はそのまま TtsAudioPlayer で再生できる（timing は口パク用の AudioQuery）。
+ * @param {string} providerId - プロバイダーID（"auto" は resolveTtsProviderId で解決してから渡す）
+ * @param {object} settings - プロバイダー設定（fields の key ごとの値）
+ */
+export function createTtsProvider(providerId, settings) {
+  switch (providerId) {
+    case "openai":
+      return createOpenAITtsProvider(settings);
+    case "aivis":
+      return createAivisTtsProvider(settings);
+    case "voicevox":
+      return createVoicevoxTtsProvider(settings);
+    case "piper":
+      return createPiperTtsProvider(settings);
+    case "silent":
+      return createSilentTtsProvider(settings);
+    default:
+      logMessage("Warn", "[TtsProviders] 未知のプロバイダーのためOpenAI TTSを使用します", {
+        provider: providerId,
+      });
+      return createOpenAITtsProvider(settings);
+  }
+}
@@ -0,0 +1,288 @@
+import { logMessage } from "./logger.js";
+
+// 1回のリクエストでレスポンス（ヘッダー）が返るまで待つ時間の既定値
+const DEFAULT_TIMEOUT_MS = 30000;
+// 失敗したリクエストをやり直す回数の既定値
+const DEFAULT_MAX_RETRIES = 2;
+// やり直しまでの待ち時間（1回目）。2回目以降は倍にしていく
+const BASE_RETRY_DELAY_MS = 1000;
+// これより長く待つよう指示された場合（Retry-After）はやり直さずに失敗とする
+const MAX_RETRY_DELAY_MS = 20000;
+
+// やり直すと成功する見込みがあるエラーの種類
+const RETRYABLE_CATEGORIES = new Set(["rate_limit", "server", "network"]);
+
+/**
+ * エラーの種類ごとの、画面に表示するメッセージ。
+ * - auth: APIキーの誤り・権限不足（401 / 403）
+ * - quota: 利用上限・残高不足（402 / 429 insufficient_quota）
+ * - rate_limit: 短時間のリクエスト過多（429）
+ * - content_filter: 安全性のポリシーによる拒否
+ * - server: 接続先のサービスの障害（5xx）
+ * - network: 接続できない（オフライン・URLの誤り・CORSなど）
+ * - timeout: 時間内に応答がない
+ * - request: その他のリクエストの誤り（モデル名の誤りなど）
+ */
+const API_ERROR_MESSAGES = {
+  auth: "APIキーが正しくないか、利用する権限がありません。設定画面でAPIキーを確認してください",
+  quota: "APIの利用上限に達しています。利用状況や請求の設定を確認してください",
+  rate_limit: "リクエストが集中しています。しばらく待ってからもう一度お試しください",
+  content_filter: "内容が安全性のポリシーに抵触したため、応答できませんでした。言い方を変えてお試しください",
+  server: "サービス側でエラーが発生しました。しばらく待ってからもう一度お試しください",
+  network: "接続できませんでした。ネットワークや接続先のURL、ローカルのサーバーが起動しているかを確認してください",
+  timeout: "時間内に応答がありませんでした。しばらく待ってからもう一度お試しください",
+  request: "リクエストが受け付けられませんでした。設定（モデル名など）を確認してください",
+};
+
+/**
+ * 外部APIの呼び出しに失敗したことを表すエラー。
+ * category で種類を判別し、describeError で画面表示用のメッセージに変換する。
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - ログ用のメッセージ（APIが返した内容を含む）
+   * @param {{ service: string, category: string, status?: number|null, detail?: string }} options
+   *   service: 呼び出したサービスの表示名 / category: エラーの種類（API_ERROR_MESSAGES のキー）
+   *   status: HTTPステータス / detail: APIが返したエラーの内容
+   */
+  constructor(message, { service, category, status = null, detail = "" }) {
+    super(message);
+    this.name = "ApiError";
+    this.service = service;
+    this.category = category;
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * エラーがユーザー操作などによる中断（AbortError）かどうかを判定する。
+ * @param {unknown} error - 判定するエラー
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+/**
+ * エラーを画面（Webのステータス表示・VRのテキストウインドウ）に表示するメッセージに変換する。
+ * ApiError は種類ごとの分かりやすいメッセージにし、それ以外はエラーのメッセージをそのまま返す。
+ * @param {unknown} error - 発生したエラー
+ * @returns {string} 表示するメッセージ
+ */
+export function describeError(error) {
+  if (isAbortError(error)) {
+    return "中断しました";
+  }
+  if (error instanceof ApiError) {
+    const message = API_ERROR_MESSAGES[error.category] ?? API_ERROR_MESSAGES.request;
+    return `${message}（${error.service}）`;
+  }
+  return error?.message ?? String(error);
+}
+
+/**
+ * エラーレスポンスの本文からエラーの内容とコードを取り出す。
+ * OpenAI形式（{ error: { message, code, type } }）のほか、{ error: "..." } や { detail: "..." } にも対応する。
+ * @param {Response} response - エラーレスポンス
+ * @returns {Promise<{ detail: string, code: string }>}
+ */
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => "");
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { detail: text || response.statusText, code: "" };
+  }
+  const errorField = data?.error;
+  const detailField = typeof data?.detail === "string" ? data.detail : JSON.stringify(data?.detail ?? "");
+  return {
+    detail: (typeof errorField === "string" ? errorField : errorField?.message) || data?.message || detailField || text,
+    code: String(errorField?.code || errorField?.type || data?.code || ""),
+  };
+}
+
+/**
+ * HTTPステータスとエラーの内容からエラーの種類を判定する。
+ * @param {number} status - HTTPステータス
+ * @param {string} code - APIが返したエラーコード
+ * @param {string} detail - APIが返したエラーの内容
+ * @returns {string} エラーの種類
+ */
+function categorizeStatus(status, code, detail) {
+  if (status === 401 || status === 403) {
+    return "auth";
+  }
+  if (status === 402 || /insufficient_quota|billing/i.test(code)) {
+    return "quota";
+  }
+  if (status === 429) {
+    return "rate_limit";
+  }
+  if (/content_filter|content_policy|safety|moderation/i.test(`${code} ${detail}`)) {
+    return "content_filter";
+  }
+  if (status >= 500) {
+    return "server";
+  }
+  return "request";
+}
+
+/**
+ * エラーレスポンスから ApiError を作成する。
+ * @param {Response} response - エラーレスポンス
+ * @param {string} service - 呼び出したサービスの表示名
+ * @returns {Promise<ApiError>}
+ */
+async function createResponseError(response, service) {
+  const { detail, code } = await readErrorBody(response);
+  return new ApiError(`${service} API error: ${response.status} - ${detail}`, {
+    service: service,
+    category: categorizeStatus(response.status, code, detail),
+    status: response.status,
+    detail: detail,
+  });
+}
+
+/**
+ * 次にやり直すまでの待ち時間を求める。
+ * Retry-After（秒数またはHTTP日付）・retry-after-ms ヘッダーがあればそれに従い、なければ指数的に延ばす。
+ * @param {Response|null} response - エラーレスポンス（接続できなかった場合は null）
+ * @param {number} attempt - 失敗したリクエストの回数（0始まり）
+ * @returns {number} 待ち時間（ミリ秒）
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfterMs = Number(response?.headers.get("retry-after-ms"));
+  if (retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+  const retryAfter = response?.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  // 同時に失敗した複数のリクエストが同じ時刻にやり直さないよう、少しずらす
+  return BASE_RETRY_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.25);
+}
+
+/**
+ * 指定時間待つ。signal で中断された場合は AbortError で失敗する。
+ * @param {number} ms - 待ち時間（ミリ秒）
+ * @param {AbortSignal} [signal] - 待機を中断するためのシグナル
+ * @returns {Promise<void>}
+ */
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * タイムアウト付きで1回リクエストを送信する。
+ * タイムアウトと呼び出し元の中断はレスポンス（ヘッダー）が返るまでに適用する。
+ * ストリーミングの本文の受信を中断するには、streamReader の読み出し関数に signal を渡す。
+ * @param {string} url - リクエスト先
+ * @param {RequestInit} init - fetch のオプション（signal は呼び出し元からの中断用）
+ * @param {string} service - 呼び出したサービスの表示名
+ * @param {number} timeoutMs - タイムアウト（ミリ秒）
+ * @returns {Promise<Response>} レスポンス（エラーステータスを含む）
+ */
+async function fetchOnce(url, init, service, timeoutMs) {
+  const userSignal = init.signal;
+  const controller = new AbortController();
+  const onUserAbort = () => controller.abort(userSignal.reason);
+  userSignal?.addEventListener("abort", onUserAbort, { once: true });
+  if (userSignal?.aborted) {
+    controller.abort(userSignal.reason);
+  }
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError(`${service} API error: ${timeoutMs}ms 以内に応答がありませんでした`, {
+        service: service,
+        category: "timeout",
+      });
+    }
+    if (userSignal?.aborted) {
+      throw error;
+    }
+    throw new ApiError(`${service} API error: ${error?.message ?? error}`, {
+      service: service,
+      category: "network",
+      detail: error?.message ?? "",
+    });
+  } finally {
+    clearTimeout(timer);
+    // 同じ signal で何度もリクエストする呼び出し元に、リスナーが溜まらないようにする
+    userSignal?.removeEventListener("abort", onUserAbort);
+  }
+}
+
+/**
+ * 外部APIにリクエストを送信する。共通のネットワーク層として、各プロバイダーの fetch はこれを使う。
+ * - 1回ごとにタイムアウトを設ける（timeoutMs）
+ * - init.signal で呼び出し元から中断できる（中断した場合は AbortError で失敗する）
+ * - 429・5xx・接続エラーの場合は、Retry-After に従うか指数的に間隔を空けてやり直す
+ * - 失敗した場合はエラーの種類（category）を持つ ApiError で失敗する
+ * 本文（body）は文字列や FormData など、やり直しで再送できるものを渡す。
+ * @param {string} url - リクエスト先
+ * @param {RequestInit} init - fetch のオプション
+ * @param {{ service: string, timeoutMs?: number, maxRetries?: number }} options
+ *   service: ログとエラー表示に使うサービス名（"OpenAI TTS" など）
+ * @returns {Promise<Response>} 成功したレスポンス
+ */
+export async function fetchWithRetry(url, init, { service, timeoutMs = DEFAULT_TIMEOUT_MS, maxRetries = DEFAULT_MAX_RETRIES }) {
+  for (let attempt = 0; ; attempt += 1) {
+    let response = null;
+    let error;
+    try {
+      response = await fetchOnce(url, init, service, timeoutMs);
+      if (response.ok) {
+        return response;
+      }
+      error = await createResponseError(response, service);
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    const retryable = error instanceof ApiError && RETRYABLE_CATEGORIES.has(error.category);
+    const delay = getRetryDelay(response, attempt);
+    if (!retryable || attempt >= maxRetries || delay > MAX_RETRY_DELAY_MS) {
+      throw error;
+    }
+    logMessage("Warn", "[HttpClient] リクエストに失敗したため、やり直します", {
+      service: service,
+      category: error.category,
+      status: error.status,
+      attempt: attempt + 1,
+      delayMs: Math.round(delay),
+    });
+    await wait(delay, init.signal);
+  }
+}
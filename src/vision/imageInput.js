@@ -0,0 +1,78 @@
+import { wait } from "../utils/httpClient.js";
+
+// 会話モデルに添付する画像の読み込み（ユーザーが指定した画像ファイル・Webカメラの1コマ）。
+// 送信量とトークン数を抑えるため、長辺を MAX_IMAGE_SIZE 以下に縮小した JPEG の data URL にする。
+
+// 添付画像の長辺の最大ピクセル数
+export const MAX_IMAGE_SIZE = 1024;
+// JPEG の画質（0〜1）
+const JPEG_QUALITY = 0.85;
+// Webカメラを起動してから撮影するまでの待ち時間（ミリ秒。露出やホワイトバランスが落ち着くのを待つ）
+const WEBCAM_WARMUP_MS = 500;
+
+/**
+ * 画像や映像を、長辺が maxSize 以下になるよう縮小して JPEG の data URL にする。
+ * @param {CanvasImageSource} source - 描画元（ImageBitmap・video・canvas など）
+ * @param {number} width - 描画元の幅
+ * @param {number} height - 描画元の高さ
+ * @param {number} [maxSize] - 長辺の最大ピクセル数
+ * @returns {string} JPEG の data URL
+ */
+export function drawImageToDataUrl(source, width, height, maxSize = MAX_IMAGE_SIZE) {
+  if (!width || !height) {
+    throw new Error("画像の大きさを取得できませんでした");
+  }
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext("2d");
+  // 透過PNGの透明部分が黒くならないよう、白で塗ってから描く
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", JPEG_QUALITY);
+}
+
+/**
+ * 画像ファイルを読み込み、添付用の data URL にする。
+ * @param {File} file - 画像ファイル
+ * @returns {Promise<string>} JPEG の data URL
+ */
+export async function readImageFile(file) {
+  if (!file?.type?.startsWith("image/")) {
+    throw new Error(`画像ファイルではありません: ${file?.name ?? ""}`);
+  }
+  const bitmap = await createImageBitmap(file);
+  try {
+    return drawImageToDataUrl(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Webカメラで1コマだけ撮影し、添付用の data URL にする。撮影後はすぐにカメラを止める。
+ * @returns {Promise<string>} JPEG の data URL
+ */
+export async function captureWebcamFrame() {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error("このブラウザではカメラを使用できません");
+  }
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { width: { ideal: 1280 }, height: { ideal: 720 } },
+    audio: false,
+  });
+  const video = document.createElement("video");
+  try {
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    await video.play();
+    await wait(WEBCAM_WARMUP_MS);
+    return drawImageToDataUrl(video, video.videoWidth, video.videoHeight);
+  } finally {
+    video.srcObject = null;
+    stream.getTracks().forEach((track) => track.stop());
+  }
+}
@@ -0,0 +1,149 @@
+import * as THREE from "three";
+import { logMessage } from "../utils/logger.js";
+
+// アバターの目から見た空間のスナップショットの大きさ（ピクセル）
+const CAPTURE_WIDTH = 768;
+const CAPTURE_HEIGHT = 512;
+// スナップショットの縦の画角（度。人の視野に近い広さ）
+const CAPTURE_FOV = 60;
+// JPEG の画質（0〜1）
+const JPEG_QUALITY = 0.85;
+// 撮影を依頼してから撮影されるまで待つ時間（ミリ秒。タブが隠れていて描画が止まっている場合などはあきらめる）
+const CAPTURE_TIMEOUT_MS = 1000;
+
+/**
+ * アバターの目から見た空間のスナップショットを撮る。
+ * アバターの目の位置・視線の向きにカメラを置いて、描画用のレンダラーでオフスクリーンに描画し、JPEG の data URL にする。
+ * アバター自身は写さない。VR中のフレームを乱さないよう、撮影は requestCapture で依頼し、
+ * 描画ループの画面の描画後に呼ぶ update で行う。
+ */
+export function createSceneCapture({
+  renderer,
+  scene,
+  vrmManager,
+}) {
+  const camera = new THREE.PerspectiveCamera(CAPTURE_FOV, CAPTURE_WIDTH / CAPTURE_HEIGHT, 0.05, 100);
+  // sRGB で書き込み、読み出した値をそのまま画像にする
+  const renderTarget = new THREE.WebGLRenderTarget(CAPTURE_WIDTH, CAPTURE_HEIGHT, {
+    colorSpace: THREE.SRGBColorSpace,
+    samples: 4,
+  });
+  const pixels = new Uint8Array(CAPTURE_WIDTH * CAPTURE_HEIGHT * 4);
+  const canvas = document.createElement("canvas");
+  canvas.width = CAPTURE_WIDTH;
+  canvas.height = CAPTURE_HEIGHT;
+  const context = canvas.getContext("2d");
+  const eyePosition = new THREE.Vector3();
+  const viewDirection = new THREE.Vector3();
+  const viewTarget = new THREE.Vector3();
+  const state = {
+    requests: [], // 撮影を待っている依頼（{ resolve, reject, timer }）
+  };
+
+  /**
+   * カメラをアバターの目の位置に置き、視線の向きに向ける。
+   * lookAt を持たないモデルは、頭の位置から体の正面を向ける。
+   * @param {import("@pixiv/three-vrm").VRM} vrm
+   */
+  function placeCameraAtEyes(vrm) {
+    const lookAt = vrm.lookAt;
+    if (lookAt?.getLookAtWorldDirection) {
+      lookAt.getLookAtWorldPosition(eyePosition);
+      lookAt.getLookAtWorldDirection(viewDirection);
+    } else {
+      (vrm.humanoid?.getRawBoneNode("head") ?? vrm.scene).getWorldPosition(eyePosition);
+      vrm.scene.getWorldDirection(viewDirection);
+    }
+    camera.position.copy(eyePosition);
+    camera.lookAt(viewTarget.copy(eyePosition).add(viewDirection));
+  }
+
+  /**
+   * 描画済みのピクセルを読み出し、上下を反転して JPEG の data URL にする。
+   * @returns {string}
+   */
+  function readImage() {
+    renderer.readRenderTargetPixels(renderTarget, 0, 0, CAPTURE_WIDTH, CAPTURE_HEIGHT, pixels);
+    const imageData = context.createImageData(CAPTURE_WIDTH, CAPTURE_HEIGHT);
+    // WebGL のピクセルは下の行から並んでいる
+    const rowLength = CAPTURE_WIDTH * 4;
+    for (let y = 0; y < CAPTURE_HEIGHT; y += 1) {
+      const sourceStart = (CAPTURE_HEIGHT - 1 - y) * rowLength;
+      imageData.data.set(pixels.subarray(sourceStart, sourceStart + rowLength), y * rowLength);
+    }
+    context.putImageData(imageData, 0, 0);
+    return canvas.toDataURL("image/jpeg", JPEG_QUALITY);
+  }
+
+  /**
+   * アバターの目から見た空間を描画して画像にする。
+   * @returns {string} JPEG の data URL
+   */
+  function capture() {
+    const vrm = vrmManager.getCurrentVrm();
+    if (!vrm) {
+      throw new Error("VRMモデルが読み込まれていません");
+    }
+    placeCameraAtEyes(vrm);
+
+    // VR中でもヘッドセットの視点ではなく、このカメラで描画する
+    const previousRenderTarget = renderer.getRenderTarget();
+    const previousXrEnabled = renderer.xr.enabled;
+    const previousVrmVisible = vrm.scene.visible;
+    renderer.xr.enabled = false;
+    vrm.scene.visible = false;
+    try {
+      renderer.setRenderTarget(renderTarget);
+      renderer.render(scene, camera);
+    } finally {
+      renderer.setRenderTarget(previousRenderTarget);
+      renderer.xr.enabled = previousXrEnabled;
+      vrm.scene.visible = previousVrmVisible;
+    }
+    return readImage();
+  }
+
+  /**
+   * 次のフレームでスナップショットを撮るよう依頼する。
+   * @returns {Promise<string>} JPEG の data URL（VRMモデルがない場合や、描画が止まっている場合は失敗する）
+   */
+  function requestCapture() {
+    return new Promise((resolve, reject) => {
+      const request = { resolve, reject, timer: 0 };
+      request.timer = setTimeout(() => {
+        state.requests = state.requests.filter((candidate) => candidate !== request);
+        reject(new Error("空間のスナップショットを撮影できませんでした（描画が止まっています）"));
+      }, CAPTURE_TIMEOUT_MS);
+      state.requests.push(request);
+    });
+  }
+
+  /**
+   * 依頼されたスナップショットを撮る（描画ループで、画面を描画した後に毎フレーム呼び出す）。
+   * 同じフレームに複数の依頼があった場合は、1回の撮影で応える。
+   */
+  function update() {
+    if (state.requests.length === 0) {
+      return;
+    }
+    const requests = state.requests;
+    state.requests = [];
+    requests.forEach((request) => clearTimeout(request.timer));
+    try {
+      const url = capture();
+      logMessage("Verbose", "[SceneCapture] アバターの目から見た空間を撮影しました", {
+        width: CAPTURE_WIDTH,
+        height: CAPTURE_HEIGHT,
+        isInVr: renderer.xr.isPresenting,
+      });
+      requests.forEach((request) => request.resolve(url));
+    } catch (error) {
+      requests.forEach((request) => request.reject(error));
+    }
+  }
+
+  return {
+    requestCapture,
+    update,
+  };
+}
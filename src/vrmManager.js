@@ -5,6 +5,8 @@ import {
   VRMUtils,
 } from "https://cdn.jsdelivr.net/npm/@pixiv/three-vrm@2.1.3/+esm";
 import { logMessage } from "./utils/logger.js";
+import { VISEME_NAMES } from "./audio/lipSyncAnalyzer.js";
+import { sampleVisemeTrack } from "./audio/visemeTrack.js";
 
 const ENABLE_ANIMATION_CHANGE_LOG = false;
 
@@ -20,7 +22,13 @@ export class VRMManager {
     this.lipSyncState = {
       talking: false,
       startTime: 0,
+      track: null, // 音素タイミングに合わせた viseme トラック（ない場合は音声解析で口パクする）
+      getTrackTime: null, // トラックと同期する再生位置（秒）を返す関数
     };
+    // 再生中の音声から口の形を求める解析器（未設定の場合は一定周期の口パクにする）
+    this.lipSyncAnalyzer = null;
+    // 重ねて再生するために差分（加算）に変換したクリップ（元のクリップ → ボーンの組み合わせ → 変換後のクリップ）
+    this.overlayClipCache = new WeakMap();
 
     this.loader = new GLTFLoader();
     this.loader.crossOrigin = "anonymous";
@@ -211,6 +219,71 @@ export class VRMManager {
     return nextAction;
   }
 
+  /**
+   * 現在のクリップに重ねて、差分（加算）アニメーションとしてクリップを再生する。
+   * 会話中の身ぶり（うなずき・考えるしぐさなど）に使い、現在のクリップ（currentAction）は切り替えない。
+   * クリップの最初のフレームからの変化だけを重ねるため、最初のフレームが楽な姿勢のクリップを使う。
+   * @param {THREE.AnimationClip} clip - 再生するクリップ
+   * @param {Object} options - オプション
+   * @param {string[]} options.bones - 重ねるボーン（VRMHumanBoneName。回転のみ重ねる）
+   * @param {number} options.fadeDuration - フェード時間(秒)
+   * @param {boolean} options.clampWhenFinished - 終了時に最終フレームで固定するか（固定しない場合は終了時に止まる）
+   * @returns {THREE.AnimationAction | null} - 作成されたアクション
+   */
+  playOverlayClip(clip, options = {}) {
+    if (!this.vrm?.humanoid || !this.mixer || !clip) {
+      return null;
+    }
+    const { bones = [], fadeDuration = this.defaultFadeDuration, clampWhenFinished = false } = options;
+
+    const cacheKey = bones.join(",");
+    let clipsByBones = this.overlayClipCache.get(clip);
+    if (!clipsByBones) {
+      clipsByBones = new Map();
+      this.overlayClipCache.set(clip, clipsByBones);
+    }
+    let overlayClip = clipsByBones.get(cacheKey);
+    if (!overlayClip) {
+      const nodeNames = new Set(
+        bones.map((bone) => this.vrm.humanoid.getNormalizedBoneNode(bone)?.name).filter(Boolean)
+      );
+      const tracks = clip.tracks
+        .filter((track) => {
+          const [nodeName, property] = track.name.split(".");
+          return property === "quaternion" && nodeNames.has(nodeName);
+        })
+        .map((track) => track.clone());
+      overlayClip = THREE.AnimationUtils.makeClipAdditive(
+        new THREE.AnimationClip(`${clip.name}_overlay`, clip.duration, tracks)
+      );
+      clipsByBones.set(cacheKey, overlayClip);
+    }
+
+    const action = this.mixer.clipAction(overlayClip);
+    action.blendMode = THREE.AdditiveAnimationBlendMode;
+    action.setLoop(THREE.LoopOnce, 1);
+    action.clampWhenFinished = clampWhenFinished;
+    action.reset().setEffectiveWeight(1).fadeIn(Math.max(0, fadeDuration)).play();
+    return action;
+  }
+
+  /**
+   * playOverlayClip で重ねたクリップをフェードアウトして止める。
+   * @param {THREE.AnimationAction | null} action - playOverlayClip の戻り値
+   * @param {number} fadeDuration - フェード時間(秒)
+   */
+  stopOverlayClip(action, fadeDuration = this.defaultFadeDuration) {
+    if (!action?.enabled) {
+      return;
+    }
+    // 最終フレームで固定している（一時停止中の）アクションもフェードアウトでき、重みが 0 になると止まる
+    if (fadeDuration > 0) {
+      action.fadeOut(fadeDuration);
+    } else {
+      action.stop();
+    }
+  }
+
   update(delta) {
     if (this.mixer) {
       this.mixer.update(delta);
@@ -248,14 +321,39 @@ export class VRMManager {
     this.currentClipLabel = "";
   }
 
+  /**
+   * 口パクに使う音声解析器を設定する。
+   * @param {import("./audio/lipSyncAnalyzer.js").LipSyncAnalyzer|null} analyzer - 音声解析器
+   */
+  setLipSyncAnalyzer(analyzer) {
+    this.lipSyncAnalyzer = analyzer || null;
+  }
+
+  /**
+   * 口パクに使う音声解析器を返す。
+   * @returns {import("./audio/lipSyncAnalyzer.js").LipSyncAnalyzer|null}
+   */
+  getLipSyncAnalyzer() {
+    return this.lipSyncAnalyzer;
+  }
+
   /**
    * 口パクを開始する。
    * AI音声再生開始時に呼び出す。
+   * viseme トラックを渡した場合は、音声解析の代わりにトラックを再生位置に合わせて再生する（音素タイミングがある場合の高精度モード）。
+   * @param {{ track?: object, getTime?: () => number|null }} [options]
+   *   track: visemeTrack.js で作成したトラック
+   *   getTime: トラックと同期する音声の再生位置（秒）を返す関数
    */
-  startLipSync() {
+  startLipSync({ track = null, getTime = null } = {}) {
     this.lipSyncState.talking = true;
     this.lipSyncState.startTime = performance.now() / 1000;
-    logMessage("Info", "[VRMManager] 口パク開始");
+    this.lipSyncState.track = track && getTime ? track : null;
+    this.lipSyncState.getTrackTime = track && getTime ? getTime : null;
+    this.lipSyncAnalyzer?.reset();
+    logMessage("Info", "[VRMManager] 口パク開始", {
+      mode: this.lipSyncState.track ? "track" : this.lipSyncAnalyzer ? "analyzer" : "simple",
+    });
   }
 
   /**
@@ -264,9 +362,12 @@ export class VRMManager {
    */
   stopLipSync() {
     this.lipSyncState.talking = false;
+    this.lipSyncState.track = null;
+    this.lipSyncState.getTrackTime = null;
+    this.lipSyncAnalyzer?.reset();
     // 口を閉じる
     if (this.vrm?.expressionManager) {
-      this.vrm.expressionManager.setValue("aa", 0);
+      VISEME_NAMES.forEach((name) => this.vrm.expressionManager.setValue(name, 0));
     }
     logMessage("Info", "[VRMManager] 口パク停止");
   }
@@ -274,6 +375,9 @@ export class VRMManager {
   /**
    * 口パクを更新する。
    * 毎フレーム呼び出す。
+   * viseme トラックがある場合は再生位置のモーラの口形状にする。
+   * 音声解析器がある場合は再生中の音声の音量と母音に合わせて aa/ih/ou/ee/oh を混ぜ、
+   * 無音区間では口を閉じる。どちらもない場合は一定周期で aa を開閉する。
    * @param {number} delta - 前回のフレームからの経過時間(秒)
    */
   updateLipSync(delta) {
@@ -281,6 +385,19 @@ export class VRMManager {
       return;
     }
 
+    if (this.lipSyncState.track) {
+      const time = this.lipSyncState.getTrackTime();
+      const weights = sampleVisemeTrack(this.lipSyncState.track, time ?? -1);
+      VISEME_NAMES.forEach((name) => this.vrm.expressionManager.setValue(name, weights[name]));
+      return;
+    }
+
+    if (this.lipSyncAnalyzer) {
+      const weights = this.lipSyncAnalyzer.update(delta);
+      VISEME_NAMES.forEach((name) => this.vrm.expressionManager.setValue(name, weights[name]));
+      return;
+    }
+
     const t = (performance.now() / 1000) - this.lipSyncState.startTime;
     // 0..1 を行ったり来たりする口パクアニメーション
     // 周波数10で口をパクパクさせる
@@ -0,0 +1,80 @@
+import * as THREE from "three";
+
+// パネルの高さ（m）。幅は画像の縦横比に合わせる
+const PANEL_HEIGHT = 0.32;
+// 画像を表示し続ける時間（ミリ秒）
+const DISPLAY_DURATION_MS = 60 * 1000;
+// アバターの頭から見たパネルの位置（m。x はアバターの右手側、y は頭より少し下）
+const PANEL_OFFSET = new THREE.Vector3(-0.45, -0.1, 0.05);
+
+const headPosition = new THREE.Vector3();
+const panelOffset = new THREE.Vector3();
+const avatarQuaternion = new THREE.Quaternion();
+const viewerPosition = new THREE.Vector3();
+
+/**
+ * VR空間でアバターの横に浮かぶ画像パネル。
+ * ユーザーが会話に添付した画像を表示し、アバターと一緒に見ているように見せる。VR中のみ表示する。
+ */
+export class VrImagePanel {
+  constructor() {
+    this.loader = new THREE.TextureLoader();
+    this.texture = null;
+    this.hideAt = 0;
+    const material = new THREE.MeshBasicMaterial({ transparent: true, side: THREE.DoubleSide });
+    material.depthWrite = false;
+    this.mesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+    this.mesh.visible = false;
+  }
+
+  /**
+   * このパネルのメッシュ参照を返す。
+   * @returns {THREE.Mesh}
+   */
+  getObject3D() {
+    return this.mesh;
+  }
+
+  /**
+   * 画像を読み込んで表示する。一定時間がたつと自動で隠れる。
+   * @param {string} url - 画像のURL（data URL を含む）
+   */
+  showImage(url) {
+    this.loader.load(url, (texture) => {
+      texture.colorSpace = THREE.SRGBColorSpace;
+      this.texture?.dispose();
+      this.texture = texture;
+      this.mesh.material.map = texture;
+      this.mesh.material.needsUpdate = true;
+      const aspect = texture.image.width / texture.image.height || 1;
+      this.mesh.scale.set(PANEL_HEIGHT * aspect, PANEL_HEIGHT, 1);
+      this.hideAt = performance.now() + DISPLAY_DURATION_MS;
+    });
+  }
+
+  /**
+   * パネルを隠す。
+   */
+  hide() {
+    this.hideAt = 0;
+    this.mesh.visible = false;
+  }
+
+  /**
+   * パネルをアバターの頭の横に置き、見ている人の方へ向ける（毎フレーム呼び出す）。
+   * @param {{ vrm: import("@pixiv/three-vrm").VRM|null, viewer: THREE.Object3D, isPresenting: boolean }} options
+   *   vrm: 表示中のVRM、viewer: 見ている人のカメラ、isPresenting: VR中かどうか
+   */
+  update({ vrm, viewer, isPresenting }) {
+    this.mesh.visible = Boolean(this.texture && vrm && isPresenting && performance.now() < this.hideAt);
+    if (!this.mesh.visible) {
+      return;
+    }
+    (vrm.humanoid?.getRawBoneNode("head") ?? vrm.scene).getWorldPosition(headPosition);
+    vrm.scene.getWorldQuaternion(avatarQuaternion);
+    panelOffset.copy(PANEL_OFFSET).applyQuaternion(avatarQuaternion);
+    this.mesh.position.copy(headPosition).add(panelOffset);
+    viewer.getWorldPosition(viewerPosition);
+    this.mesh.lookAt(viewerPosition);
+  }
+}
@@ -2,11 +2,12 @@ import * as THREE from "three";
 import { VrTextWindow } from "./textWindow.js";
 import { VrButton } from "./vrButton.js";
 import { VrListBox } from "./vrListBox.js";
-import { AI_NAME, ACTION_MENU_ITEMS } from "../config.js";
+import { ACTION_MENU_ITEMS, getActiveCharacterProfile } from "../config.js";
 import {
   MIC_PERMISSION_ERROR_CODE,
   MIC_PERMISSION_ERROR_MESSAGE,
 } from "../constants/micPermission.js";
+import { describeError, isAbortError } from "../utils/httpClient.js";
 import { logMessage } from "../utils/logger.js";
 
 const tempMatrix = new THREE.Matrix4();
@@ -18,15 +19,17 @@ const tempMatrix = new THREE.Matrix4();
  */
 export class VrButtonOverlay {
   /**
-   * @param {{ world: THREE.Object3D, renderer: THREE.WebGLRenderer, origin?: THREE.Vector3, interactionManager?: any, chatMenu?: any, actionMenu?: any }} options
+   * @param {{ world: THREE.Object3D, renderer: THREE.WebGLRenderer, origin?: THREE.Vector3, interactionManager?: any, chatMenu?: any, actionMenu?: any, onSwitchCharacter?: () => Promise<boolean> }} options
+   *   onSwitchCharacter: キャラクター切り替えボタンで次のキャラクタープロファイルに切り替える処理（切り替えた場合は true）
    */
   constructor(options = {}) {
-    const { world, renderer, origin, interactionManager, chatMenu, actionMenu } = options;
+    const { world, renderer, origin, interactionManager, chatMenu, actionMenu, onSwitchCharacter } = options;
     this.world = world;
     this.renderer = renderer;
     this.interactionManager = interactionManager || null;
     this.chatMenu = chatMenu || null;
     this.actionMenu = actionMenu || null;
+    this.onSwitchCharacter = onSwitchCharacter || null;
     this.origin = origin ?? new THREE.Vector3(0.6, 0.75, -0.8);
 
     // NOTE: このアプリはチャットモード専用です。モード切り替え機能は削除されました。
@@ -43,12 +46,23 @@ export class VrButtonOverlay {
     this.actionListHoverState = { upHovering: false, downHovering: false, controllerIndex: null };
     this.actionButtonHoverState = { hovering: false, controllerIndex: null };
     this.cubeSpawnCheckboxHoverState = { hovering: false, controllerIndex: null };
+    this.handsFreeButtonHoverState = { hovering: false, controllerIndex: null };
+    this.replayButtonHoverState = { hovering: false, controllerIndex: null };
+    this.previousReplyButtonHoverState = { hovering: false, controllerIndex: null };
+    this.nextReplyButtonHoverState = { hovering: false, controllerIndex: null };
+    this.characterButtonHoverState = { hovering: false, controllerIndex: null };
     this.textWindow = null;
     this.button = null;
     this.actionListBox = null;
     this.actionButton = null;
     this.cubeSpawnCheckbox = null;
     this.cubeSpawnEnabled = false; // デフォルトはオフ
+    this.handsFreeButton = null; // ハンズフリー音声入力の切り替えボタン
+    this.replayButton = null; // 選んでいるAI発言（選んでいない場合は最後の発言）をもう一度再生するボタン
+    this.previousReplyButton = null; // 再生するAI発言を1つ前に選ぶボタン
+    this.nextReplyButton = null; // 再生するAI発言を1つ後に選ぶボタン
+    this.replayIndex = null; // 選んでいるAI発言の位置（chatMenu.getReplies() の添字。null は最後の発言）
+    this.characterButton = null; // キャラクタープロファイルを順に切り替えるボタン
     this.dragButton = null; // メニュー移動用ボタン
     this.isDragging = false; // ドラッグ中かどうか
     this.dragController = null; // ドラッグ中のコントローラー
@@ -71,11 +85,12 @@ export class VrButtonOverlay {
   }
 
   /**
-   * 背景パネルとテキストウインドウ、マイクボタン、アクションリストボックス、アクション実行ボタンを生成してルートに追加する。
+   * 背景パネルとテキストウインドウ、マイクボタン、アクションリストボックス、アクション実行ボタン、ハンズフリー切り替えボタン、再生ボタン、再生するAI発言を選ぶボタン、キャラクター切り替えボタンを生成してルートに追加する。
    */
   setupPanel() {
+    // 最下段（ハンズフリー切り替えボタン・再生するAI発言を選ぶボタンの段）の分だけ、パネルを下に伸ばす
     const panel = new THREE.Mesh(
-      new THREE.PlaneGeometry(1.2, 0.7, 1, 1),
+      new THREE.PlaneGeometry(1.2, 0.86, 1, 1),
       new THREE.MeshStandardMaterial({
         color: 0x05070f,
         roughness: 0.85,
@@ -85,7 +100,7 @@ export class VrButtonOverlay {
         side: THREE.DoubleSide,
       })
     );
-    panel.position.z = -0.015;
+    panel.position.set(0, -0.08, -0.015);
     panel.receiveShadow = true;
     this.root.add(panel);
     this.panelMesh = panel; // ドラッグのヒットターゲットとして保存
@@ -139,6 +154,70 @@ export class VrButtonOverlay {
     checkboxMesh.position.set(0.43, -0.28, 0.02);
     this.root.add(checkboxMesh);
 
+    // ハンズフリー切り替えボタン（最下段の中央。アクションリストボックスの▼ボタンと重ならないよう1段下に置く）
+    this.handsFreeButton = new VrButton({
+      label: "☐ ハンズフリー",
+      width: 0.35,
+      height: 0.08,
+      idleColor: 0x424242,
+      hoverColor: 0x616161,
+      pressedColor: 0x212121
+    });
+    const handsFreeButtonMesh = this.handsFreeButton.getObject3D();
+    handsFreeButtonMesh.position.set(0, -0.37, 0.02);
+    this.root.add(handsFreeButtonMesh);
+
+    // 再生ボタン（テキストウインドウの右下）
+    this.replayButton = new VrButton({
+      label: "🔊 もう一度",
+      width: 0.25,
+      height: 0.07,
+      idleColor: 0x424242,
+      hoverColor: 0x616161,
+      pressedColor: 0x212121
+    });
+    const replayButtonMesh = this.replayButton.getObject3D();
+    replayButtonMesh.position.set(0.43, -0.1, 0.02);
+    this.root.add(replayButtonMesh);
+
+    // 再生するAI発言を選ぶボタン（最下段の左右。ハンズフリー切り替えボタンの両側）
+    this.previousReplyButton = new VrButton({
+      label: "◀ 前の発言",
+      width: 0.25,
+      height: 0.08,
+      idleColor: 0x424242,
+      hoverColor: 0x616161,
+      pressedColor: 0x212121
+    });
+    const previousReplyButtonMesh = this.previousReplyButton.getObject3D();
+    previousReplyButtonMesh.position.set(-0.43, -0.37, 0.02);
+    this.root.add(previousReplyButtonMesh);
+
+    this.nextReplyButton = new VrButton({
+      label: "次の発言 ▶",
+      width: 0.25,
+      height: 0.08,
+      idleColor: 0x424242,
+      hoverColor: 0x616161,
+      pressedColor: 0x212121
+    });
+    const nextReplyButtonMesh = this.nextReplyButton.getObject3D();
+    nextReplyButtonMesh.position.set(0.43, -0.37, 0.02);
+    this.root.add(nextReplyButtonMesh);
+
+    // キャラクター切り替えボタン（テキストウインドウの左下）
+    this.characterButton = new VrButton({
+      label: `👤 ${getActiveCharacterProfile().aiName}`,
+      width: 0.25,
+      height: 0.07,
+      idleColor: 0x424242,
+      hoverColor: 0x616161,
+      pressedColor: 0x212121
+    });
+    const characterButtonMesh = this.characterButton.getObject3D();
+    characterButtonMesh.position.set(-0.43, -0.1, 0.02);
+    this.root.add(characterButtonMesh);
+
     // ドラッグで移動ボタン（マイクボタンの下）
     this.dragButton = new VrButton({
       label: "ドラッグで移動",
@@ -164,8 +243,7 @@ export class VrButtonOverlay {
       return;
     }
 
-    const apiKey = this.chatMenu.getApiKey();
-    if (!apiKey) {
+    if (!this.chatMenu.canUseVoiceInput()) {
       this.textWindow.updateText("設定画面でAPIキーを入力してください", { force: true });
       return;
     }
@@ -177,7 +255,10 @@ export class VrButtonOverlay {
     } else {
       this.button.setLabel("🎤 マイク");
       if (this.transcriptHistory.length === 0) {
-        this.textWindow.updateText("マイクボタンを押して\n音声入力を開始", { force: true });
+        const guide = this.chatMenu.isHandsFreeActive?.()
+          ? "ハンズフリー: 話しかけてください"
+          : "マイクボタンを押して\n音声入力を開始";
+        this.textWindow.updateText(guide, { force: true });
       } else {
         // 最新の認識結果を表示
         const latestTranscripts = this.transcriptHistory.slice(-3).join("\n");
@@ -322,6 +403,81 @@ export class VrButtonOverlay {
       }
     }
 
+    // ハンズフリー切り替えボタンのチェック
+    if (this.handsFreeButton && this.handsFreeButton.getHitObject()) {
+      const isHandsFreeHover = this.handsFreeButtonHoverState.hovering && (this.handsFreeButtonHoverState.controllerIndex === null || controllerIndex === this.handsFreeButtonHoverState.controllerIndex);
+      if (isHandsFreeHover) {
+        this.handsFreeButton.getHitObject().updateWorldMatrix(true, false);
+        const intersections = this.raycaster.intersectObject(this.handsFreeButton.getHitObject(), false);
+        if (intersections.length > 0) {
+          this.logButtonPress(this.handsFreeButton?.getLabel?.() ?? "ハンズフリーボタン");
+          this.handsFreeButton.playPressedFeedback();
+          this.handleHandsFreeButtonPress();
+          return false;
+        }
+      }
+    }
+
+    // 再生ボタンのチェック
+    if (this.replayButton && this.replayButton.getHitObject()) {
+      const isReplayHover = this.replayButtonHoverState.hovering && (this.replayButtonHoverState.controllerIndex === null || controllerIndex === this.replayButtonHoverState.controllerIndex);
+      if (isReplayHover) {
+        this.replayButton.getHitObject().updateWorldMatrix(true, false);
+        const intersections = this.raycaster.intersectObject(this.replayButton.getHitObject(), false);
+        if (intersections.length > 0) {
+          this.logButtonPress(this.replayButton?.getLabel?.() ?? "再生ボタン");
+          this.replayButton.playPressedFeedback();
+          this.handleReplayButtonPress();
+          return false;
+        }
+      }
+    }
+
+    // 前の発言ボタンのチェック
+    if (this.previousReplyButton && this.previousReplyButton.getHitObject()) {
+      const isPreviousReplyHover = this.previousReplyButtonHoverState.hovering && (this.previousReplyButtonHoverState.controllerIndex === null || controllerIndex === this.previousReplyButtonHoverState.controllerIndex);
+      if (isPreviousReplyHover) {
+        this.previousReplyButton.getHitObject().updateWorldMatrix(true, false);
+        const intersections = this.raycaster.intersectObject(this.previousReplyButton.getHitObject(), false);
+        if (intersections.length > 0) {
+          this.logButtonPress(this.previousReplyButton?.getLabel?.() ?? "前の発言ボタン");
+          this.previousReplyButton.playPressedFeedback();
+          this.handlePreviousReplyButtonPress();
+          return false;
+        }
+      }
+    }
+
+    // 次の発言ボタンのチェック
+    if (this.nextReplyButton && this.nextReplyButton.getHitObject()) {
+      const isNextReplyHover = this.nextReplyButtonHoverState.hovering && (this.nextReplyButtonHoverState.controllerIndex === null || controllerIndex === this.nextReplyButtonHoverState.controllerIndex);
+      if (isNextReplyHover) {
+        this.nextReplyButton.getHitObject().updateWorldMatrix(true, false);
+        const intersections = this.raycaster.intersectObject(this.nextReplyButton.getHitObject(), false);
+        if (intersections.length > 0) {
+          this.logButtonPress(this.nextReplyButton?.getLabel?.() ?? "次の発言ボタン");
+          this.nextReplyButton.playPressedFeedback();
+          this.handleNextReplyButtonPress();
+          return false;
+        }
+      }
+    }
+
+    // キャラクター切り替えボタンのチェック
+    if (this.characterButton && this.characterButton.getHitObject()) {
+      const isCharacterHover = this.characterButtonHoverState.hovering && (this.characterButtonHoverState.controllerIndex === null || controllerIndex === this.characterButtonHoverState.controllerIndex);
+      if (isCharacterHover) {
+        this.characterButton.getHitObject().updateWorldMatrix(true, false);
+        const intersections = this.raycaster.intersectObject(this.characterButton.getHitObject(), false);
+        if (intersections.length > 0) {
+          this.logButtonPress(this.characterButton?.getLabel?.() ?? "キャラクター切り替えボタン");
+          this.characterButton.playPressedFeedback();
+          this.handleCharacterButtonPress();
+          return false;
+        }
+      }
+    }
+
     // ドラッグボタンのチェック
     if (this.dragButton && this.dragButton.getHitObject()) {
       const isDragButtonHover = this.dragButtonHoverState.hovering && (this.dragButtonHoverState.controllerIndex === null || controllerIndex === this.dragButtonHoverState.controllerIndex);
@@ -388,6 +544,51 @@ export class VrButtonOverlay {
       return false;
     }
 
+    // ハンズフリー切り替えボタンのチェック
+    const isHandsFreeHover = this.handsFreeButtonHoverState.hovering && this.handsFreeButton;
+    if (isHandsFreeHover) {
+      this.logButtonPress(this.handsFreeButton?.getLabel?.() ?? "ハンズフリーボタン");
+      this.handsFreeButton.playPressedFeedback();
+      this.handleHandsFreeButtonPress();
+      return false;
+    }
+
+    // 再生ボタンのチェック
+    const isReplayHover = this.replayButtonHoverState.hovering && this.replayButton;
+    if (isReplayHover) {
+      this.logButtonPress(this.replayButton?.getLabel?.() ?? "再生ボタン");
+      this.replayButton.playPressedFeedback();
+      this.handleReplayButtonPress();
+      return false;
+    }
+
+    // 前の発言ボタンのチェック
+    const isPreviousReplyHover = this.previousReplyButtonHoverState.hovering && this.previousReplyButton;
+    if (isPreviousReplyHover) {
+      this.logButtonPress(this.previousReplyButton?.getLabel?.() ?? "前の発言ボタン");
+      this.previousReplyButton.playPressedFeedback();
+      this.handlePreviousReplyButtonPress();
+      return false;
+    }
+
+    // 次の発言ボタンのチェック
+    const isNextReplyHover = this.nextReplyButtonHoverState.hovering && this.nextReplyButton;
+    if (isNextReplyHover) {
+      this.logButtonPress(this.nextReplyButton?.getLabel?.() ?? "次の発言ボタン");
+      this.nextReplyButton.playPressedFeedback();
+      this.handleNextReplyButtonPress();
+      return false;
+    }
+
+    // キャラクター切り替えボタンのチェック
+    const isCharacterHover = this.characterButtonHoverState.hovering && this.characterButton;
+    if (isCharacterHover) {
+      this.logButtonPress(this.characterButton?.getLabel?.() ?? "キャラクター切り替えボタン");
+      this.characterButton.playPressedFeedback();
+      this.handleCharacterButtonPress();
+      return false;
+    }
+
     // ドラッグボタンのチェック
     const isDragButtonHover = this.dragButtonHoverState.hovering && this.dragButton;
     if (isDragButtonHover) {
@@ -422,8 +623,15 @@ export class VrButtonOverlay {
       return;
     }
 
-    const apiKey = this.chatMenu.getApiKey();
-    if (!apiKey) {
+    // AIの応答中は発話を中断する
+    if (!this.chatMenu.isRecording() && this.chatMenu.isResponding?.()) {
+      this.chatMenu.interruptSpeech("vr-button");
+      this.textWindow.updateText("発話を中断しました", { force: true });
+      this.updateMainButtonLabel();
+      return;
+    }
+
+    if (!this.chatMenu.canUseVoiceInput()) {
       this.textWindow.updateText("エラー: APIキーが設定されていません", { force: true });
       return;
     }
@@ -441,33 +649,186 @@ export class VrButtonOverlay {
       this.chatMenu.startVrRecording(
         (result) => {
           // 認識成功時のコールバック
-          // resultは { user: string, ai: string } の形式
-          if (result && result.user && result.ai) {
-            this.transcriptHistory.push(`音声入力：${result.user}`);
-            this.transcriptHistory.push(`${AI_NAME}：${result.ai}`);
-            // AI応答を適切に改行してテキストウィンドウに表示
-            const wrappedUserText = wrapText(result.user);
-            const wrappedAiText = wrapText(result.ai);
-            this.textWindow.updateText(`音声入力：${wrappedUserText}\n\n${AI_NAME}：${wrappedAiText}`, { force: true });
-          }
+          this.showConversation(result);
           this.button.setLabel("🎤 マイク");
         },
         (error) => {
           // エラー時のコールバック
-          if (
-            error?.code === MIC_PERMISSION_ERROR_CODE ||
-            error?.message === MIC_PERMISSION_ERROR_MESSAGE
-          ) {
-            this.textWindow.updateText(MIC_PERMISSION_ERROR_MESSAGE, { force: true });
-          } else {
-            this.textWindow.updateText(`エラー: ${error?.message ?? "不明なエラー"}`, { force: true });
-          }
+          this.showError(error);
           this.button.setLabel("🎤 マイク");
         }
       );
     }
   }
 
+  /**
+   * 音声入力とAI応答をテキストウインドウに表示する。
+   * @param {{ user: string, ai: string }} result - 認識したユーザーの発話とAI応答
+   */
+  showConversation(result) {
+    if (!result || !result.user || !result.ai) {
+      return;
+    }
+    this.transcriptHistory.push(`音声入力：${result.user}`);
+    // 新しい会話を表示したら、再生する発言の選択をやめて最後の発言に戻す
+    this.replayIndex = null;
+    const aiName = getActiveCharacterProfile().aiName;
+    this.transcriptHistory.push(`${aiName}：${result.ai}`);
+    // AI応答を適切に改行してテキストウィンドウに表示
+    const wrappedUserText = wrapText(result.user);
+    const wrappedAiText = wrapText(result.ai);
+    this.textWindow.updateText(`音声入力：${wrappedUserText}\n\n${aiName}：${wrappedAiText}`, { force: true });
+  }
+
+  /**
+   * 音声入力のエラーをテキストウインドウに表示する。APIのエラーは種類に応じた分かりやすいメッセージにする。
+   * @param {Error} error - 発生したエラー
+   */
+  showError(error) {
+    if (
+      error?.code === MIC_PERMISSION_ERROR_CODE ||
+      error?.message === MIC_PERMISSION_ERROR_MESSAGE
+    ) {
+      this.textWindow.updateText(MIC_PERMISSION_ERROR_MESSAGE, { force: true });
+    } else if (isAbortError(error)) {
+      this.textWindow.updateText("中断しました", { force: true });
+    } else {
+      const message = error ? describeError(error) : "不明なエラー";
+      this.textWindow.updateText(`エラー: ${wrapText(message)}`, { force: true });
+    }
+  }
+
+  /**
+   * ハンズフリー切り替えボタン押下時の処理。
+   * オンの間は毎回マイクボタンを押さなくても、話し終わるたびに自動で送信される。
+   */
+  async handleHandsFreeButtonPress() {
+    if (!this.chatMenu) {
+      this.textWindow.updateText("エラー: chatMenuが設定されていません", { force: true });
+      return;
+    }
+
+    if (this.chatMenu.isHandsFreeActive()) {
+      this.chatMenu.stopHandsFree();
+      return;
+    }
+
+    if (!this.chatMenu.canUseVoiceInput()) {
+      this.textWindow.updateText("エラー: APIキーが設定されていません", { force: true });
+      return;
+    }
+
+    await this.chatMenu.startHandsFree({
+      onTranscript: (result) => this.showConversation(result),
+      onError: (error) => this.showError(error),
+      onStatusChange: (status) => this.handleHandsFreeStatusChange(status),
+    });
+  }
+
+  /**
+   * ハンズフリー音声入力の状態に合わせてボタンのラベルと案内表示を更新する。
+   * @param {"listening"|"recording"|"processing"|"off"} status - 状態
+   */
+  handleHandsFreeStatusChange(status) {
+    this.handsFreeButton?.setLabel(status === "off" ? "☐ ハンズフリー" : "☑ ハンズフリー");
+    if (status === "recording") {
+      this.textWindow.updateText("聞き取り中...", { force: true });
+    } else if (status === "processing") {
+      this.textWindow.updateText("音声を処理中...", { force: true });
+    } else if (status === "off") {
+      logMessage("Info", "[VrButtonOverlay] ハンズフリー: 無効");
+      this.updateChatStatus();
+    } else if (this.transcriptHistory.length === 0) {
+      this.updateChatStatus();
+    }
+  }
+
+  /**
+   * 再生ボタン押下時の処理。前の発言・次の発言ボタンで選んだAI発言（選んでいない場合は最後の発言）を、
+   * キャッシュ済みの音声でもう一度読み上げる。
+   */
+  handleReplayButtonPress() {
+    if (!this.chatMenu) {
+      this.textWindow.updateText("エラー: chatMenuが設定されていません", { force: true });
+      return;
+    }
+    const replies = this.chatMenu.getReplies();
+    const reply = replies[this.replayIndex ?? replies.length - 1];
+    if (!reply || !this.chatMenu.replayReply(reply.content)) {
+      logMessage("Info", "[VrButtonOverlay] 再生できるAI発言がないか、応答中のため再生しません");
+    }
+  }
+
+  /**
+   * 前の発言ボタン押下時の処理。再生するAI発言を1つ前に選び、テキストウインドウに表示する。
+   */
+  handlePreviousReplyButtonPress() {
+    const replies = this.chatMenu?.getReplies() ?? [];
+    if (replies.length === 0) {
+      this.textWindow.updateText("再生できるAI発言がありません", { force: true });
+      return;
+    }
+    // 会話が切り替わって発言が減っていても、範囲内に収める
+    this.replayIndex = Math.max(0, Math.min(this.replayIndex ?? replies.length, replies.length) - 1);
+    this.showSelectedReply(replies);
+  }
+
+  /**
+   * 次の発言ボタン押下時の処理。再生するAI発言を1つ後に選ぶ。
+   * 最後の発言より後に進めた場合は選択をやめ、直近の会話の表示に戻す。
+   */
+  handleNextReplyButtonPress() {
+    const replies = this.chatMenu?.getReplies() ?? [];
+    if (this.replayIndex === null || this.replayIndex >= replies.length - 1) {
+      this.replayIndex = null;
+      this.updateChatStatus();
+      return;
+    }
+    this.replayIndex += 1;
+    this.showSelectedReply(replies);
+  }
+
+  /**
+   * 選んでいるAI発言を、何番目の発言かと一緒にテキストウインドウに表示する。
+   * @param {Array<{ text: string }>} replies - 会話履歴のAI発言（chatMenu.getReplies() の結果）
+   */
+  showSelectedReply(replies) {
+    const aiName = getActiveCharacterProfile().aiName;
+    const reply = replies[this.replayIndex];
+    this.textWindow.updateText(
+      `[${this.replayIndex + 1}/${replies.length}] ${aiName}：${wrapText(reply.text)}\n\n「もう一度」で再生します`,
+      { force: true }
+    );
+  }
+
+  /**
+   * キャラクター切り替えボタン押下時の処理。次のキャラクタープロファイルに切り替える。
+   */
+  async handleCharacterButtonPress() {
+    if (!this.onSwitchCharacter) {
+      return;
+    }
+    try {
+      if (!(await this.onSwitchCharacter())) {
+        this.textWindow.updateText("AIの応答中はキャラクターを切り替えできません", { force: true });
+      }
+    } catch (error) {
+      logMessage("Error", "[VrButtonOverlay] キャラクターの切り替えに失敗しました", { error: error });
+      this.textWindow.updateText(`キャラクターを切り替えできませんでした: ${error.message}`, { force: true });
+    }
+  }
+
+  /**
+   * キャラクタープロファイルの切り替え・保存に合わせて、キャラクター名の表示を更新する。
+   * 前のキャラクターとの会話の表示は消す。
+   */
+  handleCharacterChange() {
+    this.characterButton?.setLabel(`👤 ${getActiveCharacterProfile().aiName}`);
+    this.transcriptHistory = [];
+    this.replayIndex = null;
+    this.updateChatStatus();
+  }
+
   /**
    * アクション実行ボタン押下時の処理。
    */
@@ -483,15 +844,8 @@ export class VrButtonOverlay {
       return;
     }
 
-    // actionMenuのexecuteActionを呼び出す
-    // actionSelectの値を一時的に設定してexecuteActionを呼び出す
-    const actionSelect = document.getElementById("actionSelect");
-    if (actionSelect) {
-      const previousValue = actionSelect.value;
-      actionSelect.value = selectedValue;
-      this.actionMenu.executeAction();
-      actionSelect.value = previousValue;
-    }
+    // 選択されたアクションIDを指定してactionMenuのexecuteActionを呼び出す
+    this.actionMenu.executeAction(selectedValue);
   }
 
   /**
@@ -588,6 +942,19 @@ export class VrButtonOverlay {
     this.originalParent = null;
   }
 
+  /**
+   * マイクボタンのラベルを、AIの応答中は発話の停止ボタンとして切り替える（録音中は変更しない）。
+   */
+  updateMainButtonLabel() {
+    if (!this.button || this.chatMenu?.isRecording?.()) {
+      return;
+    }
+    const label = this.chatMenu?.isResponding?.() ? "✋ 止める" : "🎤 マイク";
+    if (this.button.getLabel?.() !== label) {
+      this.button.setLabel(label);
+    }
+  }
+
   /**
    * ホバー状態を更新し、ボタンのビジュアルを切り替える。毎フレーム呼び出される。
    */
@@ -610,6 +977,11 @@ export class VrButtonOverlay {
     const actionButtonHover = { hovering: false, controllerIndex: null };
     const cubeSpawnCheckboxHover = { hovering: false, controllerIndex: null };
     const dragButtonHover = { hovering: false, controllerIndex: null };
+    const handsFreeButtonHover = { hovering: false, controllerIndex: null };
+    const replayButtonHover = { hovering: false, controllerIndex: null };
+    const previousReplyButtonHover = { hovering: false, controllerIndex: null };
+    const nextReplyButtonHover = { hovering: false, controllerIndex: null };
+    const characterButtonHover = { hovering: false, controllerIndex: null };
 
     for (let i = 0; i < this.controllers.length; i += 1) {
       const controller = this.controllers[i];
@@ -680,6 +1052,71 @@ export class VrButtonOverlay {
         }
       }
 
+      // ハンズフリー切り替えボタンのホバーチェック
+      if (!handsFreeButtonHover.hovering && this.handsFreeButton) {
+        const handsFreeHitMesh = this.handsFreeButton.getHitObject();
+        if (handsFreeHitMesh) {
+          handsFreeHitMesh.updateWorldMatrix(true, false);
+          const intersections = this.raycaster.intersectObject(handsFreeHitMesh, false);
+          if (intersections.length > 0) {
+            handsFreeButtonHover.hovering = true;
+            handsFreeButtonHover.controllerIndex = i;
+          }
+        }
+      }
+
+      // 再生ボタンのホバーチェック
+      if (!replayButtonHover.hovering && this.replayButton) {
+        const replayHitMesh = this.replayButton.getHitObject();
+        if (replayHitMesh) {
+          replayHitMesh.updateWorldMatrix(true, false);
+          const intersections = this.raycaster.intersectObject(replayHitMesh, false);
+          if (intersections.length > 0) {
+            replayButtonHover.hovering = true;
+            replayButtonHover.controllerIndex = i;
+          }
+        }
+      }
+
+      // 前の発言ボタンのホバーチェック
+      if (!previousReplyButtonHover.hovering && this.previousReplyButton) {
+        const previousReplyHitMesh = this.previousReplyButton.getHitObject();
+        if (previousReplyHitMesh) {
+          previousReplyHitMesh.updateWorldMatrix(true, false);
+          const intersections = this.raycaster.intersectObject(previousReplyHitMesh, false);
+          if (intersections.length > 0) {
+            previousReplyButtonHover.hovering = true;
+            previousReplyButtonHover.controllerIndex = i;
+          }
+        }
+      }
+
+      // 次の発言ボタンのホバーチェック
+      if (!nextReplyButtonHover.hovering && this.nextReplyButton) {
+        const nextReplyHitMesh = this.nextReplyButton.getHitObject();
+        if (nextReplyHitMesh) {
+          nextReplyHitMesh.updateWorldMatrix(true, false);
+          const intersections = this.raycaster.intersectObject(nextReplyHitMesh, false);
+          if (intersections.length > 0) {
+            nextReplyButtonHover.hovering = true;
+            nextReplyButtonHover.controllerIndex = i;
+          }
+        }
+      }
+
+      // キャラクター切り替えボタンのホバーチェック
+      if (!characterButtonHover.hovering && this.characterButton) {
+        const characterHitMesh = this.characterButton.getHitObject();
+        if (characterHitMesh) {
+          characterHitMesh.updateWorldMatrix(true, false);
+          const intersections = this.raycaster.intersectObject(characterHitMesh, false);
+          if (intersections.length > 0) {
+            characterButtonHover.hovering = true;
+            characterButtonHover.controllerIndex = i;
+          }
+        }
+      }
+
       // ドラッグボタンのホバーチェック
       if (!dragButtonHover.hovering && this.dragButton) {
         const dragButtonHitMesh = this.dragButton.getHitObject();
@@ -698,6 +1135,7 @@ export class VrButtonOverlay {
     this.hoverState.hovering = mainHover.hovering;
     this.hoverState.controllerIndex = mainHover.controllerIndex;
     this.button?.setState(mainHover.hovering ? "hover" : "idle");
+    this.updateMainButtonLabel();
 
     // アクションリストボックスの状態を更新
     this.actionListHoverState.upHovering = actionListUpHover.hovering;
@@ -720,6 +1158,31 @@ export class VrButtonOverlay {
     this.cubeSpawnCheckboxHoverState.controllerIndex = cubeSpawnCheckboxHover.controllerIndex;
     this.cubeSpawnCheckbox?.setState(cubeSpawnCheckboxHover.hovering ? "hover" : "idle");
 
+    // ハンズフリー切り替えボタンの状態を更新
+    this.handsFreeButtonHoverState.hovering = handsFreeButtonHover.hovering;
+    this.handsFreeButtonHoverState.controllerIndex = handsFreeButtonHover.controllerIndex;
+    this.handsFreeButton?.setState(handsFreeButtonHover.hovering ? "hover" : "idle");
+
+    // 再生ボタンの状態を更新
+    this.replayButtonHoverState.hovering = replayButtonHover.hovering;
+    this.replayButtonHoverState.controllerIndex = replayButtonHover.controllerIndex;
+    this.replayButton?.setState(replayButtonHover.hovering ? "hover" : "idle");
+
+    // 前の発言ボタンの状態を更新
+    this.previousReplyButtonHoverState.hovering = previousReplyButtonHover.hovering;
+    this.previousReplyButtonHoverState.controllerIndex = previousReplyButtonHover.controllerIndex;
+    this.previousReplyButton?.setState(previousReplyButtonHover.hovering ? "hover" : "idle");
+
+    // 次の発言ボタンの状態を更新
+    this.nextReplyButtonHoverState.hovering = nextReplyButtonHover.hovering;
+    this.nextReplyButtonHoverState.controllerIndex = nextReplyButtonHover.controllerIndex;
+    this.nextReplyButton?.setState(nextReplyButtonHover.hovering ? "hover" : "idle");
+
+    // キャラクター切り替えボタンの状態を更新
+    this.characterButtonHoverState.hovering = characterButtonHover.hovering;
+    this.characterButtonHoverState.controllerIndex = characterButtonHover.controllerIndex;
+    this.characterButton?.setState(characterButtonHover.hovering ? "hover" : "idle");
+
     // ドラッグボタンの状態を更新
     this.dragButtonHoverState.hovering = dragButtonHover.hovering;
     this.dragButtonHoverState.controllerIndex = dragButtonHover.controllerIndex;